@@ -11,7 +11,7 @@
  * `enumeratedPath` (e.g. ",Earth,Asia,Japan,Chigasaki" → country = "Japan").
  *
  * Usage: node crawlSpots.js
- * Output: ../../frontend/src/data/surfSpots.json
+ * Output: backend/data/surfSpots.json
  */
 
 const https = require('https');
@@ -19,7 +19,7 @@ const fs = require('fs');
 const path = require('path');
 
 const BASE_URL = 'https://services.surfline.com/taxonomy';
-const OUTPUT_PATH = path.join(__dirname, '../../frontend/src/data/surfSpots.json');
+const OUTPUT_PATH = path.join(__dirname, '../data/surfSpots.json');
 const EARTH_ID = '58f7ed51dadb30820bb38782';
 const DELAY_MS = 300;
 
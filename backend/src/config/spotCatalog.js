@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const { slugifyName, stableSpotId } = require('../utils/spotIds');
+const logger = require('../utils/logger');
+
+/**
+ * The ~9,000-spot catalog (data/surfSpots.json), read once and keyed by ID.
+ *
+ * Names the catalog lists once keep their name slug as ID. Names it lists
+ * more than once ("Playa Grande" is in seven countries) get a stable ID per
+ * entry (utils/spotIds); their bare slug still finds the first entry, which
+ * is what it resolved to before IDs were made unique.
+ */
+
+const CATALOG_PATH = path.join(__dirname, '../../data/surfSpots.json');
+
+let catalog = null;
+
+function loadCatalog() {
+  if (catalog) return catalog;
+
+  let raw = [];
+  try {
+    const data = JSON.parse(fs.readFileSync(CATALOG_PATH, 'utf8'));
+    raw = Array.isArray(data) ? data : data.spots;
+  } catch (e) {
+    logger.warn(`[Spots] Could not read the spot catalog: ${e.message}`);
+  }
+
+  const valid = raw.filter(s => s.name && slugifyName(s.name) && Number.isFinite(s.lat) && Number.isFinite(s.lon));
+  const nameCounts = new Map();
+  for (const s of valid) {
+    const slug = slugifyName(s.name);
+    nameCounts.set(slug, (nameCounts.get(slug) || 0) + 1);
+  }
+
+  const spots = [];
+  const byId = new Map();
+  const legacyIds = new Map();
+  for (const s of valid) {
+    const slug = slugifyName(s.name);
+    const shared = nameCounts.get(slug) > 1;
+    const base = shared ? stableSpotId(s.name, s.lat, s.lon) : slug;
+    // Same name in the same cell: number the later entries
+    let id = base;
+    for (let n = 2; byId.has(id); n++) id = `${base}_${n}`;
+
+    const spot = { id, name: s.name, country: s.country || '', region: s.region || '', lat: s.lat, lon: s.lon };
+    spots.push(spot);
+    byId.set(id, spot);
+    if (shared && !legacyIds.has(slug)) legacyIds.set(slug, id);
+  }
+
+  catalog = { spots, byId, legacyIds };
+  return catalog;
+}
+
+/**
+ * Every catalog spot: { id, name, country, region, lat, lon }
+ */
+function getCatalogSpots() {
+  return loadCatalog().spots;
+}
+
+/**
+ * A catalog spot by ID, or by the bare name slug of a name listed more than once
+ */
+function findCatalogSpot(spotId) {
+  const { byId, legacyIds } = loadCatalog();
+  return byId.get(spotId) || byId.get(legacyIds.get(spotId)) || null;
+}
+
+/**
+ * The stable ID a bare name slug stands for, when the catalog lists that name more than once
+ */
+function legacyCatalogId(spotId) {
+  return loadCatalog().legacyIds.get(spotId) || null;
+}
+
+module.exports = {
+  getCatalogSpots,
+  findCatalogSpot,
+  legacyCatalogId
+};
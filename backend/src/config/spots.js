@@ -1,46 +1,65 @@
 /**
  * Surf spot configurations
  * Defines the characteristics and optimal conditions for each spot
+ *
+ * Optional per-spot fields:
+ *   - shoreNormal: bearing (degrees) the coastline faces out to sea; defaults to
+ *     the opposite of optimal.windDirection
+ *   - breakType: 'beach' | 'reef' | 'point'; defaults to the sourced spot metadata
+ *
+ * Dynamic spots take `optimal` (and `shoreNormal`) from their compiled
+ * metadata bundle (sourcing/optimalCompiler.js; sourcing/bundleIds.js finds
+ * the bundle from the spot's name and pin), recording how it was derived
+ * in `optimalSource`; spots without metadata get the default block.
+ *
+ * Accepted community edits (services/spotEdits.js) are applied on top with
+ * applySpotOverrides, listing the fields they set in `communityEdits`.
  */
 
+const { getTimezoneForCoords, DEFAULT_TIMEZONE } = require('../utils/timezone');
+const { getCompiledOptimal, defaultOptimal } = require('../sourcing/optimalCompiler');
+const { findCatalogSpot, legacyCatalogId } = require('./spotCatalog');
+
 const SPOTS = {};
 
 // In-memory store for dynamically created spots (from map discovery)
 const dynamicSpots = {};
 
+/**
+ * Optimal conditions for a dynamic spot: compiled from its metadata bundle, or the defaults
+ */
+function optimalFields(id, place) {
+  const compiled = getCompiledOptimal(id, place);
+  if (!compiled) return { optimal: defaultOptimal() };
+
+  return {
+    optimal: compiled.optimal,
+    ...(compiled.shoreNormal !== null && { shoreNormal: compiled.shoreNormal }),
+    optimalSource: { confidence: compiled.confidence, derivedFrom: compiled.derivedFrom }
+  };
+}
+
 /**
  * Get or create a dynamic spot from coordinates.
- * Returns a spot config object with sensible defaults.
+ * Returns a spot config object, with sensible defaults where no metadata exists.
  */
 function getOrCreateSpot(id, { lat, lon, name, country }) {
   if (SPOTS[id]) return SPOTS[id];
   if (dynamicSpots[id]) return dynamicSpots[id];
 
-  const { registerCoords: regOpenMeteo } = require('../scrapers/openMeteo');
-  const { registerCoords: regMetNo } = require('../scrapers/metNo');
-  const { registerCoords: regForecast } = require('../scrapers/openMeteoForecast');
-  const { registerCoords: regSurfForecast } = require('../scrapers/surfForecast');
-  const { registerCoords: regWindFinder } = require('../scrapers/windFinder');
+  const { registerSpot } = require('../scrapers/registry');
 
   dynamicSpots[id] = {
     id,
     name: name || id,
     country: country || '',
     location: { lat, lon },
+    timezone: getTimezoneForCoords(lat, lon),
     description: `User-discovered spot`,
-    optimal: {
-      waveHeight: { min: 0.8, ideal: 1.5, max: 2.5 },
-      wavePeriod: { min: 8, ideal: 12, max: 16 },
-      windDirection: ['E', 'NE', 'SE'],
-      waveDirection: ['W', 'NW', 'SW']
-    }
+    ...optimalFields(id, { name, lat, lon })
   };
 
-  regOpenMeteo(id, lat, lon);
-  regMetNo(id, lat, lon);
-  regForecast(id, lat, lon);
-  regSurfForecast(id, lat, lon, name, country);
-  regWindFinder(id, lat, lon, name, country);
+  registerSpot(id, { lat, lon, name, country });
 
   return dynamicSpots[id];
 }
@@ -67,6 +86,18 @@ function getSpotName(spotId) {
   return spot ? spot.name : spotId;
 }
 
+/**
+ * Get the IANA timezone for a spot (derived from coordinates when not set)
+ */
+function getSpotTimezone(spotId) {
+  const spot = SPOTS[spotId] || dynamicSpots[spotId];
+  if (!spot) return DEFAULT_TIMEZONE;
+  if (!spot.timezone && spot.location) {
+    spot.timezone = getTimezoneForCoords(spot.location.lat, spot.location.lon);
+  }
+  return spot.timezone || DEFAULT_TIMEZONE;
+}
+
 /**
  * Check if spot ID is valid. If not found in memory, tries to auto-register
  * from the full surf spots database (surfSpots.json).
@@ -78,50 +109,29 @@ function isValidSpot(spotId) {
 }
 
 /**
- * Try to find a spot by ID in the full surfSpots.json and auto-register it.
- * Handles both underscore and hyphen ID formats.
+ * Try to find a spot by ID in the spot catalog and auto-register it.
+ * Handles both underscore and hyphen ID formats. A bare name slug the catalog
+ * lists more than once registers the spot under its own ID, not the slug.
  */
 function tryAutoRegister(spotId) {
-  try {
-    const fs = require('fs');
-    const path = require('path');
-    const spotsPath = path.join(__dirname, '../../data/surfSpots.json');
-    if (!fs.existsSync(spotsPath)) return null;
-
-    const data = JSON.parse(fs.readFileSync(spotsPath, 'utf8'));
-    const spots = data.spots || data;
-
-    // Normalize ID for matching (both _ and - formats)
-    const normalizedId = spotId.toLowerCase();
-    const match = spots.find(s => {
-      const nameId = s.name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
-      const nameIdHyphen = s.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
-      return nameId === normalizedId || nameIdHyphen === normalizedId || (s.id && s.id === normalizedId);
-    });
-
-    if (match && match.lat && match.lon) {
-      return getOrCreateSpot(spotId, {
-        lat: match.lat,
-        lon: match.lon,
-        name: match.name,
-        country: match.country || ''
-      });
-    }
-    return null;
-  } catch (e) {
-    return null;
-  }
+  const normalizedId = String(spotId).toLowerCase();
+  const match = findCatalogSpot(normalizedId) || findCatalogSpot(normalizedId.replace(/-/g, '_'));
+  if (!match) return null;
+
+  const id = legacyCatalogId(normalizedId) || legacyCatalogId(normalizedId.replace(/-/g, '_')) ? match.id : spotId;
+  return getOrCreateSpot(id, {
+    lat: match.lat,
+    lon: match.lon,
+    name: match.name,
+    country: match.country
+  });
 }
 
 /**
  * Load persisted user spots into dynamic store
  */
 function loadPersistedSpots(spotsArray) {
-  const { registerCoords: regOpenMeteo } = require('../scrapers/openMeteo');
-  const { registerCoords: regMetNo } = require('../scrapers/metNo');
-  const { registerCoords: regForecast } = require('../scrapers/openMeteoForecast');
-  const { registerCoords: regSurfForecast } = require('../scrapers/surfForecast');
-  const { registerCoords: regWindFinder } = require('../scrapers/windFinder');
+  const { registerSpot } = require('../scrapers/registry');
 
   for (const s of spotsArray) {
     if (!SPOTS[s.id] && !dynamicSpots[s.id]) {
@@ -130,29 +140,58 @@ function loadPersistedSpots(spotsArray) {
         name: s.name,
         country: s.country || '',
         location: { lat: s.lat, lon: s.lon },
+        timezone: s.timezone || getTimezoneForCoords(s.lat, s.lon),
         description: 'User-discovered spot',
-        optimal: {
-          waveHeight: { min: 0.8, ideal: 1.5, max: 2.5 },
-          wavePeriod: { min: 8, ideal: 12, max: 16 },
-          windDirection: ['E', 'NE', 'SE'],
-          waveDirection: ['W', 'NW', 'SW']
-        }
+        ...optimalFields(s.id, s)
       };
-      regOpenMeteo(s.id, s.lat, s.lon);
-      regMetNo(s.id, s.lat, s.lon);
-      regForecast(s.id, s.lat, s.lon);
-      regSurfForecast(s.id, s.lat, s.lon, s.name, s.country);
-      regWindFinder(s.id, s.lat, s.lon, s.name, s.country);
+      registerSpot(s.id, { lat: s.lat, lon: s.lon, name: s.name, country: s.country });
     }
   }
 }
 
+/**
+ * Apply accepted community edits to a loaded spot: name, pin location,
+ * shoreNormal, optimal wind/swell directions and break type
+ *
+ * @param {string} spotId
+ * @param {Object} overrides - Merged changes from services/spotEdits
+ * @returns {Object|null} - The updated spot, null when it isn't loaded
+ */
+function applySpotOverrides(spotId, overrides) {
+  const spot = SPOTS[spotId] || dynamicSpots[spotId];
+  if (!spot) return null;
+
+  if (overrides.name) spot.name = overrides.name;
+  if (overrides.location) {
+    const { lat, lon } = overrides.location;
+    spot.location = { lat, lon };
+    spot.timezone = getTimezoneForCoords(lat, lon);
+    const { registerSpot } = require('../scrapers/registry');
+    registerSpot(spotId, { lat, lon, name: spot.name, country: spot.country });
+  }
+  if (overrides.shoreNormal !== undefined) spot.shoreNormal = overrides.shoreNormal;
+  if (overrides.windDirection || overrides.waveDirection) {
+    // Copy, so the cached compiled block other spots may share stays untouched
+    spot.optimal = {
+      ...spot.optimal,
+      ...(overrides.windDirection && { windDirection: [...overrides.windDirection] }),
+      ...(overrides.waveDirection && { waveDirection: [...overrides.waveDirection] })
+    };
+  }
+  if (overrides.breakType) spot.breakType = overrides.breakType;
+
+  spot.communityEdits = [...new Set([...(spot.communityEdits || []), ...Object.keys(overrides)])];
+  return spot;
+}
+
 module.exports = {
   SPOTS,
   getAllSpots,
   getSpotById,
   getSpotName,
+  getSpotTimezone,
   isValidSpot,
   getOrCreateSpot,
-  loadPersistedSpots
+  loadPersistedSpots,
+  applySpotOverrides
 };
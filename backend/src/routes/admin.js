@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { requireAdmin } = require('../services/adminAuth');
+const { getSourceAccuracy, DEFAULT_WINDOW_DAYS, MAX_WINDOW_DAYS } = require('../services/verification');
+const { getDeliveryReports, MAX_STORED_REPORTS } = require('../services/pushDelivery');
+const { STATUSES, listEdits, reviewEdit, applyAcceptedEdits } = require('../services/spotEdits');
+const { invalidateConditions } = require('../services/conditions');
+const { refreshLiveSpots } = require('../services/spotIndex');
+
+const MAX_EDITS_LIMIT = 200;
+
+router.use(requireAdmin);
+
+/**
+ * GET /api/admin/sources
+ * Forecast accuracy per data source (MAE and bias for wave height, period and wind speed),
+ * overall and per spot
+ * Query params: ?days=30 (1-365), ?spotId=pipeline
+ */
+router.get('/sources', (req, res) => {
+  try {
+    let days = DEFAULT_WINDOW_DAYS;
+    if (req.query.days !== undefined) {
+      days = Number(req.query.days);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_WINDOW_DAYS) {
+        return res.status(400).json({ error: `Invalid days: must be 1-${MAX_WINDOW_DAYS}` });
+      }
+    }
+    const spotId = req.query.spotId ? String(req.query.spotId) : null;
+
+    const accuracy = getSourceAccuracy({ days, spotId });
+    res.json({ success: true, days, spotId, ...accuracy });
+  } catch (err) {
+    logger.error(`[Admin] Source accuracy failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to load source accuracy' });
+  }
+});
+
+/**
+ * GET /api/admin/push/deliveries
+ * Push delivery reports, newest first: per run, sent/failed/pruned/retried per channel
+ * Query params: ?limit=20 (1-200)
+ */
+router.get('/push/deliveries', (req, res) => {
+  try {
+    let limit = 20;
+    if (req.query.limit !== undefined) {
+      limit = Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_STORED_REPORTS) {
+        return res.status(400).json({ error: `Invalid limit: must be 1-${MAX_STORED_REPORTS}` });
+      }
+    }
+
+    const reports = getDeliveryReports(limit);
+    res.json({ success: true, count: reports.length, reports });
+  } catch (err) {
+    logger.error(`[Admin] Push delivery reports failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to load push delivery reports' });
+  }
+});
+
+/**
+ * GET /api/admin/spot-edits
+ * Spot edit proposals, newest first
+ * Query params: ?status=pending (pending|accepted|rejected, default pending), ?spotId=pipeline, ?limit=50 (1-200)
+ */
+router.get('/spot-edits', (req, res) => {
+  try {
+    const status = req.query.status === undefined ? 'pending' : String(req.query.status);
+    if (!STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status: must be one of ${STATUSES.join(', ')}` });
+    }
+    let limit = 50;
+    if (req.query.limit !== undefined) {
+      limit = Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_EDITS_LIMIT) {
+        return res.status(400).json({ error: `Invalid limit: must be 1-${MAX_EDITS_LIMIT}` });
+      }
+    }
+    const spotId = req.query.spotId ? String(req.query.spotId) : undefined;
+
+    const edits = listEdits({ spotId, status, limit });
+    res.json({ success: true, status, count: edits.length, edits });
+  } catch (err) {
+    logger.error(`[Admin] Spot edit list failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to load spot edits' });
+  }
+});
+
+/**
+ * POST /api/admin/spot-edits/:id/review
+ * Accept or reject a pending proposal. Accepted changes apply to the spot's
+ * config straight away and drop its cached conditions; other instances pick
+ * them up on their next sync (services/spotEdits syncAcceptedEdits).
+ * Body: { decision: 'accept' | 'reject', note? }
+ */
+router.post('/spot-edits/:id/review', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    if (!Number.isInteger(id) || id < 1) {
+      return res.status(400).json({ error: 'Invalid edit id' });
+    }
+    const { decision, note } = req.body || {};
+    if (decision !== 'accept' && decision !== 'reject') {
+      return res.status(400).json({ error: "decision must be 'accept' or 'reject'" });
+    }
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({ error: 'note must be text' });
+    }
+
+    const result = reviewEdit(id, decision, note);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { edit } = result;
+    let spot = null;
+    if (edit.status === 'accepted') {
+      spot = applyAcceptedEdits(edit.spotId);
+      refreshLiveSpots();
+      await invalidateConditions(edit.spotId);
+    }
+    logger.info(`[Admin] Spot edit ${id} for ${edit.spotId} ${edit.status}`);
+    res.json({ success: true, edit, spot });
+  } catch (err) {
+    logger.error(`[Admin] Spot edit review failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to review spot edit' });
+  }
+});
+
+module.exports = router;
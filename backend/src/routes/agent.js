@@ -1,23 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { fetchSurfData, aggregateData, aggregateHourlyData } = require('../services/scraper');
-const { calculateSurfScore } = require('../services/scoring');
-const { generateTrend } = require('../services/trend');
-const { recommendBoard } = require('../services/boardRecommendation');
-const { getSpotName, getSpotById, isValidSpot, getAllSpots } = require('../config/spots');
-const cache = require('../services/cache');
+const { getSpotById, isValidSpot, getAllSpots } = require('../config/spots');
+const { getConditions } = require('../services/conditions');
 const logger = require('../utils/logger');
+const { clientIp } = require('../utils/clientIp');
 const geoip = require('geoip-lite');
-
-function haversine(lat1, lon1, lat2, lon2) {
-  const R = 6371;
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = Math.sin(dLat / 2) ** 2
-    + Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180)
-    * Math.sin(dLon / 2) ** 2;
-  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-}
+const { nearestSpots } = require('../services/spotIndex');
+const { redirectSpotAlias } = require('../services/spotAliases');
 
 /**
  * Format a full conditions response into the slim agent format
@@ -81,6 +70,13 @@ function formatAgentResponse(response, spot) {
         value: weather.waterTemp || weather.temperature || null,
         unit: 'C',
       },
+      tide: conditions.tide ? {
+        height: conditions.tide.height,
+        unit: 'm',
+        state: conditions.tide.state,
+        nextHigh: conditions.tide.nextHigh?.time || null,
+        nextLow: conditions.tide.nextLow?.time || null,
+      } : null,
     },
     board: board.boardName || board.boardType || null,
     trend: trendSummary,
@@ -96,38 +92,7 @@ function formatAgentResponse(response, spot) {
  * Fetch conditions for a spot (from cache or fresh) and return agent format
  */
 async function getAgentConditions(spotId) {
-  const cached = cache.get(`conditions:${spotId}`);
-  if (cached) {
-    const spot = getSpotById(spotId);
-    return formatAgentResponse(cached, spot);
-  }
-
-  // Fetch fresh
-  const rawData = await fetchSurfData(spotId);
-  const aggregated = aggregateData(rawData);
-  const score = calculateSurfScore(aggregated, spotId, rawData.length);
-  const hourlyTimeline = aggregateHourlyData(rawData);
-
-  let trend = null;
-  try {
-    trend = generateTrend(hourlyTimeline, spotId, score.overall);
-  } catch (e) {
-    logger.warn(`[Agent] Trend failed for ${spotId}: ${e.message}`);
-  }
-
-  const response = {
-    spotId,
-    spotName: getSpotName(spotId),
-    timestamp: new Date().toISOString(),
-    score,
-    conditions: aggregated,
-    trend,
-    boardRecommendation: recommendBoard(aggregated),
-    fromCache: false,
-  };
-
-  cache.set(`conditions:${spotId}`, response, 600);
-
+  const { response } = await getConditions(spotId);
   const spot = getSpotById(spotId);
   return formatAgentResponse(response, spot);
 }
@@ -196,8 +161,7 @@ router.get('/nearest', async (req, res, next) => {
     let lon = parseFloat(req.query.lon);
 
     if (isNaN(lat) || isNaN(lon)) {
-      const ip = req.headers['x-forwarded-for']?.split(',')[0]?.trim()
-        || req.socket.remoteAddress;
+      const ip = clientIp(req);
       const geo = geoip.lookup(ip);
       if (geo && geo.ll) {
         [lat, lon] = geo.ll;
@@ -212,16 +176,9 @@ router.get('/nearest', async (req, res, next) => {
       }
     }
 
-    const spots = getAllSpots();
-    let nearest = spots[0];
-    let minDist = Infinity;
-
-    for (const spot of spots) {
-      const dist = haversine(lat, lon, spot.location.lat, spot.location.lon);
-      if (dist < minDist) {
-        minDist = dist;
-        nearest = spot;
-      }
+    const [nearest] = nearestSpots(lat, lon, { limit: 1, curatedOnly: true });
+    if (!nearest) {
+      return res.status(404).json({ error: 'No spots available' });
     }
 
     const result = await getAgentConditions(nearest.id);
@@ -232,6 +189,9 @@ router.get('/nearest', async (req, res, next) => {
   }
 });
 
+// Requests for an aliased ID redirect to the spot it now stands for
+router.param('spotId', redirectSpotAlias);
+
 /**
  * GET /api/agent/:spotId
  * Get concise conditions for a specific spot, optimized for AI agents
@@ -1,13 +1,18 @@
 const express = require('express');
 const router = express.Router();
-const { fetchSurfData, fetchSurfDataByCoords, aggregateData, aggregateHourlyData } = require('../services/scraper');
-const { calculateSurfScore, WEIGHTS } = require('../services/scoring');
-const { generateTrend } = require('../services/trend');
+const { buildForecast, DEFAULT_FORECAST_DAYS, MAX_FORECAST_DAYS } = require('../services/forecast');
 const { recommendBoard, recommendBoardPersonalized } = require('../services/boardRecommendation');
-const { getSpotName, isValidSpot, getAllSpots, getOrCreateSpot } = require('../config/spots');
+const { getSpotName, getSpotTimezone, isValidSpot, getAllSpots, getOrCreateSpot } = require('../config/spots');
 const cache = require('../services/cache');
+const { getConditions, getCachedConditions } = require('../services/conditions');
+const { getHistory } = require('../services/history');
+const { resolveSpotId, redirectSpotAlias } = require('../services/spotAliases');
 const logger = require('../utils/logger');
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_HISTORY_DAYS = 7;
+const MAX_HISTORY_DAYS = 366;
+
 /**
  * GET /api/conditions/custom
  * Get conditions for any coordinates (custom/discovered spots)
@@ -17,6 +22,9 @@ const logger = require('../utils/logger');
  *   - lon: Longitude (required)
  *   - name: Spot name (required)
  *   - country: Country name (optional)
+ *
+ * The response's spotId is the same-name spot within the merge distance, or
+ * a new name + geohash ID (services/spotAliases resolveSpotId).
  */
 router.get('/custom', async (req, res, next) => {
   try {
@@ -42,7 +50,11 @@ router.get('/custom', async (req, res, next) => {
     // Sanitize name
     const spotName = String(name).slice(0, 100).trim();
     const spotCountry = country ? String(country).slice(0, 100).trim() : '';
-    const spotId = spotName.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    const resolved = resolveSpotId({ name: spotName, lat: latNum, lon: lonNum });
+    if (!resolved) {
+      return res.status(400).json({ success: false, error: 'Name must contain letters or digits' });
+    }
+    const { spotId, merged } = resolved;
 
     let weight = null;
     let skill = null;
@@ -64,58 +76,30 @@ router.get('/custom', async (req, res, next) => {
 
     const getBoardRec = (conditions) => {
       if (weight && skill) {
-        return recommendBoardPersonalized(conditions, { weight, skillLevel: skill });
+        return recommendBoardPersonalized(conditions, { weight, skillLevel: skill }, spotId);
       }
-      return recommendBoard(conditions);
+      return recommendBoard(conditions, spotId);
     };
 
     logger.info(`[API] GET /api/conditions/custom ${spotName} (${latNum}, ${lonNum})`);
 
-    // Check cache
-    const cacheKey = `conditions:custom:${spotId}`;
-    const cached = cache.get(cacheKey);
-    if (cached) {
-      const cacheAge = cache.getAge(cacheKey);
-      logger.info(`[API] Returning cached custom data for ${spotName} (age: ${cacheAge}s)`);
-      return res.json({ ...cached, fromCache: true, cacheAge });
+    // Register this spot dynamically (a merged catalog spot loads with its catalog pin)
+    if (!merged || !isValidSpot(spotId)) {
+      getOrCreateSpot(spotId, { lat: latNum, lon: lonNum, name: spotName, country: spotCountry });
     }
 
-    // Register this spot dynamically
-    getOrCreateSpot(spotId, { lat: latNum, lon: lonNum, name: spotName, country: spotCountry });
-
-    // Fetch data using coordinate-based scrapers
-    const rawData = await fetchSurfDataByCoords(latNum, lonNum, spotId);
-    const aggregated = aggregateData(rawData);
-    const score = calculateSurfScore(aggregated, spotId, rawData.length);
-
-    const hourlyTimeline = aggregateHourlyData(rawData);
-    let trend = null;
-    try {
-      trend = generateTrend(hourlyTimeline, spotId, score.overall);
-    } catch (e) {
-      logger.warn(`[API] Trend analysis failed for custom spot: ${e.message}`);
+    // Same cache, in-flight sharing and stale-while-revalidate as listed spots
+    const { response, fromCache, cacheAge, stale } = await getConditions(spotId);
+    if (fromCache) {
+      logger.info(`[API] Returning cached custom data for ${spotName} (age: ${cacheAge}s${stale ? ', stale' : ''})`);
     }
 
-    const response = {
-      spotId,
-      spotName,
-      timestamp: new Date().toISOString(),
-      score,
-      weights: WEIGHTS,
-      conditions: aggregated,
-      trend,
-      boardRecommendation: getBoardRec(aggregated),
-      sources: rawData.map(d => ({
-        name: d.source,
-        status: 'success',
-        timestamp: d.timestamp,
-        url: d.url
-      })),
-      fromCache: false
-    };
-
-    cache.set(cacheKey, response, 600);
-    res.json(response);
+    res.json({
+      ...response,
+      boardRecommendation: getBoardRec(response.conditions),
+      fromCache,
+      ...(fromCache && { cacheAge, stale })
+    });
 
   } catch (error) {
     logger.error(`[API] Error in /conditions/custom:`, error);
@@ -123,6 +107,9 @@ router.get('/custom', async (req, res, next) => {
   }
 });
 
+// Requests for an aliased ID redirect to the spot it now stands for
+router.param('spotId', redirectSpotAlias);
+
 /**
  * GET /api/conditions/:spotId/stream
  * SSE endpoint — streams scraper progress events in real time.
@@ -146,21 +133,26 @@ router.get('/:spotId/stream', async (req, res) => {
     res.write(`event: ${eventType}\ndata: ${JSON.stringify(data)}\n\n`);
   };
 
-  // Fast path: cache is warm
-  const cached = cache.get(`conditions:${spotId}`);
+  // Fast path: cache is warm (a stale result triggers a background refresh)
+  const cached = await getCachedConditions(spotId);
   if (cached) {
-    const cacheAge = cache.getAge(`conditions:${spotId}`);
+    const { response, cacheAge, stale } = cached;
     sendEvent('complete', {
-      ...cached,
-      boardRecommendation: recommendBoard(cached.conditions),
+      ...response,
+      boardRecommendation: recommendBoard(response.conditions, spotId),
       fromCache: true,
       cacheAge,
+      stale
     });
     return res.end();
   }
 
-  // Slow path: stream progress as scrapers complete
+  // Slow path: stream progress as scrapers complete. Clients that arrive
+  // while the spot is already being fetched join that fetch.
   let clientDisconnected = false;
+  const onProgress = (progress) => {
+    if (!clientDisconnected) sendEvent('progress', progress);
+  };
   req.on('close', () => { clientDisconnected = true; });
 
   sendEvent('start', {
@@ -169,38 +161,8 @@ router.get('/:spotId/stream', async (req, res) => {
   });
 
   try {
-    const rawData = await fetchSurfData(spotId, (progress) => {
-      if (!clientDisconnected) sendEvent('progress', progress);
-    });
-
+    const { response } = await getConditions(spotId, { onProgress });
     if (clientDisconnected) return;
-
-    const aggregated = aggregateData(rawData);
-    const score = calculateSurfScore(aggregated, spotId, rawData.length);
-    const hourlyTimeline = aggregateHourlyData(rawData);
-    let trend = null;
-    try {
-      trend = generateTrend(hourlyTimeline, spotId, score.overall);
-    } catch (e) {
-      logger.warn(`[SSE] Trend analysis failed: ${e.message}`);
-    }
-
-    const response = {
-      spotId,
-      spotName: getSpotName(spotId),
-      timestamp: new Date().toISOString(),
-      score,
-      weights: WEIGHTS,
-      conditions: aggregated,
-      trend,
-      boardRecommendation: recommendBoard(aggregated),
-      sources: rawData.map(d => ({
-        name: d.source, status: 'success', timestamp: d.timestamp, url: d.url,
-      })),
-      fromCache: false,
-    };
-
-    cache.set(`conditions:${spotId}`, response, 600);
     sendEvent('complete', response);
   } catch (error) {
     logger.error(`[SSE] Error streaming ${spotId}:`, error);
@@ -212,6 +174,110 @@ router.get('/:spotId/stream', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/conditions/:spotId/history
+ * Recorded conditions, scores and per-source readings over a time range
+ *
+ * Query params:
+ *   - from: ISO date/time (default: 7 days before `to`)
+ *   - to: ISO date/time (default: now)
+ */
+router.get('/:spotId/history', (req, res, next) => {
+  try {
+    const { spotId } = req.params;
+
+    if (!isValidSpot(spotId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Invalid spot ID: ${spotId}`
+      });
+    }
+
+    const toMs = req.query.to !== undefined ? Date.parse(req.query.to) : Date.now();
+    if (isNaN(toMs)) {
+      return res.status(400).json({ success: false, error: 'Invalid to: must be an ISO date' });
+    }
+    const fromMs = req.query.from !== undefined ? Date.parse(req.query.from) : toMs - DEFAULT_HISTORY_DAYS * DAY_MS;
+    if (isNaN(fromMs)) {
+      return res.status(400).json({ success: false, error: 'Invalid from: must be an ISO date' });
+    }
+    if (fromMs > toMs) {
+      return res.status(400).json({ success: false, error: 'Invalid range: from must be before to' });
+    }
+    if (toMs - fromMs > MAX_HISTORY_DAYS * DAY_MS) {
+      return res.status(400).json({ success: false, error: `Invalid range: at most ${MAX_HISTORY_DAYS} days` });
+    }
+
+    const from = new Date(fromMs).toISOString();
+    const to = new Date(toMs).toISOString();
+    logger.info(`[API] GET /api/conditions/${spotId}/history (${from} → ${to})`);
+
+    const { entries, truncated } = getHistory(spotId, { from, to });
+
+    res.json({
+      spotId,
+      spotName: getSpotName(spotId),
+      timezone: getSpotTimezone(spotId),
+      from,
+      to,
+      count: entries.length,
+      truncated,
+      entries
+    });
+
+  } catch (error) {
+    logger.error(`[API] Error in /conditions/${req.params.spotId}/history:`, error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/conditions/:spotId/forecast
+ * Multi-day forecast: scored hourly conditions, scored blocks and a summary per day
+ *
+ * Query params:
+ *   - days: Number of days including today (1-16, default 7)
+ */
+router.get('/:spotId/forecast', async (req, res, next) => {
+  try {
+    const { spotId } = req.params;
+
+    if (!isValidSpot(spotId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Invalid spot ID: ${spotId}`
+      });
+    }
+
+    let days = DEFAULT_FORECAST_DAYS;
+    if (req.query.days !== undefined) {
+      days = Number(req.query.days);
+      if (!Number.isInteger(days) || days < 1 || days > MAX_FORECAST_DAYS) {
+        return res.status(400).json({ success: false, error: `Invalid days: must be 1-${MAX_FORECAST_DAYS}` });
+      }
+    }
+
+    logger.info(`[API] GET /api/conditions/${spotId}/forecast (days: ${days})`);
+
+    const cacheKey = `forecast:${spotId}:${days}`;
+    const cached = await cache.get(cacheKey);
+    if (cached) {
+      return res.json({ ...cached, fromCache: true, cacheAge: await cache.getAge(cacheKey) });
+    }
+
+    const response = { ...(await buildForecast(spotId, days)), fromCache: false };
+
+    // Model runs update a few times a day; the 30-minute namespace TTL is plenty fresh
+    await cache.set(cacheKey, response);
+
+    res.json(response);
+
+  } catch (error) {
+    logger.error(`[API] Error in /conditions/${req.params.spotId}/forecast:`, error);
+    next(error);
+  }
+});
+
 /**
  * GET /api/conditions/:spotId
  * Get current surf conditions and score for a specific spot
@@ -256,68 +322,22 @@ router.get('/:spotId', async (req, res, next) => {
     // Board recommendation helper (computed per-request for personalization)
     const getBoardRec = (conditions) => {
       if (weight && skill) {
-        return recommendBoardPersonalized(conditions, { weight, skillLevel: skill });
+        return recommendBoardPersonalized(conditions, { weight, skillLevel: skill }, spotId);
       }
-      return recommendBoard(conditions);
+      return recommendBoard(conditions, spotId);
     };
 
-    // Check cache unless refresh requested
-    if (!refresh) {
-      const cached = cache.get(`conditions:${spotId}`);
-      if (cached) {
-        const cacheAge = cache.getAge(`conditions:${spotId}`);
-        logger.info(`[API] Returning cached data for ${spotId} (age: ${cacheAge}s)`);
-        return res.json({
-          ...cached,
-          boardRecommendation: getBoardRec(cached.conditions),
-          fromCache: true,
-          cacheAge
-        });
-      }
+    const { response, fromCache, cacheAge, stale } = await getConditions(spotId, { refresh: !!refresh });
+    if (fromCache) {
+      logger.info(`[API] Returning cached data for ${spotId} (age: ${cacheAge}s${stale ? ', stale' : ''})`);
     }
 
-    // Fetch fresh data
-    logger.info(`[API] Fetching fresh data for ${spotId}`);
-    const rawData = await fetchSurfData(spotId);
-
-    // Aggregate from multiple sources
-    const aggregated = aggregateData(rawData);
-
-    // Calculate score (pass source count for confidence scoring)
-    const score = calculateSurfScore(aggregated, spotId, rawData.length);
-
-    // Generate trend analysis from hourly forecast data
-    const hourlyTimeline = aggregateHourlyData(rawData);
-    let trend = null;
-    try {
-      trend = generateTrend(hourlyTimeline, spotId, score.overall);
-    } catch (e) {
-      logger.warn(`[API] Trend analysis failed: ${e.message}`);
-    }
-
-    // Build response
-    const response = {
-      spotId,
-      spotName: getSpotName(spotId),
-      timestamp: new Date().toISOString(),
-      score,
-      weights: WEIGHTS,
-      conditions: aggregated,
-      trend,
-      boardRecommendation: getBoardRec(aggregated),
-      sources: rawData.map(d => ({
-        name: d.source,
-        status: 'success',
-        timestamp: d.timestamp,
-        url: d.url
-      })),
-      fromCache: false
-    };
-
-    // Cache result for 10 minutes
-    cache.set(`conditions:${spotId}`, response, 600);
-
-    res.json(response);
+    res.json({
+      ...response,
+      boardRecommendation: getBoardRec(response.conditions),
+      fromCache,
+      ...(fromCache && { cacheAge, stale })
+    });
 
   } catch (error) {
     logger.error(`[API] Error in /conditions/${req.params.spotId}:`, error);
@@ -334,26 +354,19 @@ router.get('/', async (req, res, next) => {
     logger.info(`[API] GET /api/conditions (all spots)`);
 
     const spots = getAllSpots();
-    const results = [];
-
-    // Fetch conditions for each spot (use cache if available)
-    for (const spot of spots) {
-      try {
-        const cached = cache.get(`conditions:${spot.id}`);
-        if (cached) {
-          results.push(cached);
-        } else {
-          // If not in cache, skip for now (user can request specific spot)
-          results.push({
-            spotId: spot.id,
-            spotName: spot.name,
-            message: 'No cached data. Request /api/conditions/' + spot.id + ' to fetch'
-          });
-        }
-      } catch (error) {
-        logger.warn(`[API] Failed to get conditions for ${spot.id}:`, error.message);
-      }
-    }
+
+    // Conditions for each spot (cache only — lookups run concurrently)
+    const results = await Promise.all(spots.map(async (spot) => {
+      const cached = await cache.get(`conditions:${spot.id}`);
+      if (cached) return cached;
+
+      // If not in cache, skip for now (user can request specific spot)
+      return {
+        spotId: spot.id,
+        spotName: spot.name,
+        message: 'No cached data. Request /api/conditions/' + spot.id + ' to fetch'
+      };
+    }));
 
     // Find best spot (highest score)
     const spotsWithScores = results.filter(r => r.score);
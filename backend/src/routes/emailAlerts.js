@@ -0,0 +1,150 @@
+const express = require('express');
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+const router = express.Router();
+const { isValidSpot } = require('../config/spots');
+const {
+  normalizeEmail,
+  verifyToken,
+  getByEmail,
+  confirmSubscription,
+  removeById
+} = require('../services/emailSubscriptions');
+const { isEnabled, requestSubscription, escapeHtml } = require('../services/emailAlerts');
+const { validateRules } = require('../services/alertRules');
+const { canonicalSpotId } = require('../services/spotAliases');
+const logger = require('../utils/logger');
+const { clientIp } = require('../utils/clientIp');
+
+const MAX_SPOTS_PER_EMAIL = 2;
+const VALID_THRESHOLDS = [50, 65, 75, 85];
+
+// Each request can email any address, so subscribing is limited well below the API-wide limit
+const subscribeLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // 10 subscribe requests per hour per client
+  keyGenerator: (req) => ipKeyGenerator(clientIp(req)),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, error: 'Too many requests, please try again later' }
+});
+
+/**
+ * Minimal standalone page for the links opened from an email
+ */
+function page(res, status, title, message) {
+  const home = process.env.FRONTEND_URL || 'https://shouldigo.surf';
+  res.status(status).type('html').send(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>${escapeHtml(title)}</title></head>
+<body style="margin:0;padding:48px 24px;background:#f1f5f9;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;text-align:center">
+  <h1 style="font-size:22px">🏄 ${escapeHtml(title)}</h1>
+  <p>${escapeHtml(message)}</p>
+  <p><a href="${escapeHtml(home)}">Back to Should I Go Surf</a></p>
+</body>
+</html>`);
+}
+
+/**
+ * POST /api/email-alerts/subscribe
+ * Request email alerts for a spot. Sends a confirmation email; alerts start once it is confirmed.
+ * Limited per IP; a pending subscription's confirmation is re-sent at most hourly.
+ *
+ * Body: { email, spotId, threshold, rules? } — threshold and rules as for /api/push/subscribe
+ */
+router.post('/subscribe', subscribeLimiter, async (req, res) => {
+  if (!isEnabled()) {
+    return res.status(503).json({ success: false, error: 'Email alerts are not available' });
+  }
+
+  try {
+    const { threshold, rules } = req.body;
+    const email = normalizeEmail(req.body.email);
+
+    if (!email) {
+      return res.status(400).json({ success: false, error: 'Invalid email address' });
+    }
+    if (!req.body.spotId || typeof req.body.spotId !== 'string' || !isValidSpot(req.body.spotId)) {
+      return res.status(400).json({ success: false, error: 'Invalid spotId' });
+    }
+    const spotId = canonicalSpotId(req.body.spotId);
+    if (!VALID_THRESHOLDS.includes(threshold)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid threshold. Must be one of: ${VALID_THRESHOLDS.join(', ')}`
+      });
+    }
+
+    const validated = validateRules(rules, spotId);
+    if (validated.error) {
+      return res.status(400).json({ success: false, error: `Invalid rules: ${validated.error}` });
+    }
+
+    const existing = getByEmail(email);
+    if (!existing.some(s => s.spotId === spotId) && existing.length >= MAX_SPOTS_PER_EMAIL) {
+      return res.status(400).json({
+        success: false,
+        error: `Maximum ${MAX_SPOTS_PER_EMAIL} spots per email. Unsubscribe from one to add another.`
+      });
+    }
+
+    const status = await requestSubscription(email, spotId, threshold, validated.rules);
+    logger.info(`[Email] Alert subscription requested for ${spotId} (status: ${status})`);
+
+    res.json({ success: true, status });
+  } catch (error) {
+    logger.error(`[Email] Subscribe error: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to subscribe' });
+  }
+});
+
+/**
+ * GET /api/email-alerts/confirm?id=...&token=...
+ * Confirmation link from the opt-in email.
+ */
+router.get('/confirm', (req, res) => {
+  const { id, token } = req.query;
+  if (!verifyToken('confirm', id, token)) {
+    return page(res, 400, 'Invalid link', 'This confirmation link is invalid.');
+  }
+
+  const sub = confirmSubscription(id);
+  if (!sub) {
+    return page(res, 404, 'Link expired', 'This subscription has expired — please subscribe again.');
+  }
+
+  logger.info(`[Email] Alert subscription confirmed: ${id}`);
+  page(res, 200, 'Alerts confirmed', `You'll get an email when conditions reach ${sub.threshold}/100.`);
+});
+
+function unsubscribe(req) {
+  const { id, token } = req.query;
+  if (!verifyToken('unsubscribe', id, token)) return null;
+  const removed = removeById(id);
+  logger.info(`[Email] Unsubscribed ${id} (removed: ${removed})`);
+  return removed;
+}
+
+/**
+ * GET /api/email-alerts/unsubscribe?id=...&token=...
+ * Unsubscribe link in every alert email.
+ */
+router.get('/unsubscribe', (req, res) => {
+  if (unsubscribe(req) === null) {
+    return page(res, 400, 'Invalid link', 'This unsubscribe link is invalid.');
+  }
+  page(res, 200, 'Unsubscribed', "You won't get any more alerts for this spot.");
+});
+
+/**
+ * POST /api/email-alerts/unsubscribe?id=...&token=...
+ * One-click unsubscribe (RFC 8058) from the List-Unsubscribe header.
+ */
+router.post('/unsubscribe', (req, res) => {
+  const removed = unsubscribe(req);
+  if (removed === null) {
+    return res.status(400).json({ success: false, error: 'Invalid unsubscribe token' });
+  }
+  res.json({ success: true, removed });
+});
+
+module.exports = router;
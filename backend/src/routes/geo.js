@@ -2,17 +2,10 @@ const express = require('express');
 const router = express.Router();
 const geoip = require('geoip-lite');
 const { getAllSpots } = require('../config/spots');
+const cache = require('../services/cache');
 const logger = require('../utils/logger');
-
-function haversine(lat1, lon1, lat2, lon2) {
-  const R = 6371;
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = Math.sin(dLat / 2) ** 2
-    + Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180)
-    * Math.sin(dLon / 2) ** 2;
-  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-}
+const { clientIp } = require('../utils/clientIp');
+const { nearestSpots } = require('../services/spotIndex');
 
 /**
  * GET /api/nearest-spot
@@ -20,7 +13,7 @@ function haversine(lat1, lon1, lat2, lon2) {
  * Accepts optional ?lat=X&lon=Y query params for GPS-based detection (mobile apps).
  * Falls back to IP geolocation if lat/lon not provided.
  */
-router.get('/', (req, res) => {
+router.get('/', async (req, res) => {
   const queryLat = parseFloat(req.query.lat);
   const queryLon = parseFloat(req.query.lon);
   const hasGpsCoords = !isNaN(queryLat) && !isNaN(queryLon);
@@ -34,8 +27,7 @@ router.get('/', (req, res) => {
     country = '';
     logger.info(`[Geo] Using GPS coords: (${userLat}, ${userLon})`);
   } else {
-    const ip = req.headers['x-forwarded-for']?.split(',')[0]?.trim()
-      || req.socket.remoteAddress;
+    const ip = clientIp(req);
 
     logger.info(`[Geo] Looking up IP: ${ip}`);
 
@@ -67,28 +59,39 @@ router.get('/', (req, res) => {
 
   logger.info(`[Geo] Resolved: ${city}, ${country} (${userLat}, ${userLon})`);
 
-  const spots = getAllSpots();
-  const withDist = spots.map(spot => ({
-    spot,
-    distance: haversine(userLat, userLon, spot.location.lat, spot.location.lon),
-  }));
-  withDist.sort((a, b) => a.distance - b.distance);
-
-  const nearest = withDist[0];
-  const nearbySpots = withDist.slice(0, 6).map(s => ({
-    id: s.spot.id,
-    name: s.spot.name,
-    country: s.spot.country || '',
-  }));
+  const nearby = await findNearbySpots(userLat, userLon);
 
   res.json({
     success: true,
     detected: true,
     location: { city, country },
-    nearestSpot: nearest.spot.id,
-    nearestSpotName: nearest.spot.name,
-    nearbySpots,
+    ...nearby,
   });
 });
 
+/**
+ * Nearest live spots to a point, from the spatial index. Results are cached
+ * per ~1 km cell (coordinates rounded to 2 decimals).
+ */
+async function findNearbySpots(lat, lon) {
+  const cacheKey = `geo:${lat.toFixed(2)},${lon.toFixed(2)}`;
+  const cached = await cache.get(cacheKey);
+  if (cached) return cached;
+
+  const nearby = nearestSpots(lat, lon, { limit: 6, curatedOnly: true });
+  const nearest = nearby[0];
+  const result = {
+    nearestSpot: nearest ? nearest.id : null,
+    nearestSpotName: nearest ? nearest.name : null,
+    nearbySpots: nearby.map(s => ({
+      id: s.id,
+      name: s.name,
+      country: s.country,
+    })),
+  };
+
+  await cache.set(cacheKey, result);
+  return result;
+}
+
 module.exports = router;
@@ -1,27 +1,37 @@
 const express = require('express');
 const router = express.Router();
 const cache = require('../services/cache');
+const { getSourceHealth } = require('../services/sourceHealth');
 const logger = require('../utils/logger');
 
 /**
  * GET /api/health
- * Health check endpoint - returns server and cache status
+ * Health check endpoint - returns server, cache and data source status.
+ * Cache counters (hits, misses, evictions) are per instance, even with Redis.
+ * Status is "degraded" while any source's circuit breaker is open.
  */
-router.get('/', (req, res) => {
+router.get('/', async (req, res) => {
   logger.debug(`[API] GET /api/health`);
 
-  // In production, only return status — don't expose internals
+  const sources = getSourceHealth();
+  const status = sources.some(s => s.state !== 'closed') ? 'degraded' : 'healthy';
+
+  const cacheStats = await cache.getStats();
+
+  // In production, expose only what monitoring needs: per-source breaker state
+  // and success rate, and the cache backend and hit rate. Memory, uptime,
+  // latencies and error messages stay internal.
   if (process.env.NODE_ENV === 'production') {
     return res.json({
-      status: 'healthy',
-      timestamp: new Date().toISOString()
+      status,
+      timestamp: new Date().toISOString(),
+      cache: { backend: cacheStats.backend, hitRate: cacheStats.hitRate },
+      sources: sources.map(({ name, state, successRate }) => ({ name, state, successRate }))
     });
   }
 
-  const cacheStats = cache.getStats();
-
   res.json({
-    status: 'healthy',
+    status,
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     memory: {
@@ -29,14 +39,8 @@ router.get('/', (req, res) => {
       total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024),
       unit: 'MB'
     },
-    cache: {
-      hits: cacheStats.hits,
-      misses: cacheStats.misses,
-      keys: cacheStats.keys,
-      hitRate: cacheStats.hits + cacheStats.misses > 0
-        ? Math.round((cacheStats.hits / (cacheStats.hits + cacheStats.misses)) * 100)
-        : 0
-    }
+    cache: cacheStats,
+    sources
   });
 });
 
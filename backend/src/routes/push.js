@@ -3,13 +3,26 @@ const router = express.Router();
 const {
   upsertSubscription,
   removeSubscription,
-  getSubscriptionsByEndpoint
+  getSubscriptionsByEndpoint,
+  getDigest,
+  setDigest,
+  removeDigest
 } = require('../services/pushSubscriptions');
+const { validateRules } = require('../services/alertRules');
+const { canonicalSpotId } = require('../services/spotAliases');
+const { isValidTimezone } = require('../utils/timezone');
 const logger = require('../utils/logger');
 
 const MAX_SPOTS_PER_USER = 2;
 const VALID_THRESHOLDS = [50, 65, 75, 85];
 
+/**
+ * Subscriber identifier from a request: the web push endpoint, or "<type>:<token>" for native
+ */
+function identifierFrom({ type, token, endpoint }) {
+  return (type === 'apns' || type === 'fcm') && token ? `${type}:${token}` : endpoint;
+}
+
 /**
  * GET /api/push/vapid-public-key
  * Returns the VAPID public key for the frontend to use when subscribing.
@@ -26,12 +39,15 @@ router.get('/vapid-public-key', (req, res) => {
  * POST /api/push/subscribe
  * Subscribe to push notifications for a spot.
  *
- * Web body:   { subscription: { endpoint, keys: { p256dh, auth } }, spotId, threshold }
- * Native body: { type: 'apns', token: '<hex>', spotId, threshold }
+ * Web body:   { subscription: { endpoint, keys: { p256dh, auth } }, spotId, threshold, rules? }
+ * Native body: { type: 'apns', token: '<hex>', spotId, threshold, rules? }
+ *
+ * rules (optional): { waveHeight: { min, max }, periodMin, windSpeedMax, offshoreOnly,
+ *                     hours: { from, to }, weekdays: [0-6], quietHours: { from, to } }
  */
 router.post('/subscribe', (req, res) => {
   try {
-    const { type, token, subscription, spotId, threshold } = req.body;
+    const { type, token, subscription, threshold, rules } = req.body;
     const isNative = type === 'apns' || type === 'fcm';
 
     // Validate native token
@@ -51,9 +67,10 @@ router.post('/subscribe', (req, res) => {
     }
 
     // Validate spotId
-    if (!spotId || typeof spotId !== 'string' || spotId.length > 100) {
+    if (!req.body.spotId || typeof req.body.spotId !== 'string' || req.body.spotId.length > 100) {
       return res.status(400).json({ success: false, error: 'Invalid spotId' });
     }
+    const spotId = canonicalSpotId(req.body.spotId);
 
     // Validate threshold
     if (!VALID_THRESHOLDS.includes(threshold)) {
@@ -63,25 +80,29 @@ router.post('/subscribe', (req, res) => {
       });
     }
 
+    // Validate optional alert rules
+    const validated = validateRules(rules, spotId);
+    if (validated.error) {
+      return res.status(400).json({ success: false, error: `Invalid rules: ${validated.error}` });
+    }
+
     // For native, use the token as the "endpoint" identifier
     const identifier = isNative ? `${type}:${token}` : subscription.endpoint;
 
-    // Check max spots per user
-    const existingSubs = getSubscriptionsByEndpoint(identifier);
-    const alreadySubscribed = existingSubs.some(s => s.spotId === spotId);
-    if (!alreadySubscribed && existingSubs.length >= MAX_SPOTS_PER_USER) {
+    const subObj = isNative
+      ? { endpoint: identifier, keys: {}, type, token }
+      : { ...subscription, type: 'web' };
+
+    // Refused when the user already has MAX_SPOTS_PER_USER other spots
+    const result = upsertSubscription(subObj, spotId, threshold, validated.rules, MAX_SPOTS_PER_USER);
+    if (!result) {
       return res.status(400).json({
         success: false,
         error: `Maximum ${MAX_SPOTS_PER_USER} spots per user. Remove one to add another.`
       });
     }
-
-    const subObj = isNative
-      ? { endpoint: identifier, keys: {}, type, token }
-      : { ...subscription, type: 'web' };
-
-    const { id, count } = upsertSubscription(subObj, spotId, threshold);
-    logger.info(`[Push] Subscription upserted: ${id} for ${spotId} (type: ${isNative ? 'apns' : 'web'}, threshold: ${threshold})`);
+    const { id, count } = result;
+    logger.info(`[Push] Subscription upserted: ${id} for ${spotId} (type: ${isNative ? 'apns' : 'web'}, threshold: ${threshold}, rules: ${validated.rules ? Object.keys(validated.rules).join(',') : 'none'})`);
 
     res.json({ success: true, id, count });
   } catch (error) {
@@ -99,12 +120,12 @@ router.post('/subscribe', (req, res) => {
  */
 router.post('/unsubscribe', (req, res) => {
   try {
-    const { type, token, endpoint, spotId } = req.body;
-    const identifier = (type === 'apns' || type === 'fcm') && token ? `${type}:${token}` : endpoint;
+    const identifier = identifierFrom(req.body);
 
-    if (!identifier || !spotId) {
+    if (!identifier || !req.body.spotId) {
       return res.status(400).json({ success: false, error: 'Missing identifier or spotId' });
     }
+    const spotId = canonicalSpotId(req.body.spotId);
 
     const removed = removeSubscription(identifier, spotId);
     logger.info(`[Push] Unsubscribed: ${spotId} (removed: ${removed})`);
@@ -116,4 +137,72 @@ router.post('/unsubscribe', (req, res) => {
   }
 });
 
+/**
+ * GET /api/push/digest?endpoint=... (or ?type=apns&token=...)
+ * The subscriber's daily digest settings, or null when it is off.
+ */
+router.get('/digest', (req, res) => {
+  const identifier = identifierFrom(req.query);
+  if (!identifier || typeof identifier !== 'string') {
+    return res.status(400).json({ success: false, error: 'Missing identifier' });
+  }
+
+  const digest = getDigest(identifier);
+  res.json({ success: true, digest: digest && { hour: digest.hour, timezone: digest.timezone } });
+});
+
+/**
+ * POST /api/push/digest
+ * Turn on (or reschedule) a daily digest of all the subscriber's spots.
+ *
+ * Web body:    { endpoint, hour, timezone }
+ * Native body: { type: 'apns'|'fcm', token, hour, timezone }
+ * hour is 0-23 in the subscriber's IANA timezone.
+ */
+router.post('/digest', (req, res) => {
+  try {
+    const { hour, timezone } = req.body;
+    const identifier = identifierFrom(req.body);
+
+    if (!identifier || typeof identifier !== 'string') {
+      return res.status(400).json({ success: false, error: 'Missing identifier' });
+    }
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+      return res.status(400).json({ success: false, error: 'Invalid hour: must be 0-23' });
+    }
+    if (!isValidTimezone(timezone)) {
+      return res.status(400).json({ success: false, error: 'Invalid timezone' });
+    }
+    if (getSubscriptionsByEndpoint(identifier).length === 0) {
+      return res.status(400).json({ success: false, error: 'Subscribe to a spot before turning on the digest' });
+    }
+
+    const digest = setDigest(identifier, hour, timezone);
+    logger.info(`[Push] Digest set for ${identifier.slice(0, 24)}… at ${hour}:00 ${timezone}`);
+
+    res.json({ success: true, digest: { hour: digest.hour, timezone: digest.timezone } });
+  } catch (error) {
+    logger.error(`[Push] Digest error: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to set digest' });
+  }
+});
+
+/**
+ * POST /api/push/digest/unsubscribe
+ * Turn off the daily digest. Body: { endpoint } or { type, token }
+ */
+router.post('/digest/unsubscribe', (req, res) => {
+  try {
+    const identifier = identifierFrom(req.body);
+    if (!identifier || typeof identifier !== 'string') {
+      return res.status(400).json({ success: false, error: 'Missing identifier' });
+    }
+
+    res.json({ success: true, removed: removeDigest(identifier) });
+  } catch (error) {
+    logger.error(`[Push] Digest unsubscribe error: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to turn off digest' });
+  }
+});
+
 module.exports = router;
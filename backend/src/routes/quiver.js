@@ -0,0 +1,133 @@
+const express = require('express');
+const router = express.Router();
+const { isValidSpot } = require('../config/spots');
+const { getConditions } = require('../services/conditions');
+const { recommendBoard, recommendBoardPersonalized, rankQuiver } = require('../services/boardRecommendation');
+const {
+  isValidDeviceId,
+  validateQuiver,
+  getQuiver,
+  saveQuiver,
+  deleteQuiver
+} = require('../services/quiver');
+const { canonicalSpotId } = require('../services/spotAliases');
+const logger = require('../utils/logger');
+
+const VALID_SKILLS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+/**
+ * POST /api/quiver/recommend
+ * Rank the surfer's own boards for today's conditions at a spot.
+ *
+ * Body:
+ *   - spotId: Spot identifier (required)
+ *   - boards: [{ id, type, name?, lengthFt?, volume? }] — or deviceId to use the synced quiver
+ *   - weight, skill: Optional, adds a volume range to rank against
+ */
+router.post('/recommend', async (req, res, next) => {
+  try {
+    const { deviceId, weight, skill } = req.body || {};
+    const requestedSpotId = req.body?.spotId;
+
+    if (!requestedSpotId || typeof requestedSpotId !== 'string' || !isValidSpot(requestedSpotId)) {
+      return res.status(404).json({ success: false, error: `Invalid spot ID: ${String(requestedSpotId).slice(0, 100)}` });
+    }
+    const spotId = canonicalSpotId(requestedSpotId);
+
+    let boards = req.body.boards;
+    if (boards === undefined && deviceId !== undefined) {
+      if (!isValidDeviceId(deviceId)) {
+        return res.status(400).json({ success: false, error: 'Invalid deviceId' });
+      }
+      boards = getQuiver(deviceId)?.boards || [];
+    }
+
+    const quiver = validateQuiver(boards);
+    if (quiver.error) {
+      return res.status(400).json({ success: false, error: quiver.error });
+    }
+    if (quiver.boards.length === 0) {
+      return res.status(400).json({ success: false, error: 'Quiver is empty' });
+    }
+
+    let weightKg = null;
+    if (weight !== undefined && weight !== null && weight !== '') {
+      weightKg = parseFloat(weight);
+      if (isNaN(weightKg) || weightKg < 20 || weightKg > 250) {
+        return res.status(400).json({ success: false, error: 'Invalid weight: must be 20-250 kg' });
+      }
+    }
+    if (skill && !VALID_SKILLS.includes(skill)) {
+      return res.status(400).json({ success: false, error: 'Invalid skill: must be beginner, intermediate, advanced, or expert' });
+    }
+
+    logger.info(`[API] POST /api/quiver/recommend ${spotId} (${quiver.boards.length} boards)`);
+
+    const { response } = await getConditions(spotId);
+    const recommendation = weightKg && skill
+      ? recommendBoardPersonalized(response.conditions, { weight: weightKg, skillLevel: skill }, spotId)
+      : recommendBoard(response.conditions, spotId);
+
+    res.json({
+      success: true,
+      spotId,
+      spotName: response.spotName,
+      timestamp: response.timestamp,
+      recommendation,
+      ranking: rankQuiver(recommendation, quiver.boards)
+    });
+  } catch (error) {
+    logger.error(`[API] Error in /quiver/recommend:`, error);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/quiver/:deviceId
+ * The quiver synced for an anonymous device ID
+ */
+router.get('/:deviceId', (req, res) => {
+  const { deviceId } = req.params;
+  if (!isValidDeviceId(deviceId)) {
+    return res.status(400).json({ success: false, error: 'Invalid deviceId' });
+  }
+
+  const quiver = getQuiver(deviceId);
+  if (!quiver) {
+    return res.status(404).json({ success: false, error: 'No quiver synced for this device' });
+  }
+  res.json({ success: true, ...quiver });
+});
+
+/**
+ * PUT /api/quiver/:deviceId
+ * Replace the synced quiver. Body: { boards: [...] }
+ */
+router.put('/:deviceId', (req, res) => {
+  const { deviceId } = req.params;
+  if (!isValidDeviceId(deviceId)) {
+    return res.status(400).json({ success: false, error: 'Invalid deviceId' });
+  }
+
+  const quiver = validateQuiver(req.body?.boards);
+  if (quiver.error) {
+    return res.status(400).json({ success: false, error: quiver.error });
+  }
+
+  res.json({ success: true, ...saveQuiver(deviceId, quiver.boards) });
+});
+
+/**
+ * DELETE /api/quiver/:deviceId
+ * Stop syncing: forget the device's quiver
+ */
+router.delete('/:deviceId', (req, res) => {
+  const { deviceId } = req.params;
+  if (!isValidDeviceId(deviceId)) {
+    return res.status(400).json({ success: false, error: 'Invalid deviceId' });
+  }
+
+  res.json({ success: true, deleted: deleteQuiver(deviceId) });
+});
+
+module.exports = router;
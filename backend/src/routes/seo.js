@@ -23,8 +23,8 @@ router.get('/openapi.yaml', (req, res) => {
  * GET /sitemap.xml
  * Dynamic sitemap including all spots (hardcoded + user-created)
  */
-router.get('/sitemap.xml', (req, res) => {
-  const cached = cache.get('sitemap');
+router.get('/sitemap.xml', async (req, res) => {
+  const cached = await cache.get('sitemap');
   if (cached) {
     res.set('Content-Type', 'application/xml');
     return res.send(cached);
@@ -59,8 +59,8 @@ router.get('/sitemap.xml', (req, res) => {
 
   xml += '\n</urlset>';
 
-  // Cache for 1 hour
-  cache.set('sitemap', xml, 3600);
+  // Cached for the sitemap namespace TTL (1 hour)
+  await cache.set('sitemap', xml);
 
   res.set('Content-Type', 'application/xml');
   res.send(xml);
@@ -80,8 +80,15 @@ router.get('/og/:spotId', async (req, res) => {
     return res.redirect(`${FRONTEND_URL}/?spot=${encodeURIComponent(spotId)}`);
   }
 
+  const ogKey = `og:${spotId}`;
+  const cachedHtml = await cache.get(ogKey);
+  if (cachedHtml) {
+    res.set('Content-Type', 'text/html');
+    return res.send(cachedHtml);
+  }
+
   // Try to get cached conditions for richer meta tags
-  const cached = cache.get(`conditions:${spotId}`);
+  const cached = await cache.get(`conditions:${spotId}`);
   let title, description;
 
   if (cached && cached.score) {
@@ -166,6 +173,9 @@ router.get('/og/:spotId', async (req, res) => {
 </body>
 </html>`;
 
+  // Only pages built from live conditions are worth keeping
+  if (cached && cached.score) await cache.set(ogKey, html);
+
   res.set('Content-Type', 'text/html');
   res.send(html);
 });
@@ -0,0 +1,122 @@
+const express = require('express');
+const { rateLimit, ipKeyGenerator } = require('express-rate-limit');
+const router = express.Router();
+const { isValidSpot } = require('../config/spots');
+const { getConditions } = require('../services/conditions');
+const { isValidDeviceId } = require('../services/quiver');
+const {
+  validateSession,
+  findSnapshot,
+  addSession,
+  listSessions,
+  deleteSession
+} = require('../services/sessions');
+const { getCalibrationReport } = require('../services/calibration');
+const { contributorId } = require('../services/spotFeedback');
+const { canonicalSpotId } = require('../services/spotAliases');
+const logger = require('../utils/logger');
+const { clientIp } = require('../utils/clientIp');
+
+// A session that ended this recently can be snapshotted from current conditions
+const LIVE_SNAPSHOT_MS = 3 * 60 * 60 * 1000;
+
+// Logged sessions calibrate the spot's score for everyone, so logging is limited well below the API-wide limit
+const logLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20, // 20 sessions per hour per client
+  keyGenerator: (req) => ipKeyGenerator(clientIp(req)),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, error: 'Too many requests, please try again later' }
+});
+
+/**
+ * POST /api/sessions
+ * Log a surf session and snapshot the conditions we had for it.
+ *
+ * Body: { deviceId, spotId, startedAt, endedAt, rating: 1-5, notes? }
+ */
+router.post('/', logLimiter, async (req, res, next) => {
+  try {
+    const { deviceId } = req.body || {};
+    const requestedSpotId = req.body?.spotId;
+
+    if (!isValidDeviceId(deviceId)) {
+      return res.status(400).json({ success: false, error: 'Invalid deviceId' });
+    }
+    if (!requestedSpotId || typeof requestedSpotId !== 'string' || !isValidSpot(requestedSpotId)) {
+      return res.status(404).json({ success: false, error: `Invalid spot ID: ${String(requestedSpotId).slice(0, 100)}` });
+    }
+    const spotId = canonicalSpotId(requestedSpotId);
+
+    const { session, error } = validateSession(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    let snapshot = findSnapshot(spotId, session.startedAt, session.endedAt);
+    if (!snapshot && Date.now() - Date.parse(session.endedAt) < LIVE_SNAPSHOT_MS) {
+      // Nothing recorded around the session yet: fetching conditions records them
+      try {
+        await getConditions(spotId);
+        snapshot = findSnapshot(spotId, session.startedAt, session.endedAt);
+      } catch (e) {
+        logger.warn(`[Sessions] Could not fetch conditions to snapshot ${spotId}: ${e.message}`);
+      }
+    }
+
+    const stored = addSession(deviceId, spotId, session, snapshot, contributorId(clientIp(req)));
+    logger.info(`[Sessions] Logged ${spotId} session rated ${session.rating}/5 (predicted: ${snapshot ? snapshot.score : 'none'})`);
+
+    res.json({ success: true, session: stored });
+  } catch (error) {
+    logger.error(`[Sessions] Log error: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/sessions?deviceId=...&spotId=...
+ * A device's logged sessions, newest first (spotId optional)
+ */
+router.get('/', (req, res) => {
+  const { deviceId, spotId } = req.query;
+  if (!isValidDeviceId(deviceId)) {
+    return res.status(400).json({ success: false, error: 'Invalid deviceId' });
+  }
+
+  const sessions = listSessions(deviceId, { spotId: typeof spotId === 'string' ? canonicalSpotId(spotId) : undefined });
+  res.json({ success: true, count: sessions.length, sessions });
+});
+
+/**
+ * GET /api/sessions/calibration/:spotId
+ * Predicted score vs. reported rating for a spot, with suggested factor multipliers
+ */
+router.get('/calibration/:spotId', (req, res) => {
+  const { spotId } = req.params;
+  if (!isValidSpot(spotId)) {
+    return res.status(404).json({ success: false, error: `Invalid spot ID: ${spotId}` });
+  }
+
+  res.json({ success: true, ...getCalibrationReport(canonicalSpotId(spotId)) });
+});
+
+/**
+ * DELETE /api/sessions/:id?deviceId=...
+ * Delete one of the device's sessions
+ */
+router.delete('/:id', (req, res) => {
+  const { deviceId } = req.query;
+  const id = Number(req.params.id);
+  if (!isValidDeviceId(deviceId)) {
+    return res.status(400).json({ success: false, error: 'Invalid deviceId' });
+  }
+  if (!Number.isInteger(id) || id < 1) {
+    return res.status(400).json({ success: false, error: 'Invalid session id' });
+  }
+
+  res.json({ success: true, deleted: deleteSession(deviceId, id) });
+});
+
+module.exports = router;
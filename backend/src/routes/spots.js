@@ -2,15 +2,45 @@ const express = require('express');
 const fs = require('fs');
 const path = require('path');
 const router = express.Router();
-const { getAllSpots, getSpotById, getOrCreateSpot, loadPersistedSpots } = require('../config/spots');
+const { getAllSpots, getSpotById, getOrCreateSpot, loadPersistedSpots, isValidSpot } = require('../config/spots');
+const { getConditions } = require('../services/conditions');
+const { buildSessionsCalendar } = require('../services/calendarFeed');
 const { interpretFeedback } = require('../services/llm');
+const { listUserSpots, saveUserSpot } = require('../services/userSpots');
+const { getFeedback, addFeedback, contributorId } = require('../services/spotFeedback');
+const { aggregateMultipliers, buildWeights } = require('../services/scoringProfile');
+const { loadCompiledOptimals } = require('../sourcing/optimalCompiler');
+const { getSpotDetails } = require('../sourcing/spotMetadata');
+const { searchSpots, spotsNear, spotsInBounds } = require('../services/spotIndex');
+const {
+  MAX_PENDING_PER_SPOT,
+  validateProposal,
+  proposeEdit,
+  countPending,
+  listEdits,
+  applyAllAcceptedEdits
+} = require('../services/spotEdits');
+const { resolveSpotId, addSpotAlias, redirectSpotAlias, migrateAliasedSpotIds } = require('../services/spotAliases');
+const { slugifyName, stableSpotId } = require('../utils/spotIds');
 const logger = require('../utils/logger');
-
-const { resolve } = require('../utils/dataPath');
-
-const USER_SPOTS_PATH = resolve('userSpots.json');
+const { clientIp } = require('../utils/clientIp');
+
+const DEFAULT_CALENDAR_MIN_SCORE = 60;
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+const DEFAULT_NEAR_RADIUS_KM = 50;
+const MAX_NEAR_RADIUS_KM = 500;
+const MAX_NEAR_LIMIT = 100;
+const DEFAULT_BBOX_LIMIT = 500;
+const MAX_BBOX_LIMIT = 2000;
 const DEFAULT_SPOTS_PATH = path.join(__dirname, '../../data/defaultSpots.json');
-const FEEDBACK_PATH = resolve('spotFeedback.json');
+
+// Compile sourced metadata bundles into optimal conditions before any spot loads
+try {
+  loadCompiledOptimals();
+} catch (e) {
+  logger.warn(`[Spots] Failed to compile spot metadata: ${e.message}`);
+}
 
 // Load default spots first (global database)
 try {
@@ -23,15 +53,31 @@ try {
 
 // Load persisted user spots (map-discovered)
 try {
-  if (fs.existsSync(USER_SPOTS_PATH)) {
-    const data = JSON.parse(fs.readFileSync(USER_SPOTS_PATH, 'utf8'));
-    loadPersistedSpots(data);
-    logger.info(`[Spots] Loaded ${data.length} persisted user spots`);
-  }
+  const data = listUserSpots();
+  loadPersistedSpots(data);
+  logger.info(`[Spots] Loaded ${data.length} persisted user spots`);
 } catch (e) {
   logger.warn(`[Spots] Failed to load persisted spots: ${e.message}`);
 }
 
+// Rows stored under an ID that is now an alias move to the spot's ID
+try {
+  migrateAliasedSpotIds();
+} catch (e) {
+  logger.warn(`[Spots] Failed to migrate aliased spot IDs: ${e.message}`);
+}
+
+// Apply accepted community edits on top of every loaded spot
+try {
+  const applied = applyAllAcceptedEdits();
+  if (applied > 0) logger.info(`[Spots] Applied community edits to ${applied} spots`);
+} catch (e) {
+  logger.warn(`[Spots] Failed to apply community edits: ${e.message}`);
+}
+
+// Requests for an aliased ID redirect to the spot it now stands for
+router.param('spotId', redirectSpotAlias);
+
 /**
  * GET /api/spots
  * Get list of all available surf spots
@@ -54,9 +100,87 @@ router.get('/', (req, res) => {
   });
 });
 
+/**
+ * Parse an optional numeric query param within [min, max]
+ *
+ * @returns {number|null} - fallback when absent, null when invalid
+ */
+function parseRangeParam(value, { min, max, fallback, integer = false }) {
+  if (value === undefined) return fallback;
+  const num = Number(value);
+  if (value === '' || !Number.isFinite(num) || num < min || num > max) return null;
+  if (integer && !Number.isInteger(num)) return null;
+  return num;
+}
+
+/**
+ * GET /api/spots/search?q=...&limit=20
+ * Fuzzy search over spot names, aliases, regions and countries
+ */
+router.get('/search', (req, res) => {
+  const q = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, 100) : '';
+  if (q.length < 2) {
+    return res.status(400).json({ success: false, error: 'q must be at least 2 characters' });
+  }
+  const limit = parseRangeParam(req.query.limit, { min: 1, max: MAX_SEARCH_LIMIT, fallback: DEFAULT_SEARCH_LIMIT, integer: true });
+  if (limit === null) {
+    return res.status(400).json({ success: false, error: `Invalid limit: must be an integer 1-${MAX_SEARCH_LIMIT}` });
+  }
+
+  const spots = searchSpots(q, { limit });
+  res.json({ success: true, query: q, count: spots.length, spots });
+});
+
+/**
+ * GET /api/spots/near?lat=...&lon=...&radius=50&limit=20
+ * Spots within `radius` km of a point, nearest first
+ */
+router.get('/near', (req, res) => {
+  const lat = parseRangeParam(req.query.lat, { min: -90, max: 90, fallback: null });
+  const lon = parseRangeParam(req.query.lon, { min: -180, max: 180, fallback: null });
+  if (lat === null || lon === null) {
+    return res.status(400).json({ success: false, error: 'lat and lon are required: lat -90..90, lon -180..180' });
+  }
+  const radiusKm = parseRangeParam(req.query.radius, { min: 0, max: MAX_NEAR_RADIUS_KM, fallback: DEFAULT_NEAR_RADIUS_KM });
+  if (radiusKm === null) {
+    return res.status(400).json({ success: false, error: `Invalid radius: must be 0-${MAX_NEAR_RADIUS_KM} km` });
+  }
+  const limit = parseRangeParam(req.query.limit, { min: 1, max: MAX_NEAR_LIMIT, fallback: DEFAULT_SEARCH_LIMIT, integer: true });
+  if (limit === null) {
+    return res.status(400).json({ success: false, error: `Invalid limit: must be an integer 1-${MAX_NEAR_LIMIT}` });
+  }
+
+  const spots = spotsNear(lat, lon, { radiusKm, limit });
+  res.json({ success: true, count: spots.length, spots });
+});
+
+/**
+ * GET /api/spots/bbox?south=...&west=...&north=...&east=...&limit=500
+ * Spots in a map viewport, for lazy loading. With more than `limit` inside,
+ * returns per-cell clusters ({ lat, lon, count }) instead of spots.
+ * west > east is a viewport across the antimeridian.
+ */
+router.get('/bbox', (req, res) => {
+  const south = parseRangeParam(req.query.south, { min: -90, max: 90, fallback: null });
+  const north = parseRangeParam(req.query.north, { min: -90, max: 90, fallback: null });
+  const west = parseRangeParam(req.query.west, { min: -180, max: 180, fallback: null });
+  const east = parseRangeParam(req.query.east, { min: -180, max: 180, fallback: null });
+  if ([south, north, west, east].includes(null) || south > north) {
+    return res.status(400).json({ success: false, error: 'Invalid bbox: south, west, north and east are required, with south <= north' });
+  }
+  const limit = parseRangeParam(req.query.limit, { min: 1, max: MAX_BBOX_LIMIT, fallback: DEFAULT_BBOX_LIMIT, integer: true });
+  if (limit === null) {
+    return res.status(400).json({ success: false, error: `Invalid limit: must be an integer 1-${MAX_BBOX_LIMIT}` });
+  }
+
+  res.json({ success: true, ...spotsInBounds({ south, west, north, east }, { limit }) });
+});
+
 /**
  * POST /api/spots
- * Save a user-discovered spot
+ * Save a user-discovered spot. A spot with the same name within the merge
+ * distance is the same break and keeps its ID (`merged: true`); otherwise the
+ * spot gets a name + geohash ID, so same-name breaks elsewhere never collide.
  */
 router.post('/', (req, res) => {
   try {
@@ -76,36 +200,35 @@ router.post('/', (req, res) => {
     }
 
     const spotName = String(name).slice(0, 100).trim();
-    const spotId = spotName.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    const resolved = resolveSpotId({ name: spotName, lat: latNum, lon: lonNum });
+    if (!resolved) {
+      return res.status(400).json({ success: false, error: 'Name must contain letters or digits' });
+    }
+    const { spotId, merged } = resolved;
 
-    // Register in memory
-    getOrCreateSpot(spotId, { lat: latNum, lon: lonNum, name: spotName, country: country || '' });
+    // Register in memory (a merged catalog spot loads with its catalog pin)
+    if (!merged || !isValidSpot(spotId)) {
+      getOrCreateSpot(spotId, { lat: latNum, lon: lonNum, name: spotName, country: country || '' });
+    }
 
-    // Persist to file
-    let existing = [];
-    try {
-      if (fs.existsSync(USER_SPOTS_PATH)) {
-        existing = JSON.parse(fs.readFileSync(USER_SPOTS_PATH, 'utf8'));
-      }
-    } catch (e) { /* ignore */ }
-
-    // Deduplicate
-    if (!existing.find(s => s.id === spotId)) {
-      existing.push({
-        id: spotId,
-        name: spotName,
-        lat: latNum,
-        lon: lonNum,
-        country: country || '',
-        region: region || '',
-        createdAt: new Date().toISOString()
-      });
-      fs.mkdirSync(path.dirname(USER_SPOTS_PATH), { recursive: true });
-      fs.writeFileSync(USER_SPOTS_PATH, JSON.stringify(existing, null, 2));
+    // Old clients derive the ID from the name; a merged duplicate keeps its own ID
+    addSpotAlias(slugifyName(spotName), spotId, 'name');
+    if (merged) addSpotAlias(stableSpotId(spotName, latNum, lonNum), spotId, 'merged');
+
+    // Persist (first save of an ID wins)
+    const created = saveUserSpot({
+      id: spotId,
+      name: spotName,
+      lat: latNum,
+      lon: lonNum,
+      country: country || '',
+      region: region || ''
+    });
+    if (created) {
       logger.info(`[Spots] Persisted new spot: ${spotName} (${spotId})`);
     }
 
-    res.json({ success: true, spotId, spotName });
+    res.json({ success: true, spotId, spotName, merged });
   } catch (error) {
     logger.error('[Spots] Error saving spot:', error);
     res.status(500).json({ success: false, error: 'Failed to save spot' });
@@ -114,7 +237,9 @@ router.post('/', (req, res) => {
 
 /**
  * GET /api/spots/:spotId
- * Get details for a specific spot
+ * Get details for a specific spot, with the break metadata sourced from surf
+ * guides (break type, bottom, difficulty, hazards, best conditions, source
+ * links and evidence) under `metadata` — null until the spot has been sourced
  */
 router.get('/:spotId', (req, res) => {
   const { spotId } = req.params;
@@ -131,46 +256,69 @@ router.get('/:spotId', (req, res) => {
 
   res.json({
     success: true,
-    spot
+    spot: {
+      ...spot,
+      metadata: getSpotDetails(spotId, spot)
+    }
   });
 });
 
-// --- Feedback ---
-// DESIGN DECISION (2026-02-22):
-// Feedback is stored server-side (spotFeedback.json) for every submission, but
-// score adjustment currently happens only in the user's browser via localStorage.
-// Each surfer sees their own weight adjustments — not a global average.
-//
-// The backend keeps ALL submissions so we can later switch to crowd-sourced
-// aggregation (wisdom of the crowds) without losing any data. The POST response
-// returns both `multipliers` (aggregated) and `yourMultipliers` (individual) so
-// the frontend can use either approach.
-// ---
-
-function loadFeedback() {
+/**
+ * GET /api/spots/:spotId/sessions.ics
+ * iCalendar feed of upcoming forecast windows worth surfing, for calendar subscriptions
+ *
+ * Query params:
+ *   - minScore: Lowest window score to include, 0-100 (default 60)
+ */
+router.get('/:spotId/sessions.ics', async (req, res, next) => {
   try {
-    if (fs.existsSync(FEEDBACK_PATH)) {
-      return JSON.parse(fs.readFileSync(FEEDBACK_PATH, 'utf8'));
+    const { spotId } = req.params;
+    const spot = getSpotById(spotId);
+
+    if (!spot) {
+      return res.status(404).json({
+        success: false,
+        error: `Spot not found: ${spotId}`
+      });
     }
-  } catch (e) { /* ignore */ }
-  return {};
-}
 
-function saveFeedback(data) {
-  fs.mkdirSync(path.dirname(FEEDBACK_PATH), { recursive: true });
-  fs.writeFileSync(FEEDBACK_PATH, JSON.stringify(data, null, 2));
-}
+    let minScore = DEFAULT_CALENDAR_MIN_SCORE;
+    if (req.query.minScore !== undefined) {
+      minScore = Number(req.query.minScore);
+      if (!Number.isInteger(minScore) || minScore < 0 || minScore > 100) {
+        return res.status(400).json({ success: false, error: 'Invalid minScore: must be an integer 0-100' });
+      }
+    }
 
-function aggregateMultipliers(entries) {
-  if (!entries || entries.length === 0) return null;
-  const factors = ['waveHeight', 'wavePeriod', 'swellQuality', 'windSpeed', 'windDirection', 'waveDirection'];
-  const avg = {};
-  for (const f of factors) {
-    const sum = entries.reduce((acc, e) => acc + (e.multipliers[f] || 1.0), 0);
-    avg[f] = Math.round((sum / entries.length) * 100) / 100;
+    logger.info(`[API] GET /api/spots/${spotId}/sessions.ics (minScore: ${minScore})`);
+
+    const { response } = await getConditions(spotId);
+    const calendar = buildSessionsCalendar(spot, response.trend, {
+      minScore,
+      frontendUrl: process.env.FRONTEND_URL || 'https://shouldigo.surf'
+    });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `inline; filename="${spotId}-sessions.ics"`,
+      'Cache-Control': 'public, max-age=900'
+    });
+    res.send(calendar);
+  } catch (error) {
+    logger.error(`[API] Error in /spots/${req.params.spotId}/sessions.ics:`, error);
+    next(error);
   }
-  return avg;
-}
+});
+
+// --- Feedback ---
+// DESIGN DECISION (2026-02-22, updated):
+// Feedback is stored server-side (spot_feedback table) for every submission and
+// the aggregated multipliers now tune the spot's scoring profile server-side
+// (services/scoringProfile), so every consumer sees the same spot-tuned score
+// from the next conditions refresh on — once enough different people have
+// given feedback, and within a cap per factor. The POST response still returns
+// `yourMultipliers` (individual) for the browser's personal adjustment.
+// ---
 
 /**
  * POST /api/spots/:spotId/feedback
@@ -193,28 +341,16 @@ router.post('/:spotId/feedback', async (req, res) => {
 
     const multipliers = await interpretFeedback(cleanText);
 
-    const allFeedback = loadFeedback();
-    if (!allFeedback[spotId]) allFeedback[spotId] = [];
-
-    allFeedback[spotId].push({
-      text: cleanText,
-      multipliers,
-      timestamp: new Date().toISOString()
-    });
-
-    // Keep max 50 feedback entries per spot
-    if (allFeedback[spotId].length > 50) {
-      allFeedback[spotId] = allFeedback[spotId].slice(-50);
-    }
-
-    saveFeedback(allFeedback);
+    // Keeps the most recent 50 entries per spot
+    const entries = addFeedback(spotId, { text: cleanText, multipliers, contributor: contributorId(clientIp(req)) });
 
-    const aggregated = aggregateMultipliers(allFeedback[spotId]);
+    const aggregated = aggregateMultipliers(entries);
 
     res.json({
       success: true,
       multipliers: aggregated,
-      feedbackCount: allFeedback[spotId].length,
+      weights: buildWeights(aggregated),
+      feedbackCount: entries.length,
       yourMultipliers: multipliers
     });
   } catch (error) {
@@ -225,18 +361,18 @@ router.post('/:spotId/feedback', async (req, res) => {
 
 /**
  * GET /api/spots/:spotId/feedback
- * Get aggregated feedback for a spot
+ * Get aggregated feedback for a spot and the scoring weights it produces
  */
 router.get('/:spotId/feedback', (req, res) => {
   const { spotId } = req.params;
-  const allFeedback = loadFeedback();
-  const entries = allFeedback[spotId] || [];
+  const entries = getFeedback(spotId);
 
   const aggregated = aggregateMultipliers(entries);
 
   res.json({
     success: true,
     multipliers: aggregated,
+    weights: buildWeights(aggregated),
     feedbackCount: entries.length,
     recentFeedback: entries.slice(-5).reverse().map(e => ({
       text: e.text,
@@ -245,4 +381,50 @@ router.get('/:spotId/feedback', (req, res) => {
   });
 });
 
+/**
+ * POST /api/spots/:spotId/edits
+ * Propose a correction to a spot, reviewed by an admin before it applies
+ *
+ * Body: { changes: { name?, location?: { lat, lon }, shoreNormal?, windDirection?,
+ *         waveDirection?, breakType? }, reason? }
+ */
+router.post('/:spotId/edits', (req, res) => {
+  try {
+    const { spotId } = req.params;
+    if (!isValidSpot(spotId)) {
+      return res.status(404).json({ success: false, error: `Spot not found: ${spotId}` });
+    }
+
+    const { proposal, error } = validateProposal(getSpotById(spotId), req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    if (countPending(spotId) >= MAX_PENDING_PER_SPOT) {
+      return res.status(429).json({ success: false, error: 'Too many edits awaiting review for this spot' });
+    }
+
+    const edit = proposeEdit(spotId, proposal);
+    logger.info(`[SpotEdits] Proposal ${edit.id} for ${spotId}: ${Object.keys(edit.changes).join(', ')}`);
+    res.status(201).json({ success: true, edit });
+  } catch (error) {
+    logger.error(`[SpotEdits] Error saving proposal: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to save edit proposal' });
+  }
+});
+
+/**
+ * GET /api/spots/:spotId/edits
+ * A spot's edit history, newest first: pending, accepted and rejected proposals
+ */
+router.get('/:spotId/edits', (req, res) => {
+  try {
+    const { spotId } = req.params;
+    const edits = listEdits({ spotId });
+    res.json({ success: true, spotId, count: edits.length, edits });
+  } catch (error) {
+    logger.error(`[SpotEdits] Error listing edits: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Failed to load edits' });
+  }
+});
+
 module.exports = router;
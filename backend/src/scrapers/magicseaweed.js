@@ -1,5 +1,8 @@
 const brightData = require('../integrations/brightData');
+const { getSpotTimezone } = require('../config/spots');
+const { getLocalParts } = require('../utils/timezone');
 const logger = require('../utils/logger');
+const urlCache = require('../utils/urlCache');
 
 /**
  * Scrape magicseaweed.com for wave conditions via Bright Data MCP
@@ -7,24 +10,51 @@ const logger = require('../utils/logger');
  * Note: Magicseaweed was acquired by Surfline and may redirect there
  */
 
-const SPOT_URLS = {};
-
 const MSW_URLS = {};
+const coordsMap = {};
+
+function registerCoords(spotId, lat, lon, name, country) {
+  coordsMap[spotId] = { lat, lon, name, country };
+}
+
+async function resolveUrl(spotId) {
+  // Static URL takes priority
+  if (MSW_URLS[spotId]) return MSW_URLS[spotId];
+  // Return cached URL (survives restarts)
+  const cached = urlCache.get('magicseaweed', spotId);
+  if (cached) return cached;
+
+  const meta = coordsMap[spotId];
+  const query = meta?.name
+    ? `site:magicseaweed.com ${meta.name} ${meta.country || ''} surf report`
+    : `site:magicseaweed.com ${spotId} surf report`;
+
+  logger.info(`[Magicseaweed] Searching for URL: ${query}`);
+  const searchResult = await brightData.searchEngine(query);
+  const parsed = JSON.parse(searchResult);
+  const link = parsed?.organic?.map(r => r.link).find(l => /magicseaweed\.com\/[\w-]+-Surf-Report\/\d+/.test(l));
+  if (link) {
+    urlCache.set('magicseaweed', spotId, link);
+    logger.info(`[Magicseaweed] Discovered URL for ${spotId}: ${link}`);
+    return link;
+  }
+  return null;
+}
 
 async function scrapeMagicseaweed(spotId) {
-  const url = MSW_URLS[spotId];
+  const url = await resolveUrl(spotId);
   if (!url) {
-    logger.warn(`[Magicseaweed] No URL configured for spot: ${spotId}`);
+    logger.warn(`[Magicseaweed] Could not resolve URL for spot: ${spotId}`);
     return null;
   }
 
   logger.info(`[Magicseaweed] Scraping ${url} via Bright Data`);
 
   const markdown = await brightData.scrapeAsMarkdown(url);
-  return parseMagicseaweedMarkdown(markdown);
+  return parseMagicseaweedMarkdown(markdown, getSpotTimezone(spotId));
 }
 
-function parseMagicseaweedMarkdown(markdown) {
+function parseMagicseaweedMarkdown(markdown, timezone) {
   logger.info(`[Magicseaweed] Parsing markdown (${markdown.length} chars)`);
   logger.info(`[Magicseaweed] Markdown preview: ${markdown.substring(0, 800)}`);
 
@@ -143,22 +173,21 @@ function parseMagicseaweedMarkdown(markdown) {
 
   const hasData = conditions.waves.height.avg !== null || conditions.wind.speed !== null;
   if (!hasData) {
-    logger.warn(`[Magicseaweed] Could not extract any data from markdown`);
-    return null;
+    throw new Error('Could not extract any data from markdown');
   }
 
   // Best-effort hourly forecast extraction
-  conditions.hourly = parseMagicseaweedHourly(markdown);
+  conditions.hourly = parseMagicseaweedHourly(markdown, timezone);
 
   logger.info(`[Magicseaweed] Successfully parsed data (${conditions.hourly.length} hourly entries)`);
   return conditions;
 }
 
-function parseMagicseaweedHourly(markdown) {
+function parseMagicseaweedHourly(markdown, timezone) {
   const hourly = [];
   try {
     const rows = markdown.split('\n');
-    const today = new Date();
+    const { date: today } = getLocalParts(new Date(), timezone);
 
     for (const row of rows) {
       const timeMatch = row.match(/(\d{1,2})\s*(?:AM|PM|:00|h)/i);
@@ -177,7 +206,7 @@ function parseMagicseaweedHourly(markdown) {
         const isFt = /ft/i.test(row);
         const waveAvg = waveMatch ? parseFloat(waveMatch[1]) * (isFt ? 0.3048 : 1) : null;
         hourly.push({
-          time: `${today.toISOString().split('T')[0]}T${String(hour).padStart(2, '0')}:00`,
+          time: `${today}T${String(hour).padStart(2, '0')}:00`,
           waves: waveAvg ? { height: { avg: Math.round(waveAvg * 10) / 10 }, period: periodMatch ? parseInt(periodMatch[1]) : null, direction: null } : undefined,
           wind: windMatch ? { speed: Math.round(parseInt(windMatch[1]) * (/kts?/i.test(row) ? 1.852 : 1)), direction: dirMatch ? dirMatch[1].toUpperCase() : null, gusts: null } : undefined
         });
@@ -191,5 +220,6 @@ function parseMagicseaweedHourly(markdown) {
 
 module.exports = {
   scrapeMagicseaweed,
+  registerCoords,
   SPOT_URLS: MSW_URLS
 };
@@ -1,5 +1,8 @@
 const axios = require('axios');
+const { getSpotTimezone } = require('../config/spots');
+const { toLocalTimeKey } = require('../utils/timezone');
 const logger = require('../utils/logger');
+const { toCompass } = require('../utils/compass');
 
 /**
  * Scrape API.MET.NO (YR.NO) for wind and weather data
@@ -12,140 +15,131 @@ function registerCoords(spotId, lat, lon) {
   SPOT_COORDS[spotId] = { lat, lon };
 }
 
-async function scrapeMetNo(spotId) {
-  try {
-    const coords = SPOT_COORDS[spotId];
-    if (!coords) {
-      logger.warn(`[MET.NO] No coordinates for spot: ${spotId}`);
-      return null;
-    }
+/**
+ * @param {string} spotId - Spot identifier
+ * @param {Object} [options]
+ * @param {number} [options.days=2] - Hours of timeseries to keep, in days (MET.NO covers ~9 days)
+ */
+async function scrapeMetNo(spotId, { days = 2 } = {}) {
+  const coords = SPOT_COORDS[spotId];
+  if (!coords) {
+    logger.warn(`[MET.NO] No coordinates for spot: ${spotId}`);
+    return null;
+  }
+
+  const url = `https://api.met.no/weatherapi/locationforecast/2.0/compact?lat=${coords.lat}&lon=${coords.lon}`;
 
-    const url = `https://api.met.no/weatherapi/locationforecast/2.0/compact?lat=${coords.lat}&lon=${coords.lon}`;
+  logger.info(`[MET.NO] Fetching ${url}`);
 
-    logger.info(`[MET.NO] Fetching ${url}`);
+  const response = await axios.get(url, {
+    headers: {
+      'User-Agent': 'SurfReport/1.0 (https://github.com/orlench/surf_report)'
+    },
+    timeout: 10000
+  });
 
-    const response = await axios.get(url, {
-      headers: {
-        'User-Agent': 'SurfReport/1.0 (https://github.com/orlench/surf_report)'
-      },
-      timeout: 10000
-    });
+  const data = response.data;
 
-    const data = response.data;
+  // Get current time data
+  const timeseries = data.properties?.timeseries;
+  if (!timeseries || timeseries.length === 0) {
+    throw new Error('No timeseries data returned');
+  }
 
-    // Get current time data
-    const timeseries = data.properties?.timeseries;
-    if (!timeseries || timeseries.length === 0) {
-      logger.warn(`[MET.NO] No timeseries data returned`);
-      return null;
+  const conditions = {
+    waves: {
+      height: { min: null, max: null, avg: null },
+      period: null,
+      direction: null
+    },
+    wind: {
+      speed: null,
+      direction: null,
+      gusts: null
+    },
+    weather: {
+      airTemp: null,
+      waterTemp: null,
+      cloudCover: null
     }
+  };
 
-    const conditions = {
-      waves: {
-        height: { min: null, max: null, avg: null },
-        period: null,
-        direction: null
-      },
-      wind: {
-        speed: null,
-        direction: null,
-        gusts: null
-      },
-      weather: {
-        airTemp: null,
-        waterTemp: null,
-        cloudCover: null
-      }
-    };
+  // Use first entry (current time)
+  const current = timeseries[0].data.instant.details;
 
-    // Use first entry (current time)
-    const current = timeseries[0].data.instant.details;
+  // Wind data (convert m/s to km/h)
+  if (current.wind_speed !== undefined) {
+    conditions.wind.speed = Math.round(current.wind_speed * 3.6);
+    logger.debug(`[MET.NO] Wind speed: ${conditions.wind.speed} km/h`);
+  }
 
-    // Wind data (convert m/s to km/h)
-    if (current.wind_speed !== undefined) {
-      conditions.wind.speed = Math.round(current.wind_speed * 3.6);
-      logger.debug(`[MET.NO] Wind speed: ${conditions.wind.speed} km/h`);
-    }
+  if (current.wind_from_direction !== undefined) {
+    conditions.wind.direction = toCompass(current.wind_from_direction);
+    logger.debug(`[MET.NO] Wind direction: ${conditions.wind.direction}`);
+  }
 
-    if (current.wind_from_direction !== undefined) {
-      conditions.wind.direction = degreesToCardinal(current.wind_from_direction);
-      logger.debug(`[MET.NO] Wind direction: ${conditions.wind.direction}`);
-    }
+  // Wind gusts (if available in next_1_hours)
+  const next1h = timeseries[0].data.next_1_hours?.details;
+  if (next1h?.wind_speed_of_gust !== undefined) {
+    conditions.wind.gusts = Math.round(next1h.wind_speed_of_gust * 3.6);
+    logger.debug(`[MET.NO] Wind gusts: ${conditions.wind.gusts} km/h`);
+  }
 
-    // Wind gusts (if available in next_1_hours)
-    const next1h = timeseries[0].data.next_1_hours?.details;
-    if (next1h?.wind_speed_of_gust !== undefined) {
-      conditions.wind.gusts = Math.round(next1h.wind_speed_of_gust * 3.6);
-      logger.debug(`[MET.NO] Wind gusts: ${conditions.wind.gusts} km/h`);
-    }
+  // Temperature
+  if (current.air_temperature !== undefined) {
+    conditions.weather.airTemp = Math.round(current.air_temperature);
+    logger.debug(`[MET.NO] Air temp: ${conditions.weather.airTemp}°C`);
+  }
 
-    // Temperature
-    if (current.air_temperature !== undefined) {
-      conditions.weather.airTemp = Math.round(current.air_temperature);
-      logger.debug(`[MET.NO] Air temp: ${conditions.weather.airTemp}°C`);
+  // Cloud cover
+  if (current.cloud_area_fraction !== undefined) {
+    const cloudPercent = current.cloud_area_fraction;
+    if (cloudPercent < 25) {
+      conditions.weather.cloudCover = 'Clear';
+    } else if (cloudPercent < 50) {
+      conditions.weather.cloudCover = 'Partly cloudy';
+    } else if (cloudPercent < 75) {
+      conditions.weather.cloudCover = 'Cloudy';
+    } else {
+      conditions.weather.cloudCover = 'Overcast';
     }
+    logger.debug(`[MET.NO] Cloud cover: ${conditions.weather.cloudCover} (${cloudPercent}%)`);
+  }
 
-    // Cloud cover
-    if (current.cloud_area_fraction !== undefined) {
-      const cloudPercent = current.cloud_area_fraction;
-      if (cloudPercent < 25) {
-        conditions.weather.cloudCover = 'Clear';
-      } else if (cloudPercent < 50) {
-        conditions.weather.cloudCover = 'Partly cloudy';
-      } else if (cloudPercent < 75) {
-        conditions.weather.cloudCover = 'Cloudy';
-      } else {
-        conditions.weather.cloudCover = 'Overcast';
-      }
-      logger.debug(`[MET.NO] Cloud cover: ${conditions.weather.cloudCover} (${cloudPercent}%)`);
+  // Extract hourly forecast for trend analysis (next 48 hours by default)
+  // MET.NO returns UTC timestamps — normalize to spot-local hour keys
+  const timezone = getSpotTimezone(spotId);
+  const hourlyForecast = [];
+  const now = new Date();
+  const cutoff = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+  for (const entry of timeseries) {
+    const entryTime = new Date(entry.time);
+    if (entryTime > cutoff) break;
+    const details = entry.data?.instant?.details;
+    if (!details) continue;
+    const h = {
+      time: toLocalTimeKey(entry.time, timezone),
+      wind: { speed: null, direction: null, gusts: null },
+      weather: { airTemp: null }
+    };
+    if (details.wind_speed !== undefined) {
+      h.wind.speed = Math.round(details.wind_speed * 3.6);
     }
-
-    // Extract hourly forecast for trend analysis (next 48 hours)
-    const hourlyForecast = [];
-    const now = new Date();
-    const cutoff = new Date(now.getTime() + 48 * 60 * 60 * 1000);
-    for (const entry of timeseries) {
-      const entryTime = new Date(entry.time);
-      if (entryTime > cutoff) break;
-      const details = entry.data?.instant?.details;
-      if (!details) continue;
-      const h = {
-        time: entry.time,
-        wind: { speed: null, direction: null, gusts: null },
-        weather: { airTemp: null }
-      };
-      if (details.wind_speed !== undefined) {
-        h.wind.speed = Math.round(details.wind_speed * 3.6);
-      }
-      if (details.wind_from_direction !== undefined) {
-        h.wind.direction = degreesToCardinal(details.wind_from_direction);
-      }
-      const next1h = entry.data?.next_1_hours?.details;
-      if (next1h?.wind_speed_of_gust !== undefined) {
-        h.wind.gusts = Math.round(next1h.wind_speed_of_gust * 3.6);
-      }
-      if (details.air_temperature !== undefined) {
-        h.weather.airTemp = Math.round(details.air_temperature);
-      }
-      hourlyForecast.push(h);
+    if (details.wind_from_direction !== undefined) {
+      h.wind.direction = toCompass(details.wind_from_direction);
     }
-    conditions.hourly = hourlyForecast;
-    logger.info(`[MET.NO] Successfully fetched wind/weather data (${hourlyForecast.length} hourly entries)`);
-    return conditions;
-
-  } catch (error) {
-    logger.error(`[MET.NO] Failed:`, error.message);
-    return null;
+    const next1h = entry.data?.next_1_hours?.details;
+    if (next1h?.wind_speed_of_gust !== undefined) {
+      h.wind.gusts = Math.round(next1h.wind_speed_of_gust * 3.6);
+    }
+    if (details.air_temperature !== undefined) {
+      h.weather.airTemp = Math.round(details.air_temperature);
+    }
+    hourlyForecast.push(h);
   }
-}
-
-/**
- * Convert degrees to cardinal direction
- */
-function degreesToCardinal(degrees) {
-  const directions = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
-  const index = Math.round(((degrees % 360) / 45)) % 8;
-  return directions[index];
+  conditions.hourly = hourlyForecast;
+  logger.info(`[MET.NO] Successfully fetched wind/weather data (${hourlyForecast.length} hourly entries)`);
+  return conditions;
 }
 
 module.exports = {
@@ -1,5 +1,7 @@
 const axios = require('axios');
+const { getSpotTimezone } = require('../config/spots');
 const logger = require('../utils/logger');
+const { toCompass } = require('../utils/compass');
 
 /**
  * Scrape Open-Meteo Forecast API for wind data (ECMWF model)
@@ -13,105 +15,98 @@ function registerCoords(spotId, lat, lon) {
   SPOT_COORDS[spotId] = { lat, lon };
 }
 
-async function scrapeOpenMeteoForecast(spotId) {
-  try {
-    const coords = SPOT_COORDS[spotId];
-    if (!coords) {
-      logger.warn(`[Open-Meteo Forecast] No coordinates for spot: ${spotId}`);
-      return null;
-    }
-
-    const url = `https://api.open-meteo.com/v1/forecast?latitude=${coords.lat}&longitude=${coords.lon}&current=wind_speed_10m,wind_direction_10m,wind_gusts_10m,apparent_temperature,cloud_cover&hourly=wind_speed_10m,wind_direction_10m,wind_gusts_10m&timezone=Asia/Jerusalem&forecast_days=2&models=best_match`;
+/**
+ * @param {string} spotId - Spot identifier
+ * @param {Object} [options]
+ * @param {number} [options.days=2] - Forecast days to request (up to 16)
+ */
+async function scrapeOpenMeteoForecast(spotId, { days = 2 } = {}) {
+  const coords = SPOT_COORDS[spotId];
+  if (!coords) {
+    logger.warn(`[Open-Meteo Forecast] No coordinates for spot: ${spotId}`);
+    return null;
+  }
 
-    logger.info(`[Open-Meteo Forecast] Fetching ${url}`);
+  const timezone = encodeURIComponent(getSpotTimezone(spotId));
+  const url = `https://api.open-meteo.com/v1/forecast?latitude=${coords.lat}&longitude=${coords.lon}&current=wind_speed_10m,wind_direction_10m,wind_gusts_10m,apparent_temperature,cloud_cover&hourly=wind_speed_10m,wind_direction_10m,wind_gusts_10m&timezone=${timezone}&forecast_days=${days}&models=best_match`;
 
-    const response = await axios.get(url, { timeout: 10000 });
-    const data = response.data;
+  logger.info(`[Open-Meteo Forecast] Fetching ${url}`);
 
-    const current = data.current;
-    if (!current) {
-      logger.warn(`[Open-Meteo Forecast] No current data returned`);
-      return null;
-    }
+  const response = await axios.get(url, { timeout: 10000 });
+  const data = response.data;
 
-    const conditions = {
-      waves: {
-        height: { min: null, max: null, avg: null },
-        period: null,
-        direction: null
-      },
-      wind: {
-        speed: null,
-        direction: null,
-        gusts: null
-      },
-      weather: {
-        airTemp: null,
-        waterTemp: null,
-        cloudCover: null
-      }
-    };
+  const current = data.current;
+  if (!current) {
+    throw new Error('No current data returned');
+  }
 
-    // Wind data - Open-Meteo returns km/h by default
-    if (current.wind_speed_10m !== null && current.wind_speed_10m !== undefined) {
-      conditions.wind.speed = Math.round(current.wind_speed_10m);
-      logger.debug(`[Open-Meteo Forecast] Wind speed: ${conditions.wind.speed} km/h`);
+  const conditions = {
+    waves: {
+      height: { min: null, max: null, avg: null },
+      period: null,
+      direction: null
+    },
+    wind: {
+      speed: null,
+      direction: null,
+      gusts: null
+    },
+    weather: {
+      airTemp: null,
+      waterTemp: null,
+      cloudCover: null
     }
+  };
 
-    if (current.wind_direction_10m !== null && current.wind_direction_10m !== undefined) {
-      conditions.wind.direction = degreesToCardinal(current.wind_direction_10m);
-      logger.debug(`[Open-Meteo Forecast] Wind direction: ${conditions.wind.direction}`);
-    }
+  // Wind data - Open-Meteo returns km/h by default
+  if (current.wind_speed_10m !== null && current.wind_speed_10m !== undefined) {
+    conditions.wind.speed = Math.round(current.wind_speed_10m);
+    logger.debug(`[Open-Meteo Forecast] Wind speed: ${conditions.wind.speed} km/h`);
+  }
 
-    if (current.wind_gusts_10m !== null && current.wind_gusts_10m !== undefined) {
-      conditions.wind.gusts = Math.round(current.wind_gusts_10m);
-      logger.debug(`[Open-Meteo Forecast] Wind gusts: ${conditions.wind.gusts} km/h`);
-    }
+  if (current.wind_direction_10m !== null && current.wind_direction_10m !== undefined) {
+    conditions.wind.direction = toCompass(current.wind_direction_10m);
+    logger.debug(`[Open-Meteo Forecast] Wind direction: ${conditions.wind.direction}`);
+  }
 
-    // Cloud cover
-    if (current.cloud_cover !== null && current.cloud_cover !== undefined) {
-      const cloudPercent = current.cloud_cover;
-      if (cloudPercent < 25) conditions.weather.cloudCover = 'Clear';
-      else if (cloudPercent < 50) conditions.weather.cloudCover = 'Partly cloudy';
-      else if (cloudPercent < 75) conditions.weather.cloudCover = 'Cloudy';
-      else conditions.weather.cloudCover = 'Overcast';
-    }
+  if (current.wind_gusts_10m !== null && current.wind_gusts_10m !== undefined) {
+    conditions.wind.gusts = Math.round(current.wind_gusts_10m);
+    logger.debug(`[Open-Meteo Forecast] Wind gusts: ${conditions.wind.gusts} km/h`);
+  }
 
-    // Extract full hourly arrays for trend analysis
-    const hourlyData = data.hourly;
-    const hourlyForecast = [];
-    if (hourlyData?.time) {
-      for (let i = 0; i < hourlyData.time.length; i++) {
-        const h = {
-          time: hourlyData.time[i],
-          wind: { speed: null, direction: null, gusts: null }
-        };
-        if (hourlyData.wind_speed_10m?.[i] !== null && hourlyData.wind_speed_10m?.[i] !== undefined) {
-          h.wind.speed = Math.round(hourlyData.wind_speed_10m[i]);
-        }
-        if (hourlyData.wind_direction_10m?.[i] !== null && hourlyData.wind_direction_10m?.[i] !== undefined) {
-          h.wind.direction = degreesToCardinal(hourlyData.wind_direction_10m[i]);
-        }
-        if (hourlyData.wind_gusts_10m?.[i] !== null && hourlyData.wind_gusts_10m?.[i] !== undefined) {
-          h.wind.gusts = Math.round(hourlyData.wind_gusts_10m[i]);
-        }
-        hourlyForecast.push(h);
+  // Cloud cover
+  if (current.cloud_cover !== null && current.cloud_cover !== undefined) {
+    const cloudPercent = current.cloud_cover;
+    if (cloudPercent < 25) conditions.weather.cloudCover = 'Clear';
+    else if (cloudPercent < 50) conditions.weather.cloudCover = 'Partly cloudy';
+    else if (cloudPercent < 75) conditions.weather.cloudCover = 'Cloudy';
+    else conditions.weather.cloudCover = 'Overcast';
+  }
+
+  // Extract full hourly arrays for trend analysis
+  const hourlyData = data.hourly;
+  const hourlyForecast = [];
+  if (hourlyData?.time) {
+    for (let i = 0; i < hourlyData.time.length; i++) {
+      const h = {
+        time: hourlyData.time[i],
+        wind: { speed: null, direction: null, gusts: null }
+      };
+      if (hourlyData.wind_speed_10m?.[i] !== null && hourlyData.wind_speed_10m?.[i] !== undefined) {
+        h.wind.speed = Math.round(hourlyData.wind_speed_10m[i]);
+      }
+      if (hourlyData.wind_direction_10m?.[i] !== null && hourlyData.wind_direction_10m?.[i] !== undefined) {
+        h.wind.direction = toCompass(hourlyData.wind_direction_10m[i]);
       }
+      if (hourlyData.wind_gusts_10m?.[i] !== null && hourlyData.wind_gusts_10m?.[i] !== undefined) {
+        h.wind.gusts = Math.round(hourlyData.wind_gusts_10m[i]);
+      }
+      hourlyForecast.push(h);
     }
-    conditions.hourly = hourlyForecast;
-    logger.info(`[Open-Meteo Forecast] Successfully fetched wind data (${hourlyForecast.length} hourly entries)`);
-    return conditions;
-
-  } catch (error) {
-    logger.error(`[Open-Meteo Forecast] Failed:`, error.message);
-    return null;
   }
-}
-
-function degreesToCardinal(degrees) {
-  const directions = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
-  const index = Math.round(((degrees % 360) / 45)) % 8;
-  return directions[index];
+  conditions.hourly = hourlyForecast;
+  logger.info(`[Open-Meteo Forecast] Successfully fetched wind data (${hourlyForecast.length} hourly entries)`);
+  return conditions;
 }
 
 module.exports = { scrapeOpenMeteoForecast, registerCoords };
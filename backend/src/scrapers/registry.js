@@ -0,0 +1,189 @@
+/**
+ * Source registry — every scraper the pipeline can call, with what it provides.
+ *
+ * fetchSurfData, fetchForecastData, spot registration and the SSE progress
+ * labels are all driven from here, so adding a source means adding an entry.
+ *
+ * Sources can be switched per deployment:
+ *   ENABLED_SOURCES=open-meteo,met-no   only these sources (default: all but
+ *                                       those marked enabledByDefault: false)
+ *   DISABLED_SOURCES=windguru           everything except these
+ */
+const { scrapeOpenMeteo, registerCoords: registerOpenMeteo } = require('./openMeteo');
+const { scrapeMetNo, registerCoords: registerMetNo } = require('./metNo');
+const { scrapeOpenMeteoForecast, registerCoords: registerOpenMeteoForecast } = require('./openMeteoForecast');
+const { scrapeBeachCam } = require('./beachcam');
+const { scrapeSurfForecast, registerCoords: registerSurfForecast } = require('./surfForecast');
+const { scrapeWindFinder, registerCoords: registerWindFinder } = require('./windFinder');
+const { scrapeWindguru, registerCoords: registerWindguru } = require('./windguru');
+const { scrapeMagicseaweed, registerCoords: registerMagicseaweed } = require('./magicseaweed');
+const { getSpotById } = require('../config/spots');
+const logger = require('../utils/logger');
+
+/**
+ * @typedef {Object} SourceDefinition
+ * @property {string} name - Source name, used in results, weights and config
+ * @property {string} displayName - Human-readable name for logs
+ * @property {string} label - SSE progress label
+ * @property {string} category - Primary data category ('waves' | 'wind' | 'weather' | 'visual')
+ * @property {string[]} capabilities - Data provided: 'waves', 'wind', 'weather', 'hourly',
+ *   and 'multiday' for sources that can forecast beyond two days
+ * @property {string} url - Attribution URL
+ * @property {function(string, Object=): Promise<Object|null>} scrape - (spotId, options) => conditions
+ * @property {function(string, number, number, string, string)} [register] - (spotId, lat, lon, name, country)
+ * @property {function(string): boolean} [supports] - Whether the source covers a spot (default: all spots)
+ * @property {boolean} [enabledByDefault=true] - false: only used when listed in ENABLED_SOURCES
+ */
+
+/** @type {SourceDefinition[]} */
+const SOURCES = [
+  {
+    name: 'open-meteo',
+    displayName: 'Open-Meteo',
+    label: 'Checking wave height',
+    category: 'waves',
+    capabilities: ['waves', 'weather', 'hourly', 'multiday'],
+    url: 'https://open-meteo.com',
+    scrape: scrapeOpenMeteo,
+    register: registerOpenMeteo
+  },
+  {
+    name: 'met-no',
+    displayName: 'MET.NO',
+    label: 'Reading wind conditions',
+    category: 'wind',
+    capabilities: ['wind', 'weather', 'hourly', 'multiday'],
+    url: 'https://www.met.no',
+    scrape: scrapeMetNo,
+    register: registerMetNo
+  },
+  {
+    name: 'open-meteo-forecast',
+    displayName: 'Open-Meteo Forecast (ECMWF)',
+    label: 'Measuring water temperature',
+    category: 'weather',
+    capabilities: ['wind', 'weather', 'hourly', 'multiday'],
+    url: 'https://open-meteo.com',
+    scrape: scrapeOpenMeteoForecast,
+    register: registerOpenMeteoForecast
+  },
+  {
+    name: 'beachcam',
+    displayName: 'BeachCam',
+    label: 'Checking beach conditions',
+    category: 'visual',
+    capabilities: ['waves', 'wind', 'weather'],
+    url: 'https://www.beachcam.co.il',
+    scrape: scrapeBeachCam,
+    // Israeli beaches only
+    supports: spotId => getSpotById(spotId)?.country === 'Israel'
+  },
+  {
+    name: 'surf-forecast',
+    displayName: 'surf-forecast.com',
+    label: 'Checking surf conditions',
+    category: 'waves',
+    capabilities: ['waves', 'wind', 'weather', 'hourly'],
+    url: 'https://www.surf-forecast.com',
+    scrape: scrapeSurfForecast,
+    register: registerSurfForecast
+  },
+  {
+    name: 'windfinder',
+    displayName: 'WindFinder',
+    label: 'Analyzing wind patterns',
+    category: 'wind',
+    capabilities: ['wind', 'weather', 'hourly'],
+    url: 'https://www.windfinder.com',
+    scrape: scrapeWindFinder,
+    register: registerWindFinder
+  },
+  {
+    name: 'windguru',
+    displayName: 'Windguru',
+    label: 'Comparing wind models',
+    category: 'wind',
+    capabilities: ['wind', 'waves', 'hourly'],
+    url: 'https://www.windguru.cz',
+    scrape: scrapeWindguru,
+    register: registerWindguru
+  },
+  {
+    name: 'magicseaweed',
+    displayName: 'Magicseaweed',
+    label: 'Checking swell reports',
+    category: 'waves',
+    capabilities: ['waves', 'wind', 'hourly'],
+    url: 'https://magicseaweed.com',
+    scrape: scrapeMagicseaweed,
+    register: registerMagicseaweed,
+    // Shut down in 2023 (redirects to Surfline): each lookup spends a Bright Data search that finds nothing
+    enabledByDefault: false
+  }
+];
+
+function parseList(value) {
+  return new Set((value || '').split(',').map(s => s.trim()).filter(Boolean));
+}
+
+let warnedUnknown = false;
+
+/**
+ * Sources enabled for this deployment, optionally filtered by capability
+ *
+ * @param {Object} [filter]
+ * @param {string} [filter.capability] - Only sources that declare this capability
+ * @returns {SourceDefinition[]}
+ */
+function getEnabledSources({ capability } = {}) {
+  const enabled = parseList(process.env.ENABLED_SOURCES);
+  const disabled = parseList(process.env.DISABLED_SOURCES);
+
+  if (!warnedUnknown) {
+    warnedUnknown = true;
+    const known = new Set(SOURCES.map(s => s.name));
+    const unknown = [...enabled, ...disabled].filter(name => !known.has(name));
+    if (unknown.length > 0) {
+      logger.warn(`[Sources] Unknown source(s) in ENABLED_SOURCES/DISABLED_SOURCES: ${unknown.join(', ')}`);
+    }
+  }
+
+  return SOURCES.filter(s =>
+    (enabled.size === 0 ? s.enabledByDefault !== false : enabled.has(s.name)) &&
+    !disabled.has(s.name) &&
+    (!capability || s.capabilities.includes(capability))
+  );
+}
+
+/**
+ * Get a source definition by name (enabled or not)
+ *
+ * @param {string} name - Source name
+ * @returns {SourceDefinition|undefined}
+ */
+function getSource(name) {
+  return SOURCES.find(s => s.name === name);
+}
+
+/**
+ * Register a spot's coordinates with every enabled source that needs them
+ *
+ * @param {string} spotId - Spot identifier
+ * @param {Object} spot
+ * @param {number} spot.lat
+ * @param {number} spot.lon
+ * @param {string} [spot.name]
+ * @param {string} [spot.country]
+ */
+function registerSpot(spotId, { lat, lon, name, country }) {
+  for (const source of getEnabledSources()) {
+    if (source.register) source.register(spotId, lat, lon, name, country);
+  }
+}
+
+module.exports = {
+  SOURCES,
+  getEnabledSources,
+  getSource,
+  registerSpot
+};
@@ -1,4 +1,6 @@
 const brightData = require('../integrations/brightData');
+const { getSpotTimezone } = require('../config/spots');
+const { getLocalParts, addDays } = require('../utils/timezone');
 const logger = require('../utils/logger');
 const urlCache = require('../utils/urlCache');
 
@@ -25,18 +27,14 @@ async function resolveUrl(spotId) {
     : `site:surf-forecast.com ${spotId} surf forecast`;
 
   logger.info(`[Surf-forecast] Searching for URL: ${query}`);
-  try {
-    const searchResult = await brightData.searchEngine(query);
-    const parsed = JSON.parse(searchResult);
-    const link = parsed?.organic?.find(r => /surf-forecast\.com\/breaks\//.test(r.link))?.link;
-    if (link) {
-      const sixDay = link.replace(/\/forecasts\/.*/, '/forecasts/latest/six_day');
-      urlCache.set('surfForecast', spotId, sixDay);
-      logger.info(`[Surf-forecast] Discovered URL for ${spotId}: ${sixDay}`);
-      return sixDay;
-    }
-  } catch (err) {
-    logger.warn(`[Surf-forecast] Search failed for ${spotId}: ${err.message}`);
+  const searchResult = await brightData.searchEngine(query);
+  const parsed = JSON.parse(searchResult);
+  const link = parsed?.organic?.find(r => /surf-forecast\.com\/breaks\//.test(r.link))?.link;
+  if (link) {
+    const sixDay = link.replace(/\/forecasts\/.*/, '/forecasts/latest/six_day');
+    urlCache.set('surfForecast', spotId, sixDay);
+    logger.info(`[Surf-forecast] Discovered URL for ${spotId}: ${sixDay}`);
+    return sixDay;
   }
   return null;
 }
@@ -51,7 +49,7 @@ async function scrapeSurfForecast(spotId) {
   logger.info(`[Surf-forecast] Scraping ${url} via Bright Data`);
 
   const markdown = await brightData.scrapeAsMarkdown(url);
-  return parseSurfForecastMarkdown(markdown);
+  return parseSurfForecastMarkdown(markdown, getSpotTimezone(spotId));
 }
 
 // Valid compass directions used by surf-forecast.com
@@ -80,7 +78,7 @@ function extractDirs(text) {
   return [...text.matchAll(new RegExp(`\\b(${DIRS})\\b`, 'g'))].map(m => m[1]);
 }
 
-function parseSurfForecastMarkdown(markdown) {
+function parseSurfForecastMarkdown(markdown, timezone) {
   logger.info(`[Surf-forecast] Parsing markdown (${markdown.length} chars)`);
 
   const conditions = {
@@ -192,16 +190,15 @@ function parseSurfForecastMarkdown(markdown) {
 
   const hasData = conditions.waves.height.avg !== null || conditions.wind.speed !== null;
   if (!hasData) {
-    logger.warn(`[Surf-forecast] Could not extract any data from markdown`);
-    return null;
+    throw new Error('Could not extract any data from markdown');
   }
 
-  conditions.hourly = parseSurfForecastHourly(markdown);
+  conditions.hourly = parseSurfForecastHourly(markdown, timezone);
   logger.info(`[Surf-forecast] Parsed: waves=${conditions.waves.height.avg}m ${conditions.waves.direction} ${conditions.waves.period}s | wind=${conditions.wind.speed}km/h ${conditions.wind.direction} | water=${conditions.weather.waterTemp}°C | hourly=${conditions.hourly.length}`);
   return conditions;
 }
 
-function parseSurfForecastHourly(markdown) {
+function parseSurfForecastHourly(markdown, timezone) {
   const hourly = [];
   try {
     // The forecast table has 21 time slots: AM(8h), PM(14h), Night(20h) × 7 days
@@ -222,18 +219,15 @@ function parseSurfForecastHourly(markdown) {
     const windDirs = windSection ? extractDirs(windSection) : [];
 
     const count = Math.min(heights.length, 21);
-    const base = new Date();
-    base.setMinutes(0, 0, 0);
+    // Slots are in the spot's local time — anchor them to the spot-local date
+    const { date: today } = getLocalParts(new Date(), timezone);
 
     for (let i = 0; i < count; i++) {
       const dayOffset = Math.floor(i / 3);
       const slotHour = SLOT_HOURS[i % 3];
-      const date = new Date(base);
-      date.setDate(date.getDate() + dayOffset);
-      date.setHours(slotHour);
 
       hourly.push({
-        time: date.toISOString().substring(0, 16),
+        time: `${addDays(today, dayOffset)}T${String(slotHour).padStart(2, '0')}:00`,
         waves: {
           height: { avg: heights[i] ?? null },
           period: periods[i] ?? null,
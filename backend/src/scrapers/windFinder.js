@@ -1,4 +1,6 @@
 const brightData = require('../integrations/brightData');
+const { getSpotTimezone } = require('../config/spots');
+const { getLocalParts } = require('../utils/timezone');
 const logger = require('../utils/logger');
 const urlCache = require('../utils/urlCache');
 
@@ -28,26 +30,22 @@ async function resolveUrl(spotId) {
     : `windfinder forecast ${spotId} wind waves`;
 
   logger.info(`[WindFinder] Searching for spot URL: ${query}`);
-  try {
-    const searchResult = await brightData.searchEngine(query);
-    const parsed = JSON.parse(searchResult);
-    const firstResult = parsed?.organic?.[0]?.link;
-    const urlMatch = firstResult?.match(/https?:\/\/(?:www\.)?windfinder\.com\/(?:forecast|weatherforecast|report)\/[\w-]+/);
-    if (!urlMatch && firstResult) {
-      const anyLink = parsed.organic?.map(r => r.link).find(l => /windfinder\.com\/(forecast|weatherforecast)\//.test(l));
-      if (anyLink) {
-        urlCache.set('windFinder', spotId, anyLink);
-        logger.info(`[WindFinder] Discovered URL for ${spotId}: ${anyLink}`);
-        return anyLink;
-      }
-    }
-    if (urlMatch) {
-      urlCache.set('windFinder', spotId, urlMatch[0]);
-      logger.info(`[WindFinder] Discovered URL for ${spotId}: ${urlMatch[0]}`);
-      return urlMatch[0];
+  const searchResult = await brightData.searchEngine(query);
+  const parsed = JSON.parse(searchResult);
+  const firstResult = parsed?.organic?.[0]?.link;
+  const urlMatch = firstResult?.match(/https?:\/\/(?:www\.)?windfinder\.com\/(?:forecast|weatherforecast|report)\/[\w-]+/);
+  if (!urlMatch && firstResult) {
+    const anyLink = parsed.organic?.map(r => r.link).find(l => /windfinder\.com\/(forecast|weatherforecast)\//.test(l));
+    if (anyLink) {
+      urlCache.set('windFinder', spotId, anyLink);
+      logger.info(`[WindFinder] Discovered URL for ${spotId}: ${anyLink}`);
+      return anyLink;
     }
-  } catch (err) {
-    logger.warn(`[WindFinder] Search failed for ${spotId}: ${err.message}`);
+  }
+  if (urlMatch) {
+    urlCache.set('windFinder', spotId, urlMatch[0]);
+    logger.info(`[WindFinder] Discovered URL for ${spotId}: ${urlMatch[0]}`);
+    return urlMatch[0];
   }
   return null;
 }
@@ -62,10 +60,10 @@ async function scrapeWindFinder(spotId) {
   logger.info(`[WindFinder] Scraping ${url} via Bright Data`);
 
   const markdown = await brightData.scrapeAsMarkdown(url);
-  return parseWindFinderMarkdown(markdown);
+  return parseWindFinderMarkdown(markdown, getSpotTimezone(spotId));
 }
 
-function parseWindFinderMarkdown(markdown) {
+function parseWindFinderMarkdown(markdown, timezone) {
   logger.info(`[WindFinder] Parsing markdown (${markdown.length} chars)`);
   logger.info(`[WindFinder] Markdown preview: ${markdown.substring(0, 800)}`);
 
@@ -161,22 +159,21 @@ function parseWindFinderMarkdown(markdown) {
 
   const hasData = conditions.wind.speed !== null;
   if (!hasData) {
-    logger.warn(`[WindFinder] Could not extract wind data from markdown`);
-    return null;
+    throw new Error('Could not extract wind data from markdown');
   }
 
   // Best-effort hourly forecast extraction
-  conditions.hourly = parseWindFinderHourly(markdown);
+  conditions.hourly = parseWindFinderHourly(markdown, timezone);
 
   logger.info(`[WindFinder] Successfully parsed data (${conditions.hourly.length} hourly entries)`);
   return conditions;
 }
 
-function parseWindFinderHourly(markdown) {
+function parseWindFinderHourly(markdown, timezone) {
   const hourly = [];
   try {
     const rows = markdown.split('\n');
-    const today = new Date();
+    const { date: today } = getLocalParts(new Date(), timezone);
 
     for (const row of rows) {
       const timeMatch = row.match(/(\d{1,2})\s*(?:h|:00|AM|PM)/i);
@@ -199,7 +196,7 @@ function parseWindFinderHourly(markdown) {
 
       if (speed !== null) {
         hourly.push({
-          time: `${today.toISOString().split('T')[0]}T${String(hour).padStart(2, '0')}:00`,
+          time: `${today}T${String(hour).padStart(2, '0')}:00`,
           wind: {
             speed,
             direction: dirMatch ? dirMatch[1].toUpperCase() : null,
@@ -1,4 +1,6 @@
 const brightData = require('../integrations/brightData');
+const { getSpotTimezone } = require('../config/spots');
+const { getLocalParts } = require('../utils/timezone');
 const logger = require('../utils/logger');
 
 /**
@@ -25,10 +27,10 @@ async function scrapeWindguru(spotId) {
   logger.info(`[Windguru] Scraping ${url}`);
 
   const markdown = await brightData.scrapeAsMarkdown(url);
-  return parseWindguruMarkdown(markdown);
+  return parseWindguruMarkdown(markdown, getSpotTimezone(spotId));
 }
 
-function parseWindguruMarkdown(markdown) {
+function parseWindguruMarkdown(markdown, timezone) {
   logger.info(`[Windguru] Parsing markdown (${markdown.length} chars)`);
   logger.debug(`[Windguru] Preview: ${markdown.substring(0, 600)}`);
 
@@ -153,20 +155,19 @@ function parseWindguruMarkdown(markdown) {
 
   const hasData = conditions.wind.speed !== null || conditions.waves.height.avg !== null;
   if (!hasData) {
-    logger.warn(`[Windguru] Could not extract usable data from markdown`);
-    return null;
+    throw new Error('Could not extract usable data from markdown');
   }
 
-  conditions.hourly = parseWindguruHourly(markdown);
+  conditions.hourly = parseWindguruHourly(markdown, timezone);
   logger.info(`[Windguru] Parsed successfully (${conditions.hourly.length} hourly entries)`);
   return conditions;
 }
 
-function parseWindguruHourly(markdown) {
+function parseWindguruHourly(markdown, timezone) {
   const hourly = [];
   try {
     const rows = markdown.split('\n');
-    const today = new Date();
+    const { date: today } = getLocalParts(new Date(), timezone);
 
     for (const row of rows) {
       const timeMatch = row.match(/\b(\d{1,2}):00\b/) || row.match(/\b(\d{1,2})\s*h\b/i);
@@ -189,7 +190,7 @@ function parseWindguruHourly(markdown) {
 
       if (speed !== null && speed < 200) {
         hourly.push({
-          time: `${today.toISOString().split('T')[0]}T${String(hour).padStart(2, '0')}:00`,
+          time: `${today}T${String(hour).padStart(2, '0')}:00`,
           wind: {
             speed,
             direction: dirMatch ? dirMatch[1].toUpperCase() : null,
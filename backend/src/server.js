@@ -14,13 +14,23 @@ function getApiInfo() {
     description: 'Surf conditions aggregator for any beach in the world',
     endpoints: {
       spots: '/api/spots',
+      spotSearch: '/api/spots/search?q=',
+      spotsNear: '/api/spots/near?lat=&lon=&radius=',
+      spotsInBounds: '/api/spots/bbox?south=&west=&north=&east=',
       conditions: '/api/conditions/:spotId',
       agent: '/api/agent/:spotId',
       allConditions: '/api/conditions',
       health: '/api/health',
       pushSubscribe: '/api/push/subscribe',
       pushUnsubscribe: '/api/push/unsubscribe',
-      pushVapidKey: '/api/push/vapid-public-key'
+      pushDigest: '/api/push/digest',
+      pushVapidKey: '/api/push/vapid-public-key',
+      emailAlertsSubscribe: '/api/email-alerts/subscribe',
+      quiverRecommend: '/api/quiver/recommend',
+      sessionsCalendar: '/api/spots/:spotId/sessions.ics',
+      sessions: '/api/sessions',
+      sessionCalibration: '/api/sessions/calibration/:spotId',
+      spotEdits: '/api/spots/:spotId/edits'
     },
     documentation: 'https://shouldigo.surf'
   };
@@ -78,6 +88,7 @@ function createApp() {
     message: { success: false, error: 'Too many requests, please try again later' }
   });
   app.use('/api/marketing', adminLimiter);
+  app.use('/api/admin', adminLimiter);
 
   // CORS configuration
   const allowedOrigins = [
@@ -121,9 +132,13 @@ function createApp() {
   app.use('/api/conditions', require('./routes/conditions'));
   app.use('/api/health', require('./routes/health'));
   app.use('/api/push', require('./routes/push'));
+  app.use('/api/email-alerts', require('./routes/emailAlerts'));
   app.use('/api/nearest-spot', require('./routes/geo'));
   app.use('/api/agent', require('./routes/agent'));
+  app.use('/api/quiver', require('./routes/quiver'));
+  app.use('/api/sessions', require('./routes/sessions'));
   app.use('/api/marketing', require('./routes/marketing'));
+  app.use('/api/admin', require('./routes/admin'));
 
   // Serve co-located frontend build (GCP Cloud Run deployment)
   const frontendBuildPath = path.join(__dirname, '../frontend-build');
@@ -187,6 +202,30 @@ function startBackgroundServices() {
   const { startNotificationScheduler } = require('./services/pushNotifier');
   startNotificationScheduler();
 
+  // Daily digest of subscribed spots at each subscriber's chosen hour
+  const { startDigestScheduler } = require('./services/pushDigest');
+  startDigestScheduler();
+
+  // Email alerts (double opt-in; only when a transport and token secret are set)
+  const { startEmailAlertScheduler } = require('./services/emailAlerts');
+  startEmailAlertScheduler();
+
+  // Daily retention job for the conditions history store
+  const { startHistoryPruner } = require('./services/history');
+  startHistoryPruner();
+
+  // Hourly check of past forecasts against what was observed
+  const { startVerificationJob } = require('./services/verification');
+  startVerificationJob();
+
+  // Keep frequently requested spots warm in the conditions cache
+  const { startBackgroundRefresh } = require('./services/conditions');
+  startBackgroundRefresh();
+
+  // Pick up community edits accepted on other instances
+  const { startEditSync } = require('./services/spotEdits');
+  startEditSync();
+
   if (process.env.ENABLE_IN_PROCESS_MARKETING_SCHEDULERS === 'true') {
     // Optional development fallback only. In Cloud Run, prefer Cloud Scheduler.
     const { startDailyReportScheduler } = require('./services/dailyReport');
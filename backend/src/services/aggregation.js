@@ -0,0 +1,181 @@
+/**
+ * Source aggregation strategies — how the values several sources report for
+ * the same field are combined into one.
+ *
+ * The default "robust" strategy weights each source by its reliability
+ * (data/sourceWeights.json, overridable per field and per spot), drops values
+ * that sit far from the median of the others, and averages directions as
+ * angles. The "mean" strategy is the original plain average / majority vote.
+ * Select with AGGREGATION_STRATEGY=robust|mean.
+ */
+const sourceWeights = require('../../data/sourceWeights.json');
+const { toCompass, toDegrees, angularDistance } = require('../utils/compass');
+
+// A value is rejected when it sits more than REJECT_K robust deviations from
+// the median. The floor stops tight agreement between the others from
+// rejecting values that are only slightly off.
+const REJECT_K = 3;
+const MAD_SCALE = 1.4826;
+const DEVIATION_FLOOR = {
+  waveHeight: 0.3,
+  swellHeight: 0.3,
+  wavePeriod: 1.5,
+  swellPeriod: 1.5,
+  windSpeed: 5,
+  windGusts: 7,
+  airTemp: 1.5,
+  waterTemp: 1.5
+};
+// Directions further than this from the consensus are rejected
+const DIRECTION_REJECT_DEGREES = 90;
+// Below this mean resultant length the directions cancel out and have no clear mean
+const MIN_DIRECTION_AGREEMENT = 0.1;
+
+/**
+ * Reliability weight of a source for one field.
+ * Lookup order: spot+source+field, spot+source, field+source, source default, 1.
+ *
+ * @param {string} spotId - Spot identifier
+ * @param {string} source - Source name (e.g. 'windfinder')
+ * @param {string} field - Field name (e.g. 'windSpeed')
+ * @returns {number}
+ */
+function getSourceWeight(spotId, source, field) {
+  const spotOverride = spotId ? sourceWeights.spots?.[spotId]?.[source] : undefined;
+  if (typeof spotOverride === 'number') return spotOverride;
+  if (typeof spotOverride?.[field] === 'number') return spotOverride[field];
+
+  const fieldOverride = sourceWeights.fields?.[field]?.[source];
+  if (typeof fieldOverride === 'number') return fieldOverride;
+
+  const fallback = sourceWeights.default?.[source];
+  return typeof fallback === 'number' ? fallback : 1;
+}
+
+const STRATEGIES = {
+  mean: {
+    numeric: samples => ({ value: mean(samples.map(s => s.value)), rejected: [] }),
+    direction: samples => ({ value: mostCommon(samples.map(s => s.value)), rejected: [] })
+  },
+  robust: {
+    numeric: robustWeightedMean,
+    direction: circularWeightedMean
+  }
+};
+
+function getStrategy() {
+  return STRATEGIES[process.env.AGGREGATION_STRATEGY] || STRATEGIES.robust;
+}
+
+/**
+ * Combine the values sources reported for one field
+ *
+ * @param {string} field - Field name; names ending in "Direction" are treated as compass directions
+ * @param {Array<{source: string, value: number|string}>} samples - One value per source
+ * @param {string} [spotId] - Spot identifier, for per-spot weights
+ * @returns {{ value: number|string|null, rejected: string[], downWeighted: string[] }}
+ */
+function aggregateField(field, samples, spotId) {
+  if (samples.length === 0) return { value: null, rejected: [], downWeighted: [] };
+
+  const weighted = samples.map(s => ({ ...s, weight: getSourceWeight(spotId, s.source, field) }));
+  const strategy = getStrategy();
+  const { value, rejected } = field.endsWith('Direction')
+    ? strategy.direction(weighted, field)
+    : strategy.numeric(weighted, field);
+
+  // Weights only matter when there is something to weigh against
+  const downWeighted = strategy === STRATEGIES.robust && weighted.length > 1
+    ? weighted.filter(s => s.weight < 1 && !rejected.includes(s.source)).map(s => s.source)
+    : [];
+
+  return { value, rejected, downWeighted };
+}
+
+function robustWeightedMean(samples, field) {
+  let kept = samples;
+  if (samples.length >= 3) {
+    const values = samples.map(s => s.value);
+    const center = median(values);
+    const mad = median(values.map(v => Math.abs(v - center)));
+    const scale = Math.max(MAD_SCALE * mad, DEVIATION_FLOOR[field] || 0);
+    kept = samples.filter(s => Math.abs(s.value - center) <= REJECT_K * scale);
+  }
+
+  return {
+    value: weightedMean(kept),
+    rejected: samples.filter(s => !kept.includes(s)).map(s => s.source)
+  };
+}
+
+function circularWeightedMean(samples) {
+  const withDegrees = samples
+    .map(s => ({ ...s, degrees: toDegrees(s.value) }))
+    .filter(s => s.degrees !== null);
+  if (withDegrees.length === 0) return { value: null, rejected: [] };
+
+  let kept = withDegrees;
+  if (withDegrees.length >= 3) {
+    const center = meanAngle(withDegrees);
+    if (center !== null) {
+      const agreeing = withDegrees.filter(s => angularDistance(s.degrees, center) <= DIRECTION_REJECT_DEGREES);
+      if (agreeing.length >= 2) kept = agreeing;
+    }
+  }
+
+  let degrees = meanAngle(kept);
+  if (degrees === null) {
+    // Directions cancel out; trust the most reliable source
+    degrees = kept.reduce((best, s) => s.weight > best.weight ? s : best, kept[0]).degrees;
+  }
+
+  return {
+    value: toCompass(degrees),
+    rejected: withDegrees.filter(s => !kept.includes(s)).map(s => s.source)
+  };
+}
+
+function meanAngle(samples) {
+  let x = 0;
+  let y = 0;
+  let total = 0;
+  for (const s of samples) {
+    const radians = s.degrees * Math.PI / 180;
+    x += s.weight * Math.cos(radians);
+    y += s.weight * Math.sin(radians);
+    total += s.weight;
+  }
+  if (total === 0 || Math.hypot(x, y) / total < MIN_DIRECTION_AGREEMENT) return null;
+  return Math.atan2(y, x) * 180 / Math.PI;
+}
+
+function weightedMean(samples) {
+  const total = samples.reduce((sum, s) => sum + s.weight, 0);
+  if (total === 0) return mean(samples.map(s => s.value));
+  return samples.reduce((sum, s) => sum + s.value * s.weight, 0) / total;
+}
+
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function mostCommon(values) {
+  const counts = {};
+  let best = null;
+  for (const value of values) {
+    counts[value] = (counts[value] || 0) + 1;
+    if (best === null || counts[value] > counts[best]) best = value;
+  }
+  return best;
+}
+
+module.exports = {
+  getSourceWeight,
+  aggregateField
+};
@@ -0,0 +1,193 @@
+const { getLocalParts } = require('../utils/timezone');
+const { getShoreNormal, windComponents } = require('./boardRecommendation');
+
+/**
+ * Push alert rules
+ *
+ * A subscription's threshold is the base rule; `rules` narrows it further.
+ * Every condition that is set must hold for a trend block to qualify:
+ *   - waveHeight:   { min?, max? } in metres
+ *   - periodMin:    seconds
+ *   - windSpeedMax: km/h
+ *   - offshoreOnly: wind must blow offshore or cross-offshore at the spot
+ *   - hours:        { from, to } spot-local hours the block must overlap
+ *   - weekdays:     [0-6] (Sunday = 0) of the block's day
+ * quietHours ({ from, to }, may wrap midnight) holds back sending, not matching.
+ */
+
+const LIMITS = {
+  waveHeight: [0, 15],
+  periodMin: [1, 30],
+  windSpeedMax: [0, 150]
+};
+
+const OFFSHORE_RELATIONS = ['offshore', 'cross-offshore'];
+
+function isNumberIn(value, [min, max]) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+}
+
+function isHour(value) {
+  return Number.isInteger(value) && value >= 0 && value <= 24;
+}
+
+/**
+ * Validate and normalize alert rules for a subscription
+ *
+ * @param {*} input - Untrusted rules object (null/undefined means no extra rules)
+ * @param {string} spotId - Spot the rules apply to
+ * @returns {{ rules?: Object|null, error?: string }}
+ */
+function validateRules(input, spotId) {
+  if (input === undefined || input === null) return { rules: null };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'rules must be an object' };
+
+  const rules = {};
+
+  if (input.waveHeight != null) {
+    if (typeof input.waveHeight !== 'object') return { error: 'waveHeight must be { min, max }' };
+    const { min, max } = input.waveHeight;
+    if ((min != null && !isNumberIn(min, LIMITS.waveHeight)) ||
+        (max != null && !isNumberIn(max, LIMITS.waveHeight))) {
+      return { error: `waveHeight min/max must be ${LIMITS.waveHeight[0]}-${LIMITS.waveHeight[1]} m` };
+    }
+    if (min != null && max != null && min > max) {
+      return { error: 'waveHeight min must not exceed max' };
+    }
+    if (min != null || max != null) {
+      rules.waveHeight = {};
+      if (min != null) rules.waveHeight.min = min;
+      if (max != null) rules.waveHeight.max = max;
+    }
+  }
+
+  if (input.periodMin != null) {
+    if (!isNumberIn(input.periodMin, LIMITS.periodMin)) {
+      return { error: `periodMin must be ${LIMITS.periodMin[0]}-${LIMITS.periodMin[1]} s` };
+    }
+    rules.periodMin = input.periodMin;
+  }
+
+  if (input.windSpeedMax != null) {
+    if (!isNumberIn(input.windSpeedMax, LIMITS.windSpeedMax)) {
+      return { error: `windSpeedMax must be ${LIMITS.windSpeedMax[0]}-${LIMITS.windSpeedMax[1]} km/h` };
+    }
+    rules.windSpeedMax = input.windSpeedMax;
+  }
+
+  if (input.offshoreOnly != null) {
+    if (typeof input.offshoreOnly !== 'boolean') return { error: 'offshoreOnly must be true or false' };
+    if (input.offshoreOnly && getShoreNormal(spotId) === null) {
+      return { error: 'offshoreOnly is not available for this spot (coastline orientation unknown)' };
+    }
+    if (input.offshoreOnly) rules.offshoreOnly = true;
+  }
+
+  if (input.hours != null) {
+    const { from, to } = input.hours;
+    if (!isHour(from) || !isHour(to) || from >= to) {
+      return { error: 'hours must be { from, to } with 0 <= from < to <= 24' };
+    }
+    rules.hours = { from, to };
+  }
+
+  if (input.weekdays != null) {
+    const { weekdays } = input;
+    if (!Array.isArray(weekdays) || weekdays.length === 0 ||
+        !weekdays.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) {
+      return { error: 'weekdays must be a non-empty array of 0-6 (Sunday = 0)' };
+    }
+    if (weekdays.length < 7) rules.weekdays = [...new Set(weekdays)].sort((a, b) => a - b);
+  }
+
+  if (input.quietHours != null) {
+    const { from, to } = input.quietHours;
+    if (!isHour(from) || !isHour(to) || from === to) {
+      return { error: 'quietHours must be { from, to } hours 0-24 and not equal' };
+    }
+    rules.quietHours = { from, to };
+  }
+
+  return { rules: Object.keys(rules).length > 0 ? rules : null };
+}
+
+/**
+ * Whether one trend block satisfies a subscription's threshold and rules.
+ * A rule on a value the block lacks (e.g. no wind data) counts as unmet.
+ *
+ * @param {Object} block - Trend block ({ day, startHour, endHour, score, waveHeight, period, windSpeed, windDirection })
+ * @param {number} threshold - Minimum score
+ * @param {Object|null} rules - Normalized rules from validateRules
+ * @param {string} spotId - Spot identifier (for offshore checks)
+ * @returns {boolean}
+ */
+function blockMatches(block, threshold, rules, spotId) {
+  if (block.score < threshold) return false;
+  if (!rules) return true;
+
+  if (rules.waveHeight) {
+    if (block.waveHeight == null) return false;
+    if (rules.waveHeight.min != null && block.waveHeight < rules.waveHeight.min) return false;
+    if (rules.waveHeight.max != null && block.waveHeight > rules.waveHeight.max) return false;
+  }
+
+  if (rules.periodMin != null && (block.period == null || block.period < rules.periodMin)) return false;
+
+  if (rules.windSpeedMax != null && (block.windSpeed == null || block.windSpeed > rules.windSpeedMax)) return false;
+
+  if (rules.offshoreOnly) {
+    const wind = windComponents(block.windSpeed, block.windDirection, getShoreNormal(spotId));
+    if (!wind || !OFFSHORE_RELATIONS.includes(wind.relation)) return false;
+  }
+
+  if (rules.hours) {
+    if (block.startHour == null) return false;
+    if (block.endHour <= rules.hours.from || block.startHour >= rules.hours.to) return false;
+  }
+
+  if (rules.weekdays) {
+    if (!block.day) return false;
+    const weekday = new Date(`${block.day}T00:00:00Z`).getUTCDay();
+    if (!rules.weekdays.includes(weekday)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * First upcoming block that qualifies for a subscription and wasn't already notified
+ *
+ * @param {Array} blocks - trend.blocks
+ * @param {Object} sub - Stored subscription ({ threshold, rules, lastNotifiedBlock })
+ * @param {string} spotId - Spot identifier
+ * @returns {Object|undefined}
+ */
+function findMatchingBlock(blocks, sub, spotId) {
+  return blocks.find(block =>
+    block.label !== sub.lastNotifiedBlock && blockMatches(block, sub.threshold, sub.rules || null, spotId)
+  );
+}
+
+/**
+ * Whether `now` falls inside the rules' quiet hours in spot-local time
+ *
+ * @param {Object|null} rules - Normalized rules
+ * @param {Date} now - Current instant
+ * @param {string} timezone - Spot IANA timezone
+ * @returns {boolean}
+ */
+function isQuietTime(rules, now, timezone) {
+  if (!rules || !rules.quietHours) return false;
+  const { from, to } = rules.quietHours;
+  const { hour } = getLocalParts(now, timezone);
+  return from < to
+    ? hour >= from && hour < to
+    : hour >= from || hour < to;
+}
+
+module.exports = {
+  validateRules,
+  blockMatches,
+  findMatchingBlock,
+  isQuietTime
+};
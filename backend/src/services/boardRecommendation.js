@@ -1,8 +1,13 @@
+const { getSpotById } = require('../config/spots');
+const { getSpotMetadata } = require('../sourcing/spotMetadata');
+const { parseBreakType } = require('../sourcing/optimalCompiler');
+const { toDegrees, angularDistance } = require('../utils/compass');
 const logger = require('../utils/logger');
 
 /**
  * Recommend a surfboard type based on current wave/wind conditions.
- * Uses a wave height × period (steepness) matrix with wind modifiers.
+ * Uses a wave height × period matrix, adjusted for swell steepness, the
+ * spot's break type and how the wind sits against its coastline.
  *
  * Sources:
  * - SurfScience wave-to-board chart
@@ -65,6 +70,9 @@ const MATRIX = {
   xl:       { short: 'stepup',    medium: 'stepup',     long: 'gun' }
 };
 
+// Board types from most to least volume
+const VOLUME_ORDER = ['sup', 'longboard', 'fish', 'midlength', 'any', 'shortboard', 'stepup', 'gun'];
+
 // Volume multipliers by skill level
 const SKILL_MULTIPLIERS = {
   beginner: 0.62,
@@ -88,11 +96,97 @@ function getPeriodRange(period) {
   return 'long';
 }
 
+// Onshore (or offshore) wind component above which paddling needs extra volume, km/h
+const STRONG_ONSHORE_KMH = 20;
+const STRONG_OFFSHORE_KMH = 30;
+
+// Deep-water wave steepness (height / wavelength) bounds
+const STEEP_SWELL = 0.025;   // short-period wind swell — weak, crumbly faces
+const GENTLE_SWELL = 0.008;  // long-period groundswell — lines up with power
+
+/**
+ * Bearing the coastline faces, out to sea (degrees).
+ * Uses the spot's `shoreNormal` when set, otherwise the opposite of its
+ * offshore wind directions (`optimal.windDirection`).
+ *
+ * @param {string} spotId - Spot identifier
+ * @returns {number|null} - null when the spot or its orientation is unknown
+ */
+function getShoreNormal(spotId) {
+  const spot = spotId ? getSpotById(spotId) : null;
+  if (!spot) return null;
+  if (Number.isFinite(spot.shoreNormal)) return spot.shoreNormal;
+
+  const offshore = (spot.optimal?.windDirection || []).map(toDegrees).filter(d => d !== null);
+  if (offshore.length === 0) return null;
+
+  // Circular mean of the offshore bearings, turned to face the sea
+  const x = offshore.reduce((sum, d) => sum + Math.cos(d * Math.PI / 180), 0);
+  const y = offshore.reduce((sum, d) => sum + Math.sin(d * Math.PI / 180), 0);
+  if (Math.hypot(x, y) < 1e-6) return null;
+  const mean = Math.atan2(y, x) * 180 / Math.PI;
+  return Math.round(((mean + 180) % 360 + 360) % 360);
+}
+
+/**
+ * Split the wind into onshore and cross-shore components for a coastline
+ *
+ * @param {number} speed - Wind speed (km/h)
+ * @param {string|number} direction - Direction the wind blows from
+ * @param {number} shoreNormal - Bearing the coast faces (degrees)
+ * @returns {{ relation: string, onshore: number, cross: number }|null} - relation is
+ *   'onshore' | 'cross-onshore' | 'cross-offshore' | 'offshore'; onshore is negative
+ *   for offshore wind
+ */
+function windComponents(speed, direction, shoreNormal) {
+  const bearing = toDegrees(direction);
+  if (bearing === null || shoreNormal === null || !Number.isFinite(speed)) return null;
+
+  const angle = angularDistance(bearing, shoreNormal);
+  const radians = angle * Math.PI / 180;
+
+  let relation;
+  if (angle <= 45) relation = 'onshore';
+  else if (angle <= 90) relation = 'cross-onshore';
+  else if (angle < 135) relation = 'cross-offshore';
+  else relation = 'offshore';
+
+  return {
+    relation,
+    onshore: Math.round(speed * Math.cos(radians) * 10) / 10,
+    cross: Math.round(speed * Math.sin(radians) * 10) / 10
+  };
+}
+
+/**
+ * Break type for a spot: explicit spot config first, then the sourced breakTypeText
+ *
+ * @returns {'beach'|'reef'|'point'|null}
+ */
+function getBreakType(spotId) {
+  const spot = spotId ? getSpotById(spotId) : null;
+  if (spot?.breakType) return spot.breakType;
+
+  return spotId ? parseBreakType(getSpotMetadata(spotId)?.breakTypeText) : null;
+}
+
+/**
+ * Deep-water wave steepness: height over wavelength (L = gT²/2π ≈ 1.56·T²)
+ */
+function getSteepness(height, period) {
+  if (!height || !period) return null;
+  return Math.round((height / (1.56 * period * period)) * 10000) / 10000;
+}
+
 /**
  * Recommend a board type based on current conditions.
- * No user data needed — purely conditions-based.
+ * No user data needed — conditions plus what we know about the spot.
+ *
+ * @param {Object} conditions - Aggregated conditions
+ * @param {string} [spotId] - Spot identifier, for coastline orientation and break type
+ * @returns {Object} - Board type, name, reason and the factors behind it
  */
-function recommendBoard(conditions) {
+function recommendBoard(conditions, spotId) {
   const height = conditions.waves?.height?.avg || 0;
   const period = conditions.waves?.swell?.period || conditions.waves?.period || 0;
   const windSpeed = conditions.wind?.speed || 0;
@@ -100,28 +194,40 @@ function recommendBoard(conditions) {
 
   const heightRange = getHeightRange(height);
   const periodRange = getPeriodRange(period);
+  const wind = windComponents(windSpeed, windDir, getShoreNormal(spotId));
+  const steepness = getSteepness(height, period);
+  const breakType = getBreakType(spotId);
 
   let boardKey = MATRIX[heightRange]?.[periodRange] || 'midlength';
+  let reason = null;
 
-  // Wind modifier: strong onshore wind (>25 km/h) -> bump volume
-  // This means need more paddle power, so go one tier up
-  const onshoreDirections = ['W', 'NW', 'SW', 'N'];
-  const isOnshore = onshoreDirections.includes(windDir);
-  let windBumped = false;
-  if (isOnshore && windSpeed > 25) {
+  // Steep wind swell on a beach break is weak and crumbly — more volume to get in early
+  if (breakType === 'beach' && steepness !== null && steepness >= STEEP_SWELL && height >= 0.6) {
     boardKey = bumpUp(boardKey);
-    windBumped = true;
-    logger.debug(`[BoardRec] Wind modifier: strong onshore ${windDir} ${windSpeed}km/h, bumped to ${boardKey}`);
+    reason = 'Short-period wind swell on a beach break — extra volume helps in the mush';
   }
 
-  const board = { ...BOARD_TYPES[boardKey] };
+  // Clean groundswell on a reef or point is fast and hollow — step toward a performance board
+  if ((breakType === 'reef' || breakType === 'point') && steepness !== null && steepness <= GENTLE_SWELL && height >= 1.0) {
+    boardKey = stepDown(boardKey);
+    reason = `Powerful groundswell on a ${breakType} break — something with rocker and rail`;
+  }
 
-  // Override generic reason if board was bumped due to wind
-  if (windBumped) {
-    board.reason = `Choppy onshore wind — grab something with more volume`;
+  // Strong onshore wind chops the faces and strong offshore holds you out the back;
+  // both need more paddle power, so go one tier up
+  if (wind && (wind.onshore >= STRONG_ONSHORE_KMH || -wind.onshore >= STRONG_OFFSHORE_KMH)) {
+    boardKey = bumpUp(boardKey);
+    reason = wind.onshore > 0
+      ? 'Choppy onshore wind — grab something with more volume'
+      : 'Strong offshore wind — extra volume to paddle into waves';
+    logger.debug(`[BoardRec] Wind modifier: ${wind.relation} ${windDir} ${windSpeed}km/h, bumped to ${boardKey}`);
   }
 
-  logger.info(`[BoardRec] height=${height}m (${heightRange}), period=${period}s (${periodRange}), wind=${windSpeed}km/h ${windDir} => ${board.boardName}`);
+  const board = { ...BOARD_TYPES[boardKey] };
+  if (reason) board.reason = reason;
+  board.factors = { wind, steepness, breakType };
+
+  logger.info(`[BoardRec] height=${height}m (${heightRange}), period=${period}s (${periodRange}), wind=${windSpeed}km/h ${windDir} (${wind?.relation || 'unknown'}), break=${breakType || 'unknown'} => ${board.boardName}`);
 
   return board;
 }
@@ -130,19 +236,27 @@ function recommendBoard(conditions) {
  * Bump up one volume/stability tier for choppy conditions
  */
 function bumpUp(boardKey) {
-  const order = ['sup', 'longboard', 'fish', 'midlength', 'any', 'shortboard', 'stepup', 'gun'];
-  const idx = order.indexOf(boardKey);
+  const idx = VOLUME_ORDER.indexOf(boardKey);
   if (idx <= 0) return boardKey; // already at max volume
   // Move toward more volume (lower index)
-  return order[idx - 1];
+  return VOLUME_ORDER[idx - 1];
+}
+
+/**
+ * Step down one volume tier for powerful, hollow waves
+ */
+function stepDown(boardKey) {
+  const idx = VOLUME_ORDER.indexOf(boardKey);
+  if (idx === -1 || idx === VOLUME_ORDER.length - 1) return boardKey;
+  return VOLUME_ORDER[idx + 1];
 }
 
 /**
  * Personalized recommendation with volume calculation.
  * Uses BreakFinder formula: volume = weight × skill_multiplier + adjustments
  */
-function recommendBoardPersonalized(conditions, userProfile) {
-  const board = recommendBoard(conditions);
+function recommendBoardPersonalized(conditions, userProfile, spotId) {
+  const board = recommendBoard(conditions, spotId);
 
   if (!userProfile?.weight || !userProfile?.skillLevel) {
     return board;
@@ -160,10 +274,8 @@ function recommendBoardPersonalized(conditions, userProfile) {
   else if (height > 2.0) volume -= 1;
 
   // Strong onshore wind adjustment
-  const windSpeed = conditions.wind?.speed || 0;
-  const windDir = conditions.wind?.direction || '';
-  const onshoreDirections = ['W', 'NW', 'SW', 'N'];
-  if (onshoreDirections.includes(windDir) && windSpeed > 25) {
+  const wind = board.factors.wind;
+  if (wind && wind.onshore >= STRONG_ONSHORE_KMH) {
     volume += 1;
   }
 
@@ -179,4 +291,74 @@ function recommendBoardPersonalized(conditions, userProfile) {
   return board;
 }
 
-module.exports = { recommendBoard, recommendBoardPersonalized };
+// Board types that suit an "any board" day
+const ANY_BOARD_TYPES = ['fish', 'midlength', 'shortboard'];
+
+/**
+ * Rank a surfer's own boards against a recommendation.
+ * Each tier away from the recommended type costs 25 points; when the
+ * recommendation carries a volume range, each litre outside it costs 3 (max 40).
+ *
+ * @param {Object} board - recommendBoard / recommendBoardPersonalized result
+ * @param {Array<{id: string, type: string, name?: string, lengthFt?: number, volume?: number}>} quiver
+ * @returns {Array<Object>} - Quiver boards with rank, score (0-100), fit and reason, best first
+ */
+function rankQuiver(board, quiver) {
+  const targetIdx = VOLUME_ORDER.indexOf(board.boardType);
+  const range = board.volume?.range;
+
+  const ranked = quiver.map((item, index) => {
+    const itemIdx = VOLUME_ORDER.indexOf(item.type);
+    const tierGap = board.boardType === 'any' && ANY_BOARD_TYPES.includes(item.type)
+      ? 0
+      : itemIdx - targetIdx;
+
+    let score = 100 - Math.abs(tierGap) * 25;
+    const reasons = [];
+
+    if (tierGap === 0) {
+      reasons.push(`Right type for today — ${board.reason.charAt(0).toLowerCase()}${board.reason.slice(1)}`);
+    } else if (tierGap < 0) {
+      reasons.push(`More volume than a ${BOARD_TYPES[board.boardType].boardName.toLowerCase()} — easy paddling, less bite in the turns`);
+    } else {
+      reasons.push(`Less volume than a ${BOARD_TYPES[board.boardType].boardName.toLowerCase()} — only if you're feeling sharp`);
+    }
+
+    if (range && Number.isFinite(item.volume)) {
+      const [low, high] = range;
+      const over = item.volume - high;
+      const under = low - item.volume;
+      if (over > 0) {
+        score -= Math.min(40, over * 3);
+        reasons.push(`${item.volume}L is ${Math.round(over * 10) / 10}L over your range`);
+      } else if (under > 0) {
+        score -= Math.min(40, under * 3);
+        reasons.push(`${item.volume}L is ${Math.round(under * 10) / 10}L under your range`);
+      }
+    }
+
+    score = Math.max(0, Math.round(score));
+    return {
+      board: item,
+      score,
+      fit: score >= 80 ? 'ideal' : score >= 50 ? 'workable' : 'poor',
+      reason: reasons.join('; '),
+      index
+    };
+  });
+
+  return ranked
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ index, ...entry }, i) => ({ rank: i + 1, ...entry }));
+}
+
+module.exports = {
+  BOARD_TYPES,
+  recommendBoard,
+  rankQuiver,
+  recommendBoardPersonalized,
+  getShoreNormal,
+  windComponents,
+  getBreakType,
+  getSteepness
+};
@@ -1,94 +1,247 @@
-const NodeCache = require('node-cache');
+const MemoryStore = require('./cacheStores/memoryStore');
 const logger = require('../utils/logger');
 
 /**
- * Cache service for storing scraped surf data
- * Uses node-cache for in-memory caching
+ * Cache service for scraped surf data and rendered responses.
+ *
+ * Backed by an in-process LRU (default) or Redis, selected with
+ * CACHE_BACKEND=memory|redis (+ REDIS_URL). Redis lets several API instances
+ * share one cache and keeps it across restarts.
+ *
+ * Keys are namespaced as `<namespace>:<id>`; the namespace picks the default
+ * TTL. All operations are async and never throw — a failing backend behaves
+ * like an empty cache.
  */
 
-// Create cache instance with 10-minute default TTL
-const cache = new NodeCache({
-  stdTTL: 600,       // 10 minutes
-  checkperiod: 60,   // Check for expired keys every 60 seconds
-  useClones: false,  // Don't clone data (better performance)
-  maxKeys: 200       // Hard cap — prevents unbounded memory growth
-});
+const DEFAULT_TTL = 600; // 10 minutes
+
+// Default TTL (seconds) per key namespace
+const NAMESPACE_TTLS = {
+  conditions: 60 * 60, // fresh for 10 min, then served stale while refreshing
+  forecast: 1800,
+  geo: 60 * 60,
+  og: 600,
+  sitemap: 60 * 60
+};
+
+const MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES, 10) || 5000;
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  sets: 0,
+  evictions: 0,
+  errors: 0,
+  namespaces: {}
+};
+
+function namespaceOf(key) {
+  const i = key.indexOf(':');
+  return i === -1 ? key : key.slice(0, i);
+}
+
+function countNamespace(key, field) {
+  const ns = namespaceOf(key);
+  if (!stats.namespaces[ns]) stats.namespaces[ns] = { hits: 0, misses: 0 };
+  stats.namespaces[ns][field]++;
+}
+
+function onEvict(key) {
+  stats.evictions++;
+  logger.debug(`[Cache] EVICT: ${key}`);
+}
+
+function createStore() {
+  const backend = (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+
+  if (backend === 'redis') {
+    if (!process.env.REDIS_URL) {
+      logger.warn('[Cache] CACHE_BACKEND=redis but REDIS_URL is not set — using in-memory cache');
+    } else {
+      try {
+        const RedisStore = require('./cacheStores/redisStore');
+        return new RedisStore({ url: process.env.REDIS_URL });
+      } catch (e) {
+        logger.warn(`[Cache] Redis unavailable (${e.message}) — using in-memory cache`);
+      }
+    }
+  } else if (backend !== 'memory') {
+    logger.warn(`[Cache] Unknown CACHE_BACKEND "${backend}" — using in-memory cache`);
+  }
+
+  return new MemoryStore({ maxEntries: MAX_ENTRIES, onEvict });
+}
+
+const store = createStore();
+logger.info(`[Cache] Using ${store.name} backend`);
+
+/**
+ * Default TTL for a key, from its namespace
+ *
+ * @param {string} key - Cache key
+ * @returns {number} - Seconds
+ */
+function ttlFor(key) {
+  return NAMESPACE_TTLS[namespaceOf(key)] || DEFAULT_TTL;
+}
 
 /**
  * Get data from cache
+ *
+ * @returns {Promise<*>} - Cached value, or undefined
  */
-function get(key) {
-  const value = cache.get(key);
-  if (value) {
+async function get(key) {
+  const entry = await lookup(key);
+  return entry ? entry.value : undefined;
+}
+
+async function lookup(key) {
+  let entry;
+  try {
+    entry = await store.get(key);
+  } catch (e) {
+    stats.errors++;
+    logger.warn(`[Cache] GET failed for ${key}: ${e.message}`);
+  }
+
+  if (entry) {
+    stats.hits++;
+    countNamespace(key, 'hits');
     logger.debug(`[Cache] HIT: ${key}`);
   } else {
+    stats.misses++;
+    countNamespace(key, 'misses');
     logger.debug(`[Cache] MISS: ${key}`);
   }
-  return value;
+  return entry;
 }
 
 /**
  * Set data in cache
+ *
+ * @param {string} key - Cache key
+ * @param {*} value - JSON-serializable value
+ * @param {number} [ttl] - Seconds (default: the key's namespace TTL)
+ * @returns {Promise<boolean>}
  */
-function set(key, value, ttl = null) {
-  const success = ttl ? cache.set(key, value, ttl) : cache.set(key, value);
-  if (success) {
-    logger.debug(`[Cache] SET: ${key} (TTL: ${ttl || cache.options.stdTTL}s)`);
+async function set(key, value, ttl = null) {
+  const seconds = ttl || ttlFor(key);
+  const now = Date.now();
+  try {
+    await store.set(key, { value, setAt: now, expiresAt: now + seconds * 1000 });
+    stats.sets++;
+    logger.debug(`[Cache] SET: ${key} (TTL: ${seconds}s)`);
+    return true;
+  } catch (e) {
+    stats.errors++;
+    logger.warn(`[Cache] SET failed for ${key}: ${e.message}`);
+    return false;
   }
-  return success;
 }
 
 /**
  * Delete data from cache
  */
-function del(key) {
-  const count = cache.del(key);
-  if (count > 0) {
-    logger.debug(`[Cache] DEL: ${key}`);
+async function del(key) {
+  try {
+    const count = await store.del(key);
+    if (count > 0) {
+      logger.debug(`[Cache] DEL: ${key}`);
+    }
+    return count;
+  } catch (e) {
+    stats.errors++;
+    logger.warn(`[Cache] DEL failed for ${key}: ${e.message}`);
+    return 0;
   }
-  return count;
 }
 
 /**
  * Flush all cache
  */
-function flush() {
-  cache.flushAll();
-  logger.info(`[Cache] FLUSH: All cache cleared`);
+async function flush() {
+  try {
+    await store.flush();
+    logger.info(`[Cache] FLUSH: All cache cleared`);
+  } catch (e) {
+    stats.errors++;
+    logger.warn(`[Cache] FLUSH failed: ${e.message}`);
+  }
 }
 
 /**
  * Get cache age for a key (in seconds)
+ *
+ * @returns {Promise<number|null>}
  */
-function getAge(key) {
-  const ttl = cache.getTtl(key);
-  if (!ttl) return null;
-
-  const now = Date.now();
-  const maxAge = cache.options.stdTTL * 1000;
-  return Math.floor((now - (ttl - maxAge)) / 1000);
+async function getAge(key) {
+  try {
+    const entry = await store.get(key);
+    if (!entry) return null;
+    return Math.floor((Date.now() - entry.setAt) / 1000);
+  } catch (e) {
+    stats.errors++;
+    return null;
+  }
 }
 
 /**
  * Get cache statistics
+ *
+ * @returns {Promise<Object>} - Backend, key count (the whole Redis database
+ *   for redis), hit/miss/eviction counters (this instance only) and
+ *   per-namespace hit rates
  */
-function getStats() {
-  return cache.getStats();
+async function getStats() {
+  let keys = null;
+  try {
+    keys = await store.size();
+  } catch (e) {
+    stats.errors++;
+  }
+
+  const hitRate = (hits, misses) => (hits + misses > 0 ? Math.round((hits / (hits + misses)) * 100) : 0);
+  const namespaces = {};
+  for (const [ns, counts] of Object.entries(stats.namespaces)) {
+    namespaces[ns] = { ...counts, hitRate: hitRate(counts.hits, counts.misses) };
+  }
+
+  return {
+    backend: store.name,
+    keys,
+    maxKeys: store.name === 'memory' ? MAX_ENTRIES : null,
+    hits: stats.hits,
+    misses: stats.misses,
+    hitRate: hitRate(stats.hits, stats.misses),
+    sets: stats.sets,
+    evictions: stats.evictions,
+    errors: stats.errors,
+    namespaces
+  };
 }
 
 /**
  * Check if key exists in cache
+ *
+ * @returns {Promise<boolean>}
  */
-function has(key) {
-  return cache.has(key);
+async function has(key) {
+  try {
+    return !!(await store.get(key));
+  } catch (e) {
+    stats.errors++;
+    return false;
+  }
 }
 
 module.exports = {
+  NAMESPACE_TTLS,
   get,
   set,
   del,
   flush,
   getAge,
   getStats,
-  has
+  has,
+  ttlFor
 };
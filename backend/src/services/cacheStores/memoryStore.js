@@ -0,0 +1,62 @@
+/**
+ * In-process cache store with TTL expiry and LRU eviction.
+ *
+ * A Map keeps insertion order, so re-inserting a key on every read moves it
+ * to the back and the first key is always the least recently used.
+ */
+class MemoryStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries] - Evict least recently used entries beyond this
+   * @param {function(string)} [options.onEvict] - Called with each evicted key
+   */
+  constructor({ maxEntries = 5000, onEvict } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.onEvict = onEvict || (() => {});
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      const oldest = this.entries.keys().next().value;
+      this.entries.delete(oldest);
+      this.onEvict(oldest);
+    }
+  }
+
+  async del(key) {
+    return this.entries.delete(key) ? 1 : 0;
+  }
+
+  async flush() {
+    this.entries.clear();
+  }
+
+  async size() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+    return this.entries.size;
+  }
+}
+
+module.exports = MemoryStore;
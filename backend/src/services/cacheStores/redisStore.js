@@ -0,0 +1,66 @@
+/**
+ * Redis cache store, shared by every API instance and kept across restarts.
+ *
+ * Entries are stored as JSON under a key prefix with a Redis expiry. LRU
+ * eviction is left to Redis itself (maxmemory-policy allkeys-lru).
+ * Requires the optional `ioredis` dependency.
+ */
+const logger = require('../../utils/logger');
+
+const KEY_PREFIX = 'surf-report:';
+
+class RedisStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Redis connection URL (redis://...)
+   */
+  constructor({ url }) {
+    const Redis = require('ioredis');
+    this.name = 'redis';
+    this.client = new Redis(url, {
+      maxRetriesPerRequest: 2,
+      enableOfflineQueue: false
+    });
+    this.client.on('error', err => logger.warn(`[Cache] Redis error: ${err.message}`));
+    this.client.on('ready', () => logger.info('[Cache] Redis connected'));
+  }
+
+  async get(key) {
+    const raw = await this.client.get(KEY_PREFIX + key);
+    return raw ? JSON.parse(raw) : undefined;
+  }
+
+  async set(key, entry) {
+    const ttlMs = Math.max(1, entry.expiresAt - Date.now());
+    await this.client.set(KEY_PREFIX + key, JSON.stringify(entry), 'PX', ttlMs);
+  }
+
+  async del(key) {
+    return this.client.del(KEY_PREFIX + key);
+  }
+
+  async flush() {
+    for (const keys of await this.scanKeys()) {
+      if (keys.length > 0) await this.client.del(...keys);
+    }
+  }
+
+  // Approximate: DBSIZE counts every key in the Redis database, not just this
+  // cache's, but is O(1) where SCANning the keyspace on each health check is not
+  async size() {
+    return this.client.dbsize();
+  }
+
+  async scanKeys() {
+    const batches = [];
+    let cursor = '0';
+    do {
+      const [next, keys] = await this.client.scan(cursor, 'MATCH', `${KEY_PREFIX}*`, 'COUNT', 500);
+      batches.push(keys);
+      cursor = next;
+    } while (cursor !== '0');
+    return batches;
+  }
+}
+
+module.exports = RedisStore;
@@ -0,0 +1,157 @@
+/**
+ * iCalendar (RFC 5545) feed of upcoming good sessions at a spot.
+ *
+ * Every trend block at or above the requested score becomes a VEVENT.
+ * UIDs are derived from spot, day and block start hour, so when a calendar
+ * app re-polls the feed an event for the same window is updated in place
+ * (new score, swell, board) and one that drops below the threshold vanishes.
+ */
+const { recommendBoard, getShoreNormal, windComponents } = require('./boardRecommendation');
+const { fromLocalTimeKey } = require('../utils/timezone');
+
+const PRODID = '-//Should I Go Surf//Surf Sessions//EN';
+const UID_DOMAIN = 'shouldigo.surf';
+const REFRESH_INTERVAL = 'PT1H';
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape a TEXT property value
+ */
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, continuation lines starting with a space.
+ * Splits on code points so multi-byte characters are never cut in half.
+ */
+function foldLine(line) {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  let limit = MAX_LINE_OCTETS;
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+      limit = MAX_LINE_OCTETS - 1; // the leading space counts
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * UTC date-time in iCalendar basic format (20260701T060000Z)
+ */
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Stable UID for a spot's block on a given day
+ */
+function eventUid(spotId, block) {
+  return `${spotId}-${block.day.replace(/-/g, '')}-${pad(block.startHour)}@${UID_DOMAIN}`;
+}
+
+function describeBlock(block, spotId, url) {
+  const lines = [`Score: ${block.score}/100 (${block.rating})`];
+
+  if (block.waveHeight != null) {
+    lines.push(`Waves: ${round1(block.waveHeight)}m${block.period != null ? ` @ ${Math.round(block.period)}s` : ''}`);
+  }
+
+  if (block.windSpeed != null) {
+    const wind = windComponents(block.windSpeed, block.windDirection, getShoreNormal(spotId));
+    const relation = wind ? ` (${wind.relation})` : '';
+    lines.push(`Wind: ${Math.round(block.windSpeed)} km/h${block.windDirection ? ` ${block.windDirection}` : ''}${relation}`);
+  }
+
+  const board = recommendBoard({
+    waves: { height: { avg: block.waveHeight }, period: block.period },
+    wind: { speed: block.windSpeed, direction: block.windDirection }
+  }, spotId);
+  if (board?.boardName) {
+    lines.push(`Board: ${board.boardName}${board.reason ? ` — ${board.reason}` : ''}`);
+  }
+
+  lines.push('', url);
+  return lines.join('\n');
+}
+
+/**
+ * Build the sessions calendar for a spot
+ *
+ * @param {Object} spot - Spot config ({ id, name, country, location, timezone })
+ * @param {Object|null} trend - generateTrend output (null when there is no forecast)
+ * @param {Object} [options]
+ * @param {number} [options.minScore=60] - Lowest block score that becomes an event
+ * @param {string} [options.frontendUrl] - Site origin for event links
+ * @param {Date} [options.now] - DTSTAMP
+ * @returns {string} - text/calendar body (CRLF line endings)
+ */
+function buildSessionsCalendar(spot, trend, { minScore = 60, frontendUrl = 'https://shouldigo.surf', now = new Date() } = {}) {
+  const timezone = trend?.timezone || spot.timezone;
+  const url = `${frontendUrl}/?spot=${encodeURIComponent(spot.id)}`;
+  const stamp = formatUtc(now);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(`Surf sessions — ${spot.name}`)}`,
+    `X-WR-CALDESC:${escapeText(`Forecast windows scoring ${minScore}+ at ${spot.name}`)}`,
+    `REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`,
+    `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`
+  ];
+
+  const blocks = (trend?.blocks || []).filter(b => b.day && b.score >= minScore);
+  for (const block of blocks) {
+    const start = fromLocalTimeKey(`${block.day}T${pad(block.startHour)}:00`, timezone);
+    const end = fromLocalTimeKey(`${block.day}T${pad(block.endHour)}:00`, timezone);
+    const size = block.waveHeight != null ? ` ${round1(block.waveHeight)}m` : '';
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${eventUid(spot.id, block)}`,
+      `DTSTAMP:${stamp}`,
+      `LAST-MODIFIED:${stamp}`,
+      `DTSTART:${formatUtc(start)}`,
+      `DTEND:${formatUtc(end)}`,
+      `SUMMARY:${escapeText(`🏄 ${block.rating}${size} at ${spot.name} (${block.score}/100)`)}`,
+      `DESCRIPTION:${escapeText(describeBlock(block, spot.id, url))}`,
+      `LOCATION:${escapeText([spot.name, spot.country].filter(Boolean).join(', '))}`,
+      ...(spot.location ? [`GEO:${spot.location.lat};${spot.location.lon}`] : []),
+      `URL:${url}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildSessionsCalendar,
+  eventUid,
+  escapeText,
+  foldLine
+};
@@ -0,0 +1,128 @@
+const { getScoredSessions, countScoredContributors } = require('./sessions');
+
+/**
+ * Score calibration from logged sessions
+ *
+ * Compares the score we predicted for each session's time with the surfer's
+ * own 1-5 rating, per spot. Ratings are placed on the score scale (1 → 10,
+ * 5 → 90) so bias and error read in score points. Each breakdown factor is
+ * correlated with the ratings: a factor that tracks how good sessions felt
+ * earns more weight, one that runs against it less. Those multipliers join
+ * the spot's scoring profile once there are enough sessions, from enough
+ * contributors, to trust them.
+ */
+
+const MIN_CALIBRATION_SESSIONS = 5;
+const MIN_CALIBRATION_CONTRIBUTORS = 3;
+const RATING_SCORES = { 1: 10, 2: 30, 3: 50, 4: 70, 5: 90 };
+const FACTORS = ['waveHeight', 'wavePeriod', 'swellQuality', 'windSpeed', 'windDirection', 'waveDirection', 'tide'];
+// A perfect correlation moves a factor's weight by at most ±50%
+const MAX_ADJUSTMENT = 0.5;
+
+const round = (value, digits = 0) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+/**
+ * Pearson correlation, or null with fewer than 3 pairs or no variance
+ */
+function correlation(xs, ys) {
+  if (xs.length < 3) return null;
+  const mx = mean(xs);
+  const my = mean(ys);
+  let cov = 0;
+  let vx = 0;
+  let vy = 0;
+  for (let i = 0; i < xs.length; i++) {
+    cov += (xs[i] - mx) * (ys[i] - my);
+    vx += (xs[i] - mx) ** 2;
+    vy += (ys[i] - my) ** 2;
+  }
+  if (vx === 0 || vy === 0) return null;
+  return cov / Math.sqrt(vx * vy);
+}
+
+function factorAnalysis(sessions) {
+  const factors = {};
+  for (const factor of FACTORS) {
+    const pairs = sessions.filter(s => s.snapshot.breakdown[factor] != null);
+    const r = correlation(pairs.map(s => s.snapshot.breakdown[factor]), pairs.map(s => s.rating));
+    factors[factor] = {
+      sessions: pairs.length,
+      correlation: r === null ? null : round(r, 2),
+      multiplier: r === null ? 1 : round(1 + r * MAX_ADJUSTMENT, 2)
+    };
+  }
+  return factors;
+}
+
+/**
+ * Calibration report for a spot
+ *
+ * @param {string} spotId
+ * @returns {Object} - { spotId, sessions, contributors, bias, meanAbsoluteError, correlation, byRating, factors, suggestedMultipliers }
+ */
+function getCalibrationReport(spotId) {
+  const sessions = getScoredSessions(spotId);
+  const contributors = sessions.length > 0 ? countScoredContributors(spotId) : 0;
+  const report = {
+    spotId,
+    sessions: sessions.length,
+    minSessions: MIN_CALIBRATION_SESSIONS,
+    contributors,
+    minContributors: MIN_CALIBRATION_CONTRIBUTORS,
+    bias: null,
+    meanAbsoluteError: null,
+    correlation: null,
+    byRating: [],
+    factors: null,
+    suggestedMultipliers: null
+  };
+  if (sessions.length === 0) return report;
+
+  const errors = sessions.map(s => s.snapshot.score - RATING_SCORES[s.rating]);
+  report.bias = round(mean(errors), 1);
+  report.meanAbsoluteError = round(mean(errors.map(Math.abs)), 1);
+  const r = correlation(sessions.map(s => s.snapshot.score), sessions.map(s => s.rating));
+  report.correlation = r === null ? null : round(r, 2);
+
+  for (let rating = 1; rating <= 5; rating++) {
+    const rated = sessions.filter(s => s.rating === rating);
+    if (rated.length === 0) continue;
+    report.byRating.push({
+      rating,
+      sessions: rated.length,
+      expectedScore: RATING_SCORES[rating],
+      averageScore: round(mean(rated.map(s => s.snapshot.score)))
+    });
+  }
+
+  report.factors = factorAnalysis(sessions);
+  if (sessions.length >= MIN_CALIBRATION_SESSIONS && contributors >= MIN_CALIBRATION_CONTRIBUTORS) {
+    report.suggestedMultipliers = Object.fromEntries(
+      Object.entries(report.factors).map(([factor, { multiplier }]) => [factor, multiplier])
+    );
+  }
+  return report;
+}
+
+/**
+ * Calibration multipliers for a spot's scoring profile
+ *
+ * @returns {{ multipliers: Object, sessionCount: number }|null} - null below MIN_CALIBRATION_SESSIONS or MIN_CALIBRATION_CONTRIBUTORS
+ */
+function getCalibration(spotId) {
+  const { suggestedMultipliers, sessions } = getCalibrationReport(spotId);
+  return suggestedMultipliers ? { multipliers: suggestedMultipliers, sessionCount: sessions } : null;
+}
+
+module.exports = {
+  MIN_CALIBRATION_SESSIONS,
+  MIN_CALIBRATION_CONTRIBUTORS,
+  RATING_SCORES,
+  getCalibrationReport,
+  getCalibration
+};
@@ -0,0 +1,265 @@
+/**
+ * Conditions service — the one place that scrapes, aggregates and scores a spot.
+ *
+ * - In-flight fetches are shared per spot: concurrent callers (REST, SSE,
+ *   agent API, push checks) wait on the same scrape, and SSE clients that
+ *   join late still receive the remaining progress events.
+ * - Results are fresh for FRESH_TTL_SECONDS. After that they are served
+ *   stale (up to STALE_TTL_SECONDS) while a background refresh runs.
+ * - Spots requested often in the last hour are refreshed ahead of expiry so
+ *   their visitors rarely hit a cold cache.
+ */
+const { fetchSurfData, aggregateData, aggregateHourlyData, describeSources } = require('./scraper');
+const { calculateSurfScore, WEIGHTS } = require('./scoring');
+const { getScoringProfile } = require('./scoringProfile');
+const { generateTrend } = require('./trend');
+const { recommendBoard } = require('./boardRecommendation');
+const { recordConditions } = require('./history');
+const { getSpotName, getSpotTimezone } = require('../config/spots');
+const cache = require('./cache');
+const logger = require('../utils/logger');
+
+const FRESH_TTL_SECONDS = 600;
+const STALE_TTL_SECONDS = 60 * 60;
+
+// Background refresh of popular spots
+const PREFETCH_INTERVAL_MS = 2 * 60 * 1000;
+const PREFETCH_SPOT_LIMIT = parseInt(process.env.CONDITIONS_PREFETCH_SPOTS, 10) || 10;
+const POPULARITY_WINDOW_MS = 60 * 60 * 1000;
+const POPULARITY_BUCKET_MS = 60 * 1000;
+// Refresh once a cached result is this old, so it's replaced before going stale
+const PREFETCH_AFTER_SECONDS = FRESH_TTL_SECONDS - 150;
+
+const inFlight = new Map();
+// spotId → Map of minute → request count
+const requestLog = new Map();
+let intervalHandle = null;
+
+function cacheKey(spotId) {
+  return `conditions:${spotId}`;
+}
+
+function ageSeconds(response) {
+  return Math.floor((Date.now() - Date.parse(response.timestamp)) / 1000);
+}
+
+/**
+ * Cached conditions for a spot, if any. A stale result is still returned
+ * and triggers a background refresh.
+ *
+ * @param {string} spotId - Spot identifier
+ * @returns {Promise<{ response: Object, fromCache: true, cacheAge: number, stale: boolean }|null>}
+ */
+async function getCachedConditions(spotId) {
+  noteRequest(spotId);
+  const cached = await cache.get(cacheKey(spotId));
+  if (!cached) return null;
+
+  const cacheAge = ageSeconds(cached);
+  const stale = cacheAge >= FRESH_TTL_SECONDS;
+  if (stale) {
+    logger.info(`[Conditions] Serving stale ${spotId} (age: ${cacheAge}s), refreshing in background`);
+    refreshConditions(spotId).catch(() => {});
+  }
+  return { response: cached, fromCache: true, cacheAge, stale };
+}
+
+/**
+ * Get conditions for a spot: cached when fresh, stale while a refresh runs,
+ * otherwise from a (shared) fresh scrape.
+ *
+ * @param {string} spotId - Spot identifier (must be valid)
+ * @param {Object} [options]
+ * @param {boolean} [options.refresh] - Skip the cache and wait for fresh data
+ * @param {function(Object)} [options.onProgress] - Scraper progress events (only when scraping)
+ * @returns {Promise<{ response: Object, fromCache: boolean, cacheAge: number|null, stale: boolean }>}
+ */
+async function getConditions(spotId, { refresh = false, onProgress } = {}) {
+  if (!refresh) {
+    const cached = await getCachedConditions(spotId);
+    if (cached) return cached;
+  } else {
+    noteRequest(spotId);
+  }
+
+  const response = await refreshConditions(spotId, { onProgress });
+  return { response, fromCache: false, cacheAge: null, stale: false };
+}
+
+/**
+ * Scrape, aggregate and score a spot, then cache and record the result.
+ * Joins the fetch already running for the spot, if any.
+ *
+ * @param {string} spotId - Spot identifier
+ * @param {Object} [options]
+ * @param {function(Object)} [options.onProgress] - Scraper progress events
+ * @returns {Promise<Object>} - Conditions response body
+ */
+function refreshConditions(spotId, { onProgress } = {}) {
+  let entry = inFlight.get(spotId);
+
+  if (!entry) {
+    const listeners = new Set();
+    const promise = computeConditions(spotId, progress => {
+      for (const listener of listeners) listener(progress);
+    }).finally(() => {
+      inFlight.delete(spotId);
+    });
+    entry = { promise, listeners };
+    inFlight.set(spotId, entry);
+  } else {
+    logger.info(`[Conditions] Joining in-flight fetch for ${spotId}`);
+  }
+
+  if (onProgress) {
+    entry.listeners.add(onProgress);
+    entry.promise.finally(() => entry.listeners.delete(onProgress)).catch(() => {});
+  }
+
+  return entry.promise;
+}
+
+async function computeConditions(spotId, onProgress) {
+  logger.info(`[Conditions] Fetching fresh data for ${spotId}`);
+  const rawData = await fetchSurfData(spotId, onProgress);
+
+  const { conditions: aggregated, report } = aggregateData(rawData, spotId);
+  // Weights tuned by the spot's surfer feedback
+  const scoringProfile = getScoringProfile(spotId);
+  // Pass source count for confidence scoring
+  const score = calculateSurfScore(aggregated, spotId, rawData.length, scoringProfile.weights);
+
+  // Trend analysis from hourly forecast data
+  const hourlyTimeline = aggregateHourlyData(rawData, spotId);
+  let trend = null;
+  try {
+    trend = generateTrend(hourlyTimeline, spotId, score.overall, scoringProfile.weights);
+  } catch (e) {
+    logger.warn(`[Conditions] Trend analysis failed for ${spotId}: ${e.message}`);
+  }
+
+  const response = {
+    spotId,
+    spotName: getSpotName(spotId),
+    timezone: getSpotTimezone(spotId),
+    timestamp: new Date().toISOString(),
+    score,
+    weights: scoringProfile.weights,
+    // What the browser applies a surfer's own feedback to
+    defaultWeights: WEIGHTS,
+    scoringProfile,
+    conditions: aggregated,
+    trend,
+    boardRecommendation: recommendBoard(aggregated, spotId),
+    sources: describeSources(rawData, report),
+    fromCache: false
+  };
+
+  // Kept past freshness so it can be served stale while refreshing
+  await cache.set(cacheKey(spotId), response, STALE_TTL_SECONDS);
+  recordConditions(spotId, { conditions: aggregated, score, sources: rawData, timestamp: response.timestamp });
+
+  return response;
+}
+
+function noteRequest(spotId) {
+  const bucket = Math.floor(Date.now() / POPULARITY_BUCKET_MS);
+  let buckets = requestLog.get(spotId);
+  if (!buckets) {
+    buckets = new Map();
+    requestLog.set(spotId, buckets);
+  }
+  buckets.set(bucket, (buckets.get(bucket) || 0) + 1);
+}
+
+/**
+ * Spots requested most often within the popularity window
+ *
+ * @param {number} [limit] - Max spots
+ * @returns {string[]}
+ */
+function getPopularSpots(limit = PREFETCH_SPOT_LIMIT) {
+  // Minutes that overlap the window count in full
+  const oldest = Math.floor((Date.now() - POPULARITY_WINDOW_MS) / POPULARITY_BUCKET_MS);
+  const counts = [];
+  for (const [spotId, buckets] of requestLog) {
+    let count = 0;
+    for (const [bucket, n] of buckets) {
+      if (bucket < oldest) buckets.delete(bucket);
+      else count += n;
+    }
+    if (count === 0) {
+      requestLog.delete(spotId);
+      continue;
+    }
+    counts.push({ spotId, count });
+  }
+  return counts
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit)
+    .map(c => c.spotId);
+}
+
+/**
+ * Refresh popular spots whose cached result is about to go stale.
+ * Runs one spot at a time to keep the scraping load flat.
+ *
+ * @returns {Promise<number>} - Number of spots refreshed
+ */
+async function prefetchPopularSpots() {
+  let refreshed = 0;
+  for (const spotId of getPopularSpots()) {
+    const cached = await cache.get(cacheKey(spotId));
+    if (cached && ageSeconds(cached) < PREFETCH_AFTER_SECONDS) continue;
+    try {
+      await refreshConditions(spotId);
+      refreshed++;
+    } catch (error) {
+      logger.warn(`[Conditions] Background refresh failed for ${spotId}: ${error.message}`);
+    }
+  }
+  if (refreshed > 0) logger.info(`[Conditions] Background-refreshed ${refreshed} popular spot(s)`);
+  return refreshed;
+}
+
+/**
+ * Start proactively refreshing popular spots
+ */
+function startBackgroundRefresh() {
+  logger.info(`[Conditions] Background refresh started (top ${PREFETCH_SPOT_LIMIT} spots)`);
+  intervalHandle = setInterval(() => {
+    prefetchPopularSpots().catch(error => logger.error(`[Conditions] Background refresh cycle failed: ${error.message}`));
+  }, PREFETCH_INTERVAL_MS);
+}
+
+/**
+ * Stop the background refresh (for graceful shutdown)
+ */
+function stopBackgroundRefresh() {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+    logger.info('[Conditions] Background refresh stopped');
+  }
+}
+
+/**
+ * Drop a spot's cached conditions, e.g. after its location or optimal
+ * conditions changed, so the next request scores it afresh
+ */
+async function invalidateConditions(spotId) {
+  await cache.del(cacheKey(spotId));
+}
+
+module.exports = {
+  FRESH_TTL_SECONDS,
+  STALE_TTL_SECONDS,
+  getConditions,
+  getCachedConditions,
+  refreshConditions,
+  invalidateConditions,
+  getPopularSpots,
+  prefetchPopularSpots,
+  startBackgroundRefresh,
+  stopBackgroundRefresh
+};
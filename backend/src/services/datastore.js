@@ -0,0 +1,257 @@
+/**
+ * Datastore — the app's own mutable state (push and email subscriptions,
+ * delivery reports, map-discovered spots and their ID aliases, surfer
+ * feedback, logged sessions, spot edit proposals, synced quivers) in one
+ * SQLite database under the data dir.
+ *
+ * The JSON files these used to live in are imported once, on first open, and
+ * renamed to *.migrated so the import never runs twice. Writes go through
+ * SQLite transactions, so concurrent requests (and processes sharing
+ * PERSISTENT_DATA_DIR on one host) no longer overwrite each other. Instances
+ * on different hosts cannot share the file safely (utils/sqlite.js): on a GCS
+ * FUSE mount, deploy a single instance.
+ */
+const fs = require('fs');
+const { openDatabase } = require('../utils/sqlite');
+const { resolve } = require('../utils/dataPath');
+const logger = require('../utils/logger');
+
+const DB_FILE = 'datastore.sqlite';
+
+const MIGRATIONS = [
+  `
+  CREATE TABLE push_subscriptions (
+    id TEXT PRIMARY KEY,
+    endpoint TEXT NOT NULL,
+    spot_id TEXT NOT NULL,
+    type TEXT,
+    token TEXT,
+    keys TEXT,
+    threshold INTEGER NOT NULL,
+    rules TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    last_notified_at TEXT,
+    last_notified_block TEXT
+  );
+  CREATE INDEX idx_push_subscriptions_endpoint ON push_subscriptions (endpoint);
+  CREATE INDEX idx_push_subscriptions_spot ON push_subscriptions (spot_id);
+
+  CREATE TABLE user_spots (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    lat REAL NOT NULL,
+    lon REAL NOT NULL,
+    country TEXT NOT NULL DEFAULT '',
+    region TEXT NOT NULL DEFAULT '',
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE spot_feedback (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    spot_id TEXT NOT NULL,
+    text TEXT NOT NULL,
+    multipliers TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_spot_feedback_spot ON spot_feedback (spot_id, id);
+  `,
+  `
+  CREATE TABLE push_delivery_reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    started_at TEXT NOT NULL,
+    report TEXT NOT NULL
+  );
+  `,
+  `
+  CREATE TABLE push_digests (
+    endpoint TEXT PRIMARY KEY,
+    hour INTEGER NOT NULL,
+    timezone TEXT NOT NULL,
+    last_sent_date TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  `,
+  `
+  CREATE TABLE email_subscriptions (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL,
+    spot_id TEXT NOT NULL,
+    threshold INTEGER NOT NULL,
+    rules TEXT,
+    confirmed_at TEXT,
+    created_at TEXT NOT NULL,
+    last_notified_at TEXT,
+    last_notified_block TEXT
+  );
+  CREATE INDEX idx_email_subscriptions_email ON email_subscriptions (email);
+  CREATE INDEX idx_email_subscriptions_spot ON email_subscriptions (spot_id);
+  `,
+  `
+  CREATE TABLE surf_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    device_id TEXT NOT NULL,
+    spot_id TEXT NOT NULL,
+    started_at TEXT NOT NULL,
+    ended_at TEXT NOT NULL,
+    rating INTEGER NOT NULL,
+    notes TEXT,
+    score INTEGER,
+    score_rating TEXT,
+    breakdown TEXT,
+    conditions TEXT,
+    snapshot_at TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_surf_sessions_device ON surf_sessions (device_id, started_at);
+  CREATE INDEX idx_surf_sessions_spot ON surf_sessions (spot_id, started_at);
+  `,
+  `
+  CREATE TABLE spot_edits (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    spot_id TEXT NOT NULL,
+    changes TEXT NOT NULL,
+    previous TEXT NOT NULL,
+    reason TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    review_note TEXT,
+    created_at TEXT NOT NULL,
+    reviewed_at TEXT
+  );
+  CREATE INDEX idx_spot_edits_spot ON spot_edits (spot_id, id);
+  CREATE INDEX idx_spot_edits_status ON spot_edits (status, id);
+  `,
+  `
+  CREATE TABLE spot_aliases (
+    alias TEXT PRIMARY KEY,
+    spot_id TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX idx_spot_aliases_spot ON spot_aliases (spot_id);
+  `,
+  `
+  CREATE TABLE quivers (
+    device_id TEXT PRIMARY KEY,
+    boards TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  `,
+  `
+  ALTER TABLE spot_feedback ADD COLUMN contributor TEXT;
+  `,
+  `
+  ALTER TABLE surf_sessions ADD COLUMN contributor TEXT;
+  `,
+  `
+  CREATE TABLE legacy_imports (
+    file TEXT PRIMARY KEY,
+    imported_at TEXT NOT NULL
+  );
+  `
+];
+
+// Legacy JSON file → importer, run inside one transaction per file
+const LEGACY_IMPORTS = {
+  'pushSubscriptions.json': (db, subs) => {
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO push_subscriptions (
+        id, endpoint, spot_id, type, token, keys, threshold, rules,
+        created_at, updated_at, last_notified_at, last_notified_block
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const s of subs) {
+      const now = new Date().toISOString();
+      insert.run(
+        s.id, s.endpoint, s.spotId, s.type || null, s.token || null,
+        s.keys ? JSON.stringify(s.keys) : null, s.threshold,
+        s.rules ? JSON.stringify(s.rules) : null,
+        s.createdAt || now, s.updatedAt || now, s.lastNotifiedAt || null, s.lastNotifiedBlock || null
+      );
+    }
+    return subs.length;
+  },
+  'userSpots.json': (db, spots) => {
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO user_spots (id, name, lat, lon, country, region, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    for (const s of spots) {
+      insert.run(s.id, s.name, s.lat, s.lon, s.country || '', s.region || '', s.createdAt || new Date().toISOString());
+    }
+    return spots.length;
+  },
+  'spotFeedback.json': (db, bySpot) => {
+    const insert = db.prepare(`
+      INSERT INTO spot_feedback (spot_id, text, multipliers, created_at) VALUES (?, ?, ?, ?)
+    `);
+    let count = 0;
+    for (const [spotId, entries] of Object.entries(bySpot)) {
+      for (const e of entries) {
+        insert.run(spotId, e.text, JSON.stringify(e.multipliers || {}), e.timestamp || new Date().toISOString());
+        count++;
+      }
+    }
+    return count;
+  },
+  'quivers.json': (db, byDevice) => {
+    const insert = db.prepare(`
+      INSERT OR IGNORE INTO quivers (device_id, boards, updated_at) VALUES (?, ?, ?)
+    `);
+    const entries = Object.entries(byDevice);
+    for (const [deviceId, q] of entries) {
+      insert.run(deviceId, JSON.stringify(q.boards || []), q.updatedAt || new Date().toISOString());
+    }
+    return entries.length;
+  }
+};
+
+let legacyChecked = false;
+
+/**
+ * The datastore database, migrated to the latest schema with legacy JSON imported
+ *
+ * @returns {import('better-sqlite3').Database}
+ */
+function getDatastore() {
+  const db = openDatabase(DB_FILE, MIGRATIONS);
+  if (!legacyChecked) {
+    legacyChecked = true;
+    importLegacyFiles(db);
+  }
+  return db;
+}
+
+/**
+ * Import each legacy file that is still in place. A file is recorded as
+ * imported in the same transaction as its rows, so one whose rename failed
+ * is only set aside on the next start, not imported twice.
+ */
+function importLegacyFiles(db) {
+  const isImported = db.prepare('SELECT 1 FROM legacy_imports WHERE file = ?');
+  const markImported = db.prepare('INSERT INTO legacy_imports (file, imported_at) VALUES (?, ?)');
+
+  for (const [file, importer] of Object.entries(LEGACY_IMPORTS)) {
+    const filePath = resolve(file);
+    if (!fs.existsSync(filePath)) continue;
+
+    try {
+      if (!isImported.get(file)) {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const count = db.transaction(() => {
+          const imported = importer(db, data);
+          markImported.run(file, new Date().toISOString());
+          return imported;
+        })();
+        logger.info(`[Datastore] Imported ${count} record(s) from ${file}`);
+      }
+      fs.renameSync(filePath, `${filePath}.migrated`);
+    } catch (e) {
+      // Leave the file in place so the next start retries
+      logger.error(`[Datastore] Failed to import ${file}: ${e.message}`);
+    }
+  }
+}
+
+module.exports = { getDatastore };
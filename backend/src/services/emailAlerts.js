@@ -0,0 +1,281 @@
+/**
+ * Email alerts — the same threshold/rules evaluation as push alerts, sent as
+ * an HTML email with the spot's score, trend blocks and board pick.
+ *
+ * Subscriptions are double opt-in: a confirmation email goes out first and
+ * nothing else is sent until its link is clicked. Every alert carries a
+ * signed one-click unsubscribe link (also in the List-Unsubscribe header).
+ * Needs EMAIL_TOKEN_SECRET and a configured email transport (see emailSender).
+ */
+const { getSpotName } = require('../config/spots');
+const {
+  signToken,
+  upsertPending,
+  getConfirmedGroupedBySpot,
+  markNotified,
+  prunePending
+} = require('./emailSubscriptions');
+const { findMatchingBlock, isQuietTime } = require('./alertRules');
+const { getConditionsForSpot } = require('./pushNotifier');
+const { sendEmail, isConfigured } = require('./emailSender');
+const logger = require('../utils/logger');
+
+const CHECK_INTERVAL_MS = 30 * 60 * 1000; // 30 minutes
+const COOLDOWN_MS = 6 * 60 * 60 * 1000; // 6 hours, as for push
+const PENDING_MAX_AGE_MS = 48 * 60 * 60 * 1000;
+const FROM_NAME = 'Should I Go Surf';
+
+const RATING_COLORS = {
+  EPIC: '#7c3aed',
+  GREAT: '#059669',
+  GOOD: '#16a34a',
+  FAIR: '#d97706'
+};
+
+let intervalHandle = null;
+
+// Alerts need a signing secret, a sender address and a transport to send with
+function isEnabled() {
+  return !!process.env.EMAIL_TOKEN_SECRET && !!fromAddress() && isConfigured();
+}
+
+function fromAddress() {
+  return process.env.EMAIL_FROM || process.env.REPORT_FROM_EMAIL;
+}
+
+function apiOrigin() {
+  return process.env.API_ORIGIN || 'https://api.shouldigo.surf';
+}
+
+function frontendOrigin() {
+  return process.env.FRONTEND_URL || 'https://shouldigo.surf';
+}
+
+/**
+ * Signed confirm/unsubscribe link for a subscription
+ */
+function linkFor(purpose, id) {
+  return `${apiOrigin()}/api/email-alerts/${purpose}?id=${id}&token=${signToken(purpose, id)}`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function formatMetric(value, unit) {
+  return value == null ? '—' : `${Math.round(value * 10) / 10}${unit}`;
+}
+
+function layout(title, content, footer) {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"></head>
+<body style="margin:0;padding:0;background:#f1f5f9;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif">
+  <div style="max-width:600px;margin:0 auto;padding:24px">
+    <div style="background:#1e40af;color:white;padding:20px 24px;border-radius:12px 12px 0 0">
+      <h1 style="margin:0;font-size:20px">🏄 ${title}</h1>
+    </div>
+    <div style="background:white;padding:24px;border-radius:0 0 12px 12px">
+      ${content}
+    </div>
+    <p style="text-align:center;color:#94a3b8;font-size:12px;margin-top:16px">${footer}</p>
+  </div>
+</body>
+</html>`;
+}
+
+function button(href, label) {
+  return `<a href="${escapeHtml(href)}" style="display:inline-block;background:#1e40af;color:white;text-decoration:none;padding:12px 20px;border-radius:8px;font-weight:600">${label}</a>`;
+}
+
+/**
+ * Confirmation email asking the subscriber to opt in
+ */
+function buildConfirmationHtml(sub) {
+  const spotName = escapeHtml(getSpotName(sub.spotId));
+  return layout(
+    'Confirm your surf alerts',
+    `<p style="margin:0 0 16px">Someone (hopefully you) asked for surf alerts for <strong>${spotName}</strong> when conditions reach ${sub.threshold}/100.</p>
+      <p style="margin:0 0 24px">${button(linkFor('confirm', sub.id), 'Confirm alerts')}</p>
+      <p style="margin:0;color:#64748b;font-size:13px">If this wasn't you, ignore this email — nothing will be sent unless you confirm.</p>`,
+    'shouldigo.surf email alerts'
+  );
+}
+
+/**
+ * Alert email for one matching block
+ *
+ * @param {Object} sub - Confirmed subscription
+ * @param {{ score, trend, board }} data - From getConditionsForSpot
+ * @param {Object} block - The block that triggered the alert
+ * @returns {string} HTML
+ */
+function buildAlertHtml(sub, data, block) {
+  const spotName = escapeHtml(getSpotName(sub.spotId));
+  const color = RATING_COLORS[block.rating] || '#475569';
+
+  const blockRows = data.trend.blocks.map(b => {
+    const highlight = b.label === block.label ? 'background:#eff6ff;font-weight:600;' : '';
+    return `<tr style="${highlight}">
+        <td style="padding:8px 12px;border-bottom:1px solid #f0f0f0">${escapeHtml(b.label)}</td>
+        <td style="padding:8px 12px;text-align:right;border-bottom:1px solid #f0f0f0">${b.score}/100</td>
+        <td style="padding:8px 12px;border-bottom:1px solid #f0f0f0">${escapeHtml(b.rating)}</td>
+        <td style="padding:8px 12px;text-align:right;border-bottom:1px solid #f0f0f0">${formatMetric(b.waveHeight, 'm')} @ ${formatMetric(b.period, 's')}</td>
+        <td style="padding:8px 12px;text-align:right;border-bottom:1px solid #f0f0f0">${formatMetric(b.windSpeed, ' km/h')}</td>
+      </tr>`;
+  }).join('');
+
+  const boardHtml = data.board?.boardName
+    ? `<table style="width:100%;border-collapse:collapse;margin-bottom:24px;background:#f8fafc;border-radius:8px">
+        <tr><td style="padding:12px">
+          <div style="font-size:13px;color:#64748b">Board for today</div>
+          <div style="font-size:16px;font-weight:700">${escapeHtml(data.board.boardName)}</div>
+          ${data.board.reason ? `<div style="font-size:13px;margin-top:4px">${escapeHtml(data.board.reason)}</div>` : ''}
+        </td></tr>
+      </table>`
+    : '';
+
+  const content = `
+      <p style="margin:0 0 8px;font-size:14px;color:#64748b">${spotName} · ${escapeHtml(block.label)}</p>
+      <p style="margin:0 0 4px;font-size:36px;font-weight:700;color:${color}">${block.score}/100</p>
+      <p style="margin:0 0 16px;font-size:16px;font-weight:600;color:${color}">${escapeHtml(block.rating)}</p>
+      <p style="margin:0 0 24px;font-size:13px;color:#64748b">Right now: ${data.score}/100${data.trend.message ? ` — ${escapeHtml(data.trend.message)}` : ''}</p>
+      <table style="width:100%;border-collapse:collapse;margin-bottom:24px">
+        <tr style="background:#f8fafc">
+          <th style="padding:10px 12px;text-align:left;border-bottom:2px solid #e2e8f0;font-size:13px;color:#64748b">When</th>
+          <th style="padding:10px 12px;text-align:right;border-bottom:2px solid #e2e8f0;font-size:13px;color:#64748b">Score</th>
+          <th style="padding:10px 12px;text-align:left;border-bottom:2px solid #e2e8f0;font-size:13px;color:#64748b">Rating</th>
+          <th style="padding:10px 12px;text-align:right;border-bottom:2px solid #e2e8f0;font-size:13px;color:#64748b">Swell</th>
+          <th style="padding:10px 12px;text-align:right;border-bottom:2px solid #e2e8f0;font-size:13px;color:#64748b">Wind</th>
+        </tr>
+        ${blockRows}
+      </table>
+      ${boardHtml}
+      <p style="margin:0">${button(`${frontendOrigin()}/?spot=${encodeURIComponent(sub.spotId)}`, 'See the full forecast')}</p>`;
+
+  return layout(
+    `${escapeHtml(block.rating)} conditions coming`,
+    content,
+    `You get this because you subscribed to ${spotName} alerts. <a href="${escapeHtml(linkFor('unsubscribe', sub.id))}" style="color:#94a3b8">Unsubscribe</a>`
+  );
+}
+
+function unsubscribeHeaders(id) {
+  return {
+    'List-Unsubscribe': `<${linkFor('unsubscribe', id)}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+  };
+}
+
+/**
+ * Store a pending subscription and send its confirmation email, unless one
+ * went out for it within the last hour (emailSubscriptions CONFIRMATION_RESEND_MS)
+ *
+ * @returns {Promise<'pending'|'confirmed'>} - 'confirmed' when it was already active (no email sent)
+ */
+async function requestSubscription(email, spotId, threshold, rules = null) {
+  const { subscription, status, confirmationDue } = upsertPending(email, spotId, threshold, rules);
+  if (!confirmationDue) return status;
+
+  await sendEmail({
+    to: email,
+    from: fromAddress(),
+    fromName: FROM_NAME,
+    subject: `Confirm your surf alerts for ${getSpotName(spotId)}`,
+    html: buildConfirmationHtml(subscription)
+  });
+  logger.info(`[Email] Confirmation sent for ${subscription.id} (${spotId})`);
+  return status;
+}
+
+/**
+ * Run one email alert cycle
+ *
+ * @returns {Promise<{ spots, subscriptions, sent, failed }|null>} - null when nobody is subscribed
+ */
+async function checkAndEmail() {
+  const pruned = prunePending(PENDING_MAX_AGE_MS);
+  if (pruned > 0) logger.info(`[Email] Pruned ${pruned} unconfirmed alert subscription(s)`);
+
+  const grouped = getConfirmedGroupedBySpot();
+  const spotIds = Object.keys(grouped);
+  if (spotIds.length === 0) return null;
+
+  logger.info(`[Email] Starting alert check cycle — ${spotIds.length} spot(s)`);
+  const result = { spots: spotIds.length, subscriptions: 0, sent: 0, failed: 0 };
+
+  for (const spotId of spotIds) {
+    const subscribers = grouped[spotId];
+    result.subscriptions += subscribers.length;
+    const data = await getConditionsForSpot(spotId);
+    if (!data?.trend?.blocks?.length) continue;
+
+    for (const sub of subscribers) {
+      if (sub.lastNotifiedAt && Date.now() - new Date(sub.lastNotifiedAt).getTime() < COOLDOWN_MS) continue;
+      if (isQuietTime(sub.rules, new Date(), data.trend.timezone)) continue;
+
+      const block = findMatchingBlock(data.trend.blocks, sub, spotId);
+      if (!block) continue;
+
+      try {
+        await sendEmail({
+          to: sub.email,
+          from: fromAddress(),
+          fromName: FROM_NAME,
+          subject: `${block.rating} at ${getSpotName(spotId)}: ${block.label} — ${block.score}/100`,
+          html: buildAlertHtml(sub, data, block),
+          headers: unsubscribeHeaders(sub.id)
+        });
+        markNotified(sub.id, block.label);
+        result.sent++;
+      } catch (e) {
+        logger.error(`[Email] Alert failed for ${sub.id}: ${e.response?.data?.error?.message || e.message}`);
+        result.failed++;
+      }
+    }
+  }
+
+  logger.info(`[Email] Alert check cycle complete — sent ${result.sent}, failed ${result.failed}`);
+  return result;
+}
+
+/**
+ * Start the email alert scheduler (no-op unless email alerts are enabled).
+ */
+function startEmailAlertScheduler() {
+  if (!isEnabled()) {
+    logger.info('[Email] EMAIL_TOKEN_SECRET, sender address or email transport not configured — email alerts disabled');
+    return;
+  }
+
+  logger.info(`[Email] Alert scheduler started (interval: ${CHECK_INTERVAL_MS / 60000}min)`);
+  intervalHandle = setInterval(() => {
+    checkAndEmail().catch(e => logger.error(`[Email] Cycle error: ${e.message}`));
+  }, CHECK_INTERVAL_MS);
+}
+
+/**
+ * Stop the scheduler (for graceful shutdown).
+ */
+function stopEmailAlertScheduler() {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+}
+
+module.exports = {
+  isEnabled,
+  escapeHtml,
+  buildConfirmationHtml,
+  buildAlertHtml,
+  requestSubscription,
+  checkAndEmail,
+  startEmailAlertScheduler,
+  stopEmailAlertScheduler
+};
@@ -2,13 +2,18 @@ const axios = require('axios');
 const logger = require('../utils/logger');
 
 /**
- * Send email via Gmail API over HTTPS (no SMTP needed).
- * Uses OAuth2 client credentials + refresh token.
+ * Send email through one of two transports:
+ *   - gmail: Gmail API over HTTPS with OAuth2 client credentials + refresh token
+ *     (GMAIL_CLIENT_ID, GMAIL_CLIENT_SECRET, GMAIL_REFRESH_TOKEN)
+ *   - smtp:  any SMTP server via nodemailer, for self-hosting
+ *     (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
  *
- * Required env vars:
- *   GMAIL_CLIENT_ID, GMAIL_CLIENT_SECRET, GMAIL_REFRESH_TOKEN
+ * EMAIL_TRANSPORT picks one explicitly; otherwise Gmail is used when its
+ * credentials are set, then SMTP when SMTP_HOST is.
  */
 
+let smtpTransport = null;
+
 let accessToken = null;
 let tokenExpiresAt = 0;
 
@@ -31,10 +36,46 @@ async function getAccessToken() {
   return accessToken;
 }
 
-function isConfigured() {
+function isGmailConfigured() {
   return !!(process.env.GMAIL_CLIENT_ID && process.env.GMAIL_CLIENT_SECRET && process.env.GMAIL_REFRESH_TOKEN);
 }
 
+/**
+ * The transport mail goes out through, or null when none is configured
+ *
+ * @returns {'gmail'|'smtp'|null}
+ */
+function getTransport() {
+  const explicit = process.env.EMAIL_TRANSPORT;
+  if (explicit === 'gmail') return isGmailConfigured() ? 'gmail' : null;
+  if (explicit === 'smtp') return process.env.SMTP_HOST ? 'smtp' : null;
+  if (isGmailConfigured()) return 'gmail';
+  if (process.env.SMTP_HOST) return 'smtp';
+  return null;
+}
+
+function isConfigured() {
+  return getTransport() !== null;
+}
+
+function getSmtpTransport() {
+  if (smtpTransport) return smtpTransport;
+  let nodemailer;
+  try {
+    nodemailer = require('nodemailer');
+  } catch (e) {
+    throw new Error('nodemailer not installed — SMTP transport unavailable');
+  }
+  const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+  smtpTransport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+  return smtpTransport;
+}
+
 function formatNumber(n) {
   if (n == null) return '—';
   const num = parseFloat(n);
@@ -233,12 +274,13 @@ function buildHtml(report) {
 /**
  * Build RFC 2822 email and base64url encode it for Gmail API
  */
-function buildRawEmail(to, from, subject, html) {
+function buildRawEmail(to, from, subject, html, { fromName = 'SIG Monitor', headers = {} } = {}) {
   const boundary = 'boundary_' + Date.now();
   const raw = [
-    `From: "SIG Monitor" <${from}>`,
+    `From: "${fromName}" <${from}>`,
     `To: ${to}`,
     `Subject: =?UTF-8?B?${Buffer.from(subject).toString('base64')}?=`,
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${value}`),
     `MIME-Version: 1.0`,
     `Content-Type: multipart/alternative; boundary="${boundary}"`,
     '',
@@ -257,9 +299,51 @@ function buildRawEmail(to, from, subject, html) {
     .replace(/=+$/, '');
 }
 
+/**
+ * Send one HTML email through the configured transport
+ *
+ * @param {Object} message
+ * @param {string} message.to - Recipient address
+ * @param {string} message.from - Sender address
+ * @param {string} message.subject
+ * @param {string} message.html
+ * @param {string} [message.fromName] - Display name for the sender
+ * @param {Object} [message.headers] - Extra headers (e.g. List-Unsubscribe)
+ * @returns {Promise<'gmail'|'smtp'>} - The transport used
+ */
+async function sendEmail({ to, from, subject, html, fromName, headers = {} }) {
+  const transport = getTransport();
+  if (!transport) {
+    throw new Error('No email transport configured');
+  }
+
+  if (transport === 'smtp') {
+    await getSmtpTransport().sendMail({
+      from: fromName ? `"${fromName}" <${from}>` : from,
+      to,
+      subject,
+      html,
+      headers
+    });
+    return transport;
+  }
+
+  const token = await getAccessToken();
+  const raw = buildRawEmail(to, from, subject, html, { fromName, headers });
+  await axios.post(
+    'https://gmail.googleapis.com/gmail/v1/users/me/messages/send',
+    { raw },
+    {
+      headers: { Authorization: `Bearer ${token}` },
+      timeout: 15000,
+    }
+  );
+  return transport;
+}
+
 async function sendDailyReport(report) {
   if (!isConfigured()) {
-    throw new Error('Gmail OAuth not configured');
+    throw new Error('Email transport not configured');
   }
 
   const alertCount = report.alerts.length;
@@ -274,22 +358,12 @@ async function sendDailyReport(report) {
   }
 
   try {
-    const token = await getAccessToken();
-    const raw = buildRawEmail(recipient, from, subject, buildHtml(report));
-
-    await axios.post(
-      'https://gmail.googleapis.com/gmail/v1/users/me/messages/send',
-      { raw },
-      {
-        headers: { Authorization: `Bearer ${token}` },
-        timeout: 15000,
-      }
-    );
+    const provider = await sendEmail({ to: recipient, from, subject, html: buildHtml(report) });
 
     logger.info(`[Email] Daily report sent successfully`);
     return {
       status: 'sent',
-      provider: 'gmail',
+      provider,
       recipient,
       sentAt: new Date().toISOString(),
       subject,
@@ -301,4 +375,4 @@ async function sendDailyReport(report) {
   }
 }
 
-module.exports = { sendDailyReport };
+module.exports = { sendDailyReport, sendEmail, isConfigured, getTransport };
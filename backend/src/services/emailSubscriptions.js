@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const { getDatastore } = require('./datastore');
+
+/**
+ * Email alert subscriptions (double opt-in).
+ * A subscription is pending until its confirmation link is clicked; only
+ * confirmed ones receive alerts. Links carry an HMAC of the subscription ID
+ * signed with EMAIL_TOKEN_SECRET, so no token needs to be stored.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_EMAIL_LENGTH = 254;
+// A pending subscription's confirmation email is sent again at most this often
+const CONFIRMATION_RESEND_MS = 60 * 60 * 1000;
+
+// ID of a new subscription
+function makeId(email, spotId) {
+  return crypto.createHash('sha256').update(`email:${email}:${spotId}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * Lower-cased, trimmed address, or null if it doesn't look like one
+ */
+function normalizeEmail(email) {
+  if (typeof email !== 'string') return null;
+  const normalized = email.trim().toLowerCase();
+  if (normalized.length > MAX_EMAIL_LENGTH || !EMAIL_PATTERN.test(normalized)) return null;
+  return normalized;
+}
+
+/**
+ * HMAC token for a subscription link ('confirm' or 'unsubscribe')
+ */
+function signToken(purpose, id) {
+  const secret = process.env.EMAIL_TOKEN_SECRET;
+  if (!secret) throw new Error('EMAIL_TOKEN_SECRET not configured');
+  return crypto.createHmac('sha256', secret).update(`${purpose}:${id}`).digest('base64url');
+}
+
+function verifyToken(purpose, id, token) {
+  if (typeof id !== 'string' || typeof token !== 'string' || !process.env.EMAIL_TOKEN_SECRET) return false;
+  const expected = Buffer.from(signToken(purpose, id));
+  const given = Buffer.from(token);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    spotId: row.spot_id,
+    threshold: row.threshold,
+    rules: row.rules ? JSON.parse(row.rules) : null,
+    confirmedAt: row.confirmed_at,
+    createdAt: row.created_at,
+    lastNotifiedAt: row.last_notified_at,
+    lastNotifiedBlock: row.last_notified_block
+  };
+}
+
+/**
+ * Create or refresh a pending subscription. A confirmed one is left untouched —
+ * to change its settings, unsubscribe and subscribe again.
+ *
+ * created_at is when the last confirmation email went out: a pending
+ * subscription requested again within CONFIRMATION_RESEND_MS keeps it, and
+ * comes back with confirmationDue false so no second email is sent.
+ *
+ * @returns {{ subscription: Object, status: 'pending'|'confirmed', confirmationDue: boolean }}
+ */
+function upsertPending(email, spotId, threshold, rules = null) {
+  const db = getDatastore();
+
+  return db.transaction(() => {
+    const existing = db.prepare('SELECT * FROM email_subscriptions WHERE email = ? AND spot_id = ?').get(email, spotId);
+    if (existing?.confirmed_at) {
+      return { subscription: fromRow(existing), status: 'confirmed', confirmationDue: false };
+    }
+
+    const now = new Date();
+    const rulesJson = rules ? JSON.stringify(rules) : null;
+    if (!existing) {
+      const id = makeId(email, spotId);
+      db.prepare(`
+        INSERT INTO email_subscriptions (id, email, spot_id, threshold, rules, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(id, email, spotId, threshold, rulesJson, now.toISOString());
+      return { subscription: getById(id), status: 'pending', confirmationDue: true };
+    }
+
+    const confirmationDue = now - new Date(existing.created_at) >= CONFIRMATION_RESEND_MS;
+    db.prepare('UPDATE email_subscriptions SET threshold = ?, rules = ?, created_at = ? WHERE id = ?')
+      .run(threshold, rulesJson, confirmationDue ? now.toISOString() : existing.created_at, existing.id);
+    return { subscription: getById(existing.id), status: 'pending', confirmationDue };
+  })();
+}
+
+function getById(id) {
+  const row = getDatastore().prepare('SELECT * FROM email_subscriptions WHERE id = ?').get(id);
+  return row ? fromRow(row) : null;
+}
+
+/**
+ * All subscriptions (pending and confirmed) for an address
+ */
+function getByEmail(email) {
+  return getDatastore()
+    .prepare('SELECT * FROM email_subscriptions WHERE email = ? ORDER BY created_at')
+    .all(email)
+    .map(fromRow);
+}
+
+/**
+ * Confirm a pending subscription
+ *
+ * @returns {Object|null} - The subscription, or null if it no longer exists
+ */
+function confirmSubscription(id) {
+  getDatastore()
+    .prepare('UPDATE email_subscriptions SET confirmed_at = ? WHERE id = ? AND confirmed_at IS NULL')
+    .run(new Date().toISOString(), id);
+  return getById(id);
+}
+
+/**
+ * Confirmed subscriptions grouped by spotId for batch processing.
+ */
+function getConfirmedGroupedBySpot() {
+  const rows = getDatastore()
+    .prepare('SELECT * FROM email_subscriptions WHERE confirmed_at IS NOT NULL ORDER BY spot_id, created_at')
+    .all();
+  const grouped = {};
+  for (const sub of rows.map(fromRow)) {
+    if (!grouped[sub.spotId]) grouped[sub.spotId] = [];
+    grouped[sub.spotId].push(sub);
+  }
+  return grouped;
+}
+
+function markNotified(id, blockLabel) {
+  getDatastore()
+    .prepare('UPDATE email_subscriptions SET last_notified_at = ?, last_notified_block = ? WHERE id = ?')
+    .run(new Date().toISOString(), blockLabel, id);
+}
+
+function removeById(id) {
+  return getDatastore().prepare('DELETE FROM email_subscriptions WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Move the subscriptions stored under one spot ID to another (an ID that is
+ * now an alias). IDs stay, so links in emails already sent keep working; an
+ * address already subscribed under the new ID keeps that subscription.
+ *
+ * @returns {number} - Subscriptions moved
+ */
+function moveSubscriptions(fromSpotId, toSpotId) {
+  const db = getDatastore();
+  return db.transaction(() => {
+    db.prepare(`
+      DELETE FROM email_subscriptions
+      WHERE spot_id = ? AND email IN (SELECT email FROM email_subscriptions WHERE spot_id = ?)
+    `).run(fromSpotId, toSpotId);
+    return db.prepare('UPDATE email_subscriptions SET spot_id = ? WHERE spot_id = ?').run(toSpotId, fromSpotId).changes;
+  })();
+}
+
+/**
+ * Drop pending subscriptions whose confirmation link was never clicked
+ *
+ * @returns {number} - Rows removed
+ */
+function prunePending(maxAgeMs) {
+  const cutoff = new Date(Date.now() - maxAgeMs).toISOString();
+  return getDatastore()
+    .prepare('DELETE FROM email_subscriptions WHERE confirmed_at IS NULL AND created_at < ?')
+    .run(cutoff).changes;
+}
+
+module.exports = {
+  normalizeEmail,
+  signToken,
+  verifyToken,
+  upsertPending,
+  getById,
+  getByEmail,
+  confirmSubscription,
+  getConfirmedGroupedBySpot,
+  markNotified,
+  removeById,
+  moveSubscriptions,
+  prunePending
+};
@@ -0,0 +1,130 @@
+const { fetchForecastData, aggregateHourlyData } = require('./scraper');
+const { calculateSurfScore, getRating } = require('./scoring');
+const { scoreBlock, DAY_BLOCKS } = require('./trend');
+const { getScoringProfile } = require('./scoringProfile');
+const { getSpotName, getSpotTimezone } = require('../config/spots');
+const { getLocalParts, addDays } = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+const DEFAULT_FORECAST_DAYS = 7;
+const MAX_FORECAST_DAYS = 16;
+
+// Daily summaries only look at hours someone would actually surf
+const DAYLIGHT_START = DAY_BLOCKS[0].startHour;
+const DAYLIGHT_END = DAY_BLOCKS[DAY_BLOCKS.length - 1].endHour;
+
+/**
+ * Build a multi-day forecast: scored hourly conditions, scored blocks per day
+ * and a daily summary (best block, peak score, dominant swell).
+ *
+ * @param {string} spotId - Spot identifier
+ * @param {number} days - Number of days including today (1-16)
+ * @returns {Promise<Object>} - Forecast response body
+ */
+async function buildForecast(spotId, days = DEFAULT_FORECAST_DAYS) {
+  const rawData = await fetchForecastData(spotId, days);
+  const timeline = aggregateHourlyData(rawData, spotId);
+  const scoringProfile = getScoringProfile(spotId);
+  const { weights } = scoringProfile;
+
+  const timezone = getSpotTimezone(spotId);
+  const { date: todayStr, hour: currentHour } = getLocalParts(new Date(), timezone);
+  const lastDay = addDays(todayStr, days - 1);
+  const currentKey = `${todayStr}T${String(currentHour).padStart(2, '0')}:00`;
+
+  const hourly = timeline
+    .filter(h => h.time >= currentKey && h.time.substring(0, 10) <= lastDay)
+    .map(h => {
+      const score = calculateSurfScore(h, spotId, rawData.length, weights);
+      return { ...h, score: score.overall, rating: score.rating };
+    });
+
+  const daily = [];
+  for (let i = 0; i < days; i++) {
+    const date = addDays(todayStr, i);
+    const summary = summarizeDay(hourly, timeline, date, spotId, rawData.length, i === 0 ? currentHour : -1, weights);
+    if (summary) daily.push(summary);
+  }
+
+  logger.info(`[Forecast] ${spotId}: ${daily.length} day(s), ${hourly.length} hourly entries from ${rawData.length} source(s)`);
+
+  return {
+    spotId,
+    spotName: getSpotName(spotId),
+    timezone,
+    timestamp: new Date().toISOString(),
+    days,
+    daily,
+    hourly,
+    scoringProfile,
+    sources: rawData.map(d => ({
+      name: d.source,
+      status: 'success',
+      timestamp: d.timestamp,
+      url: d.url
+    }))
+  };
+}
+
+/**
+ * Summarize one local day: scored blocks, best block, peak hour and dominant swell
+ *
+ * @returns {Object|null} - null when the day has no daylight data
+ */
+function summarizeDay(hourly, timeline, date, spotId, sourceCount, currentHour, weights) {
+  const daylight = hourly.filter(h => {
+    const hour = parseInt(h.time.substring(11, 13), 10);
+    return h.time.startsWith(date) && hour >= DAYLIGHT_START && hour < DAYLIGHT_END;
+  });
+  if (daylight.length === 0) return null;
+
+  const blocks = DAY_BLOCKS
+    .filter(b => b.endHour > currentHour)
+    .map(b => scoreBlock(timeline, { ...b, day: date }, spotId, sourceCount, weights))
+    .filter(Boolean)
+    .map(b => ({ label: b.label, score: b.score, rating: b.rating }));
+
+  const peak = daylight.reduce((best, h) => h.score > best.score ? h : best, daylight[0]);
+  const bestBlock = blocks.length > 0
+    ? blocks.reduce((best, b) => b.score > best.score ? b : best, blocks[0])
+    : null;
+
+  return {
+    date,
+    peakScore: peak.score,
+    peakTime: peak.time,
+    rating: getRating(peak.score),
+    bestBlock,
+    dominantSwell: dominantSwell(daylight),
+    blocks
+  };
+}
+
+/**
+ * Most frequent swell direction of the day, with the average size and period from that direction
+ */
+function dominantSwell(entries) {
+  const swells = entries.map(e => e.waves?.swell).filter(s => s && s.direction);
+  if (swells.length === 0) return null;
+
+  const counts = {};
+  for (const s of swells) counts[s.direction] = (counts[s.direction] || 0) + 1;
+  const direction = Object.keys(counts).reduce((a, b) => counts[b] > counts[a] ? b : a);
+
+  const matching = swells.filter(s => s.direction === direction);
+  const heights = matching.filter(s => s.height).map(s => s.height);
+  const periods = matching.filter(s => s.period).map(s => s.period);
+  const avg = arr => arr.reduce((sum, v) => sum + v, 0) / arr.length;
+
+  return {
+    direction,
+    height: heights.length > 0 ? Math.round(avg(heights) * 10) / 10 : null,
+    period: periods.length > 0 ? Math.round(avg(periods)) : null
+  };
+}
+
+module.exports = {
+  DEFAULT_FORECAST_DAYS,
+  MAX_FORECAST_DAYS,
+  buildForecast
+};
@@ -0,0 +1,312 @@
+/**
+ * Conditions history — a local SQLite time series of every freshly computed
+ * conditions payload: the aggregated conditions, the score breakdown and the
+ * raw values each source reported. Powers "how did it look last week" and
+ * forecast verification (see services/verification.js), which compares the
+ * hourly forecasts stored here against the conditions later observed.
+ */
+const { openDatabase } = require('../utils/sqlite');
+const { getSpotTimezone } = require('../config/spots');
+const { fromLocalTimeKey } = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+const DB_FILE = 'history.sqlite';
+const MAX_HISTORY_ROWS = 5000;
+const RETENTION_DAYS = parseInt(process.env.HISTORY_RETENTION_DAYS, 10) || 365;
+const PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Forecast hours kept for verification. Lead 0 is the nowcast itself; beyond
+// two days the scraped sources rarely agree on what they cover.
+const MIN_FORECAST_LEAD_HOURS = 1;
+const MAX_FORECAST_LEAD_HOURS = 48;
+// Keep one forecast per source, target hour and 6-hour model cycle, so cache
+// refreshes within the same cycle don't multiply rows
+const FORECAST_CYCLE_HOURS = 6;
+
+const MIGRATIONS = [
+  `
+  CREATE TABLE conditions_history (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    spot_id TEXT NOT NULL,
+    recorded_at TEXT NOT NULL,
+    score INTEGER,
+    rating TEXT,
+    breakdown TEXT,
+    conditions TEXT NOT NULL,
+    source_count INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX idx_conditions_history_spot_time ON conditions_history (spot_id, recorded_at);
+
+  CREATE TABLE source_readings (
+    history_id INTEGER NOT NULL REFERENCES conditions_history (id) ON DELETE CASCADE,
+    source TEXT NOT NULL,
+    wave_height REAL,
+    wave_period REAL,
+    wave_direction TEXT,
+    swell_height REAL,
+    swell_period REAL,
+    swell_direction TEXT,
+    wind_speed REAL,
+    wind_gusts REAL,
+    wind_direction TEXT,
+    air_temp REAL,
+    water_temp REAL
+  );
+  CREATE INDEX idx_source_readings_history ON source_readings (history_id);
+  `,
+  `
+  CREATE TABLE source_forecasts (
+    spot_id TEXT NOT NULL,
+    source TEXT NOT NULL,
+    target_at TEXT NOT NULL,
+    issue_cycle TEXT NOT NULL,
+    issued_at TEXT NOT NULL,
+    lead_hours INTEGER NOT NULL,
+    wave_height REAL,
+    wave_period REAL,
+    wind_speed REAL,
+    PRIMARY KEY (spot_id, source, target_at, issue_cycle)
+  );
+  CREATE INDEX idx_source_forecasts_target ON source_forecasts (target_at);
+
+  CREATE TABLE source_accuracy (
+    spot_id TEXT NOT NULL,
+    source TEXT NOT NULL,
+    day TEXT NOT NULL,
+    metric TEXT NOT NULL,
+    samples INTEGER NOT NULL DEFAULT 0,
+    abs_error_sum REAL NOT NULL DEFAULT 0,
+    error_sum REAL NOT NULL DEFAULT 0,
+    PRIMARY KEY (spot_id, source, day, metric)
+  );
+  `
+];
+
+let intervalHandle = null;
+
+/**
+ * The history database, migrated to the latest schema
+ *
+ * @returns {import('better-sqlite3').Database}
+ */
+function getHistoryDb() {
+  return openDatabase(DB_FILE, MIGRATIONS);
+}
+
+/**
+ * Record one freshly computed conditions payload, plus each source's upcoming
+ * hourly forecast for later verification.
+ * Never throws — history is best-effort and must not break a conditions response.
+ *
+ * @param {string} spotId - Spot identifier
+ * @param {Object} entry
+ * @param {Object} entry.conditions - Aggregated conditions (from aggregateData)
+ * @param {Object} entry.score - Result of calculateSurfScore
+ * @param {Array} entry.sources - Raw scraper results ({ source, data })
+ * @param {string} [entry.timestamp] - ISO timestamp (defaults to now)
+ */
+function recordConditions(spotId, { conditions, score, sources = [], timestamp = new Date().toISOString() }) {
+  try {
+    const db = getHistoryDb();
+    const insertHistory = db.prepare(`
+      INSERT INTO conditions_history (spot_id, recorded_at, score, rating, breakdown, conditions, source_count)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertReading = db.prepare(`
+      INSERT INTO source_readings (
+        history_id, source, wave_height, wave_period, wave_direction,
+        swell_height, swell_period, swell_direction,
+        wind_speed, wind_gusts, wind_direction, air_temp, water_temp
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const insertForecast = db.prepare(`
+      INSERT OR IGNORE INTO source_forecasts (
+        spot_id, source, target_at, issue_cycle, issued_at, lead_hours, wave_height, wave_period, wind_speed
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const issuedMs = Date.parse(timestamp);
+    const cycleMs = FORECAST_CYCLE_HOURS * HOUR_MS;
+    const issueCycle = new Date(Math.floor(issuedMs / cycleMs) * cycleMs).toISOString();
+    const timezone = getSpotTimezone(spotId);
+
+    db.transaction(() => {
+      const { lastInsertRowid } = insertHistory.run(
+        spotId,
+        timestamp,
+        score?.overall ?? null,
+        score?.rating ?? null,
+        score?.breakdown ? JSON.stringify(score.breakdown) : null,
+        JSON.stringify(conditions || {}),
+        sources.length
+      );
+
+      for (const source of sources) {
+        const data = source.data || {};
+        insertReading.run(
+          lastInsertRowid,
+          source.source,
+          data.waves?.height?.avg ?? null,
+          data.waves?.period ?? null,
+          data.waves?.direction ?? null,
+          data.waves?.swell?.height ?? null,
+          data.waves?.swell?.period ?? null,
+          data.waves?.swell?.direction ?? null,
+          data.wind?.speed ?? null,
+          data.wind?.gusts ?? null,
+          data.wind?.direction ?? null,
+          data.weather?.airTemp ?? null,
+          data.weather?.waterTemp ?? null
+        );
+
+        for (const hour of data.hourly || []) {
+          if (!hour.time) continue;
+          const targetMs = fromLocalTimeKey(hour.time, timezone).getTime();
+          const leadHours = Math.round((targetMs - issuedMs) / HOUR_MS);
+          if (leadHours < MIN_FORECAST_LEAD_HOURS || leadHours > MAX_FORECAST_LEAD_HOURS) continue;
+
+          const waveHeight = hour.waves?.height?.avg ?? null;
+          const wavePeriod = hour.waves?.period ?? null;
+          const windSpeed = hour.wind?.speed ?? null;
+          if (waveHeight === null && wavePeriod === null && windSpeed === null) continue;
+
+          insertForecast.run(
+            spotId, source.source, new Date(targetMs).toISOString(), issueCycle, timestamp,
+            leadHours, waveHeight, wavePeriod, windSpeed
+          );
+        }
+      }
+    })();
+
+    logger.debug(`[History] Recorded ${spotId} at ${timestamp} (${sources.length} sources)`);
+  } catch (error) {
+    logger.warn(`[History] Failed to record ${spotId}: ${error.message}`);
+  }
+}
+
+/**
+ * Query recorded conditions for a spot, oldest first
+ *
+ * @param {string} spotId - Spot identifier
+ * @param {Object} range
+ * @param {string} range.from - ISO timestamp (inclusive)
+ * @param {string} range.to - ISO timestamp (inclusive)
+ * @param {number} [range.limit] - Max entries (capped at MAX_HISTORY_ROWS)
+ * @returns {{ entries: Array, truncated: boolean }}
+ */
+function getHistory(spotId, { from, to, limit = MAX_HISTORY_ROWS }) {
+  const db = getHistoryDb();
+  const cap = Math.min(limit, MAX_HISTORY_ROWS);
+
+  const rows = db.prepare(`
+    SELECT id, recorded_at, score, rating, breakdown, conditions, source_count
+    FROM conditions_history
+    WHERE spot_id = ? AND recorded_at >= ? AND recorded_at <= ?
+    ORDER BY recorded_at ASC
+    LIMIT ?
+  `).all(spotId, from, to, cap + 1);
+
+  const truncated = rows.length > cap;
+  const kept = truncated ? rows.slice(0, cap) : rows;
+  if (kept.length === 0) return { entries: [], truncated };
+
+  const readings = db.prepare(`
+    SELECT * FROM source_readings
+    WHERE history_id IN (
+      SELECT id FROM conditions_history
+      WHERE spot_id = ? AND recorded_at >= ? AND recorded_at <= ?
+      ORDER BY recorded_at ASC
+      LIMIT ?
+    )
+  `).all(spotId, from, to, cap);
+
+  const readingsByHistory = new Map();
+  for (const reading of readings) {
+    if (!readingsByHistory.has(reading.history_id)) readingsByHistory.set(reading.history_id, []);
+    readingsByHistory.get(reading.history_id).push(formatReading(reading));
+  }
+
+  const entries = kept.map(row => ({
+    timestamp: row.recorded_at,
+    score: row.score,
+    rating: row.rating,
+    breakdown: row.breakdown ? JSON.parse(row.breakdown) : null,
+    conditions: JSON.parse(row.conditions),
+    sourceCount: row.source_count,
+    sources: readingsByHistory.get(row.id) || []
+  }));
+
+  return { entries, truncated };
+}
+
+function formatReading(row) {
+  return {
+    name: row.source,
+    waveHeight: row.wave_height,
+    wavePeriod: row.wave_period,
+    waveDirection: row.wave_direction,
+    swellHeight: row.swell_height,
+    swellPeriod: row.swell_period,
+    swellDirection: row.swell_direction,
+    windSpeed: row.wind_speed,
+    windGusts: row.wind_gusts,
+    windDirection: row.wind_direction,
+    airTemp: row.air_temp,
+    waterTemp: row.water_temp
+  };
+}
+
+/**
+ * Delete history older than the retention window
+ *
+ * @returns {number} - Number of conditions rows removed
+ */
+function pruneHistory(retentionDays = RETENTION_DAYS) {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+  const db = getHistoryDb();
+  const { changes } = db.prepare('DELETE FROM conditions_history WHERE recorded_at < ?').run(cutoff);
+  db.prepare('DELETE FROM source_accuracy WHERE day < ?').run(cutoff.substring(0, 10));
+  if (changes > 0) {
+    logger.info(`[History] Pruned ${changes} entries older than ${retentionDays} days`);
+  }
+  return changes;
+}
+
+/**
+ * Start the daily retention job
+ */
+function startHistoryPruner() {
+  const safePrune = () => {
+    try {
+      pruneHistory();
+    } catch (error) {
+      logger.error(`[History] Prune failed: ${error.message}`);
+    }
+  };
+
+  logger.info(`[History] Retention job started (keeping ${RETENTION_DAYS} days)`);
+  safePrune();
+  intervalHandle = setInterval(safePrune, PRUNE_INTERVAL_MS);
+}
+
+/**
+ * Stop the retention job (for graceful shutdown)
+ */
+function stopHistoryPruner() {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+    logger.info('[History] Retention job stopped');
+  }
+}
+
+module.exports = {
+  MAX_HISTORY_ROWS,
+  getHistoryDb,
+  recordConditions,
+  getHistory,
+  pruneHistory,
+  startHistoryPruner,
+  stopHistoryPruner
+};
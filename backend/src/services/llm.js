@@ -11,8 +11,9 @@ const SYSTEM_PROMPT = `You are a surf conditions analyst. A surfer is describing
 - windSpeed: how much does wind speed affect this spot
 - windDirection: how much does wind direction matter
 - waveDirection: how important is the swell angle
+- tide: how much does the tide stage matter
 
-Output ONLY valid JSON with multipliers. Use 1.0 for normal importance, values below 1.0 for less important (min 0.2), above 1.0 for more important (max 2.5). Example: {"waveHeight":1.0,"wavePeriod":1.5,"swellQuality":1.0,"windSpeed":0.5,"windDirection":0.3,"waveDirection":1.2}`;
+Output ONLY valid JSON with multipliers. Use 1.0 for normal importance, values below 1.0 for less important (min 0.2), above 1.0 for more important (max 2.5). Example: {"waveHeight":1.0,"wavePeriod":1.5,"swellQuality":1.0,"windSpeed":0.5,"windDirection":0.3,"waveDirection":1.2,"tide":1.0}`;
 
 /**
  * Interpret surfer feedback using Groq/Llama LLM
@@ -71,7 +72,7 @@ async function interpretFeedback(text) {
  * Validate and clamp multiplier values
  */
 function validateMultipliers(raw) {
-  const factors = ['waveHeight', 'wavePeriod', 'swellQuality', 'windSpeed', 'windDirection', 'waveDirection'];
+  const factors = ['waveHeight', 'wavePeriod', 'swellQuality', 'windSpeed', 'windDirection', 'waveDirection', 'tide'];
   const result = {};
   for (const f of factors) {
     let val = parseFloat(raw[f]);
@@ -92,7 +93,8 @@ function keywordFallback(text) {
     swellQuality: 1.0,
     windSpeed: 1.0,
     windDirection: 1.0,
-    waveDirection: 1.0
+    waveDirection: 1.0,
+    tide: 1.0
   };
 
   const factorKeywords = {
@@ -101,7 +103,8 @@ function keywordFallback(text) {
     swellQuality: ['groundswell', 'swell quality', 'wind swell', 'swell'],
     windSpeed: ['wind speed', 'wind', 'windy', 'glassy', 'calm', 'blown out'],
     windDirection: ['wind direction', 'offshore', 'onshore', 'cross-shore', 'sheltered', 'cliff', 'block'],
-    waveDirection: ['wave direction', 'swell direction', 'swell angle', 'angle', 'direction']
+    waveDirection: ['wave direction', 'swell direction', 'swell angle', 'angle', 'direction'],
+    tide: ['tide', 'low tide', 'high tide', 'incoming', 'outgoing']
   };
 
   const morePatterns = ['everything', 'critical', 'most important', 'key', 'matters a lot', 'essential', 'crucial'];
@@ -0,0 +1,345 @@
+/**
+ * Push delivery — sends one notification run through a per-channel queue.
+ *
+ * Messages are grouped by channel and sent in batches: web push with bounded
+ * concurrency, APNs through one reused HTTP/2 provider (one send per distinct
+ * payload, many device tokens), FCM as multicast (up to 500 tokens per call).
+ * Transient failures are retried with exponential backoff, dead tokens are
+ * pruned, and every run leaves a delivery report in the datastore.
+ */
+const webpush = require('web-push');
+const { markNotified, removeById } = require('./pushSubscriptions');
+const { getDatastore } = require('./datastore');
+const logger = require('../utils/logger');
+
+const CHANNELS = ['web', 'apns', 'fcm'];
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_MS = 2000;
+const WEB_CONCURRENCY = 10;
+const FCM_MULTICAST_LIMIT = 500;
+const APNS_TOPIC = 'surf.shouldigo.app';
+const MAX_STORED_REPORTS = 200;
+
+const APNS_DEAD_REASONS = ['Unregistered', 'BadDeviceToken', 'DeviceTokenNotForTopic'];
+const FCM_DEAD_CODES = ['messaging/registration-token-not-registered', 'messaging/invalid-registration-token'];
+const FCM_TRANSIENT_CODES = [
+  'messaging/internal-error',
+  'messaging/server-unavailable',
+  'messaging/unavailable',
+  'messaging/message-rate-exceeded'
+];
+
+let apn;
+let apnProvider;
+let firebaseAdmin;
+let fcmInitialised = false;
+
+function initApn() {
+  if (apnProvider) return apnProvider;
+  const keyId = process.env.APNS_KEY_ID;
+  const teamId = process.env.APNS_TEAM_ID;
+  const keyP8 = process.env.APNS_KEY_P8;
+  if (!keyId || !teamId || !keyP8) return null;
+  try {
+    apn = require('node-apn');
+    apnProvider = new apn.Provider({
+      token: { key: Buffer.from(keyP8, 'base64'), keyId, teamId },
+      production: process.env.APNS_PRODUCTION === 'true'
+    });
+    return apnProvider;
+  } catch (e) {
+    logger.warn('[Push] node-apn not installed — APNs notifications disabled');
+    return null;
+  }
+}
+
+function initFcm() {
+  if (fcmInitialised) return !!firebaseAdmin;
+  fcmInitialised = true;
+  const { loadServiceAccount } = require('../utils/googleServiceAccount');
+  let serviceAccount;
+  try {
+    serviceAccount = loadServiceAccount('FCM_SERVICE_ACCOUNT', {
+      fallbackEnv: 'FIREBASE_SERVICE_ACCOUNT',
+      required: false,
+    });
+  } catch (e) {
+    logger.warn(`[Push] Firebase Admin credentials invalid: ${e.message}`);
+    return false;
+  }
+  if (!serviceAccount) {
+    logger.warn('[Push] FCM_SERVICE_ACCOUNT not set — FCM notifications disabled');
+    return false;
+  }
+  try {
+    firebaseAdmin = require('firebase-admin');
+    firebaseAdmin.initializeApp({
+      credential: firebaseAdmin.credential.cert(serviceAccount)
+    });
+    logger.info('[Push] Firebase Admin SDK initialised');
+    return true;
+  } catch (e) {
+    logger.warn(`[Push] Firebase Admin init failed: ${e.message}`);
+    firebaseAdmin = null;
+    return false;
+  }
+}
+
+function channelOf(sub) {
+  if ((sub.type === 'apns' || sub.type === 'fcm') && sub.token) return sub.type;
+  return 'web';
+}
+
+// Messages with the same notification share one APNs send / FCM multicast
+function groupByNotification(messages) {
+  const groups = new Map();
+  messages.forEach((message, index) => {
+    const key = JSON.stringify(message.notification);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(index);
+  });
+  return [...groups.values()];
+}
+
+function classifyWebError(err) {
+  if (err.statusCode === 404 || err.statusCode === 410) return 'dead';
+  if (!err.statusCode || err.statusCode === 429 || err.statusCode >= 500) return 'transient';
+  return 'failed';
+}
+
+function classifyApnsFailure(failure) {
+  const reason = failure.response?.reason;
+  if (APNS_DEAD_REASONS.includes(reason)) return 'dead';
+  const status = Number(failure.status);
+  if (failure.error || status === 429 || status >= 500) return 'transient';
+  return 'failed';
+}
+
+function classifyFcmError(err) {
+  if (FCM_DEAD_CODES.includes(err?.code)) return 'dead';
+  if (FCM_TRANSIENT_CODES.includes(err?.code)) return 'transient';
+  return 'failed';
+}
+
+/**
+ * Channel senders: take a batch of messages, return one outcome per message
+ * ({ ok: true } or { ok: false, kind: 'dead'|'transient'|'failed', error }).
+ */
+const senders = {
+  async web(messages) {
+    const outcomes = [];
+    for (let i = 0; i < messages.length; i += WEB_CONCURRENCY) {
+      const chunk = messages.slice(i, i + WEB_CONCURRENCY);
+      outcomes.push(...await Promise.all(chunk.map(async ({ sub, notification }) => {
+        try {
+          await webpush.sendNotification(
+            { endpoint: sub.endpoint, keys: sub.keys },
+            JSON.stringify({
+              title: notification.title,
+              body: notification.body,
+              icon: '/logo192.png',
+              data: { url: notification.url }
+            })
+          );
+          return { ok: true };
+        } catch (err) {
+          return { ok: false, kind: classifyWebError(err), error: String(err.statusCode || err.message) };
+        }
+      })));
+    }
+    return outcomes;
+  },
+
+  async apns(messages) {
+    const provider = initApn();
+    if (!provider) return messages.map(() => ({ ok: false, kind: 'failed', error: 'APNs not configured' }));
+
+    const outcomes = new Array(messages.length);
+    for (const indexes of groupByNotification(messages)) {
+      const { notification } = messages[indexes[0]];
+      const note = new apn.Notification();
+      note.expiry = Math.floor(Date.now() / 1000) + 3600;
+      note.badge = 1;
+      note.sound = 'default';
+      note.alert = { title: notification.title, body: notification.body };
+      note.topic = APNS_TOPIC;
+      note.payload = { url: notification.url };
+
+      try {
+        const result = await provider.send(note, indexes.map(i => messages[i].sub.token));
+        const failures = new Map((result.failed || []).map(f => [f.device, f]));
+        for (const i of indexes) {
+          const failure = failures.get(messages[i].sub.token);
+          outcomes[i] = failure
+            ? { ok: false, kind: classifyApnsFailure(failure), error: failure.response?.reason || String(failure.status || failure.error?.message) }
+            : { ok: true };
+        }
+      } catch (err) {
+        for (const i of indexes) outcomes[i] = { ok: false, kind: 'transient', error: err.message };
+      }
+    }
+    return outcomes;
+  },
+
+  async fcm(messages) {
+    if (!initFcm()) return messages.map(() => ({ ok: false, kind: 'failed', error: 'FCM not configured' }));
+
+    const outcomes = new Array(messages.length);
+    for (const group of groupByNotification(messages)) {
+      const { notification } = messages[group[0]];
+      for (let start = 0; start < group.length; start += FCM_MULTICAST_LIMIT) {
+        const indexes = group.slice(start, start + FCM_MULTICAST_LIMIT);
+        try {
+          const result = await firebaseAdmin.messaging().sendEachForMulticast({
+            tokens: indexes.map(i => messages[i].sub.token),
+            notification: { title: notification.title, body: notification.body },
+            data: { url: notification.url },
+            android: {
+              notification: {
+                sound: 'default',
+                channelId: 'surf_alerts'
+              }
+            }
+          });
+          result.responses.forEach((response, n) => {
+            outcomes[indexes[n]] = response.success
+              ? { ok: true }
+              : { ok: false, kind: classifyFcmError(response.error), error: response.error?.code || 'unknown' };
+          });
+        } catch (err) {
+          for (const i of indexes) outcomes[i] = { ok: false, kind: 'transient', error: err.code || err.message };
+        }
+      }
+    }
+    return outcomes;
+  }
+};
+
+function markAlertSent(message) {
+  markNotified(message.sub.id, message.blockLabel);
+}
+
+function emptyChannelStats() {
+  return { queued: 0, sent: 0, failed: 0, pruned: 0, retried: 0 };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Work one channel's queue: send, prune dead tokens, back off and resend transient failures
+ */
+async function drainChannel(channel, queue, stats, wait, onSent) {
+  let pending = queue;
+  for (let attempt = 1; pending.length > 0; attempt++) {
+    const outcomes = await senders[channel](pending);
+    const retry = [];
+
+    pending.forEach((message, i) => {
+      const outcome = outcomes[i] || { ok: false, kind: 'failed', error: 'no result' };
+      const { sub } = message;
+      if (outcome.ok) {
+        onSent(message);
+        stats.sent++;
+      } else if (outcome.kind === 'dead') {
+        logger.info(`[Push] Dead ${channel} subscription (${outcome.error}), removing ${sub.id}`);
+        removeById(sub.id);
+        stats.pruned++;
+      } else if (outcome.kind === 'transient' && attempt < MAX_ATTEMPTS) {
+        retry.push(message);
+      } else {
+        logger.error(`[Push] ${channel} delivery failed for ${sub.id}: ${outcome.error}`);
+        stats.failed++;
+      }
+    });
+
+    if (retry.length > 0) {
+      const delay = RETRY_BASE_MS * 2 ** (attempt - 1);
+      logger.warn(`[Push] Retrying ${retry.length} ${channel} message(s) in ${delay}ms (attempt ${attempt + 1}/${MAX_ATTEMPTS})`);
+      stats.retried += retry.length;
+      await wait(delay);
+    }
+    pending = retry;
+  }
+}
+
+/**
+ * Deliver a run's notifications and return its delivery report
+ *
+ * @param {Array<{ sub: Object, notification: { title, body, url }, blockLabel?: string }>} messages
+ * @param {Object} [options]
+ * @param {Function} [options.wait] - Backoff delay (ms) → Promise; injectable for tests
+ * @param {Function} [options.onSent] - Called with each delivered message (default: mark the alert block notified)
+ * @returns {Promise<Object>} - { channels: { web|apns|fcm: { queued, sent, failed, pruned, retried } }, totals }
+ */
+async function deliver(messages, { wait = sleep, onSent = markAlertSent } = {}) {
+  const channels = Object.fromEntries(CHANNELS.map(c => [c, emptyChannelStats()]));
+  const queues = Object.fromEntries(CHANNELS.map(c => [c, []]));
+  for (const message of messages) {
+    const channel = channelOf(message.sub);
+    queues[channel].push(message);
+    channels[channel].queued++;
+  }
+
+  await Promise.all(CHANNELS
+    .filter(channel => queues[channel].length > 0)
+    .map(channel => drainChannel(channel, queues[channel], channels[channel], wait, onSent)));
+
+  const totals = emptyChannelStats();
+  for (const stats of Object.values(channels)) {
+    for (const key of Object.keys(totals)) totals[key] += stats[key];
+  }
+  return { channels, totals };
+}
+
+/**
+ * Store a run's report, keeping the most recent MAX_STORED_REPORTS.
+ * Never throws — reporting must not break the notification cycle.
+ */
+function saveReport(report) {
+  try {
+    const db = getDatastore();
+    db.transaction(() => {
+      db.prepare('INSERT INTO push_delivery_reports (started_at, report) VALUES (?, ?)')
+        .run(report.startedAt, JSON.stringify(report));
+      db.prepare(`
+        DELETE FROM push_delivery_reports
+        WHERE id NOT IN (SELECT id FROM push_delivery_reports ORDER BY id DESC LIMIT ?)
+      `).run(MAX_STORED_REPORTS);
+    })();
+  } catch (e) {
+    logger.error(`[Push] Failed to store delivery report: ${e.message}`);
+  }
+}
+
+/**
+ * Most recent delivery reports, newest first
+ *
+ * @param {number} [limit=20]
+ * @returns {Array<Object>}
+ */
+function getDeliveryReports(limit = 20) {
+  return getDatastore()
+    .prepare('SELECT report FROM push_delivery_reports ORDER BY id DESC LIMIT ?')
+    .all(limit)
+    .map(row => JSON.parse(row.report));
+}
+
+/**
+ * Close the APNs HTTP/2 connection (graceful shutdown)
+ */
+function shutdownDelivery() {
+  if (apnProvider) {
+    apnProvider.shutdown();
+    apnProvider = null;
+  }
+}
+
+module.exports = {
+  CHANNELS,
+  MAX_ATTEMPTS,
+  MAX_STORED_REPORTS,
+  deliver,
+  saveReport,
+  getDeliveryReports,
+  shutdownDelivery
+};
@@ -0,0 +1,167 @@
+/**
+ * Daily push digest — one morning notification per subscriber summarizing
+ * all their subscribed spots (best window, score, board), best spot first.
+ *
+ * Subscribers pick an hour in their own timezone. The check runs every
+ * 15 minutes and sends to anyone whose hour has come and who hasn't had
+ * today's digest; a digest missed by more than DIGEST_WINDOW_HOURS (e.g. the
+ * server was down) is skipped rather than arriving mid-afternoon.
+ */
+const { getSpotName } = require('../config/spots');
+const { getLocalParts } = require('../utils/timezone');
+const {
+  getDigests,
+  getSubscriptionsByEndpoint,
+  markDigestSent
+} = require('./pushSubscriptions');
+const { getConditionsForSpot } = require('./pushNotifier');
+const { deliver, saveReport } = require('./pushDelivery');
+const logger = require('../utils/logger');
+
+const DIGEST_CHECK_INTERVAL_MS = 15 * 60 * 1000;
+const DIGEST_WINDOW_HOURS = 3;
+
+let intervalHandle = null;
+
+/**
+ * Whether a subscriber's digest should go out now
+ *
+ * @param {{ hour, timezone, lastSentDate }} digest
+ * @param {Date} now
+ * @returns {string|null} - The subscriber-local date to send for, or null if not due
+ */
+function digestDueDate(digest, now) {
+  const { date, hour } = getLocalParts(now, digest.timezone);
+  if (digest.lastSentDate === date) return null;
+  if (hour < digest.hour || hour >= digest.hour + DIGEST_WINDOW_HOURS) return null;
+  return date;
+}
+
+/**
+ * Best block of the nearest forecast day (today, or tomorrow once today's blocks are over)
+ */
+function bestWindow(blocks) {
+  const day = blocks[0].day;
+  const sameDay = day ? blocks.filter(b => b.day === day) : blocks;
+  return sameDay.reduce((best, b) => b.score > best.score ? b : best, sameDay[0]);
+}
+
+/**
+ * Build the digest notification for a set of spots
+ *
+ * @param {Array<{ spotId, spotName, trend, board }>} spots - Spots with trend data
+ * @returns {{ title, body, url }|null} - null when no spot has a window to report
+ */
+function buildDigest(spots) {
+  const ranked = spots
+    .filter(s => s.trend?.blocks?.length > 0)
+    .map(s => ({ ...s, window: bestWindow(s.trend.blocks) }))
+    .sort((a, b) => b.window.score - a.window.score);
+
+  if (ranked.length === 0) return null;
+
+  const top = ranked[0];
+  const lines = ranked.map((s, i) => {
+    const board = s.board?.boardName ? ` · ${s.board.boardName}` : '';
+    return `${i + 1}. ${s.spotName}: ${s.window.rating} ${s.window.score}/100, ${s.window.label}${board}`;
+  });
+
+  return {
+    title: `Today's surf: ${top.spotName} ${top.window.score}/100`,
+    body: lines.join('\n'),
+    url: `/?spot=${top.spotId}`
+  };
+}
+
+/**
+ * Run one digest check: send every digest that is due now
+ *
+ * @param {Date} [now]
+ * @returns {Promise<Object|null>} - The run's delivery report (null when nothing was due)
+ */
+async function checkAndSendDigests(now = new Date()) {
+  const due = getDigests()
+    .map(digest => ({ digest, date: digestDueDate(digest, now) }))
+    .filter(d => d.date);
+
+  if (due.length === 0) return null;
+
+  const startedAt = new Date();
+  logger.info(`[Push] Building ${due.length} daily digest(s)`);
+
+  // Spots are shared between subscribers; fetch each once per run
+  const conditionsBySpot = new Map();
+  const conditionsFor = (spotId) => {
+    if (!conditionsBySpot.has(spotId)) conditionsBySpot.set(spotId, getConditionsForSpot(spotId));
+    return conditionsBySpot.get(spotId);
+  };
+
+  const messages = [];
+  for (const { digest, date } of due) {
+    const subs = getSubscriptionsByEndpoint(digest.endpoint);
+    if (subs.length === 0) continue;
+
+    const spots = [];
+    for (const sub of subs) {
+      const data = await conditionsFor(sub.spotId);
+      if (data) spots.push({ spotId: sub.spotId, spotName: getSpotName(sub.spotId), ...data });
+    }
+
+    const notification = buildDigest(spots);
+    if (!notification) {
+      logger.debug(`[Push] No trend data for digest ${digest.endpoint.slice(0, 24)}…, will retry`);
+      continue;
+    }
+    messages.push({ sub: subs[0], notification, digestDate: date });
+  }
+
+  const { channels, totals } = await deliver(messages, {
+    onSent: (message) => markDigestSent(message.sub.endpoint, message.digestDate)
+  });
+  const finishedAt = new Date();
+  const report = {
+    kind: 'digest',
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    durationMs: finishedAt - startedAt,
+    due: due.length,
+    matched: messages.length,
+    channels,
+    totals
+  };
+  saveReport(report);
+
+  logger.info(`[Push] Digest run complete — sent ${totals.sent}, failed ${totals.failed}, pruned ${totals.pruned}`);
+  return report;
+}
+
+/**
+ * Start the digest scheduler (needs the same VAPID setup as alerts).
+ */
+function startDigestScheduler() {
+  if (!process.env.VAPID_PUBLIC_KEY || !process.env.VAPID_PRIVATE_KEY) return;
+
+  logger.info(`[Push] Digest scheduler started (interval: ${DIGEST_CHECK_INTERVAL_MS / 60000}min)`);
+  intervalHandle = setInterval(() => {
+    checkAndSendDigests().catch(e => logger.error(`[Push] Digest error: ${e.message}`));
+  }, DIGEST_CHECK_INTERVAL_MS);
+}
+
+/**
+ * Stop the digest scheduler (for graceful shutdown).
+ */
+function stopDigestScheduler() {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+}
+
+module.exports = {
+  DIGEST_WINDOW_HOURS,
+  digestDueDate,
+  buildDigest,
+  checkAndSendDigests,
+  startDigestScheduler,
+  stopDigestScheduler
+};
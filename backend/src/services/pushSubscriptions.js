@@ -1,92 +1,102 @@
-const fs = require('fs');
-const path = require('path');
 const crypto = require('crypto');
-const logger = require('../utils/logger');
-const { resolve } = require('../utils/dataPath');
-
-const DATA_FILE = resolve('pushSubscriptions.json');
-
-function readAll() {
-  try {
-    if (!fs.existsSync(DATA_FILE)) return [];
-    return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
-  } catch (e) {
-    logger.error(`[Push] Failed to read subscriptions: ${e.message}`);
-    return [];
-  }
+const { getDatastore } = require('./datastore');
+
+function makeId(endpoint, spotId) {
+  return crypto.createHash('sha256').update(endpoint + spotId).digest('hex').slice(0, 16);
 }
 
-function writeAll(subs) {
-  try {
-    fs.mkdirSync(path.dirname(DATA_FILE), { recursive: true });
-    fs.writeFileSync(DATA_FILE, JSON.stringify(subs, null, 2));
-  } catch (e) {
-    logger.error(`[Push] Failed to write subscriptions: ${e.message}`);
-  }
+function parseJson(value) {
+  return value ? JSON.parse(value) : null;
 }
 
-function makeId(endpoint, spotId) {
-  return crypto.createHash('sha256').update(endpoint + spotId).digest('hex').slice(0, 16);
+function fromRow(row) {
+  return {
+    id: row.id,
+    endpoint: row.endpoint,
+    keys: parseJson(row.keys) || {},
+    type: row.type,
+    token: row.token,
+    spotId: row.spot_id,
+    threshold: row.threshold,
+    rules: parseJson(row.rules),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    lastNotifiedAt: row.last_notified_at,
+    lastNotifiedBlock: row.last_notified_block
+  };
 }
 
 /**
  * Upsert a push subscription for a specific spot.
- * Returns { id, count } where count is total subs for this endpoint.
+ * `rules` are the validated alert rules (see alertRules.js), or null for threshold-only.
+ * A new spot is refused once the endpoint has `maxSpots` subscriptions; the
+ * count is checked in the same transaction as the insert, so concurrent
+ * subscribes cannot overshoot it.
+ * Returns { id, count } where count is total subs for this endpoint, or null when refused.
  */
-function upsertSubscription(subscription, spotId, threshold) {
-  const subs = readAll();
+function upsertSubscription(subscription, spotId, threshold, rules = null, maxSpots = Infinity) {
+  const db = getDatastore();
   const id = makeId(subscription.endpoint, spotId);
-  const existing = subs.findIndex(s => s.id === id);
-
-  const entry = {
-    id,
-    endpoint: subscription.endpoint,
-    keys: subscription.keys,
-    spotId,
-    threshold,
-    createdAt: existing >= 0 ? subs[existing].createdAt : new Date().toISOString(),
-    updatedAt: new Date().toISOString(),
-    lastNotifiedAt: existing >= 0 ? subs[existing].lastNotifiedAt : null,
-    lastNotifiedBlock: existing >= 0 ? subs[existing].lastNotifiedBlock : null
-  };
+  const now = new Date().toISOString();
 
-  if (existing >= 0) {
-    subs[existing] = entry;
-  } else {
-    subs.push(entry);
-  }
+  const upsert = db.prepare(`
+    INSERT INTO push_subscriptions (id, endpoint, spot_id, type, token, keys, threshold, rules, created_at, updated_at)
+    VALUES (@id, @endpoint, @spotId, @type, @token, @keys, @threshold, @rules, @now, @now)
+    ON CONFLICT (id) DO UPDATE SET
+      type = excluded.type,
+      token = excluded.token,
+      keys = excluded.keys,
+      threshold = excluded.threshold,
+      rules = excluded.rules,
+      updated_at = excluded.updated_at
+  `);
+  const countByEndpoint = db.prepare('SELECT COUNT(*) AS count FROM push_subscriptions WHERE endpoint = ?');
+  const exists = db.prepare('SELECT 1 FROM push_subscriptions WHERE id = ?');
 
-  writeAll(subs);
+  return db.transaction(() => {
+    if (!exists.get(id) && countByEndpoint.get(subscription.endpoint).count >= maxSpots) return null;
 
-  const count = subs.filter(s => s.endpoint === subscription.endpoint).length;
-  return { id, count };
+    upsert.run({
+      id,
+      endpoint: subscription.endpoint,
+      spotId,
+      type: subscription.type || null,
+      token: subscription.token || null,
+      keys: JSON.stringify(subscription.keys || {}),
+      threshold,
+      rules: rules ? JSON.stringify(rules) : null,
+      now
+    });
+    return { id, count: countByEndpoint.get(subscription.endpoint).count };
+  })();
 }
 
 /**
  * Remove a subscription for a specific spot+endpoint.
  */
 function removeSubscription(endpoint, spotId) {
-  const subs = readAll();
-  const id = makeId(endpoint, spotId);
-  const filtered = subs.filter(s => s.id !== id);
-  writeAll(filtered);
-  return filtered.length < subs.length;
+  return removeById(makeId(endpoint, spotId));
 }
 
 /**
  * Get all subscriptions for a given endpoint.
  */
 function getSubscriptionsByEndpoint(endpoint) {
-  return readAll().filter(s => s.endpoint === endpoint);
+  return getDatastore()
+    .prepare('SELECT * FROM push_subscriptions WHERE endpoint = ? ORDER BY created_at')
+    .all(endpoint)
+    .map(fromRow);
 }
 
 /**
  * Group subscriptions by spotId for batch processing.
  */
 function getSubscriptionsGroupedBySpot() {
-  const subs = readAll();
+  const rows = getDatastore()
+    .prepare('SELECT * FROM push_subscriptions ORDER BY spot_id, created_at')
+    .all();
   const grouped = {};
-  for (const sub of subs) {
+  for (const sub of rows.map(fromRow)) {
     if (!grouped[sub.spotId]) grouped[sub.spotId] = [];
     grouped[sub.spotId].push(sub);
   }
@@ -97,26 +107,103 @@ function getSubscriptionsGroupedBySpot() {
  * Mark a subscription as notified.
  */
 function markNotified(id, blockLabel) {
-  const subs = readAll();
-  const sub = subs.find(s => s.id === id);
-  if (sub) {
-    sub.lastNotifiedAt = new Date().toISOString();
-    sub.lastNotifiedBlock = blockLabel;
-    writeAll(subs);
-  }
+  getDatastore()
+    .prepare('UPDATE push_subscriptions SET last_notified_at = ?, last_notified_block = ? WHERE id = ?')
+    .run(new Date().toISOString(), blockLabel, id);
 }
 
 /**
  * Remove a subscription by id (for expired endpoints).
  */
 function removeById(id) {
-  const subs = readAll();
-  const filtered = subs.filter(s => s.id !== id);
-  if (filtered.length < subs.length) {
-    writeAll(filtered);
-    return true;
-  }
-  return false;
+  return getDatastore().prepare('DELETE FROM push_subscriptions WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Move the subscriptions stored under one spot ID to another (an ID that is
+ * now an alias). An endpoint already subscribed under the new ID keeps that
+ * subscription and loses the old one.
+ *
+ * @returns {number} - Subscriptions moved
+ */
+function moveSubscriptions(fromSpotId, toSpotId) {
+  const db = getDatastore();
+  const rows = db.prepare('SELECT id, endpoint FROM push_subscriptions WHERE spot_id = ?').all(fromSpotId);
+  const exists = db.prepare('SELECT 1 FROM push_subscriptions WHERE id = ?');
+  const move = db.prepare('UPDATE push_subscriptions SET id = ?, spot_id = ? WHERE id = ?');
+
+  return db.transaction(() => {
+    let moved = 0;
+    for (const row of rows) {
+      const id = makeId(row.endpoint, toSpotId);
+      if (exists.get(id)) {
+        removeById(row.id);
+      } else {
+        move.run(id, toSpotId, row.id);
+        moved++;
+      }
+    }
+    return moved;
+  })();
+}
+
+/**
+ * Daily digest settings for an endpoint (one digest covers all its spots)
+ *
+ * @returns {{ endpoint, hour, timezone, lastSentDate }|null}
+ */
+function getDigest(endpoint) {
+  const row = getDatastore().prepare('SELECT * FROM push_digests WHERE endpoint = ?').get(endpoint);
+  return row ? digestFromRow(row) : null;
+}
+
+/**
+ * All endpoints with a daily digest enabled.
+ */
+function getDigests() {
+  return getDatastore().prepare('SELECT * FROM push_digests').all().map(digestFromRow);
+}
+
+function digestFromRow(row) {
+  return {
+    endpoint: row.endpoint,
+    hour: row.hour,
+    timezone: row.timezone,
+    lastSentDate: row.last_sent_date
+  };
+}
+
+/**
+ * Enable or reschedule the daily digest for an endpoint.
+ * `hour` is 0-23 in the subscriber's own `timezone`.
+ */
+function setDigest(endpoint, hour, timezone) {
+  const now = new Date().toISOString();
+  getDatastore().prepare(`
+    INSERT INTO push_digests (endpoint, hour, timezone, created_at, updated_at)
+    VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (endpoint) DO UPDATE SET
+      hour = excluded.hour,
+      timezone = excluded.timezone,
+      updated_at = excluded.updated_at
+  `).run(endpoint, hour, timezone, now, now);
+  return getDigest(endpoint);
+}
+
+/**
+ * Turn off the daily digest for an endpoint.
+ */
+function removeDigest(endpoint) {
+  return getDatastore().prepare('DELETE FROM push_digests WHERE endpoint = ?').run(endpoint).changes > 0;
+}
+
+/**
+ * Record that today's digest went out (date is YYYY-MM-DD in the subscriber's timezone).
+ */
+function markDigestSent(endpoint, date) {
+  getDatastore()
+    .prepare('UPDATE push_digests SET last_sent_date = ? WHERE endpoint = ?')
+    .run(date, endpoint);
 }
 
 module.exports = {
@@ -125,5 +212,11 @@ module.exports = {
   getSubscriptionsByEndpoint,
   getSubscriptionsGroupedBySpot,
   markNotified,
-  removeById
+  removeById,
+  moveSubscriptions,
+  getDigest,
+  getDigests,
+  setDigest,
+  removeDigest,
+  markDigestSent
 };
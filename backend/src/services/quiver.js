@@ -0,0 +1,107 @@
+const logger = require('../utils/logger');
+const { getDatastore } = require('./datastore');
+const { BOARD_TYPES } = require('./boardRecommendation');
+
+/**
+ * Surfers' quivers, synced by an anonymous device ID.
+ * The ID is generated on the device and is the only key — no accounts.
+ */
+
+const MAX_BOARDS = 20;
+const BOARD_KINDS = Object.keys(BOARD_TYPES).filter(type => type !== 'any');
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9-]{16,64}$/;
+
+function isValidDeviceId(deviceId) {
+  return typeof deviceId === 'string' && DEVICE_ID_PATTERN.test(deviceId);
+}
+
+/**
+ * Validate and normalize a list of boards
+ *
+ * @param {*} boards - Untrusted input
+ * @returns {{ boards?: Array<Object>, error?: string }}
+ */
+function validateQuiver(boards) {
+  if (!Array.isArray(boards)) return { error: 'boards must be an array' };
+  if (boards.length > MAX_BOARDS) return { error: `A quiver holds at most ${MAX_BOARDS} boards` };
+
+  const normalized = [];
+  for (const [i, board] of boards.entries()) {
+    if (!board || typeof board !== 'object') return { error: `Board ${i + 1}: must be an object` };
+
+    if (!BOARD_KINDS.includes(board.type)) {
+      return { error: `Board ${i + 1}: type must be one of ${BOARD_KINDS.join(', ')}` };
+    }
+
+    const entry = {
+      id: typeof board.id === 'string' && board.id.trim() ? board.id.trim().slice(0, 40) : `board-${i + 1}`,
+      type: board.type
+    };
+
+    if (board.name != null && board.name !== '') {
+      entry.name = String(board.name).slice(0, 40).trim();
+    }
+
+    if (board.lengthFt != null && board.lengthFt !== '') {
+      const lengthFt = Number(board.lengthFt);
+      if (!Number.isFinite(lengthFt) || lengthFt < 4 || lengthFt > 14) {
+        return { error: `Board ${i + 1}: lengthFt must be 4-14` };
+      }
+      entry.lengthFt = Math.round(lengthFt * 100) / 100;
+    }
+
+    if (board.volume != null && board.volume !== '') {
+      const volume = Number(board.volume);
+      if (!Number.isFinite(volume) || volume < 10 || volume > 250) {
+        return { error: `Board ${i + 1}: volume must be 10-250 L` };
+      }
+      entry.volume = Math.round(volume * 10) / 10;
+    }
+
+    normalized.push(entry);
+  }
+
+  return { boards: normalized };
+}
+
+/**
+ * Get the quiver synced for a device
+ *
+ * @returns {{ boards: Array<Object>, updatedAt: string }|null}
+ */
+function getQuiver(deviceId) {
+  const row = getDatastore().prepare('SELECT boards, updated_at FROM quivers WHERE device_id = ?').get(deviceId);
+  return row ? { boards: JSON.parse(row.boards), updatedAt: row.updated_at } : null;
+}
+
+/**
+ * Replace the quiver synced for a device (boards must be validated)
+ */
+function saveQuiver(deviceId, boards) {
+  const quiver = { boards, updatedAt: new Date().toISOString() };
+  getDatastore().prepare(`
+    INSERT INTO quivers (device_id, boards, updated_at) VALUES (?, ?, ?)
+    ON CONFLICT (device_id) DO UPDATE SET boards = excluded.boards, updated_at = excluded.updated_at
+  `).run(deviceId, JSON.stringify(boards), quiver.updatedAt);
+  logger.info(`[Quiver] Saved ${boards.length} board(s) for device ${deviceId.slice(0, 8)}…`);
+  return quiver;
+}
+
+/**
+ * Forget a device's quiver
+ *
+ * @returns {boolean} - Whether one existed
+ */
+function deleteQuiver(deviceId) {
+  return getDatastore().prepare('DELETE FROM quivers WHERE device_id = ?').run(deviceId).changes > 0;
+}
+
+module.exports = {
+  BOARD_KINDS,
+  MAX_BOARDS,
+  isValidDeviceId,
+  validateQuiver,
+  getQuiver,
+  saveQuiver,
+  deleteQuiver
+};
@@ -1,18 +1,22 @@
 const { getSpotById } = require('../config/spots');
+const { scoreTide, getTidePreference } = require('./tide');
 const logger = require('../utils/logger');
 
 /**
  * Scoring weights for different factors
- * Adjusted to include swell quality and reduce over-reliance on wave height
+ * Adjusted to include swell quality and reduce over-reliance on wave height.
+ * Tide takes 5%; the other factors keep their proportions in the other 95%,
+ * so a spot scored without tide weighs them exactly as before.
  */
 const WEIGHTS = {
-  waveHeight: 0.15,      // 15% - Are waves the right size?
-  wavePeriod: 0.30,      // 30% - THE key quality factor: longer period = cleaner, more powerful waves
-  swellQuality: 0.15,    // 15% - Groundswell vs wind chop (also period-dependent)
-  windSpeed: 0.15,       // 15% - Light wind = glassy conditions
-  windDirection: 0.15,   // 15% - Offshore = groomed faces
-  waveDirection: 0.05,   // 5%  - Swell angle hitting the spot
-  dataConfidence: 0.05   // 5%  - More sources = more reliable
+  waveHeight: 0.1425,    // 14.25% - Are waves the right size?
+  wavePeriod: 0.285,     // 28.5%  - THE key quality factor: longer period = cleaner, more powerful waves
+  swellQuality: 0.1425,  // 14.25% - Groundswell vs wind chop (also period-dependent)
+  windSpeed: 0.1425,     // 14.25% - Light wind = glassy conditions
+  windDirection: 0.1425, // 14.25% - Offshore = groomed faces
+  waveDirection: 0.0475, // 4.75%  - Swell angle hitting the spot
+  tide: 0.05,            // 5%     - Tide stage vs the spot's preferred tide (dropped when unknown)
+  dataConfidence: 0.0475 // 4.75%  - More sources = more reliable
 };
 
 /**
@@ -21,9 +25,10 @@ const WEIGHTS = {
  * @param {Object} conditions - Aggregated surf conditions
  * @param {string} spotId - Spot identifier
  * @param {number} sourceCount - Number of data sources that returned data
+ * @param {Object} [weights=WEIGHTS] - Factor weights (a spot's scoring profile)
  * @returns {Object} - Score breakdown and overall rating
  */
-function calculateSurfScore(conditions, spotId, sourceCount) {
+function calculateSurfScore(conditions, spotId, sourceCount, weights = WEIGHTS) {
   const spot = getSpotById(spotId);
 
   if (!spot) {
@@ -38,23 +43,34 @@ function calculateSurfScore(conditions, spotId, sourceCount) {
   const windDirScore = scoreWindDirection(conditions.wind?.direction, spot.optimal);
   const waveDirScore = scoreWaveDirection(conditions.waves?.direction, conditions.waves?.swell?.direction, spot.optimal);
   const confidenceScore = scoreDataConfidence(sourceCount || 1);
+  const tideScore = scoreTide(conditions.tide, getTidePreference(spotId));
+
+  const factors = [
+    [heightScore, weights.waveHeight],
+    [periodScore, weights.wavePeriod],
+    [swellScore, weights.swellQuality],
+    [windSpeedScore, weights.windSpeed],
+    [windDirScore, weights.windDirection],
+    [waveDirScore, weights.waveDirection],
+    [confidenceScore, weights.dataConfidence]
+  ];
+  // Spots without a nearby tide station or a known tide preference
+  // are scored on the remaining factors
+  if (tideScore !== null) {
+    factors.push([tideScore, weights.tide]);
+  }
 
-  // Calculate weighted average
+  // Calculate weighted average (renormalized over the factors in play)
+  const totalWeight = factors.reduce((sum, [, weight]) => sum + weight, 0);
   const overall = Math.round(
-    heightScore * WEIGHTS.waveHeight +
-    periodScore * WEIGHTS.wavePeriod +
-    swellScore * WEIGHTS.swellQuality +
-    windSpeedScore * WEIGHTS.windSpeed +
-    windDirScore * WEIGHTS.windDirection +
-    waveDirScore * WEIGHTS.waveDirection +
-    confidenceScore * WEIGHTS.dataConfidence
+    factors.reduce((sum, [score, weight]) => sum + score * weight, 0) / totalWeight
   );
 
   // Clamp to 0-100
   const clampedScore = Math.max(0, Math.min(100, overall));
   const rating = getRating(clampedScore);
 
-  logger.debug(`[Scoring] ${spotId}: height=${Math.round(heightScore)} period=${Math.round(periodScore)} swell=${Math.round(swellScore)} wind=${Math.round(windSpeedScore)} windDir=${Math.round(windDirScore)} waveDir=${Math.round(waveDirScore)} confidence=${Math.round(confidenceScore)} => ${clampedScore} (${rating})`);
+  logger.debug(`[Scoring] ${spotId}: height=${Math.round(heightScore)} period=${Math.round(periodScore)} swell=${Math.round(swellScore)} wind=${Math.round(windSpeedScore)} windDir=${Math.round(windDirScore)} waveDir=${Math.round(waveDirScore)} tide=${tideScore === null ? '-' : Math.round(tideScore)} confidence=${Math.round(confidenceScore)} => ${clampedScore} (${rating})`);
 
   const breakdown = {
     waveHeight: Math.round(heightScore),
@@ -62,7 +78,8 @@ function calculateSurfScore(conditions, spotId, sourceCount) {
     swellQuality: Math.round(swellScore),
     windSpeed: Math.round(windSpeedScore),
     windDirection: Math.round(windDirScore),
-    waveDirection: Math.round(waveDirScore)
+    waveDirection: Math.round(waveDirScore),
+    tide: tideScore === null ? null : Math.round(tideScore)
   };
 
   const explanation = generateExplanation(conditions, breakdown, clampedScore);
@@ -0,0 +1,128 @@
+const { WEIGHTS } = require('./scoring');
+const { getFeedback } = require('./spotFeedback');
+const { getCalibration } = require('./calibration');
+const logger = require('../utils/logger');
+
+/**
+ * Per-spot scoring profiles
+ *
+ * Surfer feedback is turned into per-factor multipliers by the LLM. A spot's
+ * profile is the default WEIGHTS times the average of its feedback
+ * multipliers, normalized to sum to 1, so every score computed for the spot
+ * (conditions, trend blocks, forecast, push and email alerts, agent API)
+ * reflects what locals say matters there. Once enough sessions have been
+ * logged there, the calibration multipliers (services/calibration.js) are
+ * applied on top. Spots with neither use WEIGHTS.
+ *
+ * Feedback and sessions are unauthenticated, so no one sender decides a
+ * spot's score for everyone: each contributor's feedback counts once, it only
+ * applies from MIN_FEEDBACK_CONTRIBUTORS contributors on, and the combined
+ * multiplier for a factor stays within MAX_PROFILE_MULTIPLIER either way.
+ */
+
+const FEEDBACK_FACTORS = ['waveHeight', 'wavePeriod', 'swellQuality', 'windSpeed', 'windDirection', 'waveDirection', 'tide'];
+const MIN_FEEDBACK_CONTRIBUTORS = 3;
+const MAX_PROFILE_MULTIPLIER = 2;
+
+function averageMultipliers(entries) {
+  const avg = {};
+  for (const f of FEEDBACK_FACTORS) {
+    const sum = entries.reduce((acc, e) => acc + (e.multipliers[f] || 1.0), 0);
+    avg[f] = sum / entries.length;
+  }
+  return avg;
+}
+
+/**
+ * Average each factor's multiplier over a spot's feedback, one vote per
+ * contributor (entries without one vote together)
+ *
+ * @param {Array<{ multipliers, contributor }>} entries
+ * @returns {Object|null} - { factor: multiplier }, null below MIN_FEEDBACK_CONTRIBUTORS
+ */
+function aggregateMultipliers(entries) {
+  if (!entries || entries.length === 0) return null;
+
+  const byContributor = new Map();
+  for (const e of entries) {
+    const key = e.contributor || null;
+    byContributor.set(key, [...(byContributor.get(key) || []), e]);
+  }
+  if (byContributor.size < MIN_FEEDBACK_CONTRIBUTORS) return null;
+
+  const votes = [...byContributor.values()].map(e => ({ multipliers: averageMultipliers(e) }));
+  const avg = averageMultipliers(votes);
+  for (const f of FEEDBACK_FACTORS) avg[f] = Math.round(avg[f] * 100) / 100;
+  return avg;
+}
+
+/**
+ * Apply multipliers, capped to MAX_PROFILE_MULTIPLIER either way, to the
+ * default weights and normalize them to sum to 1
+ *
+ * @param {Object|null} multipliers
+ * @returns {Object} - Weights keyed like WEIGHTS
+ */
+function buildWeights(multipliers) {
+  if (!multipliers) return WEIGHTS;
+
+  const adjusted = {};
+  for (const [factor, weight] of Object.entries(WEIGHTS)) {
+    const multiplier = Math.min(MAX_PROFILE_MULTIPLIER, Math.max(1 / MAX_PROFILE_MULTIPLIER, multipliers[factor] ?? 1.0));
+    adjusted[factor] = weight * multiplier;
+  }
+  const sum = Object.values(adjusted).reduce((acc, w) => acc + w, 0);
+  if (sum === 0) return WEIGHTS;
+
+  for (const factor of Object.keys(adjusted)) {
+    adjusted[factor] = Math.round((adjusted[factor] / sum) * 10000) / 10000;
+  }
+  return adjusted;
+}
+
+/**
+ * Per-factor product of two multiplier sets (either may be null)
+ */
+function combineMultipliers(a, b) {
+  if (!a || !b) return a || b;
+  const combined = {};
+  for (const factor of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    combined[factor] = Math.round((a[factor] ?? 1.0) * (b[factor] ?? 1.0) * 100) / 100;
+  }
+  return combined;
+}
+
+/**
+ * Scoring profile for a spot. Falls back to the default weights if the
+ * feedback or sessions can't be read — scoring must not fail over it.
+ *
+ * @param {string} spotId
+ * @returns {{ weights: Object, multipliers: Object|null, feedbackCount: number,
+ *             calibration: { multipliers: Object, sessionCount: number }|null }}
+ */
+function getScoringProfile(spotId) {
+  let entries = [];
+  let calibration = null;
+  try {
+    entries = getFeedback(spotId);
+    calibration = getCalibration(spotId);
+  } catch (e) {
+    logger.warn(`[Scoring] Could not load feedback for ${spotId}, using default weights: ${e.message}`);
+  }
+
+  const multipliers = aggregateMultipliers(entries);
+  return {
+    weights: buildWeights(combineMultipliers(multipliers, calibration?.multipliers)),
+    multipliers,
+    feedbackCount: entries.length,
+    calibration
+  };
+}
+
+module.exports = {
+  MIN_FEEDBACK_CONTRIBUTORS,
+  MAX_PROFILE_MULTIPLIER,
+  aggregateMultipliers,
+  buildWeights,
+  getScoringProfile
+};
@@ -1,14 +1,13 @@
-const { scrapeBeachCam } = require('../scrapers/beachcam');
-const { scrapeOpenMeteo } = require('../scrapers/openMeteo');
-const { scrapeMetNo } = require('../scrapers/metNo');
-const { scrapeOpenMeteoForecast } = require('../scrapers/openMeteoForecast');
-const { scrapeSurfForecast, registerCoords: regSurfForecast } = require('../scrapers/surfForecast');
-const { scrapeWindFinder, registerCoords: regWindFinder } = require('../scrapers/windFinder');
+const { getEnabledSources } = require('../scrapers/registry');
+const { getTideForSpot, addTideToTimeline } = require('./tide');
+const { aggregateField } = require('./aggregation');
+const { canAttempt, recordSuccess, recordFailure, recordNotCovered } = require('./sourceHealth');
 const logger = require('../utils/logger');
 
 /**
  * Fetch surf data from all available sources
- * Scrapes multiple websites in parallel and aggregates results
+ * Scrapes every enabled source in the registry in parallel, skipping sources
+ * that don't cover the spot or whose circuit breaker is open
  *
  * @param {string} spotId - Spot identifier
  * @returns {Promise<Array>} - Array of scraped data from different sources
@@ -16,22 +15,13 @@ const logger = require('../utils/logger');
 async function fetchSurfData(spotId, onProgress) {
   logger.info(`[Scraper] Fetching surf data for ${spotId}`);
 
-  // Scraper definitions with labels for progress reporting
-  const scraperDefs = [
-    { name: 'waves',      label: 'Checking wave height',          category: 'waves',   fn: () => scrapeOpenMeteoWrapper(spotId) },
-    { name: 'wind',       label: 'Reading wind conditions',       category: 'wind',    fn: () => scrapeMetNoWrapper(spotId) },
-    { name: 'weather',    label: 'Measuring water temperature',   category: 'weather', fn: () => scrapeOpenMeteoForecastWrapper(spotId) },
-    { name: 'visual',     label: 'Checking beach conditions',     category: 'visual',  fn: () => scrapeBeachCamWrapper(spotId) },
-    { name: 'surf-forecast', label: 'Checking surf conditions',     category: 'waves',   fn: () => scrapeSurfForecastWrapper(spotId) },
-    { name: 'windfinder',   label: 'Analyzing wind patterns',     category: 'wind',    fn: () => scrapeWindFinderWrapper(spotId) },
-  ];
-
+  const sources = selectSources(getEnabledSources(), spotId);
   let completedCount = 0;
-  const total = scraperDefs.length;
+  const total = sources.length;
 
   // Create promises, optionally with progress callbacks
-  const scrapers = scraperDefs.map(def => {
-    const promise = def.fn();
+  const scrapers = sources.map(def => {
+    const promise = runSource(def, spotId);
 
     if (onProgress) {
       promise.then(result => {
@@ -94,118 +84,94 @@ async function fetchSurfData(spotId, onProgress) {
 }
 
 /**
- * Wrapper functions for each scraper - return null on failure instead of throwing
- * This allows us to use partial data from successful sources
+ * Fetch multi-day hourly data for a spot.
+ * Only sources with the 'multiday' capability (the model APIs) cover more than a couple of days.
+ *
+ * @param {string} spotId - Spot identifier
+ * @param {number} days - Forecast days to request
+ * @returns {Promise<Array>} - Array of scraped data from the sources that responded
  */
+async function fetchForecastData(spotId, days) {
+  logger.info(`[Scraper] Fetching ${days}-day forecast data for ${spotId}`);
 
-async function scrapeSurfForecastWrapper(spotId) {
-  try {
-    logger.info(`[Scraper] Scraping surf-forecast.com for ${spotId}`);
-    const data = await scrapeSurfForecast(spotId);
-    if (!data) return null;
-    return { source: 'surf-forecast', data, timestamp: new Date().toISOString(), url: 'https://www.surf-forecast.com' };
-  } catch (error) {
-    logger.error(`[Scraper] surf-forecast.com failed:`, error.message);
-    return null;
-  }
-}
+  const results = await Promise.all(
+    selectSources(getEnabledSources({ capability: 'multiday' }), spotId).map(def => runSource(def, spotId, { days }))
+  );
 
-async function scrapeWindFinderWrapper(spotId) {
-  try {
-    logger.info(`[Scraper] Scraping WindFinder for ${spotId}`);
-    const data = await scrapeWindFinder(spotId);
-    if (!data) return null;
-    return { source: 'windfinder', data, timestamp: new Date().toISOString(), url: 'https://www.windfinder.com' };
-  } catch (error) {
-    logger.error(`[Scraper] WindFinder failed:`, error.message);
-    return null;
-  }
-}
-
-async function scrapeBeachCamWrapper(spotId) {
-  try {
-    logger.info(`[Scraper] Scraping BeachCam for ${spotId}`);
-    const data = await scrapeBeachCam(spotId);
-
-    if (!data) return null;
-
-    return {
-      source: 'beachcam',
-      data: data,
-      timestamp: new Date().toISOString(),
-      url: 'https://www.beachcam.co.il'
-    };
-  } catch (error) {
-    logger.error(`[Scraper] BeachCam failed:`, error.message);
-    return null;
+  const successfulData = results.filter(Boolean);
+  if (successfulData.length === 0) {
+    logger.error(`[Scraper] All forecast sources failed for ${spotId}`);
+    throw new Error('All data sources failed');
   }
-}
-
-async function scrapeOpenMeteoWrapper(spotId) {
-  try {
-    logger.info(`[Scraper] Scraping Open-Meteo for ${spotId}`);
-    const data = await scrapeOpenMeteo(spotId);
-
-    if (!data) return null;
 
-    return {
-      source: 'open-meteo',
-      data: data,
-      timestamp: new Date().toISOString(),
-      url: 'https://open-meteo.com'
-    };
-  } catch (error) {
-    logger.error(`[Scraper] Open-Meteo failed:`, error.message);
-    return null;
-  }
+  logger.info(`[Scraper] Forecast data from ${successfulData.length}/${results.length} source(s)`);
+  return successfulData;
 }
 
-async function scrapeMetNoWrapper(spotId) {
-  try {
-    logger.info(`[Scraper] Scraping MET.NO for ${spotId}`);
-    const data = await scrapeMetNo(spotId);
-
-    if (!data) return null;
-
-    return {
-      source: 'met-no',
-      data: data,
-      timestamp: new Date().toISOString(),
-      url: 'https://www.met.no'
-    };
-  } catch (error) {
-    logger.error(`[Scraper] MET.NO failed:`, error.message);
-    return null;
-  }
+/**
+ * Sources to call for a spot: those that cover it and aren't cooling down
+ */
+function selectSources(sources, spotId) {
+  return sources.filter(def => {
+    if (def.supports && !def.supports(spotId)) return false;
+    if (!canAttempt(def.name)) {
+      logger.info(`[Scraper] Skipping ${def.displayName} (circuit open)`);
+      return false;
+    }
+    return true;
+  });
 }
 
-async function scrapeOpenMeteoForecastWrapper(spotId) {
+/**
+ * Run one source's scraper - returns null on failure instead of throwing
+ * This allows us to use partial data from successful sources.
+ * Outcomes and latency feed the source's health and circuit breaker; only
+ * thrown errors and timeouts count as failures. Scrapers throw on network,
+ * HTTP and parse errors and return null only when they have no URL or
+ * coordinates for the spot.
+ *
+ * @param {Object} def - Source definition from the registry
+ * @param {string} spotId - Spot identifier
+ * @param {Object} [options] - Scraper options (e.g. { days })
+ * @returns {Promise<Object|null>} - { source, data, timestamp, url } or null
+ */
+async function runSource(def, spotId, options) {
+  const startedAt = Date.now();
   try {
-    logger.info(`[Scraper] Scraping Open-Meteo Forecast (ECMWF) for ${spotId}`);
-    const data = await scrapeOpenMeteoForecast(spotId);
+    logger.info(`[Scraper] Scraping ${def.displayName} for ${spotId}`);
+    const data = await def.scrape(spotId, options);
 
-    if (!data) return null;
+    // Null means the source doesn't cover this spot, not that it is down
+    if (!data) {
+      recordNotCovered(def.name);
+      return null;
+    }
+    recordSuccess(def.name, Date.now() - startedAt);
 
     return {
-      source: 'open-meteo-forecast',
-      data: data,
+      source: def.name,
+      data,
       timestamp: new Date().toISOString(),
-      url: 'https://open-meteo.com'
+      url: def.url
     };
   } catch (error) {
-    logger.error(`[Scraper] Open-Meteo Forecast failed:`, error.message);
+    recordFailure(def.name, Date.now() - startedAt, error.message);
+    logger.error(`[Scraper] ${def.displayName} failed:`, error.message);
     return null;
   }
 }
 
 /**
  * Aggregate data from multiple sources
- * Combines data from different sources into a single conditions object
+ * Combines data from different sources into a single conditions object using
+ * the configured aggregation strategy (see services/aggregation.js).
  *
  * @param {Array} sources - Array of source data
- * @returns {Object} - Aggregated conditions
+ * @param {string} [spotId] - Spot identifier, used for the predicted tide and source weights
+ * @returns {{ conditions: Object, report: Object }} - Aggregated conditions, and per
+ *   source the fields it was down-weighted or rejected in (for describeSources)
  */
-function aggregateData(sources) {
+function aggregateData(sources, spotId) {
   logger.info(`[Scraper] Aggregating data from ${sources.length} source(s)`);
 
   // Initialize aggregated conditions
@@ -226,63 +192,20 @@ function aggregateData(sources) {
       waterTemp: null,
       cloudCover: null
     },
-    tide: {
-      current: null,
-      height: null
-    }
-  };
-
-  // Collect all values for averaging
-  const values = {
-    waveHeightMin: [],
-    waveHeightMax: [],
-    waveHeightAvg: [],
-    wavePeriod: [],
-    windSpeed: [],
-    windGusts: [],
-    airTemp: [],
-    waterTemp: [],
-    swellHeight: [],
-    swellPeriod: []
+    tide: spotId ? getTideForSpot(spotId) : null
   };
 
-  // Most common wind/wave directions
-  const windDirections = [];
-  const waveDirections = [];
-  const swellDirections = [];
-
-  // Extract values from each source - use ALL available data
-  for (const source of sources) {
-    const data = source.data;
-
-    if (data.waves?.height?.min) values.waveHeightMin.push(data.waves.height.min);
-    if (data.waves?.height?.max) values.waveHeightMax.push(data.waves.height.max);
-    if (data.waves?.height?.avg) values.waveHeightAvg.push(data.waves.height.avg);
-    if (data.waves?.period) values.wavePeriod.push(data.waves.period);
-    if (data.waves?.direction) waveDirections.push(data.waves.direction);
-
-    if (data.waves?.swell?.height) values.swellHeight.push(data.waves.swell.height);
-    if (data.waves?.swell?.period) values.swellPeriod.push(data.waves.swell.period);
-    if (data.waves?.swell?.direction) swellDirections.push(data.waves.swell.direction);
-
-    if (data.wind?.speed) values.windSpeed.push(data.wind.speed);
-    if (data.wind?.gusts) values.windGusts.push(data.wind.gusts);
-    if (data.wind?.direction) windDirections.push(data.wind.direction);
+  const { values, report } = combineSources(sources.map(s => ({ source: s.source, data: s.data })), spotId);
 
-    if (data.weather?.airTemp) values.airTemp.push(data.weather.airTemp);
-    if (data.weather?.waterTemp) values.waterTemp.push(data.weather.waterTemp);
-  }
-
-  // Calculate averages
-  if (values.waveHeightAvg.length > 0) {
-    aggregated.waves.height.avg = Math.round(average(values.waveHeightAvg) * 10) / 10;
+  if (values.waveHeight !== null) {
+    aggregated.waves.height.avg = Math.round(values.waveHeight * 10) / 10;
   }
 
   // Reality check: if swell height is available, cap wave height
   // Many sources report "significant wave height" (swell + wind chop combined),
   // which inflates the number beyond what surfers actually see.
   // Face height at a beach break ≈ swell height × 1.3-1.5
-  const swellH = values.swellHeight.length > 0 ? average(values.swellHeight) : null;
+  const swellH = values.swellHeight;
   if (swellH && aggregated.waves.height.avg !== null) {
     const maxRealisticHeight = Math.round(swellH * 1.4 * 10) / 10; // beach break multiplier
     if (aggregated.waves.height.avg > maxRealisticHeight) {
@@ -300,32 +223,21 @@ function aggregateData(sources) {
     // Ensure min doesn't go below 0
     if (aggregated.waves.height.min < 0) aggregated.waves.height.min = 0;
   }
-  if (values.wavePeriod.length > 0) {
-    aggregated.waves.period = Math.round(average(values.wavePeriod));
-  }
-  if (values.windSpeed.length > 0) {
-    aggregated.wind.speed = Math.round(average(values.windSpeed));
-  }
-  if (values.windGusts.length > 0) {
-    aggregated.wind.gusts = Math.round(average(values.windGusts));
-  }
-  if (values.airTemp.length > 0) {
-    aggregated.weather.airTemp = Math.round(average(values.airTemp));
-  }
-  if (values.waterTemp.length > 0) {
-    aggregated.weather.waterTemp = Math.round(average(values.waterTemp));
-  }
+  aggregated.waves.period = roundOrNull(values.wavePeriod);
+  aggregated.wind.speed = roundOrNull(values.windSpeed);
+  aggregated.wind.gusts = roundOrNull(values.windGusts);
+  aggregated.weather.airTemp = roundOrNull(values.airTemp);
+  aggregated.weather.waterTemp = roundOrNull(values.waterTemp);
 
-  // Use most common direction
-  aggregated.waves.direction = mostCommon(waveDirections);
-  aggregated.wind.direction = mostCommon(windDirections);
+  aggregated.waves.direction = values.waveDirection;
+  aggregated.wind.direction = values.windDirection;
 
   // Aggregate swell data
-  if (values.swellHeight.length > 0) {
+  if (values.swellHeight !== null) {
     aggregated.waves.swell = {
-      height: Math.round(average(values.swellHeight) * 10) / 10,
-      period: values.swellPeriod.length > 0 ? Math.round(average(values.swellPeriod)) : null,
-      direction: mostCommon(swellDirections)
+      height: Math.round(values.swellHeight * 10) / 10,
+      period: roundOrNull(values.swellPeriod),
+      direction: values.swellDirection
     };
   }
 
@@ -334,35 +246,79 @@ function aggregateData(sources) {
     `wind=${aggregated.wind.speed}km/h ${aggregated.wind.direction}`);
 
   logger.info(`[Scraper] Aggregation complete`);
-  return aggregated;
+  return { conditions: aggregated, report };
 }
 
+// Fields combined across sources, and where each source reports them
+const FIELD_EXTRACTORS = {
+  waveHeight: d => d.waves?.height?.avg,
+  wavePeriod: d => d.waves?.period,
+  waveDirection: d => d.waves?.direction,
+  swellHeight: d => d.waves?.swell?.height,
+  swellPeriod: d => d.waves?.swell?.period,
+  swellDirection: d => d.waves?.swell?.direction,
+  windSpeed: d => d.wind?.speed,
+  windGusts: d => d.wind?.gusts,
+  windDirection: d => d.wind?.direction,
+  airTemp: d => d.weather?.airTemp,
+  waterTemp: d => d.weather?.waterTemp
+};
+
 /**
- * Helper: Calculate average of numbers
+ * Combine every field across sources with the configured aggregation strategy
+ *
+ * @param {Array<{source: string, data: Object}>} entries - One entry per source
+ * @param {string} [spotId] - Spot identifier, for per-spot source weights
+ * @returns {{ values: Object, report: Object }} - Combined value per field (null when
+ *   no source had it), and per source the fields it was down-weighted or rejected in
  */
-function average(arr) {
-  return arr.reduce((sum, val) => sum + val, 0) / arr.length;
+function combineSources(entries, spotId) {
+  const values = {};
+  const report = {};
+  const note = (source, kind, field) => {
+    if (!report[source]) report[source] = { downWeighted: [], rejected: [] };
+    report[source][kind].push(field);
+  };
+
+  for (const [field, extract] of Object.entries(FIELD_EXTRACTORS)) {
+    const samples = [];
+    for (const { source, data } of entries) {
+      const value = data ? extract(data) : null;
+      if (value) samples.push({ source, value });
+    }
+
+    const result = aggregateField(field, samples, spotId);
+    values[field] = result.value;
+    for (const source of result.downWeighted) note(source, 'downWeighted', field);
+    for (const source of result.rejected) note(source, 'rejected', field);
+  }
+
+  return { values, report };
 }
 
 /**
- * Helper: Find most common item in array
+ * Helper: Round a combined value, keeping null
  */
-function mostCommon(arr) {
-  if (arr.length === 0) return null;
-
-  const counts = {};
-  let maxCount = 0;
-  let mostCommonItem = null;
-
-  for (const item of arr) {
-    counts[item] = (counts[item] || 0) + 1;
-    if (counts[item] > maxCount) {
-      maxCount = counts[item];
-      mostCommonItem = item;
-    }
-  }
+function roundOrNull(value) {
+  return value === null ? null : Math.round(value);
+}
 
-  return mostCommonItem;
+/**
+ * Describe the sources behind a conditions response, including how each was weighed
+ *
+ * @param {Array} sources - Scraper results
+ * @param {Object} [report] - Aggregation report from aggregateData
+ * @returns {Array} - Response `sources` entries
+ */
+function describeSources(sources, report = {}) {
+  return sources.map(d => ({
+    name: d.source,
+    status: 'success',
+    timestamp: d.timestamp,
+    url: d.url,
+    downWeighted: report[d.source]?.downWeighted || [],
+    rejected: report[d.source]?.rejected || []
+  }));
 }
 
 /**
@@ -370,9 +326,10 @@ function mostCommon(arr) {
  * Merges wave data (Open-Meteo Marine) with wind data (Open-Meteo Forecast, MET.NO, web scrapers)
  *
  * @param {Array} sources - Array of source data objects (each has .data.hourly)
+ * @param {string} [spotId] - Spot identifier, used for the predicted tide at each hour and source weights
  * @returns {Array} - Merged hourly timeline sorted by time
  */
-function aggregateHourlyData(sources) {
+function aggregateHourlyData(sources, spotId) {
   // Collect all hourly entries keyed by hour
   const hourMap = {};
 
@@ -385,92 +342,45 @@ function aggregateHourlyData(sources) {
       // Normalize to hour key (YYYY-MM-DDTHH:00)
       const hourKey = entry.time.substring(0, 13) + ':00';
 
-      if (!hourMap[hourKey]) {
-        hourMap[hourKey] = {
-          time: hourKey,
-          waveHeights: [],
-          wavePeriods: [],
-          waveDirections: [],
-          swellHeights: [],
-          swellPeriods: [],
-          swellDirections: [],
-          windSpeeds: [],
-          windDirections: [],
-          windGusts: [],
-          airTemps: []
-        };
-      }
-
-      const h = hourMap[hourKey];
-      if (entry.waves?.height?.avg) h.waveHeights.push(entry.waves.height.avg);
-      if (entry.waves?.period) h.wavePeriods.push(entry.waves.period);
-      if (entry.waves?.direction) h.waveDirections.push(entry.waves.direction);
-      if (entry.waves?.swell?.height) h.swellHeights.push(entry.waves.swell.height);
-      if (entry.waves?.swell?.period) h.swellPeriods.push(entry.waves.swell.period);
-      if (entry.waves?.swell?.direction) h.swellDirections.push(entry.waves.swell.direction);
-      if (entry.wind?.speed) h.windSpeeds.push(entry.wind.speed);
-      if (entry.wind?.direction) h.windDirections.push(entry.wind.direction);
-      if (entry.wind?.gusts) h.windGusts.push(entry.wind.gusts);
-      if (entry.weather?.airTemp) h.airTemps.push(entry.weather.airTemp);
+      if (!hourMap[hourKey]) hourMap[hourKey] = [];
+      hourMap[hourKey].push({ source: source.source, data: entry });
     }
   }
 
   // Convert to conditions-like objects for scoring
-  const timeline = Object.values(hourMap)
-    .sort((a, b) => a.time.localeCompare(b.time))
-    .map(h => ({
-      time: h.time,
-      waves: {
-        height: { avg: h.waveHeights.length > 0 ? Math.round(average(h.waveHeights) * 10) / 10 : null },
-        period: h.wavePeriods.length > 0 ? Math.round(average(h.wavePeriods)) : null,
-        direction: mostCommon(h.waveDirections),
-        swell: h.swellHeights.length > 0 ? {
-          height: Math.round(average(h.swellHeights) * 10) / 10,
-          period: h.swellPeriods.length > 0 ? Math.round(average(h.swellPeriods)) : null,
-          direction: mostCommon(h.swellDirections)
-        } : null
-      },
-      wind: {
-        speed: h.windSpeeds.length > 0 ? Math.round(average(h.windSpeeds)) : null,
-        direction: mostCommon(h.windDirections),
-        gusts: h.windGusts.length > 0 ? Math.round(average(h.windGusts)) : null
-      },
-      weather: {
-        airTemp: h.airTemps.length > 0 ? Math.round(average(h.airTemps)) : null
-      }
-    }));
+  const timeline = Object.keys(hourMap)
+    .sort()
+    .map(time => {
+      const { values: v } = combineSources(hourMap[time], spotId);
+      return {
+        time,
+        waves: {
+          height: { avg: v.waveHeight !== null ? Math.round(v.waveHeight * 10) / 10 : null },
+          period: roundOrNull(v.wavePeriod),
+          direction: v.waveDirection,
+          swell: v.swellHeight !== null ? {
+            height: Math.round(v.swellHeight * 10) / 10,
+            period: roundOrNull(v.swellPeriod),
+            direction: v.swellDirection
+          } : null
+        },
+        wind: {
+          speed: roundOrNull(v.windSpeed),
+          direction: v.windDirection,
+          gusts: roundOrNull(v.windGusts)
+        },
+        weather: {
+          airTemp: roundOrNull(v.airTemp)
+        }
+      };
+    });
+
+  if (spotId) addTideToTimeline(timeline, spotId);
 
   logger.info(`[Scraper] Aggregated ${timeline.length} hourly entries from ${sources.length} sources`);
   return timeline;
 }
 
-/**
- * Fetch surf data for arbitrary coordinates (custom/dynamic spots).
- * Only uses coordinate-based scrapers (not URL-based ones).
- *
- * @param {number} lat - Latitude
- * @param {number} lon - Longitude
- * @param {string} spotId - Spot identifier (for caching/logging)
- * @returns {Promise<Array>} - Array of scraped data
- */
-async function fetchSurfDataByCoords(lat, lon, spotId, onProgress) {
-  logger.info(`[Scraper] Fetching data by coords for ${spotId} (${lat}, ${lon})`);
-
-  // Register coordinates for this spot in each coordinate-based scraper
-  const { registerCoords: regOpenMeteo } = require('../scrapers/openMeteo');
-  const { registerCoords: regMetNo } = require('../scrapers/metNo');
-  const { registerCoords: regForecast } = require('../scrapers/openMeteoForecast');
-
-  regOpenMeteo(spotId, lat, lon);
-  regMetNo(spotId, lat, lon);
-  regForecast(spotId, lat, lon);
-  regSurfForecast(spotId, lat, lon);
-  regWindFinder(spotId, lat, lon);
-
-  // Delegate to main fetch path (coords are now registered)
-  return fetchSurfData(spotId, onProgress);
-}
-
 /**
  * Extract a human-readable snippet from a scraper result for progress display
  */
@@ -495,7 +405,8 @@ function extractSnippet(result, category) {
 
 module.exports = {
   fetchSurfData,
-  fetchSurfDataByCoords,
+  fetchForecastData,
   aggregateData,
-  aggregateHourlyData
+  aggregateHourlyData,
+  describeSources
 };
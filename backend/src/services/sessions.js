@@ -0,0 +1,213 @@
+const { getDatastore } = require('./datastore');
+const { getHistory } = require('./history');
+
+/**
+ * Logged surf sessions: when and where someone surfed, how they rated it
+ * (1-5) and a snapshot of the conditions and score breakdown we had for that
+ * time. Sessions are keyed by the same anonymous device ID as synced quivers.
+ * The snapshots feed the per-spot calibration report (services/calibration.js).
+ */
+
+const MAX_SESSION_HOURS = 12;
+const MAX_AGE_DAYS = 30;
+const MAX_NOTES_LENGTH = 500;
+// Clock skew allowance for sessions logged right as they end
+const FUTURE_SLACK_MS = 15 * 60 * 1000;
+// How far outside the session a history entry may be to stand in for it
+const SNAPSHOT_SLACK_MS = 2 * 60 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function parseTime(value) {
+  if (typeof value !== 'string') return null;
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Validate and normalize a session from the request body
+ *
+ * @param {*} input - Untrusted { startedAt, endedAt, rating, notes? }
+ * @param {Date} [now]
+ * @returns {{ session?: { startedAt, endedAt, rating, notes }, error?: string }}
+ */
+function validateSession(input, now = new Date()) {
+  if (!input || typeof input !== 'object') return { error: 'Session must be an object' };
+
+  const start = parseTime(input.startedAt);
+  const end = parseTime(input.endedAt);
+  if (start === null || end === null) {
+    return { error: 'startedAt and endedAt must be ISO timestamps' };
+  }
+  if (end <= start) return { error: 'endedAt must be after startedAt' };
+  if (end - start > MAX_SESSION_HOURS * HOUR_MS) {
+    return { error: `A session can last at most ${MAX_SESSION_HOURS} hours` };
+  }
+  if (end > now.getTime() + FUTURE_SLACK_MS) return { error: 'Sessions can only be logged once they are over' };
+  if (start < now.getTime() - MAX_AGE_DAYS * 24 * HOUR_MS) {
+    return { error: `Sessions older than ${MAX_AGE_DAYS} days can't be logged` };
+  }
+
+  if (!Number.isInteger(input.rating) || input.rating < 1 || input.rating > 5) {
+    return { error: 'rating must be an integer 1-5' };
+  }
+
+  let notes = null;
+  if (input.notes !== undefined && input.notes !== null && input.notes !== '') {
+    if (typeof input.notes !== 'string') return { error: 'notes must be text' };
+    // Strip control characters, same as feedback text
+    notes = input.notes.slice(0, MAX_NOTES_LENGTH).replace(/[\x00-\x1F\x7F]/g, ' ').trim() || null;
+  }
+
+  return {
+    session: {
+      startedAt: new Date(start).toISOString(),
+      endedAt: new Date(end).toISOString(),
+      rating: input.rating,
+      notes
+    }
+  };
+}
+
+/**
+ * Recorded conditions closest to the middle of a session
+ *
+ * @returns {{ timestamp, score, rating, breakdown, conditions }|null}
+ */
+function findSnapshot(spotId, startedAt, endedAt) {
+  const start = Date.parse(startedAt);
+  const end = Date.parse(endedAt);
+  const middle = (start + end) / 2;
+
+  const { entries } = getHistory(spotId, {
+    from: new Date(start - SNAPSHOT_SLACK_MS).toISOString(),
+    to: new Date(end + SNAPSHOT_SLACK_MS).toISOString()
+  });
+  const scored = entries.filter(e => e.score !== null && e.breakdown);
+  if (scored.length === 0) return null;
+
+  const closest = scored.reduce((best, e) =>
+    Math.abs(Date.parse(e.timestamp) - middle) < Math.abs(Date.parse(best.timestamp) - middle) ? e : best
+  );
+  return {
+    timestamp: closest.timestamp,
+    score: closest.score,
+    rating: closest.rating,
+    breakdown: closest.breakdown,
+    conditions: closest.conditions
+  };
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    spotId: row.spot_id,
+    startedAt: row.started_at,
+    endedAt: row.ended_at,
+    rating: row.rating,
+    notes: row.notes,
+    snapshot: row.snapshot_at
+      ? {
+        timestamp: row.snapshot_at,
+        score: row.score,
+        rating: row.score_rating,
+        breakdown: JSON.parse(row.breakdown),
+        conditions: JSON.parse(row.conditions)
+      }
+      : null,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Store a validated session with its conditions snapshot
+ *
+ * @param {string} deviceId
+ * @param {string} spotId
+ * @param {Object} session - From validateSession
+ * @param {Object|null} snapshot - From findSnapshot
+ * @param {string|null} [contributor] - From contributorId(), for the client that sent it
+ * @returns {Object} - The stored session
+ */
+function addSession(deviceId, spotId, session, snapshot, contributor = null) {
+  const { lastInsertRowid } = getDatastore().prepare(`
+    INSERT INTO surf_sessions (
+      device_id, spot_id, started_at, ended_at, rating, notes,
+      score, score_rating, breakdown, conditions, snapshot_at, contributor, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    deviceId, spotId, session.startedAt, session.endedAt, session.rating, session.notes,
+    snapshot?.score ?? null,
+    snapshot?.rating ?? null,
+    snapshot ? JSON.stringify(snapshot.breakdown) : null,
+    snapshot ? JSON.stringify(snapshot.conditions) : null,
+    snapshot?.timestamp ?? null,
+    contributor,
+    new Date().toISOString()
+  );
+  return getSession(lastInsertRowid);
+}
+
+function getSession(id) {
+  const row = getDatastore().prepare('SELECT * FROM surf_sessions WHERE id = ?').get(id);
+  return row ? fromRow(row) : null;
+}
+
+/**
+ * A device's sessions, newest first
+ *
+ * @param {string} deviceId
+ * @param {Object} [filter]
+ * @param {string} [filter.spotId]
+ */
+function listSessions(deviceId, { spotId } = {}) {
+  const db = getDatastore();
+  const rows = spotId
+    ? db.prepare('SELECT * FROM surf_sessions WHERE device_id = ? AND spot_id = ? ORDER BY started_at DESC').all(deviceId, spotId)
+    : db.prepare('SELECT * FROM surf_sessions WHERE device_id = ? ORDER BY started_at DESC').all(deviceId);
+  return rows.map(fromRow);
+}
+
+/**
+ * All sessions at a spot that have a conditions snapshot, oldest first
+ */
+function getScoredSessions(spotId) {
+  return getDatastore()
+    .prepare('SELECT * FROM surf_sessions WHERE spot_id = ? AND score IS NOT NULL ORDER BY started_at')
+    .all(spotId)
+    .map(fromRow);
+}
+
+/**
+ * How many contributors logged the scored sessions at a spot. Device IDs are
+ * minted by the client, so they don't tell surfers apart; sessions stored
+ * before contributors were recorded don't count.
+ *
+ * @returns {number}
+ */
+function countScoredContributors(spotId) {
+  return getDatastore()
+    .prepare('SELECT COUNT(DISTINCT contributor) AS contributors FROM surf_sessions WHERE spot_id = ? AND score IS NOT NULL')
+    .get(spotId).contributors;
+}
+
+/**
+ * Delete one of a device's sessions
+ *
+ * @returns {boolean} - Whether a session was removed
+ */
+function deleteSession(deviceId, id) {
+  return getDatastore()
+    .prepare('DELETE FROM surf_sessions WHERE id = ? AND device_id = ?')
+    .run(id, deviceId).changes > 0;
+}
+
+module.exports = {
+  validateSession,
+  findSnapshot,
+  addSession,
+  listSessions,
+  getScoredSessions,
+  countScoredContributors,
+  deleteSession
+};
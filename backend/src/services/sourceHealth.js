@@ -0,0 +1,185 @@
+/**
+ * Per-source health tracking and circuit breaker.
+ *
+ * Every scrape records its outcome and latency. After BREAKER_THRESHOLD
+ * consecutive failures a source's circuit opens and fetches skip it for a
+ * cool-down; then a single trial request is let through (half-open). A
+ * successful trial closes the circuit, a failed one reopens it with the
+ * cool-down doubled (up to BREAKER_MAX_COOLDOWN_MS).
+ */
+const logger = require('../utils/logger');
+
+const BREAKER_THRESHOLD = parseInt(process.env.SOURCE_BREAKER_THRESHOLD, 10) || 5;
+const BREAKER_COOLDOWN_MS = parseInt(process.env.SOURCE_BREAKER_COOLDOWN_MS, 10) || 5 * 60 * 1000;
+const BREAKER_MAX_COOLDOWN_MS = 60 * 60 * 1000;
+// Success rate and latency percentiles cover the most recent attempts
+const WINDOW_SIZE = 100;
+
+const sources = new Map();
+
+function getState(name) {
+  if (!sources.has(name)) {
+    sources.set(name, {
+      state: 'closed',
+      outcomes: [],
+      latencies: [],
+      consecutiveFailures: 0,
+      cooldownMs: BREAKER_COOLDOWN_MS,
+      openedAt: null,
+      trialInFlight: false,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastError: null
+    });
+  }
+  return sources.get(name);
+}
+
+function pushBounded(arr, value) {
+  arr.push(value);
+  if (arr.length > WINDOW_SIZE) arr.shift();
+}
+
+/**
+ * Whether a source may be called now. Moves an open circuit to half-open
+ * once its cool-down has passed and lets exactly one trial through.
+ *
+ * @param {string} name - Source name
+ * @returns {boolean}
+ */
+function canAttempt(name) {
+  const s = getState(name);
+  if (s.state === 'closed') return true;
+
+  if (s.state === 'open' && Date.now() - s.openedAt >= s.cooldownMs) {
+    s.state = 'half-open';
+    s.trialInFlight = false;
+    logger.info(`[SourceHealth] ${name} cool-down over, allowing a trial request`);
+  }
+
+  if (s.state === 'half-open' && !s.trialInFlight) {
+    s.trialInFlight = true;
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Record a successful scrape
+ *
+ * @param {string} name - Source name
+ * @param {number} latencyMs - Time the scrape took
+ */
+function recordSuccess(name, latencyMs) {
+  const s = getState(name);
+  pushBounded(s.outcomes, true);
+  pushBounded(s.latencies, latencyMs);
+  s.consecutiveFailures = 0;
+  s.lastSuccessAt = new Date().toISOString();
+
+  if (s.state !== 'closed') {
+    logger.info(`[SourceHealth] ${name} recovered, closing circuit`);
+    s.state = 'closed';
+    s.openedAt = null;
+    s.trialInFlight = false;
+    s.cooldownMs = BREAKER_COOLDOWN_MS;
+  }
+}
+
+/**
+ * Record a scrape that returned nothing because the source doesn't cover the
+ * spot (no URL or coordinates for it, nothing found by a search). Neutral: it
+ * says nothing about the source's health, but frees a half-open trial so the
+ * next spot can probe the source.
+ *
+ * @param {string} name - Source name
+ */
+function recordNotCovered(name) {
+  const s = getState(name);
+  if (s.state === 'half-open') s.trialInFlight = false;
+}
+
+/**
+ * Record a failed scrape (thrown error or timeout)
+ *
+ * @param {string} name - Source name
+ * @param {number} latencyMs - Time until the failure
+ * @param {string} [error] - Failure reason
+ */
+function recordFailure(name, latencyMs, error) {
+  const s = getState(name);
+  pushBounded(s.outcomes, false);
+  pushBounded(s.latencies, latencyMs);
+  s.consecutiveFailures++;
+  s.lastFailureAt = new Date().toISOString();
+  s.lastError = error || null;
+
+  if (s.state === 'half-open') {
+    s.cooldownMs = Math.min(s.cooldownMs * 2, BREAKER_MAX_COOLDOWN_MS);
+    open(name, s);
+  } else if (s.state === 'closed' && s.consecutiveFailures >= BREAKER_THRESHOLD) {
+    open(name, s);
+  }
+}
+
+function open(name, s) {
+  s.state = 'open';
+  s.openedAt = Date.now();
+  s.trialInFlight = false;
+  logger.warn(`[SourceHealth] ${name} failed ${s.consecutiveFailures} time(s) in a row, skipping it for ${Math.round(s.cooldownMs / 1000)}s`);
+}
+
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return Math.round(sorted[Math.max(0, index)]);
+}
+
+/**
+ * Health summary for every source that has been called
+ *
+ * @returns {Array<Object>} - One entry per source, sorted by name
+ */
+function getSourceHealth() {
+  const now = Date.now();
+  return [...sources.entries()]
+    .map(([name, s]) => ({
+      name,
+      state: s.state,
+      attempts: s.outcomes.length,
+      successRate: s.outcomes.length > 0
+        ? Math.round((s.outcomes.filter(Boolean).length / s.outcomes.length) * 100)
+        : null,
+      latencyMs: {
+        p50: percentile(s.latencies, 50),
+        p95: percentile(s.latencies, 95),
+        p99: percentile(s.latencies, 99)
+      },
+      consecutiveFailures: s.consecutiveFailures,
+      retryInSeconds: s.state === 'open'
+        ? Math.max(0, Math.ceil((s.openedAt + s.cooldownMs - now) / 1000))
+        : null,
+      lastSuccessAt: s.lastSuccessAt,
+      lastFailureAt: s.lastFailureAt,
+      lastError: s.lastError
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Forget all recorded health (tests)
+ */
+function resetSourceHealth() {
+  sources.clear();
+}
+
+module.exports = {
+  BREAKER_THRESHOLD,
+  canAttempt,
+  recordSuccess,
+  recordFailure,
+  recordNotCovered,
+  getSourceHealth,
+  resetSourceHealth
+};
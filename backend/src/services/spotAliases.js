@@ -0,0 +1,159 @@
+const { getDatastore } = require('./datastore');
+const { spotsNear } = require('./spotIndex');
+const pushSubscriptions = require('./pushSubscriptions');
+const emailSubscriptions = require('./emailSubscriptions');
+const { getSpotById } = require('../config/spots');
+const { findCatalogSpot, legacyCatalogId } = require('../config/spotCatalog');
+const { slugifyName, stableSpotId, mergeDistanceKm } = require('../utils/spotIds');
+const logger = require('../utils/logger');
+
+/**
+ * IDs for new spots, and the aliases that keep old IDs working.
+ *
+ * A spot added by name and coordinates joins an existing spot with the same
+ * name nearby (utils/spotIds mergeDistanceKm) and otherwise gets a stable
+ * name + geohash ID. Aliases redirect an ID to the spot it now stands for:
+ * rows in spot_aliases (merged duplicates, bare name slugs), then the bare
+ * slugs of names the catalog lists more than once (config/spotCatalog).
+ * Spot IDs sent in request bodies are resolved with canonicalSpotId, and rows
+ * stored under an ID before it became an alias are moved to the spot's ID by
+ * migrateAliasedSpotIds.
+ */
+
+const MAX_ID_SUFFIX = 100;
+// Tables keyed by spot ID that have no ID scheme of their own to keep in step
+const SPOT_ID_TABLES = ['surf_sessions', 'spot_feedback', 'spot_edits'];
+
+/**
+ * The nearest spot with the same name within the merge distance
+ *
+ * @returns {Object|null} - { id, name, country, region, lat, lon, distanceKm }
+ */
+function findDuplicate(name, lat, lon) {
+  const radiusKm = mergeDistanceKm();
+  if (radiusKm === 0) return null;
+
+  const slug = slugifyName(name);
+  return spotsNear(lat, lon, { radiusKm, limit: 50 }).find(s => slugifyName(s.name) === slug) || null;
+}
+
+function isTaken(spotId) {
+  return !!(getSpotById(spotId) || findCatalogSpot(spotId) || resolveSpotAlias(spotId));
+}
+
+/**
+ * The ID for a spot added by name and coordinates
+ *
+ * @returns {{ spotId: string, merged: boolean }|null} - merged when it is an existing spot; null for names with no letters or digits
+ */
+function resolveSpotId({ name, lat, lon }) {
+  if (!slugifyName(name)) return null;
+
+  const duplicate = findDuplicate(name, lat, lon);
+  if (duplicate) return { spotId: duplicate.id, merged: true };
+
+  // Same name in the same ~5 km cell but beyond the merge distance
+  const base = stableSpotId(name, lat, lon);
+  let spotId = base;
+  for (let n = 2; isTaken(spotId) && n <= MAX_ID_SUFFIX; n++) spotId = `${base}_${n}`;
+  return { spotId, merged: false };
+}
+
+/**
+ * Point an ID at another spot, unless the ID is already taken
+ *
+ * @param {string} alias
+ * @param {string} spotId
+ * @param {string} reason - 'name' (the bare name slug) | 'merged' (a duplicate's own ID)
+ * @returns {boolean} - Whether a new alias was stored
+ */
+function addSpotAlias(alias, spotId, reason) {
+  if (!alias || alias === spotId || getSpotById(alias) || findCatalogSpot(alias)) return false;
+
+  const { changes } = getDatastore()
+    .prepare('INSERT OR IGNORE INTO spot_aliases (alias, spot_id, reason, created_at) VALUES (?, ?, ?, ?)')
+    .run(alias, spotId, reason, new Date().toISOString());
+  if (changes > 0) logger.info(`[Spots] Alias ${alias} -> ${spotId} (${reason})`);
+  return changes > 0;
+}
+
+/**
+ * The spot an aliased ID stands for
+ *
+ * @returns {string|null} - null when the ID is not an alias
+ */
+function resolveSpotAlias(spotId) {
+  const row = getDatastore().prepare('SELECT spot_id FROM spot_aliases WHERE alias = ?').get(spotId);
+  if (row) return row.spot_id;
+  // A loaded spot keeps its ID even when the catalog lists its name more than once
+  if (getSpotById(spotId)) return null;
+  return legacyCatalogId(spotId);
+}
+
+/**
+ * The ID a spot is stored under: the spot an alias stands for, or the ID itself
+ */
+function canonicalSpotId(spotId) {
+  return resolveSpotAlias(spotId) || spotId;
+}
+
+/**
+ * Move subscriptions, sessions, feedback and edit proposals stored under an
+ * aliased ID to the spot it stands for. Run at startup, once loaded spots
+ * are in place (a loaded spot keeps its ID).
+ *
+ * @returns {number} - Rows moved
+ */
+function migrateAliasedSpotIds() {
+  const db = getDatastore();
+  const storedIds = db.prepare(`
+    SELECT spot_id FROM push_subscriptions
+    UNION SELECT spot_id FROM email_subscriptions
+    ${SPOT_ID_TABLES.map(table => `UNION SELECT spot_id FROM ${table}`).join('\n    ')}
+  `).pluck().all();
+
+  return db.transaction(() => {
+    let moved = 0;
+    for (const alias of storedIds) {
+      const spotId = resolveSpotAlias(alias);
+      if (!spotId || spotId === alias) continue;
+
+      let count = pushSubscriptions.moveSubscriptions(alias, spotId) + emailSubscriptions.moveSubscriptions(alias, spotId);
+      for (const table of SPOT_ID_TABLES) {
+        count += db.prepare(`UPDATE ${table} SET spot_id = ? WHERE spot_id = ?`).run(spotId, alias).changes;
+      }
+      if (count > 0) logger.info(`[Spots] Moved ${count} stored row(s) from ${alias} to ${spotId}`);
+      moved += count;
+    }
+    return moved;
+  })();
+}
+
+/**
+ * router.param handler: redirect requests for an aliased ID to the same path
+ * under the spot's ID (301 for reads, 308 so other methods keep their body)
+ */
+function redirectSpotAlias(req, res, next, spotId) {
+  let canonical = null;
+  try {
+    canonical = resolveSpotAlias(spotId);
+  } catch (e) {
+    logger.warn(`[Spots] Alias lookup failed for ${spotId}: ${e.message}`);
+  }
+  if (!canonical || canonical === spotId) return next();
+
+  const rest = req.path.replace(/^\/[^/]+/, '');
+  const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+  const status = req.method === 'GET' || req.method === 'HEAD' ? 301 : 308;
+  res.redirect(status, `${req.baseUrl}/${encodeURIComponent(canonical)}${rest}${query}`);
+}
+
+module.exports = {
+  findDuplicate,
+  resolveSpotId,
+  addSpotAlias,
+  resolveSpotAlias,
+  canonicalSpotId,
+  migrateAliasedSpotIds,
+  redirectSpotAlias
+};
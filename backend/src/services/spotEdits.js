@@ -0,0 +1,332 @@
+const { getDatastore } = require('./datastore');
+const { getSpotById, isValidSpot, applySpotOverrides } = require('../config/spots');
+const { getSpotMetadata } = require('../sourcing/spotMetadata');
+const { parseBreakType } = require('../sourcing/optimalCompiler');
+const { refreshLiveSpots } = require('./spotIndex');
+const { invalidateConditions } = require('./conditions');
+const { COMPASS_8, toDegrees } = require('../utils/compass');
+const logger = require('../utils/logger');
+
+/**
+ * Community corrections to spot configs. Anyone can propose moving a spot's
+ * pin, renaming it, setting the bearing its coast faces (shoreNormal), its
+ * offshore wind and swell window or its break type; each proposal keeps the
+ * values it would replace. An admin accepts or rejects it, and accepted
+ * changes are folded, in review order, into per-spot overrides applied to
+ * the config scoring uses (config/spots applySpotOverrides). Each instance
+ * polls for edits accepted elsewhere, so a review reaches every instance
+ * within EDIT_SYNC_INTERVAL_MS.
+ */
+
+const EDITABLE_FIELDS = ['name', 'location', 'shoreNormal', 'windDirection', 'waveDirection', 'breakType'];
+const BREAK_TYPES = ['beach', 'reef', 'point'];
+const STATUSES = ['pending', 'accepted', 'rejected'];
+const MAX_NAME_LENGTH = 100;
+const MAX_TEXT_LENGTH = 500;
+const MAX_PENDING_PER_SPOT = 20;
+const EDIT_SYNC_INTERVAL_MS = 60 * 1000;
+
+// Accepted edits per spot already applied here; a higher stored count means
+// another instance accepted one since
+const appliedCounts = new Map();
+let intervalHandle = null;
+
+function cleanText(value, maxLength) {
+  return value.slice(0, maxLength).replace(/[\x00-\x1F\x7F]/g, ' ').trim();
+}
+
+// 8-point directions in compass order, null when any entry isn't one
+function parseDirectionList(value) {
+  if (!Array.isArray(value) || value.length === 0 || value.length > 5) return null;
+  const points = value.map(p => (typeof p === 'string' ? p.trim().toUpperCase() : null));
+  if (points.some(p => !COMPASS_8.includes(p))) return null;
+  return COMPASS_8.filter(p => points.includes(p));
+}
+
+function validateField(field, value) {
+  switch (field) {
+    case 'name': {
+      const name = typeof value === 'string' ? cleanText(value, MAX_NAME_LENGTH) : '';
+      return name.length >= 2 ? { value: name } : { error: 'name must be 2-100 characters' };
+    }
+    case 'location': {
+      const lat = Number(value?.lat);
+      const lon = Number(value?.lon);
+      if (value?.lat == null || value?.lon == null || !Number.isFinite(lat) || !Number.isFinite(lon) ||
+          lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+        return { error: 'location must be { lat: -90..90, lon: -180..180 }' };
+      }
+      return { value: { lat, lon } };
+    }
+    case 'shoreNormal': {
+      // Degrees, or a compass point ("W", "WSW")
+      const degrees = typeof value === 'number' || typeof value === 'string' ? toDegrees(value) : null;
+      return degrees === null
+        ? { error: 'shoreNormal must be a bearing in degrees or a compass point' }
+        : { value: Math.round(degrees) % 360 };
+    }
+    case 'windDirection':
+    case 'waveDirection': {
+      const points = parseDirectionList(value);
+      return points ? { value: points } : { error: `${field} must be a list of 1-5 compass points (${COMPASS_8.join(', ')})` };
+    }
+    case 'breakType':
+      return BREAK_TYPES.includes(value) ? { value } : { error: `breakType must be one of ${BREAK_TYPES.join(', ')}` };
+    default:
+      return { error: `Unknown field: ${field}` };
+  }
+}
+
+/**
+ * The spot's current value of each editable field
+ */
+function currentValues(spot) {
+  return {
+    name: spot.name,
+    location: spot.location ? { lat: spot.location.lat, lon: spot.location.lon } : null,
+    shoreNormal: Number.isFinite(spot.shoreNormal) ? spot.shoreNormal : null,
+    windDirection: spot.optimal?.windDirection || null,
+    waveDirection: spot.optimal?.waveDirection || null,
+    breakType: spot.breakType || parseBreakType(getSpotMetadata(spot.id, spot)?.breakTypeText)
+  };
+}
+
+/**
+ * Validate a proposal from the request body against the spot it edits.
+ * Fields that already hold the proposed value are dropped.
+ *
+ * @param {Object} spot - The loaded spot config
+ * @param {*} input - Untrusted { changes: { name?, location?, shoreNormal?, windDirection?, waveDirection?, breakType? }, reason? }
+ * @returns {{ proposal?: { changes, previous, reason }, error?: string }}
+ */
+function validateProposal(spot, input) {
+  const raw = input?.changes;
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw) || Object.keys(raw).length === 0) {
+    return { error: `changes must be an object with any of: ${EDITABLE_FIELDS.join(', ')}` };
+  }
+
+  const current = currentValues(spot);
+  const changes = {};
+  const previous = {};
+  for (const [field, value] of Object.entries(raw)) {
+    const result = validateField(field, value);
+    if (result.error) return { error: result.error };
+    if (JSON.stringify(result.value) === JSON.stringify(current[field])) continue;
+    changes[field] = result.value;
+    previous[field] = current[field];
+  }
+  if (Object.keys(changes).length === 0) return { error: 'The proposal changes nothing' };
+
+  let reason = null;
+  if (input.reason !== undefined && input.reason !== null && input.reason !== '') {
+    if (typeof input.reason !== 'string') return { error: 'reason must be text' };
+    reason = cleanText(input.reason, MAX_TEXT_LENGTH) || null;
+  }
+
+  return { proposal: { changes, previous, reason } };
+}
+
+function fromRow(row) {
+  return {
+    id: row.id,
+    spotId: row.spot_id,
+    changes: JSON.parse(row.changes),
+    previous: JSON.parse(row.previous),
+    reason: row.reason,
+    status: row.status,
+    reviewNote: row.review_note,
+    createdAt: row.created_at,
+    reviewedAt: row.reviewed_at
+  };
+}
+
+function getEdit(id) {
+  const row = getDatastore().prepare('SELECT * FROM spot_edits WHERE id = ?').get(id);
+  return row ? fromRow(row) : null;
+}
+
+/**
+ * Number of proposals for a spot still waiting for review
+ */
+function countPending(spotId) {
+  return getDatastore()
+    .prepare("SELECT COUNT(*) AS count FROM spot_edits WHERE spot_id = ? AND status = 'pending'")
+    .get(spotId).count;
+}
+
+/**
+ * Store a validated proposal as pending
+ *
+ * @param {string} spotId
+ * @param {Object} proposal - From validateProposal
+ * @returns {Object} - The stored edit
+ */
+function proposeEdit(spotId, { changes, previous, reason }) {
+  const { lastInsertRowid } = getDatastore().prepare(`
+    INSERT INTO spot_edits (spot_id, changes, previous, reason, status, created_at)
+    VALUES (?, ?, ?, ?, 'pending', ?)
+  `).run(spotId, JSON.stringify(changes), JSON.stringify(previous), reason, new Date().toISOString());
+  return getEdit(lastInsertRowid);
+}
+
+/**
+ * Edit proposals, newest first
+ *
+ * @param {Object} [filter]
+ * @param {string} [filter.spotId]
+ * @param {string} [filter.status] - 'pending' | 'accepted' | 'rejected'
+ * @param {number} [filter.limit=50]
+ */
+function listEdits({ spotId, status, limit = 50 } = {}) {
+  const where = [];
+  const params = [];
+  if (spotId) {
+    where.push('spot_id = ?');
+    params.push(spotId);
+  }
+  if (status) {
+    where.push('status = ?');
+    params.push(status);
+  }
+  const sql = `SELECT * FROM spot_edits ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ?`;
+  return getDatastore().prepare(sql).all(...params, limit).map(fromRow);
+}
+
+/**
+ * Accept or reject a pending proposal
+ *
+ * @param {number} id
+ * @param {'accept'|'reject'} decision
+ * @param {string|null} [note] - Shown with the proposal in the spot's edit history
+ * @returns {{ edit?: Object, error?: string, status?: number }}
+ */
+function reviewEdit(id, decision, note = null) {
+  const db = getDatastore();
+  return db.transaction(() => {
+    const edit = getEdit(id);
+    if (!edit) return { error: `Edit not found: ${id}`, status: 404 };
+    if (edit.status !== 'pending') return { error: `Edit ${id} was already ${edit.status}`, status: 409 };
+
+    db.prepare('UPDATE spot_edits SET status = ?, review_note = ?, reviewed_at = ? WHERE id = ?').run(
+      decision === 'accept' ? 'accepted' : 'rejected',
+      note ? cleanText(note, MAX_TEXT_LENGTH) || null : null,
+      new Date().toISOString(),
+      id
+    );
+    return { edit: getEdit(id) };
+  })();
+}
+
+// Accepted changes per spot, merged in review order (later reviews win), and how many edits each merges
+function loadAccepted(spotId) {
+  const db = getDatastore();
+  const rows = spotId
+    ? db.prepare("SELECT * FROM spot_edits WHERE spot_id = ? AND status = 'accepted' ORDER BY reviewed_at, id").all(spotId)
+    : db.prepare("SELECT * FROM spot_edits WHERE status = 'accepted' ORDER BY reviewed_at, id").all();
+
+  const overrides = new Map();
+  const counts = new Map();
+  for (const row of rows) {
+    overrides.set(row.spot_id, { ...overrides.get(row.spot_id), ...JSON.parse(row.changes) });
+    counts.set(row.spot_id, (counts.get(row.spot_id) || 0) + 1);
+  }
+  return { overrides, counts };
+}
+
+/**
+ * Accepted changes per spot, merged in review order (later reviews win)
+ *
+ * @param {string} [spotId] - Only this spot
+ * @returns {Map<string, Object>}
+ */
+function getOverrides(spotId) {
+  return loadAccepted(spotId).overrides;
+}
+
+/**
+ * Apply a spot's accepted edits to its loaded config
+ *
+ * @returns {Object|null} - The updated spot
+ */
+function applyAcceptedEdits(spotId) {
+  const { overrides, counts } = loadAccepted(spotId);
+  if (!overrides.has(spotId)) return getSpotById(spotId) || null;
+
+  appliedCounts.set(spotId, counts.get(spotId));
+  return applySpotOverrides(spotId, overrides.get(spotId));
+}
+
+/**
+ * Apply every spot's accepted edits at startup, loading catalog spots as needed
+ *
+ * @returns {number} - Spots updated
+ */
+function applyAllAcceptedEdits() {
+  const { overrides, counts } = loadAccepted();
+  let applied = 0;
+  for (const [spotId, spotOverrides] of overrides) {
+    appliedCounts.set(spotId, counts.get(spotId));
+    if (isValidSpot(spotId) && applySpotOverrides(spotId, spotOverrides)) applied++;
+  }
+  return applied;
+}
+
+/**
+ * Apply edits accepted on other instances since this one last applied them,
+ * and drop those spots' cached conditions
+ *
+ * @returns {Promise<string[]>} - Spots updated
+ */
+async function syncAcceptedEdits() {
+  const { overrides, counts } = loadAccepted();
+  const updated = [];
+  for (const [spotId, count] of counts) {
+    if (appliedCounts.get(spotId) === count) continue;
+    appliedCounts.set(spotId, count);
+    if (isValidSpot(spotId) && applySpotOverrides(spotId, overrides.get(spotId))) updated.push(spotId);
+  }
+  if (updated.length === 0) return updated;
+
+  refreshLiveSpots();
+  for (const spotId of updated) await invalidateConditions(spotId);
+  logger.info(`[Spots] Applied community edits accepted elsewhere to ${updated.join(', ')}`);
+  return updated;
+}
+
+/**
+ * Start polling for edits accepted on other instances
+ */
+function startEditSync() {
+  intervalHandle = setInterval(() => {
+    syncAcceptedEdits().catch(e => logger.error(`[Spots] Community edit sync failed: ${e.message}`));
+  }, EDIT_SYNC_INTERVAL_MS);
+}
+
+/**
+ * Stop polling (for graceful shutdown)
+ */
+function stopEditSync() {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+}
+
+module.exports = {
+  EDITABLE_FIELDS,
+  STATUSES,
+  MAX_PENDING_PER_SPOT,
+  EDIT_SYNC_INTERVAL_MS,
+  validateProposal,
+  proposeEdit,
+  countPending,
+  getEdit,
+  listEdits,
+  reviewEdit,
+  getOverrides,
+  applyAcceptedEdits,
+  applyAllAcceptedEdits,
+  syncAcceptedEdits,
+  startEditSync,
+  stopEditSync
+};
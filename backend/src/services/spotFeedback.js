@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const { getDatastore } = require('./datastore');
+
+/**
+ * Surfer feedback about a spot: the free text plus the scoring multipliers
+ * the LLM read out of it, and a hash of who sent it (entries stored before
+ * contributors were recorded have none). Only the most recent entries per
+ * spot are kept.
+ */
+
+const MAX_ENTRIES_PER_SPOT = 50;
+
+function fromRow(row) {
+  return {
+    text: row.text,
+    multipliers: JSON.parse(row.multipliers),
+    contributor: row.contributor,
+    timestamp: row.created_at
+  };
+}
+
+/**
+ * Contributor ID for a client address, so feedback and logged sessions can be
+ * told apart by sender without storing the address
+ */
+function contributorId(ip) {
+  return crypto.createHash('sha256').update(`feedback:${ip}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * Feedback for a spot, oldest first
+ *
+ * @returns {Array<{ text, multipliers, contributor, timestamp }>}
+ */
+function getFeedback(spotId) {
+  return getDatastore()
+    .prepare('SELECT * FROM spot_feedback WHERE spot_id = ? ORDER BY id')
+    .all(spotId)
+    .map(fromRow);
+}
+
+/**
+ * Store one feedback entry and trim the spot to its most recent entries
+ *
+ * @param {string} spotId
+ * @param {{ text: string, multipliers: Object, contributor?: string }} entry - contributor from contributorId()
+ * @returns {Array<{ text, multipliers, contributor, timestamp }>} - The spot's feedback after the insert
+ */
+function addFeedback(spotId, { text, multipliers, contributor = null }) {
+  const db = getDatastore();
+  const insert = db.prepare('INSERT INTO spot_feedback (spot_id, text, multipliers, contributor, created_at) VALUES (?, ?, ?, ?, ?)');
+  const trim = db.prepare(`
+    DELETE FROM spot_feedback
+    WHERE spot_id = ? AND id NOT IN (
+      SELECT id FROM spot_feedback WHERE spot_id = ? ORDER BY id DESC LIMIT ?
+    )
+  `);
+
+  db.transaction(() => {
+    insert.run(spotId, text, JSON.stringify(multipliers), contributor, new Date().toISOString());
+    trim.run(spotId, spotId, MAX_ENTRIES_PER_SPOT);
+  })();
+
+  return getFeedback(spotId);
+}
+
+module.exports = { getFeedback, addFeedback, contributorId, MAX_ENTRIES_PER_SPOT };
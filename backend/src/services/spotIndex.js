@@ -0,0 +1,337 @@
+const { getAllSpots } = require('../config/spots');
+const { getCatalogSpots } = require('../config/spotCatalog');
+const { SEARCH_ALIASES } = require('../sourcing/manifest');
+const { normalizeText } = require('../sourcing/utils');
+const { haversine, geohashEncode, geohashCellSize, geohashCover } = require('../utils/geo');
+const { slugifyName, mergeDistanceKm } = require('../utils/spotIds');
+const logger = require('../utils/logger');
+
+/**
+ * Spot search and spatial index
+ *
+ * Covers the ~9,000-spot catalog (data/surfSpots.json) plus the live spots
+ * (defaults, user-discovered and auto-registered). Entries are kept sorted by
+ * geohash, so every geohash cell — at any precision — is one contiguous run
+ * found by binary search: a bounding box becomes a handful of range scans
+ * instead of a pass over every spot. Live spots win over catalog entries with
+ * the same ID, or for the same break (same name within the merge distance of
+ * utils/spotIds), and are re-indexed whenever their count changes (or an
+ * accepted edit calls refreshLiveSpots).
+ */
+
+const INDEX_PRECISION = 8;      // ~38 m × 19 m cells
+const MAX_COVER_CELLS = 1024;   // Coarser cells beyond this many per query
+const NEAREST_RADII_KM = [50, 250, 1000, 5000, 20040];
+const KM_PER_DEGREE = 111.32;
+const EDGE_LAT = 90 - 1e-9;
+const EDGE_LON = 180 - 1e-9;
+
+let catalog = null;
+let live = { size: -1, entries: [], ids: new Set(), shadowed: new Set() };
+
+function toEntry(spot, curated) {
+  const aliases = (SEARCH_ALIASES[spot.id] || []).filter((alias) => alias !== spot.name);
+  const name = normalizeText(spot.name);
+  const aliasTerms = aliases.map(normalizeText);
+  return {
+    id: spot.id,
+    name: spot.name,
+    country: spot.country || '',
+    region: spot.region || '',
+    lat: spot.lat,
+    lon: spot.lon,
+    curated,
+    geohash: geohashEncode(spot.lat, spot.lon, INDEX_PRECISION),
+    terms: {
+      names: [name, ...aliasTerms],
+      nameTokens: [name, ...aliasTerms].flatMap((term) => term.split(' ')),
+      place: normalizeText(`${spot.region || ''} ${spot.country || ''}`),
+    },
+  };
+}
+
+function sortByGeohash(entries) {
+  return entries.sort((a, b) => (a.geohash < b.geohash ? -1 : a.geohash > b.geohash ? 1 : 0));
+}
+
+function getCatalog() {
+  if (catalog) return catalog;
+
+  catalog = sortByGeohash(getCatalogSpots().map((s) => toEntry(s, false)));
+  logger.info(`[SpotIndex] Indexed ${catalog.length} catalog spots`);
+  return catalog;
+}
+
+function getLive() {
+  const spots = getAllSpots();
+  if (spots.length !== live.size) {
+    const entries = spots
+      .filter((s) => Number.isFinite(s.location?.lat) && Number.isFinite(s.location?.lon))
+      .map((s) => toEntry({ ...s, lat: s.location.lat, lon: s.location.lon }, true));
+    live = {
+      size: spots.length,
+      entries: sortByGeohash(entries),
+      ids: new Set(entries.map((e) => e.id)),
+      shadowed: shadowedCatalogIds(entries),
+    };
+  }
+  return live;
+}
+
+// Catalog entries for the same break as a live spot under another ID
+function shadowedCatalogIds(liveEntries) {
+  const radiusKm = mergeDistanceKm();
+  const shadowed = new Set();
+  for (const entry of liveEntries) {
+    const slug = slugifyName(entry.name);
+    for (const other of scanBbox(circleBbox(entry.lat, entry.lon, radiusKm), [getCatalog()]).entries) {
+      if (slugifyName(other.name) === slug && haversine(entry.lat, entry.lon, other.lat, other.lon) <= radiusKm) {
+        shadowed.add(other.id);
+      }
+    }
+  }
+  return shadowed;
+}
+
+// Every entry whose geohash starts with prefix
+function* prefixRange(sorted, prefix) {
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (sorted[mid].geohash < prefix) low = mid + 1;
+    else high = mid;
+  }
+  for (let i = low; i < sorted.length && sorted[i].geohash.startsWith(prefix); i++) {
+    yield sorted[i];
+  }
+}
+
+// Finest geohash precision that covers the box in at most MAX_COVER_CELLS cells
+function coverPrecision({ south, west, north, east }) {
+  for (let precision = INDEX_PRECISION; precision > 1; precision--) {
+    const size = geohashCellSize(precision);
+    // The poles and the antimeridian are edges, not the start of another cell
+    const rows = Math.floor((Math.min(north, EDGE_LAT) + 90) / size.lat) - Math.floor((south + 90) / size.lat) + 1;
+    const cols = Math.floor((Math.min(east, EDGE_LON) + 180) / size.lon) - Math.floor((west + 180) / size.lon) + 1;
+    if (rows * cols <= MAX_COVER_CELLS) return precision;
+  }
+  return 1;
+}
+
+function splitAntimeridian(bbox) {
+  if (bbox.west <= bbox.east) return [bbox];
+  return [{ ...bbox, east: 180 }, { ...bbox, west: -180 }];
+}
+
+// Entries of the given geohash-sorted lists inside a bounding box
+function scanBbox(bbox, lists, skip = () => false) {
+  const boxes = splitAntimeridian(bbox);
+  const precision = Math.min(...boxes.map(coverPrecision));
+  const found = [];
+
+  for (const box of boxes) {
+    for (const cell of geohashCover(box, precision)) {
+      for (const list of lists) {
+        for (const entry of prefixRange(list, cell)) {
+          if (skip(entry)) continue;
+          if (entry.lat < box.south || entry.lat > box.north || entry.lon < box.west || entry.lon > box.east) continue;
+          found.push(entry);
+        }
+      }
+    }
+  }
+  return { entries: found, precision };
+}
+
+/**
+ * Entries inside a bounding box, live spots first
+ *
+ * @returns {{ entries: Object[], precision: number }} - precision is the geohash length used to cover the box
+ */
+function queryBbox(bbox, { curatedOnly = false } = {}) {
+  const { entries: liveEntries, ids: liveIds, shadowed } = getLive();
+  const lists = curatedOnly ? [liveEntries] : [liveEntries, getCatalog()];
+  return scanBbox(bbox, lists, (entry) => !entry.curated && (liveIds.has(entry.id) || shadowed.has(entry.id)));
+}
+
+function circleBbox(lat, lon, radiusKm) {
+  const dLat = radiusKm / KM_PER_DEGREE;
+  const cosLat = Math.cos(lat * Math.PI / 180);
+  const dLon = cosLat > 1e-6 ? radiusKm / (KM_PER_DEGREE * cosLat) : 360;
+  const south = Math.max(-90, lat - dLat);
+  const north = Math.min(90, lat + dLat);
+  if (dLon >= 180 || south === -90 || north === 90) return { south, north, west: -180, east: 180 };
+
+  const wrap = (value) => ((value + 540) % 360) - 180;
+  return { south, north, west: wrap(lon - dLon), east: wrap(lon + dLon) };
+}
+
+function publicSpot(entry) {
+  return {
+    id: entry.id,
+    name: entry.name,
+    country: entry.country,
+    region: entry.region,
+    lat: entry.lat,
+    lon: entry.lon,
+  };
+}
+
+/**
+ * Spots within radiusKm of a point, nearest first
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @param {Object} [options]
+ * @param {number} [options.radiusKm=50]
+ * @param {number} [options.limit=20]
+ * @param {boolean} [options.curatedOnly=false] - Only live spots (defaults, user-discovered)
+ * @returns {Array<Object>} - Spots with distanceKm
+ */
+function spotsNear(lat, lon, { radiusKm = 50, limit = 20, curatedOnly = false } = {}) {
+  return queryBbox(circleBbox(lat, lon, radiusKm), { curatedOnly }).entries
+    .map((entry) => ({ entry, distanceKm: haversine(lat, lon, entry.lat, entry.lon) }))
+    .filter(({ distanceKm }) => distanceKm <= radiusKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .slice(0, limit)
+    .map(({ entry, distanceKm }) => ({ ...publicSpot(entry), distanceKm: Math.round(distanceKm * 10) / 10 }));
+}
+
+/**
+ * The nearest spots to a point at any distance, widening the search until `limit` are found
+ */
+function nearestSpots(lat, lon, { limit = 6, curatedOnly = false } = {}) {
+  for (const radiusKm of NEAREST_RADII_KM) {
+    const spots = spotsNear(lat, lon, { radiusKm, limit, curatedOnly });
+    if (spots.length >= limit || radiusKm === NEAREST_RADII_KM[NEAREST_RADII_KM.length - 1]) return spots;
+  }
+  return [];
+}
+
+/**
+ * Spots in a map viewport. When more than `limit` fall inside, returns
+ * per-cell clusters instead so the map can draw counts and zoom in.
+ *
+ * @param {{ south, west, north, east }} bbox - west > east crosses the antimeridian
+ * @param {Object} [options]
+ * @param {number} [options.limit=500]
+ * @returns {{ total: number, spots: Object[], clusters: Array<{ geohash, lat, lon, count }> }}
+ */
+function spotsInBounds(bbox, { limit = 500 } = {}) {
+  const { entries, precision } = queryBbox(bbox);
+  if (entries.length <= limit) {
+    return { total: entries.length, spots: entries.map(publicSpot), clusters: [] };
+  }
+
+  const cells = new Map();
+  for (const entry of entries) {
+    const key = entry.geohash.slice(0, precision);
+    const cell = cells.get(key) || { geohash: key, lat: 0, lon: 0, count: 0 };
+    cell.lat += entry.lat;
+    cell.lon += entry.lon;
+    cell.count += 1;
+    cells.set(key, cell);
+  }
+
+  const clusters = [...cells.values()].map((cell) => ({
+    geohash: cell.geohash,
+    lat: Math.round((cell.lat / cell.count) * 10000) / 10000,
+    lon: Math.round((cell.lon / cell.count) * 10000) / 10000,
+    count: cell.count,
+  }));
+  return { total: entries.length, spots: [], clusters };
+}
+
+// Edit distance, giving up once it exceeds max
+function withinEditDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return false;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return false;
+    previous = current;
+  }
+  return previous[b.length] <= max;
+}
+
+function phraseScore(term, query) {
+  if (term === query) return 100;
+  if (term.startsWith(query)) return 80;
+  if (term.includes(` ${query}`)) return 65;
+  if (term.includes(query)) return 50;
+  return 0;
+}
+
+function tokenScore(entry, token) {
+  if (entry.terms.nameTokens.some((t) => t.startsWith(token))) return 30;
+  if (entry.terms.place.split(' ').some((t) => t.startsWith(token))) return 20;
+  const typos = token.length >= 7 ? 2 : token.length >= 4 ? 1 : 0;
+  if (typos > 0 && entry.terms.nameTokens.some((t) => withinEditDistance(t, token, typos))) return 20;
+  return 0;
+}
+
+/**
+ * Score a spot against a normalized query: the whole query against the name
+ * and aliases first, otherwise every word against name, region and country
+ * (allowing typos in names). 0 when it doesn't match.
+ */
+function scoreEntry(entry, query, tokens) {
+  const nameScore = Math.max(...entry.terms.names.map((term, i) => phraseScore(term, query) - (i > 0 ? 5 : 0)));
+  if (nameScore > 0) return nameScore;
+
+  let total = 0;
+  for (const token of tokens) {
+    const score = tokenScore(entry, token);
+    if (score === 0) return 0;
+    total += score;
+  }
+  return total / tokens.length;
+}
+
+/**
+ * Fuzzy search over spot names, aliases, regions and countries
+ *
+ * @param {string} q - Query (at least 2 characters once normalized)
+ * @param {Object} [options]
+ * @param {number} [options.limit=20]
+ * @returns {Array<Object>} - Best matches first
+ */
+function searchSpots(q, { limit = 20 } = {}) {
+  const query = normalizeText(q);
+  if (query.length < 2) return [];
+  const tokens = query.split(' ');
+  const { entries: liveEntries, ids: liveIds } = getLive();
+
+  const matches = [];
+  for (const entry of [...liveEntries, ...getCatalog()]) {
+    if (!entry.curated && liveIds.has(entry.id)) continue;
+    const score = scoreEntry(entry, query, tokens);
+    if (score > 0) matches.push({ entry, score });
+  }
+
+  return matches
+    .sort((a, b) => b.score - a.score
+      || Number(b.entry.curated) - Number(a.entry.curated)
+      || a.entry.name.length - b.entry.name.length)
+    .slice(0, limit)
+    .map(({ entry }) => publicSpot(entry));
+}
+
+// Re-index the live spots on the next query, after one was renamed or moved
+function refreshLiveSpots() {
+  live = { size: -1, entries: [], ids: new Set(), shadowed: new Set() };
+}
+
+module.exports = {
+  searchSpots,
+  spotsNear,
+  nearestSpots,
+  spotsInBounds,
+  refreshLiveSpots,
+};
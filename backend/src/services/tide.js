@@ -0,0 +1,349 @@
+/**
+ * Tide prediction from harmonic constituents.
+ * Each spot is matched to the nearest reference station in the bundled
+ * constituent table (data/tideConstituents.json), so predictions work
+ * offline and cost nothing per request.
+ */
+const { getSpotById, getSpotTimezone } = require('../config/spots');
+const { getSpotMetadata } = require('../sourcing/spotMetadata');
+const { haversine } = require('../utils/geo');
+const { toLocalTimeKey, fromLocalTimeKey } = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+const { stations: STATIONS } = require('../../data/tideConstituents.json');
+
+// Beyond this a station's tide says little about the spot
+const MAX_STATION_DISTANCE_KM = 250;
+const SAMPLE_STEP_MS = 10 * 60 * 1000;
+// Widest gap between consecutive highs/lows is ~13h for mixed/diurnal tides
+const SEARCH_MARGIN_MS = 14 * 60 * 60 * 1000;
+const TIDAL_DAY_MS = 24.84 * 60 * 60 * 1000;
+
+const STAGES = ['low', 'mid', 'high'];
+
+const DEG = Math.PI / 180;
+const J2000 = Date.UTC(2000, 0, 1, 12);
+
+/**
+ * Equilibrium arguments (Schureman) and the nodal factor each constituent uses.
+ * T = hour angle of the mean sun, s/h/p = mean longitudes of moon, sun, lunar perigee.
+ */
+const CONSTITUENTS = {
+  M2: { nodal: 'M2', argument: ({ T, s, h }) => 2 * T - 2 * s + 2 * h },
+  S2: { nodal: null, argument: ({ T }) => 2 * T },
+  N2: { nodal: 'M2', argument: ({ T, s, h, p }) => 2 * T - 3 * s + 2 * h + p },
+  K2: { nodal: 'K2', argument: ({ T, h }) => 2 * T + 2 * h },
+  K1: { nodal: 'K1', argument: ({ T, h }) => T + h - 90 },
+  O1: { nodal: 'O1', argument: ({ T, s, h }) => T - 2 * s + h + 90 },
+  P1: { nodal: null, argument: ({ T, h }) => T - h + 90 },
+  Q1: { nodal: 'O1', argument: ({ T, s, h, p }) => T - 3 * s + h + p + 90 }
+};
+
+/**
+ * Mean astronomical longitudes (degrees) at an instant
+ */
+function astronomicalArguments(ms) {
+  const centuries = (ms - J2000) / (86400000 * 36525);
+  return {
+    T: 180 + 15 * (ms / 3600000),
+    s: 218.3164591 + 481267.88134236 * centuries,
+    h: 280.46645 + 36000.7697489 * centuries,
+    p: 83.3532430 + 4069.0137111 * centuries,
+    N: 125.0445550 - 1934.1361849 * centuries
+  };
+}
+
+/**
+ * Nodal amplitude factors (f) and phase corrections (u, degrees)
+ * for the 18.6-year lunar node cycle
+ */
+function nodalCorrections(N) {
+  const n = N * DEG;
+  const { cos, sin } = Math;
+  return {
+    M2: {
+      f: 1.0004 - 0.0373 * cos(n) + 0.0002 * cos(2 * n),
+      u: -2.14 * sin(n)
+    },
+    K1: {
+      f: 1.0060 + 0.1150 * cos(n) - 0.0088 * cos(2 * n) + 0.0006 * cos(3 * n),
+      u: -8.86 * sin(n) + 0.68 * sin(2 * n) - 0.07 * sin(3 * n)
+    },
+    O1: {
+      f: 1.0089 + 0.1871 * cos(n) - 0.0147 * cos(2 * n) + 0.0014 * cos(3 * n),
+      u: 10.80 * sin(n) - 1.34 * sin(2 * n) + 0.19 * sin(3 * n)
+    },
+    K2: {
+      f: 1.0241 + 0.2863 * cos(n) + 0.0083 * cos(2 * n) - 0.0015 * cos(3 * n),
+      u: -17.74 * sin(n) + 0.68 * sin(2 * n) - 0.04 * sin(3 * n)
+    }
+  };
+}
+
+/**
+ * Find the closest reference station to a coordinate
+ *
+ * @returns {{ station: Object, distanceKm: number }|null} - null when none is close enough
+ */
+function findNearestStation(lat, lon) {
+  let nearest = null;
+  for (const station of STATIONS) {
+    const distanceKm = haversine(lat, lon, station.lat, station.lon);
+    if (!nearest || distanceKm < nearest.distanceKm) {
+      nearest = { station, distanceKm };
+    }
+  }
+  if (!nearest || nearest.distanceKm > MAX_STATION_DISTANCE_KM) return null;
+  return nearest;
+}
+
+/**
+ * Predicted water level (metres relative to mean sea level) at a station
+ *
+ * @param {Object} station - Station entry from the constituent table
+ * @param {Date|number} date - Instant to predict
+ */
+function predictHeight(station, date) {
+  const ms = date instanceof Date ? date.getTime() : date;
+  const args = astronomicalArguments(ms);
+  const nodal = nodalCorrections(args.N);
+
+  let height = 0;
+  for (const [name, [amplitude, phase]] of Object.entries(station.constituents)) {
+    const constituent = CONSTITUENTS[name];
+    if (!constituent) continue;
+    const { f, u } = constituent.nodal ? nodal[constituent.nodal] : { f: 1, u: 0 };
+    height += f * amplitude * Math.cos((constituent.argument(args) + u - phase) * DEG);
+  }
+  return height;
+}
+
+/**
+ * Find highs and lows between two instants by sampling the predicted curve
+ * and refining each turning point with a parabola through its neighbours.
+ *
+ * @returns {Array<{ type: 'high'|'low', time: Date, height: number }>}
+ */
+function findExtremes(station, from, to) {
+  const start = from instanceof Date ? from.getTime() : from;
+  const end = to instanceof Date ? to.getTime() : to;
+  const extremes = [];
+
+  let prev = predictHeight(station, start - SAMPLE_STEP_MS);
+  let curr = predictHeight(station, start);
+  for (let t = start; t <= end; t += SAMPLE_STEP_MS) {
+    const next = predictHeight(station, t + SAMPLE_STEP_MS);
+    const isHigh = curr > prev && curr >= next;
+    const isLow = curr < prev && curr <= next;
+
+    if (isHigh || isLow) {
+      const denom = prev - 2 * curr + next;
+      const offset = denom !== 0 ? 0.5 * (prev - next) / denom : 0;
+      const time = t + offset * SAMPLE_STEP_MS;
+      extremes.push({
+        type: isHigh ? 'high' : 'low',
+        time: new Date(time),
+        height: predictHeight(station, time)
+      });
+    }
+
+    prev = curr;
+    curr = next;
+  }
+
+  return extremes;
+}
+
+/**
+ * Describe the tide at an instant given the surrounding highs and lows
+ */
+function describeTide(station, extremes, ms) {
+  const height = predictHeight(station, ms);
+  const next = extremes.find(e => e.time.getTime() > ms);
+  const previous = [...extremes].reverse().find(e => e.time.getTime() <= ms);
+
+  const state = next
+    ? (next.type === 'high' ? 'rising' : 'falling')
+    : (previous?.type === 'low' ? 'rising' : 'falling');
+
+  // Judge the stage against a full tidal day so the small high of a
+  // mixed tide doesn't read as "high tide"
+  const nearby = extremes.filter(e => Math.abs(e.time.getTime() - ms) <= TIDAL_DAY_MS / 2);
+  return { height, state, stage: classifyStage(height, nearby) };
+}
+
+/**
+ * Place a height in the low / mid / high third of the local tidal range
+ */
+function classifyStage(height, extremes) {
+  if (extremes.length < 2) return 'mid';
+
+  const low = Math.min(...extremes.map(e => e.height));
+  const high = Math.max(...extremes.map(e => e.height));
+  if (high - low < 0.02) return 'mid';
+
+  const fraction = (height - low) / (high - low);
+  if (fraction < 1 / 3) return 'low';
+  if (fraction > 2 / 3) return 'high';
+  return 'mid';
+}
+
+function getSpotStation(spotId) {
+  const spot = getSpotById(spotId);
+  if (!spot?.location) return null;
+  return findNearestStation(spot.location.lat, spot.location.lon);
+}
+
+/**
+ * Current tide block for a spot
+ *
+ * @param {string} spotId - Spot identifier
+ * @param {Date} [at] - Instant to describe (defaults to now)
+ * @returns {Object|null} - { height, state, stage, nextHigh, nextLow, station } or null if no station nearby
+ */
+function getTideForSpot(spotId, at = new Date()) {
+  const match = getSpotStation(spotId);
+  if (!match) {
+    logger.debug(`[Tide] No reference station within ${MAX_STATION_DISTANCE_KM}km of ${spotId}`);
+    return null;
+  }
+
+  const { station, distanceKm } = match;
+  const timezone = getSpotTimezone(spotId);
+  const ms = at.getTime();
+  const extremes = findExtremes(station, ms - SEARCH_MARGIN_MS, ms + 2 * SEARCH_MARGIN_MS);
+  const { height, state, stage } = describeTide(station, extremes, ms);
+
+  const upcoming = extremes.filter(e => e.time.getTime() > ms);
+  const formatExtreme = (extreme) => extreme ? {
+    time: toLocalTimeKey(extreme.time, timezone),
+    height: round2(extreme.height)
+  } : null;
+
+  return {
+    height: round2(height),
+    state,
+    stage,
+    nextHigh: formatExtreme(upcoming.find(e => e.type === 'high')),
+    nextLow: formatExtreme(upcoming.find(e => e.type === 'low')),
+    station: {
+      id: station.id,
+      name: station.name,
+      distanceKm: Math.round(distanceKm)
+    }
+  };
+}
+
+/**
+ * Attach { height, state, stage } to each entry of an hourly timeline.
+ * Timeline times are spot-local keys; entries get tide: null when the spot has no station.
+ *
+ * @param {Array} timeline - Hourly timeline (from aggregateHourlyData)
+ * @param {string} spotId - Spot identifier
+ * @returns {Array} - The same timeline
+ */
+function addTideToTimeline(timeline, spotId) {
+  if (!timeline || timeline.length === 0) return timeline;
+
+  const match = getSpotStation(spotId);
+  if (!match) {
+    for (const entry of timeline) entry.tide = null;
+    return timeline;
+  }
+
+  const timezone = getSpotTimezone(spotId);
+  const instants = timeline.map(entry => fromLocalTimeKey(entry.time, timezone).getTime());
+  const extremes = findExtremes(
+    match.station,
+    Math.min(...instants) - SEARCH_MARGIN_MS,
+    Math.max(...instants) + SEARCH_MARGIN_MS
+  );
+
+  timeline.forEach((entry, i) => {
+    const { height, state, stage } = describeTide(match.station, extremes, instants[i]);
+    entry.tide = { height: round2(height), state, stage };
+  });
+
+  return timeline;
+}
+
+/**
+ * Parse a free-text "best tide" description into a stage preference
+ *
+ * @param {string} text - e.g. "Low tide, Mid tide", "Mid to high rising", "All tides"
+ * @returns {{ stages: string[], state: string|null }|null} - null when any tide works or text is unclear
+ */
+function parseTidePreference(text) {
+  const lower = String(text || '').toLowerCase();
+  if (!lower.trim()) return null;
+  if (/\ball tides?\b|\bany tide\b|don'?t know|\bunknown\b/.test(lower)) return null;
+
+  let stages = STAGES.filter(stage => new RegExp(`\\b${stage}\\b`).test(lower));
+  if (/\bhalf\b/.test(lower) && !stages.includes('mid')) stages.push('mid');
+  stages = STAGES.filter(stage => stages.includes(stage));
+
+  let state = null;
+  if (/\b(rising|incoming|flooding|push(ing)?)\b/.test(lower)) state = 'rising';
+  else if (/\b(falling|outgoing|dropping|ebb(ing)?)\b/.test(lower)) state = 'falling';
+
+  if (stages.length === 0 && !state) return null;
+  if (stages.length === STAGES.length && !state) return null;
+
+  return { stages: stages.length > 0 ? stages : [...STAGES], state };
+}
+
+/**
+ * Preferred tide for a spot: explicit spot config first, then the sourced bestTideText
+ */
+function getTidePreference(spotId) {
+  const spot = getSpotById(spotId);
+  if (spot?.optimal?.tide) {
+    const stages = STAGES.filter(stage => spot.optimal.tide.includes(stage));
+    return stages.length > 0 ? { stages, state: spot.optimal.tideState || null } : null;
+  }
+
+  const metadata = getSpotMetadata(spotId, spot);
+  return metadata?.bestTideText ? parseTidePreference(metadata.bestTideText) : null;
+}
+
+/**
+ * Score a tide block against a spot's preference (0-100)
+ *
+ * @returns {number|null} - null when there is no tide data or no preference to score against
+ */
+function scoreTide(tide, preference) {
+  if (!tide?.stage || !preference) return null;
+
+  const index = STAGES.indexOf(tide.stage);
+  const distance = Math.min(...preference.stages.map(stage => Math.abs(STAGES.indexOf(stage) - index)));
+
+  let score;
+  if (distance === 0) {
+    score = 100; // Preferred stage
+  } else if (distance === 1) {
+    score = 60;  // Neighbouring stage, usually still workable
+  } else {
+    score = 20;  // Opposite end of the tide
+  }
+
+  if (preference.state && tide.state && tide.state !== preference.state) {
+    score -= 20;
+  }
+
+  return Math.max(0, Math.min(100, score));
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  findNearestStation,
+  predictHeight,
+  findExtremes,
+  getTideForSpot,
+  addTideToTimeline,
+  parseTidePreference,
+  getTidePreference,
+  scoreTide
+};
@@ -1,37 +1,42 @@
 const { calculateSurfScore, getRating } = require('./scoring');
+const { getSpotTimezone } = require('../config/spots');
+const { getLocalParts, addDays } = require('../utils/timezone');
 const logger = require('../utils/logger');
 
+/**
+ * Daylight surf windows, in spot-local hours
+ */
+const DAY_BLOCKS = [
+  { label: '6–11am', startHour: 6, endHour: 11 },
+  { label: '11am–2pm', startHour: 11, endHour: 14 },
+  { label: '2–6pm', startHour: 14, endHour: 18 },
+  { label: '6–9pm', startHour: 18, endHour: 21 }
+];
+
 /**
  * Generate a short-term trend analysis from hourly forecast data
  *
  * @param {Array} hourlyTimeline - Aggregated hourly conditions (from aggregateHourlyData)
  * @param {string} spotId - Spot identifier
  * @param {number} currentScore - Current overall score
+ * @param {Object} [weights] - Spot scoring profile weights (default WEIGHTS)
  * @returns {Object} - Trend analysis with message, best window, and block scores
  */
-function generateTrend(hourlyTimeline, spotId, currentScore) {
+function generateTrend(hourlyTimeline, spotId, currentScore, weights) {
   if (!hourlyTimeline || hourlyTimeline.length < 3) {
     logger.warn(`[Trend] Not enough hourly data for trend analysis (${hourlyTimeline?.length || 0} entries)`);
     return null;
   }
 
-  const now = new Date();
-  const currentHour = now.getHours();
-  const todayStr = now.toISOString().split('T')[0];
-  const tomorrow = new Date(now);
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  const tomorrowStr = tomorrow.toISOString().split('T')[0];
+  // Blocks are defined in spot-local time (hourly timeline keys are spot-local too)
+  const timezone = getSpotTimezone(spotId);
+  const { date: todayStr, hour: currentHour } = getLocalParts(new Date(), timezone);
+  const tomorrowStr = addDays(todayStr, 1);
 
   // Define time blocks
   const blockDefs = [
-    { label: '6–11am', day: todayStr, startHour: 6, endHour: 11, skipIfPast: true },
-    { label: '11am–2pm', day: todayStr, startHour: 11, endHour: 14, skipIfPast: true },
-    { label: '2–6pm', day: todayStr, startHour: 14, endHour: 18, skipIfPast: true },
-    { label: '6–9pm', day: todayStr, startHour: 18, endHour: 21, skipIfPast: true },
-    { label: 'Tmw 6–11am', day: tomorrowStr, startHour: 6, endHour: 11, skipIfPast: false },
-    { label: 'Tmw 11am–2pm', day: tomorrowStr, startHour: 11, endHour: 14, skipIfPast: false },
-    { label: 'Tmw 2–6pm', day: tomorrowStr, startHour: 14, endHour: 18, skipIfPast: false },
-    { label: 'Tmw 6–9pm', day: tomorrowStr, startHour: 18, endHour: 21, skipIfPast: false }
+    ...DAY_BLOCKS.map(b => ({ ...b, day: todayStr, skipIfPast: true })),
+    ...DAY_BLOCKS.map(b => ({ ...b, label: `Tmw ${b.label}`, day: tomorrowStr, skipIfPast: false }))
   ];
 
   const blocks = [];
@@ -40,31 +45,8 @@ function generateTrend(hourlyTimeline, spotId, currentScore) {
     // Skip blocks that are in the past
     if (def.skipIfPast && def.endHour <= currentHour) continue;
 
-    // Find hourly entries in this block
-    const blockEntries = hourlyTimeline.filter(h => {
-      const hDate = h.time.substring(0, 10);
-      const hHour = parseInt(h.time.substring(11, 13));
-      return hDate === def.day && hHour >= def.startHour && hHour < def.endHour;
-    });
-
-    if (blockEntries.length === 0) continue;
-
-    // Average the block entries into a single conditions object
-    const blockConditions = averageBlockEntries(blockEntries);
-
-    // Score this block using the existing scoring engine
-    try {
-      const score = calculateSurfScore(blockConditions, spotId, 3);
-      blocks.push({
-        label: def.label,
-        score: score.overall,
-        rating: score.rating,
-        conditions: blockConditions,
-        breakdown: score.breakdown
-      });
-    } catch (e) {
-      logger.debug(`[Trend] Could not score block "${def.label}": ${e.message}`);
-    }
+    const block = scoreBlock(hourlyTimeline, def, spotId, 3, weights);
+    if (block) blocks.push(block);
   }
 
   if (blocks.length === 0) {
@@ -90,6 +72,7 @@ function generateTrend(hourlyTimeline, spotId, currentScore) {
 
   const result = {
     trend,
+    timezone,
     bestWindow: {
       label: bestBlock.label,
       score: bestBlock.score,
@@ -98,8 +81,15 @@ function generateTrend(hourlyTimeline, spotId, currentScore) {
     message,
     blocks: blocks.map(b => ({
       label: b.label,
+      day: b.day,
+      startHour: b.startHour,
+      endHour: b.endHour,
       score: b.score,
-      rating: b.rating
+      rating: b.rating,
+      waveHeight: b.conditions.waves.height.avg,
+      period: b.conditions.waves.period,
+      windSpeed: b.conditions.wind.speed,
+      windDirection: b.conditions.wind.direction
     }))
   };
 
@@ -107,6 +97,48 @@ function generateTrend(hourlyTimeline, spotId, currentScore) {
   return result;
 }
 
+/**
+ * Average and score the hourly entries that fall inside one block
+ *
+ * @param {Array} hourlyTimeline - Aggregated hourly conditions
+ * @param {Object} def - Block definition ({ label, day, startHour, endHour })
+ * @param {string} spotId - Spot identifier
+ * @param {number} sourceCount - Source count passed to the confidence factor
+ * @param {Object} [weights] - Spot scoring profile weights (default WEIGHTS)
+ * @returns {Object|null} - { label, day, startHour, endHour, score, rating, conditions, breakdown } or null if no data
+ */
+function scoreBlock(hourlyTimeline, def, spotId, sourceCount, weights) {
+  // Find hourly entries in this block
+  const blockEntries = hourlyTimeline.filter(h => {
+    const hDate = h.time.substring(0, 10);
+    const hHour = parseInt(h.time.substring(11, 13));
+    return hDate === def.day && hHour >= def.startHour && hHour < def.endHour;
+  });
+
+  if (blockEntries.length === 0) return null;
+
+  // Average the block entries into a single conditions object
+  const blockConditions = averageBlockEntries(blockEntries);
+
+  // Score this block using the existing scoring engine
+  try {
+    const score = calculateSurfScore(blockConditions, spotId, sourceCount, weights);
+    return {
+      label: def.label,
+      day: def.day,
+      startHour: def.startHour,
+      endHour: def.endHour,
+      score: score.overall,
+      rating: score.rating,
+      conditions: blockConditions,
+      breakdown: score.breakdown
+    };
+  } catch (e) {
+    logger.debug(`[Trend] Could not score block "${def.label}": ${e.message}`);
+    return null;
+  }
+}
+
 /**
  * Average multiple hourly entries into a single conditions object for scoring
  */
@@ -154,7 +186,9 @@ function averageBlockEntries(entries) {
       airTemp: null,
       waterTemp: null,
       cloudCover: null
-    }
+    },
+    // Tide changes through a block; score it at the block's midpoint
+    tide: entries[Math.floor(entries.length / 2)].tide || null
   };
 }
 
@@ -225,4 +259,4 @@ function capitalize(str) {
   return str.charAt(0).toUpperCase() + str.slice(1);
 }
 
-module.exports = { generateTrend };
+module.exports = { generateTrend, scoreBlock, DAY_BLOCKS };
@@ -0,0 +1,42 @@
+const { getDatastore } = require('./datastore');
+
+/**
+ * Spots surfers discovered on the map, persisted so they survive restarts
+ */
+
+/**
+ * All persisted user spots, oldest first
+ *
+ * @returns {Array<{ id, name, lat, lon, country, region, createdAt }>}
+ */
+function listUserSpots() {
+  return getDatastore()
+    .prepare('SELECT * FROM user_spots ORDER BY created_at, id')
+    .all()
+    .map(row => ({
+      id: row.id,
+      name: row.name,
+      lat: row.lat,
+      lon: row.lon,
+      country: row.country,
+      region: row.region,
+      createdAt: row.created_at
+    }));
+}
+
+/**
+ * Persist a user spot unless one with the same ID already exists
+ *
+ * @returns {boolean} - Whether a new spot was stored
+ */
+function saveUserSpot({ id, name, lat, lon, country = '', region = '' }) {
+  const { changes } = getDatastore()
+    .prepare(`
+      INSERT OR IGNORE INTO user_spots (id, name, lat, lon, country, region, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `)
+    .run(id, name, lat, lon, country, region, new Date().toISOString());
+  return changes > 0;
+}
+
+module.exports = { listUserSpots, saveUserSpot };
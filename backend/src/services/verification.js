@@ -0,0 +1,248 @@
+/**
+ * Forecast verification — scores how well each source forecasts.
+ *
+ * history.js stores every source's upcoming hourly forecast alongside the
+ * conditions we compute. Once a forecast hour has passed, this job pairs it
+ * with the conditions recorded closest to that hour and folds the error into
+ * per-day accumulators per spot, source and metric. The reference is the
+ * other sources' readings at that hour, combined as the nowcast is
+ * (aggregation.js): a source is never checked against its own reading.
+ * Stats are summed over a rolling window of days at query time.
+ */
+const { getHistoryDb } = require('./history');
+const { aggregateField } = require('./aggregation');
+const logger = require('../utils/logger');
+
+const VERIFY_INTERVAL_MS = 60 * 60 * 1000;
+// An observation counts for hour H if it was recorded within this far of H
+const MATCH_WINDOW_MS = 30 * 60 * 1000;
+const DEFAULT_WINDOW_DAYS = 30;
+const MAX_WINDOW_DAYS = 365;
+
+// `column` holds the metric in both source_forecasts and source_readings
+const METRICS = {
+  waveHeight: { column: 'wave_height', observed: c => c.waves?.height?.avg },
+  wavePeriod: { column: 'wave_period', observed: c => c.waves?.period },
+  windSpeed: { column: 'wind_speed', observed: c => c.wind?.speed }
+};
+
+let intervalHandle = null;
+
+/**
+ * Verify every stored forecast whose target hour has passed.
+ * Verified and unverifiable forecasts are both removed from the queue.
+ *
+ * @param {Date} [now] - Reference time (for tests)
+ * @returns {{ verified: number, expired: number }}
+ */
+function runVerification(now = new Date()) {
+  const db = getHistoryDb();
+  const cutoff = new Date(now.getTime() - MATCH_WINDOW_MS).toISOString();
+
+  const due = db.prepare(`
+    SELECT rowid, spot_id, source, target_at, wave_height, wave_period, wind_speed
+    FROM source_forecasts
+    WHERE target_at <= ?
+    ORDER BY spot_id, target_at
+  `).all(cutoff);
+  if (due.length === 0) return { verified: 0, expired: 0 };
+
+  const findObservations = db.prepare(`
+    SELECT id, recorded_at, conditions FROM conditions_history
+    WHERE spot_id = ? AND recorded_at >= ? AND recorded_at <= ?
+    ORDER BY recorded_at ASC
+  `);
+  const findReadings = db.prepare(`
+    SELECT r.history_id, r.source, r.wave_height, r.wave_period, r.wind_speed
+    FROM source_readings r JOIN conditions_history h ON h.id = r.history_id
+    WHERE h.spot_id = ? AND h.recorded_at >= ? AND h.recorded_at <= ?
+  `);
+  const accumulate = db.prepare(`
+    INSERT INTO source_accuracy (spot_id, source, day, metric, samples, abs_error_sum, error_sum)
+    VALUES (?, ?, ?, ?, 1, ?, ?)
+    ON CONFLICT (spot_id, source, day, metric) DO UPDATE SET
+      samples = samples + 1,
+      abs_error_sum = abs_error_sum + excluded.abs_error_sum,
+      error_sum = error_sum + excluded.error_sum
+  `);
+  const remove = db.prepare('DELETE FROM source_forecasts WHERE rowid = ?');
+
+  // Load each spot's observations once for the span its due forecasts cover
+  const observationsBySpot = new Map();
+  for (const forecast of due) {
+    const span = observationsBySpot.get(forecast.spot_id) || { from: forecast.target_at, to: forecast.target_at };
+    span.to = forecast.target_at;
+    observationsBySpot.set(forecast.spot_id, span);
+  }
+  for (const [spotId, span] of observationsBySpot) {
+    const from = new Date(Date.parse(span.from) - MATCH_WINDOW_MS).toISOString();
+    const to = new Date(Date.parse(span.to) + MATCH_WINDOW_MS).toISOString();
+    const readings = new Map();
+    for (const reading of findReadings.all(spotId, from, to)) {
+      if (!readings.has(reading.history_id)) readings.set(reading.history_id, []);
+      readings.get(reading.history_id).push(reading);
+    }
+    observationsBySpot.set(spotId, findObservations.all(spotId, from, to).map(row => ({
+      time: Date.parse(row.recorded_at),
+      conditions: JSON.parse(row.conditions),
+      readings: readings.get(row.id) || []
+    })));
+  }
+
+  let verified = 0;
+  db.transaction(() => {
+    for (const forecast of due) {
+      const observation = nearestObservation(observationsBySpot.get(forecast.spot_id), Date.parse(forecast.target_at));
+      if (observation) {
+        const day = forecast.target_at.substring(0, 10);
+        let paired = false;
+        for (const [metric, { column, observed }] of Object.entries(METRICS)) {
+          const predicted = forecast[column];
+          const actual = referenceValue(observation, forecast, metric, column, observed);
+          if (!isFiniteNumber(predicted) || !isFiniteNumber(actual)) continue;
+          const error = predicted - actual;
+          accumulate.run(forecast.spot_id, forecast.source, day, metric, Math.abs(error), error);
+          paired = true;
+        }
+        if (paired) verified++;
+      }
+      remove.run(forecast.rowid);
+    }
+  })();
+
+  const expired = due.length - verified;
+  logger.info(`[Verification] Verified ${verified} forecast hour(s), dropped ${expired} without a matching observation`);
+  return { verified, expired };
+}
+
+function nearestObservation(observations, targetMs) {
+  let best = null;
+  for (const observation of observations) {
+    const distance = Math.abs(observation.time - targetMs);
+    if (distance <= MATCH_WINDOW_MS && (!best || distance < best.distance)) {
+      best = { ...observation, distance };
+    }
+  }
+  return best;
+}
+
+/**
+ * What the forecast is checked against: the other sources' readings combined,
+ * or the recorded conditions when the observation kept no per-source readings
+ * (so none can be the forecast's own source). Null when only the forecast's
+ * own source reported the metric.
+ */
+function referenceValue(observation, forecast, metric, column, observed) {
+  if (observation.readings.length === 0) return observed(observation.conditions);
+
+  const samples = observation.readings
+    .filter(reading => reading.source !== forecast.source && isFiniteNumber(reading[column]))
+    .map(reading => ({ source: reading.source, value: reading[column] }));
+  return aggregateField(metric, samples, forecast.spot_id).value;
+}
+
+function isFiniteNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Rolling accuracy per source, overall and per spot
+ *
+ * @param {Object} [options]
+ * @param {number} [options.days] - Window size in days (default 30)
+ * @param {string} [options.spotId] - Restrict to one spot
+ * @returns {{ sources: Array, spots: Array }}
+ */
+function getSourceAccuracy({ days = DEFAULT_WINDOW_DAYS, spotId = null } = {}) {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+  const rows = getHistoryDb().prepare(`
+    SELECT spot_id, source, metric,
+      SUM(samples) AS samples, SUM(abs_error_sum) AS abs_error_sum, SUM(error_sum) AS error_sum
+    FROM source_accuracy
+    WHERE day >= ? AND (? IS NULL OR spot_id = ?)
+    GROUP BY spot_id, source, metric
+    ORDER BY spot_id, source
+  `).all(since, spotId, spotId);
+
+  const overall = new Map();
+  const bySpot = new Map();
+  for (const row of rows) {
+    addSample(getEntry(overall, row.source), row);
+
+    if (!bySpot.has(row.spot_id)) bySpot.set(row.spot_id, new Map());
+    addSample(getEntry(bySpot.get(row.spot_id), row.source), row);
+  }
+
+  return {
+    sources: summarize(overall),
+    spots: [...bySpot.entries()].map(([id, sources]) => ({ spotId: id, sources: summarize(sources) }))
+  };
+}
+
+function getEntry(map, source) {
+  if (!map.has(source)) map.set(source, {});
+  return map.get(source);
+}
+
+function addSample(entry, row) {
+  const totals = entry[row.metric] || { samples: 0, absErrorSum: 0, errorSum: 0 };
+  totals.samples += row.samples;
+  totals.absErrorSum += row.abs_error_sum;
+  totals.errorSum += row.error_sum;
+  entry[row.metric] = totals;
+}
+
+function summarize(sourceMap) {
+  return [...sourceMap.entries()]
+    .map(([name, totals]) => {
+      const metrics = {};
+      for (const metric of Object.keys(METRICS)) {
+        const t = totals[metric];
+        metrics[metric] = t && t.samples > 0
+          ? { samples: t.samples, mae: round(t.absErrorSum / t.samples), bias: round(t.errorSum / t.samples) }
+          : null;
+      }
+      return { name, metrics };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Start the hourly verification job
+ */
+function startVerificationJob() {
+  const safeRun = () => {
+    try {
+      runVerification();
+    } catch (error) {
+      logger.error(`[Verification] Run failed: ${error.message}`);
+    }
+  };
+
+  logger.info('[Verification] Hourly forecast verification started');
+  intervalHandle = setInterval(safeRun, VERIFY_INTERVAL_MS);
+}
+
+/**
+ * Stop the verification job (for graceful shutdown)
+ */
+function stopVerificationJob() {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+    logger.info('[Verification] Verification job stopped');
+  }
+}
+
+module.exports = {
+  DEFAULT_WINDOW_DAYS,
+  MAX_WINDOW_DAYS,
+  runVerification,
+  getSourceAccuracy,
+  startVerificationJob,
+  stopVerificationJob
+};
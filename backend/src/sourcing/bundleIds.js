@@ -0,0 +1,92 @@
+const fs = require('fs');
+const { bundlePath, listBundleIds } = require('./storage');
+const { loadFullManifest } = require('./manifest');
+const { normalizeText, geoDistanceKm } = require('./utils');
+const { findCatalogSpot } = require('../config/spotCatalog');
+
+/**
+ * App spot ID → metadata bundle ID
+ *
+ * The pipeline saves bundles under manifest IDs: a default spot's own ID, or
+ * name_region_country for the rest of the catalog (manifest.js). The app keys
+ * catalog and map-discovered spots by name slug or name + geohash, so a spot
+ * without a bundle under its own ID uses the nearest bundled manifest record
+ * with the same name within MATCH_RADIUS_KM — the radius the manifest uses to
+ * match catalog entries to default spots.
+ */
+
+const MATCH_RADIUS_KM = 5;
+
+let bundledByName = null;
+const resolved = new Map();
+
+// Bundled manifest records, grouped by normalized name
+function getBundledByName() {
+  if (bundledByName) return bundledByName;
+
+  bundledByName = new Map();
+  const bundleIds = new Set(listBundleIds());
+  if (bundleIds.size === 0) return bundledByName;
+
+  for (const record of loadFullManifest()) {
+    if (!bundleIds.has(record.id)) continue;
+    const name = normalizeText(record.name);
+    const records = bundledByName.get(name) || [];
+    records.push(record);
+    bundledByName.set(name, records);
+  }
+  return bundledByName;
+}
+
+// Where a spot is, from its catalog entry (by ID, legacy slug or hyphenated slug)
+function catalogPlace(spotId) {
+  const id = String(spotId).toLowerCase();
+  return findCatalogSpot(id) || findCatalogSpot(id.replace(/-/g, '_'));
+}
+
+// { name, lat, lon } from a place or a spot config, null without a name and pin
+function toPlace(place) {
+  const lat = place?.lat ?? place?.location?.lat;
+  const lon = place?.lon ?? place?.location?.lon;
+  return place?.name && Number.isFinite(lat) && Number.isFinite(lon) ? { name: place.name, lat, lon } : null;
+}
+
+/**
+ * The bundle that describes a spot, null when it has none
+ *
+ * @param {string} spotId
+ * @param {Object} [place] - { name, lat, lon } or the spot config; defaults to the spot's catalog entry
+ * @returns {string|null}
+ */
+function resolveBundleId(spotId, place) {
+  if (resolved.has(spotId)) return resolved.get(spotId);
+
+  let bundleId = null;
+  if (fs.existsSync(bundlePath(spotId))) {
+    bundleId = spotId;
+  } else {
+    const target = toPlace(place) || catalogPlace(spotId);
+    if (target) {
+      const nearest = (getBundledByName().get(normalizeText(target.name)) || [])
+        .map((record) => ({ id: record.id, distanceKm: geoDistanceKm(target.lat, target.lon, record.lat, record.lon) }))
+        .filter(({ distanceKm }) => distanceKm <= MATCH_RADIUS_KM)
+        .sort((a, b) => a.distanceKm - b.distanceKm)[0];
+      bundleId = nearest?.id || null;
+    }
+  }
+
+  // Misses are not remembered: the pipeline may write the bundle later
+  if (bundleId) resolved.set(spotId, bundleId);
+  return bundleId;
+}
+
+function clearBundleIds() {
+  bundledByName = null;
+  resolved.clear();
+}
+
+module.exports = {
+  MATCH_RADIUS_KM,
+  resolveBundleId,
+  clearBundleIds,
+};
@@ -0,0 +1,310 @@
+const { getSpotMetadata } = require('./spotMetadata');
+const { resolveBundleId } = require('./bundleIds');
+const { listBundleIds } = require('./storage');
+const { COMPASS_8, COMPASS_16, toCompass, toDegrees } = require('../utils/compass');
+const logger = require('../utils/logger');
+
+/**
+ * Optimal conditions compiler
+ *
+ * Turns a spot's merged metadata bundle (services read it through
+ * getSpotMetadata) into the structured `optimal` block scoring uses:
+ * offshore wind and swell directions from the guides' bestWindText and
+ * bestSwellText, falling back to the facing of the Overpass coastline; wave
+ * size from the sourced swell size or the difficulty; period from the break
+ * type. Each compiled block carries a confidence level and the field every
+ * part was derived from. Spots without metadata keep defaultOptimal().
+ */
+
+const DEFAULT_OPTIMAL = {
+  waveHeight: { min: 0.8, ideal: 1.5, max: 2.5 },
+  wavePeriod: { min: 8, ideal: 12, max: 16 },
+  windDirection: ['E', 'NE', 'SE'],
+  waveDirection: ['W', 'NW', 'SW'],
+};
+
+const SIZE_BY_LEVEL = {
+  beginner: { min: 0.5, ideal: 1.0, max: 1.8 },
+  intermediate: { min: 0.8, ideal: 1.5, max: 2.5 },
+  advanced: { min: 1.0, ideal: 1.8, max: 3.0 },
+  expert: { min: 1.5, ideal: 2.5, max: 4.5 },
+};
+
+// Reefs and points need more period to wrap in and stand up than beaches
+const PERIOD_BY_BREAK = {
+  beach: { min: 7, ideal: 11, max: 15 },
+  reef: { min: 9, ideal: 13, max: 18 },
+  point: { min: 9, ideal: 13, max: 18 },
+};
+const GROUNDSWELL_PERIOD = { min: 10, ideal: 13, max: 18 };
+
+const DIRECTION_PATTERN = /\b((?:north|south|east|west)(?:[\s-]?(?:north|south|east|west)){0,2})(?:erly)?\b|\b([NSEW]{1,3})\b/gi;
+const RANGE_PATTERN = /^\s*(?:to|through|thru)\s+(?:the\s+)?$/i;
+const SUBJECTS = {
+  wind: /wind|offshore/i,
+  swell: /swell/i,
+};
+
+const compiledCache = new Map();
+
+function defaultOptimal() {
+  return {
+    waveHeight: { ...DEFAULT_OPTIMAL.waveHeight },
+    wavePeriod: { ...DEFAULT_OPTIMAL.wavePeriod },
+    windDirection: [...DEFAULT_OPTIMAL.windDirection],
+    waveDirection: [...DEFAULT_OPTIMAL.waveDirection],
+  };
+}
+
+/**
+ * 'beach' | 'reef' | 'point' from a break type description, null when unclear
+ */
+function parseBreakType(text) {
+  if (!text) return null;
+  const lower = text.toLowerCase();
+  if (lower.includes('point')) return 'point';
+  if (lower.includes('reef')) return 'reef';
+  if (lower.includes('beach') || lower.includes('sand')) return 'beach';
+  return null;
+}
+
+// 16-point directions between two 8-point ones count as both neighbours
+function toEightPoint(point) {
+  const degrees = toDegrees(point);
+  if (degrees % 45 === 0) return [toCompass(degrees)];
+  return [toCompass(degrees - 11.25), toCompass(degrees + 11.25)];
+}
+
+function directionTokens(text) {
+  const tokens = [];
+  for (const match of text.matchAll(DIRECTION_PATTERN)) {
+    let points;
+    if (match[1]) {
+      const initials = match[1].toLowerCase().match(/north|south|east|west/g).map((word) => word[0].toUpperCase());
+      const combined = initials.join('');
+      points = COMPASS_16.includes(combined) ? [combined] : initials;
+    } else {
+      // Abbreviations only count in capitals, so "s" in "it's" isn't south
+      if (match[2] !== match[2].toUpperCase() || !COMPASS_16.includes(match[2])) continue;
+      points = [match[2]];
+    }
+    tokens.push({ points: points.flatMap(toEightPoint), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+// Every 8-point direction from one to the other, the short way round
+function arc(from, to) {
+  const start = COMPASS_8.indexOf(from);
+  const steps = (COMPASS_8.indexOf(to) - start + 8) % 8;
+  const clockwise = steps <= 4;
+  const count = clockwise ? steps : 8 - steps;
+  return Array.from({ length: count + 1 }, (_, i) => COMPASS_8[(start + (clockwise ? i : -i) + 8) % 8]);
+}
+
+// The parts of a description about one subject, when it covers both wind and swell
+function clausesAbout(text, subject) {
+  const other = subject === 'wind' ? 'swell' : 'wind';
+  const clauses = SUBJECTS[other].test(text)
+    ? text.split(/\bcombines? with\b|\bwith\b|\band\b|\bwhile\b|\bbut\b|[;,.]/i).filter((clause) => SUBJECTS[subject].test(clause))
+    : [text];
+  if (subject !== 'wind') return clauses;
+  return clauses.filter((clause) => !/onshore/i.test(clause) || /offshore/i.test(clause));
+}
+
+/**
+ * 8-point compass directions named in a guide's wind or swell description.
+ * Handles words ("west northwest", "south-westerly"), abbreviations ("NW")
+ * and ranges ("SW to NW").
+ *
+ * @param {string|null} text
+ * @param {'wind'|'swell'} subject
+ * @returns {string[]} - In compass order, empty when none are named
+ */
+function parseDirections(text, subject) {
+  if (!text) return [];
+  const found = new Set();
+
+  for (const clause of clausesAbout(String(text), subject)) {
+    const tokens = directionTokens(clause);
+    tokens.forEach((token, index) => {
+      token.points.forEach((point) => found.add(point));
+      const next = tokens[index + 1];
+      if (next && RANGE_PATTERN.test(clause.slice(token.end, next.start))) {
+        arc(token.points[token.points.length - 1], next.points[0]).forEach((point) => found.add(point));
+      }
+    });
+  }
+
+  return COMPASS_8.filter((point) => found.has(point));
+}
+
+/**
+ * Wave height range from a "Starts working at 1m and holds up to 3m" description
+ */
+function parseSwellSize(text) {
+  if (!text) return null;
+  const start = text.match(/working at\s*(less than\s*)?([\d.]+)\s*m/i);
+  const hold = text.match(/holds? up to\s*([\d.]+)\s*m/i);
+  if (!start || !hold) return null;
+
+  const min = parseFloat(start[2]) / (start[1] ? 2 : 1);
+  const max = parseFloat(hold[1]);
+  if (!(min > 0) || !(max > min)) return null;
+  return { min: round1(min), ideal: round1(min + (max - min) * 0.4), max: round1(max) };
+}
+
+function skillLevel(text) {
+  if (!text) return null;
+  const lower = text.toLowerCase();
+  if (/pro|kamikaze|expert/.test(lower)) return 'expert';
+  if (/advanced|experienced/.test(lower)) return 'advanced';
+  if (/intermediate/.test(lower)) return 'intermediate';
+  if (/beginner|novice|all surfers/.test(lower)) return 'beginner';
+  return null;
+}
+
+// The three 8-point directions around a bearing
+function facing(degrees) {
+  const points = [-45, 0, 45].map((offset) => toCompass(degrees + offset));
+  return COMPASS_8.filter((point) => points.includes(point));
+}
+
+function opposite(points) {
+  return COMPASS_8.filter((point) => points.some((p) => toCompass(toDegrees(p) + 180) === point));
+}
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Compile merged spot metadata into an `optimal` block
+ *
+ * @param {Object|null} metadata - From getSpotMetadata
+ * @returns {{ optimal: Object, shoreNormal: number|null, confidence: 'high'|'medium'|'low',
+ *             derivedFrom: Object }|null} - null when the metadata says nothing usable
+ */
+function compileOptimal(metadata) {
+  if (!metadata) return null;
+
+  const optimal = defaultOptimal();
+  const derivedFrom = {};
+  const shoreNormal = Number.isFinite(metadata.shoreNormal) ? metadata.shoreNormal : null;
+
+  let wind = parseDirections(metadata.bestWindText, 'wind');
+  let swell = parseDirections(metadata.bestSwellText, 'swell');
+  if (wind.length > 0) derivedFrom.windDirection = 'bestWindText';
+  if (swell.length > 0) derivedFrom.waveDirection = 'bestSwellText';
+
+  if (wind.length === 0 && shoreNormal !== null) {
+    wind = facing(shoreNormal + 180);
+    derivedFrom.windDirection = 'coastline';
+  }
+  if (swell.length === 0 && shoreNormal !== null) {
+    swell = facing(shoreNormal);
+    derivedFrom.waveDirection = 'coastline';
+  }
+  // Offshore wind blows from the land, so swell arrives from the opposite side
+  if (wind.length === 0 && swell.length > 0) {
+    wind = opposite(swell);
+    derivedFrom.windDirection = derivedFrom.waveDirection;
+  }
+  if (swell.length === 0 && wind.length > 0) {
+    swell = opposite(wind);
+    derivedFrom.waveDirection = derivedFrom.windDirection;
+  }
+  if (wind.length > 0) {
+    optimal.windDirection = wind;
+    optimal.waveDirection = swell;
+  }
+
+  const size = parseSwellSize(metadata.swellSizeText);
+  const level = skillLevel(metadata.difficultyText);
+  if (size) {
+    optimal.waveHeight = size;
+    derivedFrom.waveHeight = 'swellSizeText';
+  } else if (level) {
+    optimal.waveHeight = { ...SIZE_BY_LEVEL[level] };
+    derivedFrom.waveHeight = 'difficultyText';
+  }
+
+  const breakType = parseBreakType(metadata.breakTypeText);
+  if (breakType) {
+    optimal.wavePeriod = { ...PERIOD_BY_BREAK[breakType] };
+    derivedFrom.wavePeriod = 'breakTypeText';
+  }
+  if (/groundswell/i.test(metadata.bestSwellText || '')) {
+    optimal.wavePeriod.min = Math.max(optimal.wavePeriod.min, GROUNDSWELL_PERIOD.min);
+    optimal.wavePeriod.ideal = Math.max(optimal.wavePeriod.ideal, GROUNDSWELL_PERIOD.ideal);
+    optimal.wavePeriod.max = Math.max(optimal.wavePeriod.max, GROUNDSWELL_PERIOD.max);
+    derivedFrom.wavePeriod = derivedFrom.wavePeriod || 'bestSwellText';
+  }
+
+  if (Object.keys(derivedFrom).length === 0) return null;
+
+  const statedWind = derivedFrom.windDirection === 'bestWindText';
+  const statedSwell = derivedFrom.waveDirection === 'bestSwellText';
+  let confidence = 'low';
+  if (statedWind && statedSwell) confidence = 'high';
+  else if (derivedFrom.windDirection) confidence = 'medium';
+
+  return { optimal, shoreNormal, confidence, derivedFrom };
+}
+
+/**
+ * Compiled optimal block for a spot (cached per bundle), null without usable metadata.
+ * Never throws — a broken bundle must not stop a spot from loading.
+ *
+ * @param {string} spotId
+ * @param {Object} [place] - As for getSpotMetadata
+ */
+function getCompiledOptimal(spotId, place) {
+  let compiled = null;
+  try {
+    const bundleId = resolveBundleId(spotId, place);
+    if (!bundleId) return null;
+    if (compiledCache.has(bundleId)) return compiledCache.get(bundleId);
+
+    compiled = compileOptimal(getSpotMetadata(bundleId));
+    compiledCache.set(bundleId, compiled);
+  } catch (error) {
+    logger.warn(`[SpotMetadata] Could not compile optimal conditions for ${spotId}: ${error.message}`);
+  }
+  return compiled;
+}
+
+/**
+ * Compile every bundle on disk, so spots pick up their optimal blocks as they load
+ *
+ * @returns {{ bundles: number, compiled: number, high: number, medium: number, low: number }}
+ */
+function loadCompiledOptimals() {
+  const ids = listBundleIds();
+  const summary = { bundles: ids.length, compiled: 0, high: 0, medium: 0, low: 0 };
+
+  for (const spotId of ids) {
+    const compiled = getCompiledOptimal(spotId);
+    if (!compiled) continue;
+    summary.compiled += 1;
+    summary[compiled.confidence] += 1;
+  }
+
+  logger.info(`[SpotMetadata] Compiled optimal conditions for ${summary.compiled}/${summary.bundles} spot bundles (high ${summary.high}, medium ${summary.medium}, low ${summary.low})`);
+  return summary;
+}
+
+function clearCompiledOptimals() {
+  compiledCache.clear();
+}
+
+module.exports = {
+  defaultOptimal,
+  parseBreakType,
+  parseDirections,
+  parseSwellSize,
+  compileOptimal,
+  getCompiledOptimal,
+  loadCompiledOptimals,
+  clearCompiledOptimals,
+};
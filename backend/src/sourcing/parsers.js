@@ -1,4 +1,10 @@
-const { firstLine, extractCoordinatesFromText, extractSentence } = require('./utils');
+const { firstLine, extractCoordinatesFromText, extractSentence, geoDistanceKm } = require('./utils');
+
+// Coastline within this distance decides which way the spot faces
+const COASTLINE_RADIUS_KM = 3.5;
+// Below this agreement (0-1) between nearby coastline segments the spot sits on
+// a headland or in a bay too curved to give it one facing
+const MIN_COASTLINE_AGREEMENT = 0.3;
 
 function emptyNormalizedFields() {
   return {
@@ -12,10 +18,12 @@ function emptyNormalizedFields() {
     bestWindText: null,
     bestSwellText: null,
     bestTideText: null,
+    swellSizeText: null,
     powerText: null,
     difficultyText: null,
     consistencyText: null,
     hazardsText: null,
+    shoreNormal: null,
     narrativeSections: {},
   };
 }
@@ -264,6 +272,7 @@ function parseWannaSurf(markdown, spot, url) {
     'Good wind direction': 'bestWindText',
     'Good swell direction': 'bestSwellText',
     'Best tide position': 'bestTideText',
+    'Swell size': 'swellSizeText',
     'Power': 'powerText',
     'Experience': 'difficultyText',
     'Dangers': 'hazardsText',
@@ -332,6 +341,7 @@ function parseOverpass(rawJson, spot, url) {
     marina: 0,
     breakwater: 0,
     groyne: 0,
+    coastline: 0,
   };
 
   for (const element of elements) {
@@ -343,9 +353,11 @@ function parseOverpass(rawJson, spot, url) {
     if (tags.leisure === 'marina' || tags['seamark:type'] === 'harbour') counts.marina += 1;
     if (tags.man_made === 'breakwater') counts.breakwater += 1;
     if (tags.man_made === 'groyne') counts.groyne += 1;
+    if (tags.natural === 'coastline') counts.coastline += 1;
   }
 
   normalizedFields.sourceCoordinates = { lat: spot.lat, lon: spot.lon };
+  normalizedFields.shoreNormal = coastlineShoreNormal(elements, spot);
 
   return {
     spotId: spot.id,
@@ -361,12 +373,55 @@ function parseOverpass(rawJson, spot, url) {
       overpassSummary: {
         snippet: JSON.stringify(counts),
       },
+      ...(normalizedFields.shoreNormal != null && {
+        shoreNormal: { snippet: `${counts.coastline} coastline way(s) face ${normalizedFields.shoreNormal}°` },
+      }),
     },
     issues: [],
     parseStatus: 'success',
   };
 }
 
+/**
+ * Bearing (degrees) the coast near a spot faces out to sea, from OSM coastline
+ * ways (`out geom`). OSM draws coastlines with the land on the left, so each
+ * segment faces its own bearing + 90°. Segments are averaged as unit vectors,
+ * weighted by length and by closeness to the spot.
+ *
+ * @returns {number|null} - null without nearby coastline or when it doesn't agree on a facing
+ */
+function coastlineShoreNormal(elements, spot) {
+  let x = 0;
+  let y = 0;
+  let totalWeight = 0;
+
+  for (const element of elements) {
+    if (element.type !== 'way' || element.tags?.natural !== 'coastline') continue;
+    const points = Array.isArray(element.geometry) ? element.geometry : [];
+
+    for (let index = 1; index < points.length; index += 1) {
+      const from = points[index - 1];
+      const to = points[index];
+      const lengthKm = geoDistanceKm(from.lat, from.lon, to.lat, to.lon);
+      const distanceKm = geoDistanceKm(spot.lat, spot.lon, (from.lat + to.lat) / 2, (from.lon + to.lon) / 2);
+      if (!lengthKm || distanceKm > COASTLINE_RADIUS_KM) continue;
+
+      const dx = (to.lon - from.lon) * Math.cos(((from.lat + to.lat) / 2) * Math.PI / 180);
+      const dy = to.lat - from.lat;
+      const normal = Math.atan2(dx, dy) + Math.PI / 2;
+      const weight = lengthKm / (distanceKm + 0.5) ** 2;
+
+      x += Math.sin(normal) * weight;
+      y += Math.cos(normal) * weight;
+      totalWeight += weight;
+    }
+  }
+
+  if (totalWeight === 0 || Math.hypot(x, y) / totalWeight < MIN_COASTLINE_AGREEMENT) return null;
+  const degrees = Math.atan2(x, y) * 180 / Math.PI;
+  return Math.round((degrees + 360) % 360);
+}
+
 function extractBetweenLabels(text, startLabel, nextLabels) {
   const startIndex = text.indexOf(startLabel);
   if (startIndex === -1) return null;
@@ -387,6 +442,7 @@ module.exports = {
   parseSurfingWaves,
   parseWannaSurf,
   parseOverpass,
+  coastlineShoreNormal,
   extractBetweenLabels,
   emptyNormalizedFields,
 };
@@ -619,12 +619,15 @@ function buildOverpassQuery(spot, filters) {
     .map((filter) => `  nwr(around:${OVERPASS_RADIUS_METERS},${spot.lat},${spot.lon})${filter};`)
     .join('\n');
 
+  // Coastline ways come back with full geometry so the parser can tell which way the spot faces
   return `
 [out:json][timeout:20];
 (
 ${body}
 );
 out center tags;
+way(around:${OVERPASS_RADIUS_METERS},${spot.lat},${spot.lon})["natural"="coastline"];
+out geom;
   `.trim();
 }
 
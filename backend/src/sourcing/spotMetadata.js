@@ -0,0 +1,127 @@
+const { loadBundle } = require('./storage');
+const { resolveBundleId, clearBundleIds } = require('./bundleIds');
+
+// When several sources describe the same field, prefer the most structured one
+const SOURCE_PRIORITY = ['wannasurf', 'surfing-waves', 'surf-forecast', 'overpass'];
+
+// Public names of the descriptive fields the spot detail endpoint exposes
+const DETAIL_FIELDS = {
+  breakType: 'breakTypeText',
+  bottom: 'bottomTypeText',
+  waveShape: 'waveShapeText',
+  power: 'powerText',
+  difficulty: 'difficultyText',
+  consistency: 'consistencyText',
+  hazards: 'hazardsText',
+  bestTide: 'bestTideText',
+  bestWind: 'bestWindText',
+  bestSwell: 'bestSwellText',
+  swellSize: 'swellSizeText',
+};
+
+// Overpass is a map query, not a page a surfer can read
+const UNLINKED_SOURCES = new Set(['overpass']);
+
+const metadataCache = new Map();
+const detailsCache = new Map();
+
+/**
+ * Merge the normalized fields of a spot's metadata bundle into one flat record.
+ * Returns null when the spot has no bundle yet.
+ *
+ * @param {string} spotId
+ * @param {Object} [place] - { name, lat, lon } or the spot config; finds the bundle of a spot outside the catalog (bundleIds.js)
+ */
+function getSpotMetadata(spotId, place) {
+  const bundleId = resolveBundleId(spotId, place);
+  if (!bundleId) return null;
+  if (metadataCache.has(bundleId)) return metadataCache.get(bundleId);
+
+  const bundle = loadBundle(bundleId);
+  const metadata = bundle ? mergeNormalizedFields(bundle.sources || {}).merged : null;
+  metadataCache.set(bundleId, metadata);
+  return metadata;
+}
+
+/**
+ * Break metadata for the spot detail endpoint: the descriptive fields, which
+ * source each came from with the snippet it was parsed from, and links to the
+ * guide pages. Returns null when the spot has no bundle yet.
+ *
+ * @param {string} spotId
+ * @param {Object} [place] - As for getSpotMetadata
+ * @returns {{ fields: Object, fieldSources: Object, evidence: Object,
+ *             sources: Array<{ source: string, url: string|null, parsedAt: string|null }>,
+ *             generatedAt: string|null }|null}
+ */
+function getSpotDetails(spotId, place) {
+  const bundleId = resolveBundleId(spotId, place);
+  if (!bundleId) return null;
+  if (detailsCache.has(bundleId)) return detailsCache.get(bundleId);
+
+  const bundle = loadBundle(bundleId);
+  let details = null;
+  if (bundle) {
+    const sources = bundle.sources || {};
+    const { merged, origin } = mergeNormalizedFields(sources);
+    details = { fields: {}, fieldSources: {}, evidence: {}, sources: [], generatedAt: bundle.generatedAt || null };
+
+    for (const [name, key] of Object.entries(DETAIL_FIELDS)) {
+      details.fields[name] = merged[key] ?? null;
+      if (!origin[key]) continue;
+      details.fieldSources[name] = origin[key];
+      const snippet = sources[origin[key]].parsed.evidence?.[key]?.snippet;
+      if (snippet) details.evidence[name] = { source: origin[key], snippet };
+    }
+
+    for (const source of Object.keys(sources).sort((a, b) => rank(a) - rank(b))) {
+      const entry = sources[source];
+      if (entry?.parsed?.parseStatus !== 'success') continue;
+      details.sources.push({
+        source,
+        url: UNLINKED_SOURCES.has(source) ? null : entry.selected?.url || null,
+        parsedAt: entry.parsed.parsedAt || null,
+      });
+    }
+  }
+
+  detailsCache.set(bundleId, details);
+  return details;
+}
+
+// The merged fields, and which source each one was taken from
+function mergeNormalizedFields(sources) {
+  const ordered = Object.keys(sources).sort((a, b) => rank(a) - rank(b));
+  const merged = {};
+  const origin = {};
+
+  for (const source of ordered) {
+    const fields = sources[source]?.parsed?.normalizedFields;
+    if (!fields) continue;
+    for (const [key, value] of Object.entries(fields)) {
+      if (value == null || merged[key] != null) continue;
+      if (typeof value === 'object' && Object.keys(value).length === 0) continue;
+      merged[key] = value;
+      origin[key] = source;
+    }
+  }
+
+  return { merged, origin };
+}
+
+function rank(source) {
+  const index = SOURCE_PRIORITY.indexOf(source);
+  return index === -1 ? SOURCE_PRIORITY.length : index;
+}
+
+function clearSpotMetadataCache() {
+  metadataCache.clear();
+  detailsCache.clear();
+  clearBundleIds();
+}
+
+module.exports = {
+  getSpotMetadata,
+  getSpotDetails,
+  clearSpotMetadataCache,
+};
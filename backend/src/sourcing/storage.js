@@ -99,6 +99,14 @@ function saveBundle(spotId, data) {
   writeJson(bundlePath(spotId), data);
 }
 
+function listBundleIds() {
+  const dir = filePath('bundles');
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((name) => name.endsWith('.json'))
+    .map((name) => name.slice(0, -'.json'.length));
+}
+
 module.exports = {
   baseDir,
   filePath,
@@ -116,4 +124,5 @@ module.exports = {
   saveState,
   loadBundle,
   saveBundle,
+  listBundleIds,
 };
@@ -0,0 +1,17 @@
+/**
+ * Client address behind the proxy.
+ *
+ * The app runs behind a proxy that sets X-Forwarded-For, and Express is not
+ * configured to trust it, so req.ip is the proxy's address for every
+ * request. Anything keyed per client — geolocation, feedback contributors,
+ * rate limits — takes the first forwarded address instead.
+ *
+ * @param {import('express').Request} req
+ * @returns {string|undefined}
+ */
+function clientIp(req) {
+  return req.headers['x-forwarded-for']?.split(',')[0]?.trim()
+    || req.socket.remoteAddress;
+}
+
+module.exports = { clientIp };
@@ -0,0 +1,59 @@
+/**
+ * Compass helpers — convert between degrees and compass points.
+ * Scoring and spot configs use the 8-point compass; some scraped sources
+ * report 16 points, so parsing accepts both.
+ */
+
+const COMPASS_8 = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+const COMPASS_16 = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+/**
+ * Normalize any angle to [0, 360)
+ */
+function normalizeDegrees(degrees) {
+  return ((degrees % 360) + 360) % 360;
+}
+
+/**
+ * Convert degrees to a compass point
+ *
+ * @param {number} degrees - Direction in degrees (0 = N, clockwise)
+ * @param {number} [points=8] - 8 or 16 point compass
+ * @returns {string}
+ */
+function toCompass(degrees, points = 8) {
+  const names = points === 16 ? COMPASS_16 : COMPASS_8;
+  const step = 360 / names.length;
+  return names[Math.round(normalizeDegrees(degrees) / step) % names.length];
+}
+
+/**
+ * Convert a compass point (8 or 16 point) or a numeric bearing to degrees
+ *
+ * @param {string|number} direction
+ * @returns {number|null} - Degrees, or null when unrecognized
+ */
+function toDegrees(direction) {
+  if (typeof direction === 'number') {
+    return Number.isFinite(direction) ? normalizeDegrees(direction) : null;
+  }
+  if (typeof direction !== 'string') return null;
+  const index = COMPASS_16.indexOf(direction.trim().toUpperCase());
+  return index === -1 ? null : index * 22.5;
+}
+
+/**
+ * Smallest angle between two bearings (0-180)
+ */
+function angularDistance(a, b) {
+  const diff = Math.abs(normalizeDegrees(a) - normalizeDegrees(b));
+  return diff > 180 ? 360 - diff : diff;
+}
+
+module.exports = {
+  COMPASS_8,
+  COMPASS_16,
+  toCompass,
+  toDegrees,
+  angularDistance
+};
@@ -0,0 +1,97 @@
+/**
+ * Geographic helpers shared by routes and services
+ */
+
+/**
+ * Great-circle distance between two points in kilometres
+ */
+function haversine(lat1, lon1, lat2, lon2) {
+  const R = 6371;
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180)
+    * Math.sin(dLon / 2) ** 2;
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Geohash of a point. Longer hashes are smaller cells, and every point in a
+ * cell shares its hash as a prefix.
+ *
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} precision - Characters (1-12)
+ * @returns {string}
+ */
+function geohashEncode(lat, lon, precision) {
+  const latRange = [-90, 90];
+  const lonRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let value = 0;
+  let even = true; // bits alternate, starting with longitude
+
+  while (hash.length < precision) {
+    const range = even ? lonRange : latRange;
+    const coord = even ? lon : lat;
+    const mid = (range[0] + range[1]) / 2;
+    value <<= 1;
+    if (coord >= mid) {
+      value |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    even = !even;
+
+    if (++bits === 5) {
+      hash += GEOHASH_BASE32[value];
+      bits = 0;
+      value = 0;
+    }
+  }
+  return hash;
+}
+
+/**
+ * Size of a geohash cell in degrees
+ */
+function geohashCellSize(precision) {
+  const totalBits = precision * 5;
+  return {
+    lat: 180 / 2 ** Math.floor(totalBits / 2),
+    lon: 360 / 2 ** Math.ceil(totalBits / 2)
+  };
+}
+
+/**
+ * Geohash cells covering a bounding box (west <= east; split boxes across the
+ * antimeridian before calling)
+ *
+ * @param {{ south, west, north, east }} bbox
+ * @param {number} precision
+ * @returns {string[]}
+ */
+function geohashCover({ south, west, north, east }, precision) {
+  const size = geohashCellSize(precision);
+  const firstLat = Math.floor((south + 90) / size.lat) * size.lat - 90;
+  const firstLon = Math.floor((west + 180) / size.lon) * size.lon - 180;
+  const cells = [];
+
+  for (let lat = firstLat; lat <= north && lat < 90; lat += size.lat) {
+    for (let lon = firstLon; lon <= east && lon < 180; lon += size.lon) {
+      cells.push(geohashEncode(lat + size.lat / 2, lon + size.lon / 2, precision));
+    }
+  }
+  return cells;
+}
+
+module.exports = {
+  haversine,
+  geohashEncode,
+  geohashCellSize,
+  geohashCover
+};
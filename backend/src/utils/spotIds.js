@@ -0,0 +1,47 @@
+/**
+ * Spot ID scheme.
+ *
+ * Spots used to be keyed by the slug of their name alone, so two "Playa
+ * Grande" spots in Costa Rica and Argentina shared an ID — and its cache,
+ * history and subscriptions. Stable IDs add the 5-character geohash of the
+ * spot (a ~5 km cell): the same break always gets the same ID, and
+ * same-name breaks in different places never do.
+ *
+ * Two spots with the same name slug within SPOT_MERGE_DISTANCE_KM (default
+ * 5 km — the default spots sit up to that far from their catalog entries)
+ * are the same break, and are merged under the existing spot's ID.
+ */
+const { geohashEncode } = require('./geo');
+
+const ID_GEOHASH_PRECISION = 5;
+const DEFAULT_MERGE_DISTANCE_KM = 5;
+
+/**
+ * The legacy name-only ID, still used by the default spots and catalog
+ * names that are unique
+ */
+function slugifyName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Collision-free ID from a spot's name and coordinates, e.g. "playa_grande_d1u0p"
+ */
+function stableSpotId(name, lat, lon) {
+  return `${slugifyName(name)}_${geohashEncode(lat, lon, ID_GEOHASH_PRECISION)}`;
+}
+
+/**
+ * Distance (km) within which same-name spots are one break
+ */
+function mergeDistanceKm() {
+  const value = parseFloat(process.env.SPOT_MERGE_DISTANCE_KM);
+  return Number.isFinite(value) && value >= 0 ? value : DEFAULT_MERGE_DISTANCE_KM;
+}
+
+module.exports = {
+  ID_GEOHASH_PRECISION,
+  slugifyName,
+  stableSpotId,
+  mergeDistanceKm
+};
@@ -0,0 +1,64 @@
+/**
+ * Shared SQLite connections for local stores under the persistent data dir.
+ * One connection per file, opened lazily; schemas are versioned with
+ * PRAGMA user_version so each store can append migrations over time.
+ *
+ * Files are opened in WAL mode, which needs POSIX locks and a shared-memory
+ * file: the data dir must be a local disk, used by one host. A network mount
+ * such as the GCS FUSE PERSISTENT_DATA_DIR gives neither, so run a single
+ * instance against it or point PERSISTENT_DATA_DIR at local storage.
+ */
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const dataPath = require('./dataPath');
+const logger = require('./logger');
+
+const connections = new Map();
+
+/**
+ * Open (or reuse) a database file and bring its schema up to date
+ *
+ * @param {string} filename - File name relative to the data dir (e.g. 'history.sqlite')
+ * @param {string[]} migrations - Ordered SQL scripts; index i upgrades from version i to i+1
+ * @returns {import('better-sqlite3').Database}
+ */
+function openDatabase(filename, migrations = []) {
+  const filePath = dataPath.resolve(filename);
+  if (connections.has(filePath)) return connections.get(filePath);
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const db = new Database(filePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+
+  migrate(db, migrations, filename);
+  connections.set(filePath, db);
+  return db;
+}
+
+function migrate(db, migrations, filename) {
+  const current = db.pragma('user_version', { simple: true });
+  if (current >= migrations.length) return;
+
+  const upgrade = db.transaction(() => {
+    for (let version = current; version < migrations.length; version++) {
+      db.exec(migrations[version]);
+    }
+    db.pragma(`user_version = ${migrations.length}`);
+  });
+  upgrade();
+  logger.info(`[SQLite] Migrated ${filename} from v${current} to v${migrations.length}`);
+}
+
+/**
+ * Close every open connection (tests and graceful shutdown)
+ */
+function closeAll() {
+  for (const db of connections.values()) {
+    db.close();
+  }
+  connections.clear();
+}
+
+module.exports = { openDatabase, closeAll };
@@ -0,0 +1,120 @@
+/**
+ * Spot-local time helpers.
+ * Every spot carries an IANA timezone so forecast hours and trend blocks
+ * line up with the surfer's clock, not the server's.
+ */
+const tzlookup = require('@photostructure/tz-lookup');
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+const formatters = {};
+
+function getFormatter(timezone) {
+  if (!formatters[timezone]) {
+    formatters[timezone] = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    });
+  }
+  return formatters[timezone];
+}
+
+/**
+ * Resolve the IANA timezone for a coordinate pair (offline lookup).
+ * Falls back to UTC for invalid coordinates.
+ */
+function getTimezoneForCoords(lat, lon) {
+  try {
+    return tzlookup(lat, lon) || DEFAULT_TIMEZONE;
+  } catch (e) {
+    return DEFAULT_TIMEZONE;
+  }
+}
+
+/**
+ * Check that a timezone name is understood by Intl
+ */
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in the given timezone
+ *
+ * @param {Date|string|number} input - Instant to convert
+ * @param {string} timezone - IANA timezone
+ * @returns {{ date: string, hour: number, minute: number }}
+ */
+function getLocalParts(input, timezone) {
+  const date = input instanceof Date ? input : new Date(input);
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone || DEFAULT_TIMEZONE).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10)
+  };
+}
+
+/**
+ * Convert an instant (Date or ISO string with offset) to a spot-local
+ * "YYYY-MM-DDTHH:mm" key — the format used by hourly timelines.
+ */
+function toLocalTimeKey(input, timezone) {
+  const { date, hour, minute } = getLocalParts(input, timezone);
+  return `${date}T${pad(hour)}:${pad(minute)}`;
+}
+
+/**
+ * Inverse of toLocalTimeKey: the instant at which a spot-local
+ * "YYYY-MM-DDTHH:mm" wall-clock time occurs.
+ */
+function fromLocalTimeKey(key, timezone) {
+  const [date, time = '00:00'] = key.split('T');
+  const wallClock = Date.parse(`${date}T${time.substring(0, 5)}:00Z`);
+  // Two passes so keys just after a DST switch pick up the new offset
+  const offset = localOffsetMs(wallClock, timezone);
+  const corrected = localOffsetMs(wallClock - offset, timezone);
+  return new Date(wallClock - corrected);
+}
+
+function localOffsetMs(ms, timezone) {
+  const { date, hour, minute } = getLocalParts(new Date(ms), timezone);
+  return Date.parse(`${date}T${pad(hour)}:${pad(minute)}:00Z`) - Math.floor(ms / 60000) * 60000;
+}
+
+/**
+ * Add days to a "YYYY-MM-DD" date string (calendar arithmetic, no DST issues)
+ */
+function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().split('T')[0];
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  getTimezoneForCoords,
+  isValidTimezone,
+  getLocalParts,
+  toLocalTimeKey,
+  fromLocalTimeKey,
+  addDays
+};
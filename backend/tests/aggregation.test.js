@@ -0,0 +1,92 @@
+const { aggregateField, getSourceWeight } = require('../src/services/aggregation');
+const { aggregateData, describeSources } = require('../src/services/scraper');
+const { toCompass, toDegrees } = require('../src/utils/compass');
+
+describe('compass helpers', () => {
+  test('converts between degrees and 8/16 point compass names', () => {
+    expect(toCompass(350)).toBe('N');
+    expect(toCompass(-45)).toBe('NW');
+    expect(toCompass(22.5, 16)).toBe('NNE');
+    expect(toDegrees('wsw')).toBe(247.5);
+    expect(toDegrees('NORTHISH')).toBeNull();
+  });
+});
+
+describe('source aggregation', () => {
+  afterEach(() => {
+    delete process.env.AGGREGATION_STRATEGY;
+  });
+
+  test('looks up weights per field before the source default', () => {
+    expect(getSourceWeight('pipeline', 'windfinder', 'windSpeed')).toBe(0.9);
+    expect(getSourceWeight('pipeline', 'windfinder', 'waveHeight')).toBe(0.6);
+    expect(getSourceWeight('pipeline', 'some-new-source', 'waveHeight')).toBe(1);
+  });
+
+  test('weights sources by reliability and reports the down-weighted ones', () => {
+    const result = aggregateField('waveHeight', [
+      { source: 'open-meteo', value: 1.0 },
+      { source: 'beachcam', value: 2.0 }
+    ]);
+
+    // (1.0 * 1 + 2.0 * 0.5) / 1.5
+    expect(result.value).toBeCloseTo(1.333, 2);
+    expect(result.downWeighted).toEqual(['beachcam']);
+    expect(result.rejected).toEqual([]);
+  });
+
+  test('rejects a source that disagrees strongly with the others', () => {
+    const result = aggregateField('windSpeed', [
+      { source: 'open-meteo-forecast', value: 12 },
+      { source: 'met-no', value: 14 },
+      { source: 'windfinder', value: 60 }
+    ]);
+
+    expect(result.rejected).toEqual(['windfinder']);
+    expect(result.value).toBe(13);
+  });
+
+  test('averages directions as angles across north', () => {
+    const result = aggregateField('windDirection', [
+      { source: 'open-meteo-forecast', value: 'NW' },
+      { source: 'met-no', value: 'NE' },
+      { source: 'windfinder', value: 'N' }
+    ]);
+    expect(result.value).toBe('N');
+
+    const withOutlier = aggregateField('swellDirection', [
+      { source: 'open-meteo', value: 'W' },
+      { source: 'surf-forecast', value: 'WSW' },
+      { source: 'windfinder', value: 'E' }
+    ]);
+    expect(withOutlier.rejected).toEqual(['windfinder']);
+    expect(withOutlier.value).toBe('W');
+  });
+
+  test('falls back to plain averages with the mean strategy', () => {
+    process.env.AGGREGATION_STRATEGY = 'mean';
+    const result = aggregateField('waveHeight', [
+      { source: 'open-meteo', value: 1.0 },
+      { source: 'beachcam', value: 2.0 }
+    ]);
+    expect(result).toEqual({ value: 1.5, rejected: [], downWeighted: [] });
+  });
+
+  test('reports how each source was weighed without changing the sources', () => {
+    const sources = [
+      { source: 'open-meteo', data: { waves: { height: { avg: 1.2 }, period: 12, direction: 'W' } }, timestamp: 't', url: 'u1' },
+      { source: 'surf-forecast', data: { waves: { height: { avg: 1.4 }, period: 11, direction: 'NW' }, wind: { speed: 10 } }, timestamp: 't', url: 'u2' },
+      { source: 'windfinder', data: { waves: { height: { avg: 4 } }, wind: { speed: 12, direction: 'E' } }, timestamp: 't', url: 'u3' }
+    ];
+
+    const { conditions, report } = aggregateData(sources);
+    expect(conditions.waves.height.avg).toBe(1.3);
+    expect(conditions.wind.speed).toBe(11);
+    expect(sources.every(s => !('aggregation' in s))).toBe(true);
+
+    const described = describeSources(sources, report);
+    expect(described[0]).toMatchObject({ name: 'open-meteo', downWeighted: [], rejected: [] });
+    expect(described[1].downWeighted).toEqual(expect.arrayContaining(['waveHeight', 'wavePeriod', 'windSpeed']));
+    expect(described[2].rejected).toEqual(['waveHeight']);
+  });
+});
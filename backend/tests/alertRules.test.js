@@ -0,0 +1,78 @@
+jest.mock('../src/config/spots', () => ({
+  // West-facing coast: offshore is E
+  getSpotById: jest.fn((id) => (id === 'tel_aviv'
+    ? { id, name: 'Tel Aviv', optimal: { windDirection: ['E', 'NE', 'SE'] } }
+    : null))
+}));
+
+jest.mock('../src/sourcing/spotMetadata', () => ({
+  getSpotMetadata: jest.fn(() => null)
+}));
+
+const { validateRules, blockMatches, findMatchingBlock, isQuietTime } = require('../src/services/alertRules');
+
+function block(overrides = {}) {
+  return {
+    label: '6–11am',
+    day: '2026-07-04', // Saturday
+    startHour: 6,
+    endHour: 11,
+    score: 72,
+    rating: 'GOOD',
+    waveHeight: 1.4,
+    period: 11,
+    windSpeed: 12,
+    windDirection: 'E',
+    ...overrides
+  };
+}
+
+describe('alert rules', () => {
+  test('normalizes valid rules and drops empty ones', () => {
+    expect(validateRules(undefined, 'tel_aviv')).toEqual({ rules: null });
+    expect(validateRules({ weekdays: [0, 1, 2, 3, 4, 5, 6], offshoreOnly: false }, 'tel_aviv')).toEqual({ rules: null });
+    expect(validateRules({ offshoreOnly: true, hours: { from: 6, to: 12 } }, 'tel_aviv')).toEqual({
+      rules: { offshoreOnly: true, hours: { from: 6, to: 12 } }
+    });
+    expect(validateRules({ offshoreOnly: true }, 'unknown').error).toMatch(/coastline/);
+    expect(validateRules({ periodMin: '10' }, 'tel_aviv').error).toMatch(/periodMin/);
+  });
+
+  test('a block must meet the threshold and every rule', () => {
+    expect(blockMatches(block(), 65, null, 'tel_aviv')).toBe(true);
+    expect(blockMatches(block(), 75, null, 'tel_aviv')).toBe(false);
+
+    expect(blockMatches(block(), 65, { waveHeight: { min: 1, max: 1.5 } }, 'tel_aviv')).toBe(true);
+    expect(blockMatches(block({ waveHeight: 1.8 }), 65, { waveHeight: { max: 1.5 } }, 'tel_aviv')).toBe(false);
+    expect(blockMatches(block({ period: 8 }), 65, { periodMin: 10 }, 'tel_aviv')).toBe(false);
+    expect(blockMatches(block({ windSpeed: null }), 65, { windSpeedMax: 20 }, 'tel_aviv')).toBe(false);
+  });
+
+  test('offshore-only uses the spot coastline', () => {
+    const rules = { offshoreOnly: true };
+    expect(blockMatches(block({ windDirection: 'E' }), 65, rules, 'tel_aviv')).toBe(true);
+    expect(blockMatches(block({ windDirection: 'W' }), 65, rules, 'tel_aviv')).toBe(false);
+  });
+
+  test('time-of-day windows overlap blocks and weekdays use the block day', () => {
+    expect(blockMatches(block(), 65, { hours: { from: 10, to: 14 } }, 'tel_aviv')).toBe(true);
+    expect(blockMatches(block(), 65, { hours: { from: 11, to: 14 } }, 'tel_aviv')).toBe(false);
+    expect(blockMatches(block(), 65, { weekdays: [0, 6] }, 'tel_aviv')).toBe(true);
+    expect(blockMatches(block({ day: '2026-07-06' }), 65, { weekdays: [0, 6] }, 'tel_aviv')).toBe(false);
+  });
+
+  test('skips the block already notified', () => {
+    const blocks = [block(), block({ label: '11am–2pm', startHour: 11, endHour: 14 })];
+    const sub = { threshold: 65, rules: null, lastNotifiedBlock: '6–11am' };
+    expect(findMatchingBlock(blocks, sub, 'tel_aviv').label).toBe('11am–2pm');
+  });
+
+  test('quiet hours are spot-local and may wrap midnight', () => {
+    const rules = { quietHours: { from: 22, to: 6 } };
+    // 20:30 UTC = 23:30 in Tel Aviv (IDT)
+    expect(isQuietTime(rules, new Date('2026-07-04T20:30:00Z'), 'Asia/Jerusalem')).toBe(true);
+    // 05:00 UTC = 08:00 in Tel Aviv
+    expect(isQuietTime(rules, new Date('2026-07-04T05:00:00Z'), 'Asia/Jerusalem')).toBe(false);
+    expect(isQuietTime(null, new Date(), 'Asia/Jerusalem')).toBe(false);
+  });
+});
@@ -0,0 +1,111 @@
+const spots = {
+  // Mediterranean coast of Israel faces west: offshore is E
+  tel_aviv: {
+    id: 'tel_aviv',
+    name: 'Tel Aviv',
+    optimal: { windDirection: ['E', 'NE', 'SE'] }
+  },
+  // East-facing coast: offshore is W
+  byron_bay: {
+    id: 'byron_bay',
+    name: 'Byron Bay',
+    shoreNormal: 90,
+    breakType: 'beach',
+    optimal: { windDirection: ['W', 'SW', 'NW'] }
+  },
+  uluwatu: {
+    id: 'uluwatu',
+    name: 'Uluwatu',
+    optimal: { windDirection: ['E', 'SE'] }
+  }
+};
+
+jest.mock('../src/config/spots', () => ({
+  getSpotById: jest.fn((id) => spots[id] || null)
+}));
+
+jest.mock('../src/sourcing/spotMetadata', () => ({
+  getSpotMetadata: jest.fn((id) => (id === 'uluwatu' ? { breakTypeText: 'Reef-break' } : null))
+}));
+
+const {
+  recommendBoard,
+  recommendBoardPersonalized,
+  rankQuiver,
+  getShoreNormal,
+  windComponents,
+  getBreakType
+} = require('../src/services/boardRecommendation');
+
+function conditions({ height = 1.2, period = 10, windSpeed = 10, windDir = 'E' } = {}) {
+  return {
+    waves: { height: { avg: height }, period },
+    wind: { speed: windSpeed, direction: windDir }
+  };
+}
+
+describe('board recommendation', () => {
+  test('derives the coastline bearing from offshore wind directions or shoreNormal', () => {
+    expect(getShoreNormal('tel_aviv')).toBe(270);
+    expect(getShoreNormal('byron_bay')).toBe(90);
+    expect(getShoreNormal('unknown')).toBeNull();
+  });
+
+  test('splits wind into onshore and cross-shore components', () => {
+    expect(windComponents(20, 'W', 270)).toEqual({ relation: 'onshore', onshore: 20, cross: 0 });
+    expect(windComponents(20, 'E', 270)).toEqual({ relation: 'offshore', onshore: -20, cross: 0 });
+    expect(windComponents(20, 'N', 270).relation).toBe('cross-onshore');
+    expect(windComponents(20, 'NNE', 270).relation).toBe('cross-offshore');
+  });
+
+  test('the same west wind is onshore on a west-facing coast and offshore on an east-facing one', () => {
+    const westerly = conditions({ windSpeed: 25, windDir: 'W' });
+
+    const telAviv = recommendBoard(westerly, 'tel_aviv');
+    expect(telAviv.factors.wind.relation).toBe('onshore');
+    expect(telAviv.reason).toMatch(/onshore/);
+
+    const byron = recommendBoard(westerly, 'byron_bay');
+    expect(byron.factors.wind.relation).toBe('offshore');
+    expect(byron.boardType).toBe('any');
+  });
+
+  test('steep wind swell on a beach break adds volume, groundswell on a reef takes it away', () => {
+    const windSwell = recommendBoard(conditions({ height: 1.2, period: 5 }), 'byron_bay');
+    expect(windSwell.factors.breakType).toBe('beach');
+    expect(windSwell.boardType).toBe('fish');
+
+    expect(getBreakType('uluwatu')).toBe('reef');
+    const groundswell = recommendBoard(conditions({ height: 1.8, period: 14 }), 'uluwatu');
+    expect(groundswell.boardType).toBe('gun');
+    expect(groundswell.reason).toMatch(/reef/);
+  });
+
+  test('personalized volume only grows for onshore wind at the spot', () => {
+    const profile = { weight: 80, skillLevel: 'intermediate' };
+    const westerly = conditions({ windSpeed: 25, windDir: 'W' });
+
+    expect(recommendBoardPersonalized(westerly, profile, 'tel_aviv').volume.recommended).toBe(41);
+    expect(recommendBoardPersonalized(westerly, profile, 'byron_bay').volume.recommended).toBe(40);
+  });
+
+  test('ranks a quiver by type distance and volume range', () => {
+    const recommendation = {
+      boardType: 'fish',
+      reason: 'Fun little waves',
+      volume: { recommended: 40, range: [38, 42] }
+    };
+    const ranking = rankQuiver(recommendation, [
+      { id: 'gun', type: 'gun', volume: 60 },
+      { id: 'mid', type: 'midlength', volume: 48 },
+      { id: 'fish', type: 'fish', volume: 41 }
+    ]);
+
+    expect(ranking.map(r => [r.board.id, r.score, r.fit])).toEqual([
+      ['fish', 100, 'ideal'],
+      ['mid', 57, 'workable'],
+      ['gun', 0, 'poor']
+    ]);
+    expect(ranking[1].reason).toMatch(/Less volume than a fish.*6L over your range/);
+  });
+});
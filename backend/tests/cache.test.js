@@ -0,0 +1,70 @@
+describe('cache service', () => {
+  let cache;
+
+  function loadCache(env = {}) {
+    const saved = { ...process.env };
+    Object.assign(process.env, env);
+    jest.isolateModules(() => {
+      cache = require('../src/services/cache');
+    });
+    process.env = saved;
+  }
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('evicts the least recently used entry instead of refusing new keys', async () => {
+    loadCache({ CACHE_MAX_ENTRIES: '3' });
+
+    await cache.set('conditions:a', 1);
+    await cache.set('conditions:b', 2);
+    await cache.set('conditions:c', 3);
+    await cache.get('conditions:a');
+    await cache.set('conditions:d', 4);
+
+    expect(await cache.get('conditions:b')).toBeUndefined();
+    expect(await cache.get('conditions:a')).toBe(1);
+    expect(await cache.get('conditions:d')).toBe(4);
+
+    const stats = await cache.getStats();
+    expect(stats).toMatchObject({ backend: 'memory', keys: 3, maxKeys: 3, evictions: 1, sets: 4 });
+  });
+
+  test('applies per-namespace TTLs and reports hit rates per namespace', async () => {
+    jest.useFakeTimers({ now: new Date('2026-07-01T12:00:00Z') });
+    loadCache();
+
+    await cache.set('og:spot', 'og');
+    await cache.set('forecast:spot:7', 'forecast');
+    await cache.set('sitemap', 'xml', 60);
+
+    jest.advanceTimersByTime(11 * 60 * 1000);
+    expect(await cache.get('og:spot')).toBeUndefined();
+    expect(await cache.get('forecast:spot:7')).toBe('forecast');
+    expect(await cache.getAge('forecast:spot:7')).toBe(660);
+    expect(await cache.get('sitemap')).toBeUndefined();
+
+    const { namespaces } = await cache.getStats();
+    expect(namespaces.og).toEqual({ hits: 0, misses: 1, hitRate: 0 });
+    expect(namespaces.forecast).toEqual({ hits: 1, misses: 0, hitRate: 100 });
+  });
+
+  test('falls back to memory when Redis is selected without a URL', async () => {
+    loadCache({ CACHE_BACKEND: 'redis', REDIS_URL: '' });
+
+    await cache.set('geo:1.00,2.00', { nearestSpot: 'pipeline' });
+    expect(await cache.get('geo:1.00,2.00')).toEqual({ nearestSpot: 'pipeline' });
+    expect((await cache.getStats()).backend).toBe('memory');
+  });
+
+  test('counts Redis keys without scanning the keyspace', async () => {
+    const client = { on: jest.fn(), dbsize: jest.fn(async () => 42), scan: jest.fn() };
+    jest.doMock('ioredis', () => jest.fn(() => client), { virtual: true });
+    loadCache({ CACHE_BACKEND: 'redis', REDIS_URL: 'redis://localhost:6379' });
+
+    expect(await cache.getStats()).toMatchObject({ backend: 'redis', keys: 42 });
+    expect(client.scan).not.toHaveBeenCalled();
+    jest.dontMock('ioredis');
+  });
+});
@@ -0,0 +1,103 @@
+jest.mock('../src/services/boardRecommendation', () => ({
+  recommendBoard: jest.fn(() => ({ boardName: 'Fish', reason: 'Fun little waves, your fish will fly' })),
+  getShoreNormal: jest.fn(() => 270),
+  windComponents: jest.requireActual('../src/services/boardRecommendation').windComponents
+}));
+
+const { buildSessionsCalendar, foldLine, escapeText } = require('../src/services/calendarFeed');
+
+const spot = {
+  id: 'peniche',
+  name: 'Peniche; Supertubos',
+  country: 'Portugal',
+  location: { lat: 39.345, lon: -9.365 },
+  timezone: 'Europe/Lisbon'
+};
+
+const trend = {
+  timezone: 'Europe/Lisbon',
+  blocks: [
+    { label: '6–11am', day: '2026-07-01', startHour: 6, endHour: 11, score: 58, rating: 'FAIR', waveHeight: 1.2, period: 11, windSpeed: 14, windDirection: 'E' },
+    { label: '11am–2pm', day: '2026-07-01', startHour: 11, endHour: 14, score: 74, rating: 'GOOD', waveHeight: 1.64, period: 13.2, windSpeed: 9, windDirection: 'E' },
+    { label: 'Tmw 6–11am', day: '2026-07-02', startHour: 6, endHour: 11, score: 86, rating: 'EPIC', waveHeight: 2.1, period: 15, windSpeed: null, windDirection: null }
+  ]
+};
+
+// Unfold continuation lines and split into properties
+function parse(ics) {
+  return ics.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+}
+
+function events(ics) {
+  const lines = parse(ics);
+  const result = [];
+  let current = null;
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') current = {};
+    else if (line === 'END:VEVENT') { result.push(current); current = null; }
+    else if (current) {
+      const i = line.indexOf(':');
+      current[line.slice(0, i)] = line.slice(i + 1);
+    }
+  }
+  return result;
+}
+
+describe('sessions calendar', () => {
+  const now = new Date('2026-07-01T05:00:00Z');
+
+  test('turns blocks at or above minScore into events in UTC', () => {
+    const ics = buildSessionsCalendar(spot, trend, { minScore: 60, now });
+    const [first, second] = events(ics);
+
+    expect(events(ics)).toHaveLength(2);
+    expect(ics.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+
+    // 11:00 Lisbon summer time = 10:00 UTC
+    expect(first.DTSTART).toBe('20260701T100000Z');
+    expect(first.DTEND).toBe('20260701T130000Z');
+    expect(first.DTSTAMP).toBe('20260701T050000Z');
+    expect(first.SUMMARY).toBe('🏄 GOOD 1.6m at Peniche\\; Supertubos (74/100)');
+    expect(first.DESCRIPTION).toContain('Waves: 1.6m @ 13s');
+    expect(first.DESCRIPTION).toContain('Wind: 9 km/h E (offshore)');
+    expect(first.DESCRIPTION).toContain('Board: Fish — Fun little waves\\, your fish will fly');
+    expect(first.GEO).toBe('39.345;-9.365');
+    expect(first.URL).toBe('https://shouldigo.surf/?spot=peniche');
+
+    expect(second.DTSTART).toBe('20260702T050000Z');
+    expect(second.DESCRIPTION).not.toContain('Wind:');
+  });
+
+  test('keeps UIDs stable across forecast updates', () => {
+    const before = events(buildSessionsCalendar(spot, trend, { now }));
+    const updated = {
+      ...trend,
+      blocks: trend.blocks.map(b => ({ ...b, score: b.score + 4, label: b.label.replace('Tmw ', '') }))
+    };
+    const after = events(buildSessionsCalendar(spot, updated, { now: new Date('2026-07-01T09:00:00Z') }));
+
+    expect(before.map(e => e.UID)).toEqual(['peniche-20260701-11@shouldigo.surf', 'peniche-20260702-06@shouldigo.surf']);
+    expect(after.map(e => e.UID)).toEqual([
+      'peniche-20260701-06@shouldigo.surf',
+      'peniche-20260701-11@shouldigo.surf',
+      'peniche-20260702-06@shouldigo.surf'
+    ]);
+  });
+
+  test('returns an empty calendar without a forecast', () => {
+    const ics = buildSessionsCalendar(spot, null, { now });
+    expect(events(ics)).toHaveLength(0);
+    expect(parse(ics)).toContain('REFRESH-INTERVAL;VALUE=DURATION:PT1H');
+  });
+
+  test('escapes text and folds long lines at 75 octets', () => {
+    expect(escapeText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+
+    const folded = foldLine(`DESCRIPTION:${'🌊'.repeat(40)}`);
+    const parts = folded.split('\r\n');
+    expect(parts.length).toBeGreaterThan(1);
+    for (const part of parts) expect(Buffer.byteLength(part)).toBeLessThanOrEqual(75);
+    expect(parts.map((p, i) => (i === 0 ? p : p.slice(1))).join('')).toBe(`DESCRIPTION:${'🌊'.repeat(40)}`);
+  });
+});
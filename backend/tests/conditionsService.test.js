@@ -0,0 +1,124 @@
+jest.mock('../src/services/scraper', () => ({
+  fetchSurfData: jest.fn(),
+  aggregateData: jest.fn(() => ({ conditions: { waves: { height: { avg: 1.2 } } }, report: {} })),
+  aggregateHourlyData: jest.fn(() => []),
+  describeSources: jest.fn(sources => sources.map(s => ({ name: s.source, status: 'ok' })))
+}));
+jest.mock('../src/services/scoring', () => ({
+  calculateSurfScore: jest.fn(() => ({ overall: 64, rating: 'GOOD' })),
+  WEIGHTS: {}
+}));
+jest.mock('../src/services/scoringProfile', () => ({
+  getScoringProfile: jest.fn(() => ({ weights: {}, multipliers: null, feedbackCount: 0 }))
+}));
+jest.mock('../src/services/trend', () => ({
+  generateTrend: jest.fn(() => ({ blocks: [] }))
+}));
+jest.mock('../src/services/history', () => ({
+  recordConditions: jest.fn()
+}));
+
+const { fetchSurfData } = require('../src/services/scraper');
+const { recordConditions } = require('../src/services/history');
+const cache = require('../src/services/cache');
+const {
+  FRESH_TTL_SECONDS,
+  getConditions,
+  getPopularSpots,
+  prefetchPopularSpots
+} = require('../src/services/conditions');
+
+function deferredScrape() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  let onProgress;
+  fetchSurfData.mockImplementationOnce((spotId, progress) => {
+    onProgress = progress;
+    return promise;
+  });
+  return {
+    progress: event => onProgress(event),
+    finish: () => resolve([{ source: 'open-meteo', data: {} }])
+  };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('conditions service', () => {
+  beforeEach(async () => {
+    await cache.flush();
+    jest.clearAllMocks();
+    fetchSurfData.mockResolvedValue([{ source: 'open-meteo', data: {} }]);
+  });
+
+  test('concurrent requests share one scrape and every caller gets its progress', async () => {
+    const scrape = deferredScrape();
+    const firstEvents = [];
+    const secondEvents = [];
+
+    const first = getConditions('pipeline', { onProgress: e => firstEvents.push(e) });
+    const second = getConditions('pipeline', { onProgress: e => secondEvents.push(e) });
+    await flush();
+    scrape.progress({ name: 'open-meteo', success: true });
+    scrape.finish();
+
+    const [a, b] = await Promise.all([first, second]);
+    expect(fetchSurfData).toHaveBeenCalledTimes(1);
+    expect(recordConditions).toHaveBeenCalledTimes(1);
+    expect(a.response).toBe(b.response);
+    expect(a.response).toMatchObject({ spotId: 'pipeline', score: { overall: 64 }, fromCache: false });
+    expect(firstEvents).toEqual([{ name: 'open-meteo', success: true }]);
+    expect(secondEvents).toEqual(firstEvents);
+
+    const cached = await getConditions('pipeline');
+    expect(cached).toMatchObject({ fromCache: true, stale: false });
+    expect(fetchSurfData).toHaveBeenCalledTimes(1);
+  });
+
+  test('serves a stale result immediately and refreshes it in the background', async () => {
+    const old = new Date(Date.now() - (FRESH_TTL_SECONDS + 60) * 1000).toISOString();
+    await cache.set('conditions:pipeline', { spotId: 'pipeline', timestamp: old, score: { overall: 20 } }, 3600);
+
+    const result = await getConditions('pipeline');
+    expect(result).toMatchObject({ fromCache: true, stale: true, response: { score: { overall: 20 } } });
+    expect(fetchSurfData).toHaveBeenCalledTimes(1);
+
+    await flush();
+    const refreshed = await getConditions('pipeline');
+    expect(refreshed).toMatchObject({ fromCache: true, stale: false, response: { score: { overall: 64 } } });
+    expect(fetchSurfData).toHaveBeenCalledTimes(1);
+  });
+
+  test('background refresh warms the most requested spots', async () => {
+    await getConditions('pipeline');
+    await getConditions('pipeline');
+    await getConditions('mavericks');
+    expect(getPopularSpots(1)).toEqual(['pipeline']);
+
+    await cache.flush();
+    fetchSurfData.mockClear();
+    await expect(prefetchPopularSpots()).resolves.toBe(2);
+    expect(fetchSurfData.mock.calls.map(c => c[0])).toEqual(['pipeline', 'mavericks']);
+
+    // Fresh entries are left alone
+    fetchSurfData.mockClear();
+    await expect(prefetchPopularSpots()).resolves.toBe(0);
+    expect(fetchSurfData).not.toHaveBeenCalled();
+  });
+
+  test('popularity only counts requests within the last hour', async () => {
+    const start = Date.now();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(start);
+    try {
+      await getConditions('nazare');
+      await getConditions('nazare');
+      expect(getPopularSpots()).toContain('nazare');
+
+      now.mockReturnValue(start + 61 * 60 * 1000);
+      await getConditions('mavericks');
+      expect(getPopularSpots()).toEqual(['mavericks']);
+    } finally {
+      now.mockRestore();
+    }
+  });
+});
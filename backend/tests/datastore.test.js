@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('datastore', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    jest.resetModules();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'surf-report-datastore-'));
+    jest.doMock('../src/utils/dataPath', () => ({
+      resolve: jest.fn((name) => path.join(tempDir, name))
+    }));
+  });
+
+  afterEach(() => {
+    require('../src/utils/sqlite').closeAll();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('imports the legacy JSON files once and sets them aside', () => {
+    fs.writeFileSync(path.join(tempDir, 'pushSubscriptions.json'), JSON.stringify([
+      { id: 'abc123', endpoint: 'https://push.example/1', keys: { p256dh: 'p', auth: 'a' }, spotId: 'peniche', threshold: 65, createdAt: '2026-01-01T00:00:00.000Z', updatedAt: '2026-01-01T00:00:00.000Z', lastNotifiedAt: null, lastNotifiedBlock: null }
+    ]));
+    fs.writeFileSync(path.join(tempDir, 'userSpots.json'), JSON.stringify([
+      { id: 'secret_reef', name: 'Secret Reef', lat: 38.7, lon: -9.4, country: 'Portugal', createdAt: '2026-01-02T00:00:00.000Z' }
+    ]));
+    fs.writeFileSync(path.join(tempDir, 'spotFeedback.json'), JSON.stringify({
+      peniche: [{ text: 'Works best on a pushing tide', multipliers: { tide: 1.4 }, timestamp: '2026-01-03T00:00:00.000Z' }]
+    }));
+    fs.writeFileSync(path.join(tempDir, 'quivers.json'), JSON.stringify({
+      'device-0123456789abcdef': { boards: [{ id: 'board-1', type: 'fish' }], updatedAt: '2026-01-04T00:00:00.000Z' }
+    }));
+
+    const { getSubscriptionsGroupedBySpot } = require('../src/services/pushSubscriptions');
+    const { listUserSpots } = require('../src/services/userSpots');
+    const { getFeedback } = require('../src/services/spotFeedback');
+    const { getQuiver } = require('../src/services/quiver');
+
+    expect(getSubscriptionsGroupedBySpot().peniche).toEqual([expect.objectContaining({
+      id: 'abc123',
+      endpoint: 'https://push.example/1',
+      keys: { p256dh: 'p', auth: 'a' },
+      threshold: 65,
+      rules: null
+    })]);
+    expect(listUserSpots()).toEqual([expect.objectContaining({ id: 'secret_reef', region: '' })]);
+    expect(getFeedback('peniche')).toEqual([
+      { text: 'Works best on a pushing tide', multipliers: { tide: 1.4 }, contributor: null, timestamp: '2026-01-03T00:00:00.000Z' }
+    ]);
+
+    expect(getQuiver('device-0123456789abcdef')).toEqual({
+      boards: [{ id: 'board-1', type: 'fish' }],
+      updatedAt: '2026-01-04T00:00:00.000Z'
+    });
+
+    expect(fs.existsSync(path.join(tempDir, 'userSpots.json'))).toBe(false);
+    expect(fs.existsSync(path.join(tempDir, 'userSpots.json.migrated'))).toBe(true);
+  });
+
+  test('does not import a legacy file twice when setting it aside failed', () => {
+    const feedbackPath = path.join(tempDir, 'spotFeedback.json');
+    fs.writeFileSync(feedbackPath, JSON.stringify({
+      peniche: [{ text: 'Works best on a pushing tide', multipliers: { tide: 1.4 }, timestamp: '2026-01-03T00:00:00.000Z' }]
+    }));
+    const rename = jest.spyOn(fs, 'renameSync').mockImplementationOnce(() => {
+      throw new Error('EACCES: permission denied');
+    });
+
+    try {
+      expect(require('../src/services/spotFeedback').getFeedback('peniche')).toHaveLength(1);
+      expect(fs.existsSync(feedbackPath)).toBe(true);
+
+      // Next start
+      require('../src/utils/sqlite').closeAll();
+      jest.resetModules();
+      jest.doMock('../src/utils/dataPath', () => ({
+        resolve: jest.fn((name) => path.join(tempDir, name))
+      }));
+      expect(require('../src/services/spotFeedback').getFeedback('peniche')).toHaveLength(1);
+      expect(fs.existsSync(feedbackPath)).toBe(false);
+      expect(fs.existsSync(`${feedbackPath}.migrated`)).toBe(true);
+    } finally {
+      rename.mockRestore();
+    }
+  });
+
+  test('upserts subscriptions by endpoint and spot, keeping notification state', () => {
+    const subs = require('../src/services/pushSubscriptions');
+    const native = { endpoint: 'apns:abcdef', keys: {}, type: 'apns', token: 'abcdef' };
+
+    const first = subs.upsertSubscription(native, 'peniche', 65);
+    subs.markNotified(first.id, '6–11am');
+    const second = subs.upsertSubscription(native, 'peniche', 75, { periodMin: 10 });
+    subs.upsertSubscription(native, 'ericeira', 50);
+
+    expect(second).toEqual({ id: first.id, count: 1 });
+    const [peniche] = subs.getSubscriptionsByEndpoint('apns:abcdef');
+    expect(peniche).toMatchObject({
+      type: 'apns',
+      token: 'abcdef',
+      threshold: 75,
+      rules: { periodMin: 10 },
+      lastNotifiedBlock: '6–11am'
+    });
+
+    expect(subs.removeSubscription('apns:abcdef', 'peniche')).toBe(true);
+    expect(subs.removeById(first.id)).toBe(false);
+    expect(Object.keys(subs.getSubscriptionsGroupedBySpot())).toEqual(['ericeira']);
+  });
+
+  test('refuses a new spot once an endpoint has the maximum', () => {
+    const subs = require('../src/services/pushSubscriptions');
+    const web = { endpoint: 'https://push.example/a', keys: {} };
+
+    subs.upsertSubscription(web, 'peniche', 65, null, 2);
+    subs.upsertSubscription(web, 'ericeira', 65, null, 2);
+
+    expect(subs.upsertSubscription(web, 'nazare', 65, null, 2)).toBeNull();
+    // Updating a spot already subscribed is not a new spot
+    expect(subs.upsertSubscription(web, 'peniche', 80, null, 2).count).toBe(2);
+    expect(subs.getSubscriptionsByEndpoint(web.endpoint)).toHaveLength(2);
+  });
+
+  test('keeps only the most recent feedback per spot', () => {
+    const { addFeedback, MAX_ENTRIES_PER_SPOT } = require('../src/services/spotFeedback');
+
+    let entries;
+    for (let i = 0; i < MAX_ENTRIES_PER_SPOT + 3; i++) {
+      entries = addFeedback('peniche', { text: `entry ${i}`, multipliers: { tide: 1 } });
+    }
+    addFeedback('ericeira', { text: 'other spot', multipliers: {} });
+
+    expect(entries).toHaveLength(MAX_ENTRIES_PER_SPOT);
+    expect(entries[0].text).toBe('entry 3');
+    expect(entries[entries.length - 1].text).toBe(`entry ${MAX_ENTRIES_PER_SPOT + 2}`);
+  });
+});
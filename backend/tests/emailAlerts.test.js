@@ -0,0 +1,193 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockSendEmail = jest.fn();
+const mockGetConditions = jest.fn();
+
+describe('email alerts', () => {
+  let tempDir;
+  let emailAlerts;
+  let subscriptions;
+
+  const conditions = {
+    score: 62,
+    trend: {
+      timezone: 'Europe/Lisbon',
+      message: 'Improving through the morning',
+      blocks: [
+        { label: '6–11am', day: '2026-07-01', startHour: 6, endHour: 11, score: 58, rating: 'FAIR', waveHeight: 1.2, period: 11, windSpeed: 14 },
+        { label: '11am–2pm', day: '2026-07-01', startHour: 11, endHour: 14, score: 78, rating: 'GREAT', waveHeight: 1.6, period: 13, windSpeed: 9 }
+      ]
+    },
+    board: { boardName: 'Fish', reason: 'Fun little waves <3' }
+  };
+
+  beforeEach(() => {
+    jest.resetModules();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'surf-report-email-'));
+    process.env.EMAIL_TOKEN_SECRET = 'test-secret';
+    process.env.EMAIL_FROM = 'alerts@shouldigo.surf';
+
+    jest.doMock('../src/utils/dataPath', () => ({
+      resolve: jest.fn((name) => path.join(tempDir, name))
+    }));
+    jest.doMock('../src/config/spots', () => ({
+      getSpotName: jest.fn((id) => ({ peniche: 'Peniche <Supertubos>' }[id] || id))
+    }));
+    jest.doMock('../src/services/pushNotifier', () => ({
+      getConditionsForSpot: (...args) => mockGetConditions(...args)
+    }));
+    jest.doMock('../src/services/emailSender', () => ({
+      sendEmail: (...args) => mockSendEmail(...args),
+      isConfigured: jest.fn(() => true)
+    }));
+    jest.doMock('../src/services/boardRecommendation', () => ({
+      getShoreNormal: jest.fn(() => null),
+      windComponents: jest.fn(() => null)
+    }));
+
+    mockSendEmail.mockReset().mockResolvedValue('smtp');
+    mockGetConditions.mockReset().mockResolvedValue(conditions);
+
+    emailAlerts = require('../src/services/emailAlerts');
+    subscriptions = require('../src/services/emailSubscriptions');
+  });
+
+  afterEach(() => {
+    require('../src/utils/sqlite').closeAll();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    delete process.env.EMAIL_TOKEN_SECRET;
+    delete process.env.EMAIL_FROM;
+  });
+
+  function linkParams(html, purpose) {
+    const match = html.match(new RegExp(`/api/email-alerts/${purpose}\\?id=([0-9a-f]+)&amp;token=([\\w-]+)`));
+    return match && { id: match[1], token: match[2] };
+  }
+
+  test('normalizes addresses and signs tokens per purpose', () => {
+    expect(subscriptions.normalizeEmail('  Surfer@Example.COM ')).toBe('surfer@example.com');
+    expect(subscriptions.normalizeEmail('not-an-email')).toBeNull();
+    expect(subscriptions.normalizeEmail(42)).toBeNull();
+
+    const token = subscriptions.signToken('confirm', 'abc');
+    expect(subscriptions.verifyToken('confirm', 'abc', token)).toBe(true);
+    expect(subscriptions.verifyToken('unsubscribe', 'abc', token)).toBe(false);
+    expect(subscriptions.verifyToken('confirm', 'abd', token)).toBe(false);
+    expect(subscriptions.verifyToken('confirm', 'abc', 'short')).toBe(false);
+  });
+
+  test('stays disabled without a sender address', () => {
+    expect(emailAlerts.isEnabled()).toBe(true);
+
+    delete process.env.EMAIL_FROM;
+    expect(emailAlerts.isEnabled()).toBe(false);
+
+    process.env.REPORT_FROM_EMAIL = 'reports@shouldigo.surf';
+    expect(emailAlerts.isEnabled()).toBe(true);
+    delete process.env.REPORT_FROM_EMAIL;
+  });
+
+  test('only emails alerts once the subscription is confirmed', async () => {
+    const status = await emailAlerts.requestSubscription('surfer@example.com', 'peniche', 75, null);
+    expect(status).toBe('pending');
+    expect(mockSendEmail).toHaveBeenCalledTimes(1);
+
+    const confirmation = mockSendEmail.mock.calls[0][0];
+    expect(confirmation.to).toBe('surfer@example.com');
+    expect(confirmation.html).toContain('Peniche &lt;Supertubos&gt;');
+    const { id, token } = linkParams(confirmation.html, 'confirm');
+    expect(subscriptions.verifyToken('confirm', id, token)).toBe(true);
+
+    mockSendEmail.mockClear();
+    expect(await emailAlerts.checkAndEmail()).toBeNull();
+    expect(mockSendEmail).not.toHaveBeenCalled();
+
+    expect(subscriptions.confirmSubscription(id).confirmedAt).toEqual(expect.any(String));
+    expect(await emailAlerts.requestSubscription('surfer@example.com', 'peniche', 50, null)).toBe('confirmed');
+    expect(mockSendEmail).not.toHaveBeenCalled();
+
+    const result = await emailAlerts.checkAndEmail();
+    expect(result).toEqual({ spots: 1, subscriptions: 1, sent: 1, failed: 0 });
+
+    const alert = mockSendEmail.mock.calls[0][0];
+    expect(alert.subject).toBe('GREAT at Peniche <Supertubos>: 11am–2pm — 78/100');
+    expect(alert.html).toContain('78/100');
+    expect(alert.html).toContain('6–11am');
+    expect(alert.html).toContain('Fish');
+    expect(alert.html).toContain('Fun little waves &lt;3');
+    expect(alert.headers['List-Unsubscribe-Post']).toBe('List-Unsubscribe=One-Click');
+
+    const unsubscribe = linkParams(alert.html, 'unsubscribe');
+    expect(unsubscribe.id).toBe(id);
+    expect(alert.headers['List-Unsubscribe']).toContain(`token=${unsubscribe.token}`);
+    expect(subscriptions.getById(id).lastNotifiedBlock).toBe('11am–2pm');
+
+    // Cooldown holds the next cycle back
+    mockSendEmail.mockClear();
+    expect((await emailAlerts.checkAndEmail()).sent).toBe(0);
+    expect(mockSendEmail).not.toHaveBeenCalled();
+  });
+
+  test('re-sends a pending confirmation at most once an hour', async () => {
+    const { getDatastore } = require('../src/services/datastore');
+    await emailAlerts.requestSubscription('surfer@example.com', 'peniche', 75, null);
+    expect(await emailAlerts.requestSubscription('surfer@example.com', 'peniche', 50, null)).toBe('pending');
+    expect(mockSendEmail).toHaveBeenCalledTimes(1);
+
+    const [subscription] = subscriptions.getByEmail('surfer@example.com');
+    expect(subscription.threshold).toBe(50);
+    const lastSent = new Date(Date.now() - 61 * 60 * 1000).toISOString();
+    getDatastore().prepare('UPDATE email_subscriptions SET created_at = ?').run(lastSent);
+
+    expect(await emailAlerts.requestSubscription('surfer@example.com', 'peniche', 50, null)).toBe('pending');
+    expect(mockSendEmail).toHaveBeenCalledTimes(2);
+    expect(subscriptions.getById(subscription.id).createdAt).not.toBe(lastSent);
+  });
+
+  test('keeps subscriptions stored under their original ID', async () => {
+    const { getDatastore } = require('../src/services/datastore');
+    getDatastore().prepare(`
+      INSERT INTO email_subscriptions (id, email, spot_id, threshold, created_at)
+      VALUES ('0123456789abcdef', 'surfer@example.com', 'peniche', 75, ?)
+    `).run(new Date().toISOString());
+
+    subscriptions.upsertPending('surfer@example.com', 'peniche', 65, null);
+
+    expect(subscriptions.getByEmail('surfer@example.com')).toEqual([
+      expect.objectContaining({ id: '0123456789abcdef', threshold: 65 })
+    ]);
+    // An email ending in the spot ID's first characters cannot collide with another subscription
+    const a = subscriptions.upsertPending('a@example.co', 'mpeniche', 65, null).subscription;
+    const b = subscriptions.upsertPending('a@example.com', 'peniche', 65, null).subscription;
+    expect(a.id).not.toBe(b.id);
+  });
+
+  test('applies the same rules as push alerts and counts failed sends', async () => {
+    subscriptions.upsertPending('a@example.com', 'peniche', 50, { periodMin: 12 });
+    subscriptions.upsertPending('b@example.com', 'peniche', 85, null);
+    for (const sub of subscriptions.getByEmail('a@example.com').concat(subscriptions.getByEmail('b@example.com'))) {
+      subscriptions.confirmSubscription(sub.id);
+    }
+    mockSendEmail.mockRejectedValueOnce(new Error('SMTP down'));
+
+    const result = await emailAlerts.checkAndEmail();
+
+    expect(result).toEqual({ spots: 1, subscriptions: 2, sent: 0, failed: 1 });
+    expect(mockSendEmail).toHaveBeenCalledTimes(1);
+    expect(mockSendEmail.mock.calls[0][0].to).toBe('a@example.com');
+    expect(subscriptions.getByEmail('a@example.com')[0].lastNotifiedAt).toBeNull();
+  });
+
+  test('prunes pending subscriptions that were never confirmed', async () => {
+    const { subscription } = subscriptions.upsertPending('late@example.com', 'peniche', 65, null);
+    require('../src/services/datastore').getDatastore()
+      .prepare('UPDATE email_subscriptions SET created_at = ? WHERE id = ?')
+      .run('2020-01-01T00:00:00.000Z', subscription.id);
+
+    await emailAlerts.checkAndEmail();
+
+    expect(subscriptions.getById(subscription.id)).toBeNull();
+  });
+});
@@ -0,0 +1,103 @@
+jest.mock('../src/config/spots', () => {
+  const spot = {
+    id: 'huntington',
+    name: 'Huntington Beach',
+    country: 'United States',
+    location: { lat: 33.655, lon: -118.003 },
+    timezone: 'America/Los_Angeles',
+    optimal: {
+      waveHeight: { min: 0.8, ideal: 1.5, max: 2.5 },
+      wavePeriod: { min: 8, ideal: 12, max: 16 },
+      windDirection: ['N', 'NE', 'E'],
+      waveDirection: ['S', 'SW', 'W']
+    }
+  };
+  return {
+    getSpotById: jest.fn((id) => (id === spot.id ? spot : null)),
+    getSpotName: jest.fn(() => spot.name),
+    getSpotTimezone: jest.fn(() => spot.timezone)
+  };
+});
+
+jest.mock('../src/services/scraper', () => ({
+  ...jest.requireActual('../src/services/scraper'),
+  fetchForecastData: jest.fn()
+}));
+
+jest.mock('../src/services/scoringProfile', () => ({
+  getScoringProfile: jest.fn(() => ({
+    weights: jest.requireActual('../src/services/scoring').WEIGHTS,
+    multipliers: null,
+    feedbackCount: 0
+  }))
+}));
+
+const { fetchForecastData } = require('../src/services/scraper');
+const { buildForecast } = require('../src/services/forecast');
+
+function hourKey(day, hour) {
+  return `${day}T${String(hour).padStart(2, '0')}:00`;
+}
+
+// Waves from Open-Meteo Marine, wind from the atmospheric model, like the real sources
+function mockSources(days) {
+  const waves = [];
+  const wind = [];
+  for (const [i, day] of days.entries()) {
+    for (let hour = 0; hour < 24; hour++) {
+      const swellDirection = hour < 18 ? 'SW' : (i === 1 ? 'S' : 'SW');
+      waves.push({
+        time: hourKey(day, hour),
+        waves: { height: { avg: 1 + i * 0.3 }, period: 10 + i, direction: swellDirection, swell: { height: 1 + i * 0.3, period: 10 + i, direction: swellDirection } }
+      });
+      wind.push({
+        time: hourKey(day, hour),
+        wind: { speed: hour < 11 ? 5 : 25, direction: hour < 11 ? 'NE' : 'W', gusts: hour < 11 ? 8 : 35 }
+      });
+    }
+  }
+  return [
+    { source: 'open-meteo', data: { hourly: waves }, timestamp: '2026-07-01T13:00:00.000Z', url: 'https://open-meteo.com' },
+    { source: 'open-meteo-forecast', data: { hourly: wind }, timestamp: '2026-07-01T13:00:00.000Z', url: 'https://open-meteo.com' }
+  ];
+}
+
+describe('buildForecast', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('scores hourly entries and summarizes each spot-local day', async () => {
+    // 17:00 UTC = 10:00 in Los Angeles on Jul 1
+    jest.useFakeTimers({ now: new Date('2026-07-01T17:00:00Z') });
+    fetchForecastData.mockResolvedValue(mockSources(['2026-07-01', '2026-07-02', '2026-07-03', '2026-07-04']));
+
+    const forecast = await buildForecast('huntington', 3);
+
+    expect(fetchForecastData).toHaveBeenCalledWith('huntington', 3);
+    expect(forecast.timezone).toBe('America/Los_Angeles');
+    expect(forecast.daily.map(d => d.date)).toEqual(['2026-07-01', '2026-07-02', '2026-07-03']);
+
+    // Hourly starts at the current local hour and stops after the last requested day
+    expect(forecast.hourly[0].time).toBe('2026-07-01T10:00');
+    expect(forecast.hourly[forecast.hourly.length - 1].time).toBe('2026-07-03T23:00');
+    expect(typeof forecast.hourly[0].score).toBe('number');
+
+    const [today, tomorrow] = forecast.daily;
+    // Blocks that already ended today are not scored
+    expect(today.blocks[0].label).toBe('6–11am');
+    expect(tomorrow.blocks.map(b => b.label)).toEqual(['6–11am', '11am–2pm', '2–6pm', '6–9pm']);
+
+    // Light offshore mornings beat the blown-out afternoons
+    expect(tomorrow.bestBlock.label).toBe('6–11am');
+    expect(tomorrow.peakScore).toBe(Math.max(...forecast.hourly
+      .filter(h => h.time.startsWith('2026-07-02') && h.time.substring(11) >= '06:00' && h.time.substring(11) < '21:00')
+      .map(h => h.score)));
+    expect(tomorrow.dominantSwell).toEqual({ direction: 'SW', height: 1.3, period: 11 });
+  });
+
+  test('propagates source failures', async () => {
+    fetchForecastData.mockRejectedValue(new Error('All data sources failed'));
+    await expect(buildForecast('huntington', 7)).rejects.toThrow('All data sources failed');
+  });
+});
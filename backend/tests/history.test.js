@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('conditions history', () => {
+  let tempDir;
+  let history;
+
+  const conditions = {
+    waves: { height: { avg: 1.4 }, period: 11, direction: 'W' },
+    wind: { speed: 8, direction: 'E', gusts: 12 },
+    weather: { airTemp: 18, waterTemp: 16 }
+  };
+  const score = { overall: 74, rating: 'GOOD', breakdown: { waveHeight: 90, wavePeriod: 80 } };
+  const sources = [
+    { source: 'open-meteo', data: { waves: { height: { avg: 1.3 }, period: 11, direction: 'W', swell: { height: 1.2, period: 12, direction: 'WNW' } } } },
+    { source: 'met-no', data: { wind: { speed: 9, direction: 'E', gusts: 13 }, weather: { airTemp: 18 } } }
+  ];
+
+  beforeEach(() => {
+    jest.resetModules();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'surf-report-history-'));
+    jest.doMock('../src/utils/dataPath', () => ({
+      resolve: jest.fn((name) => path.join(tempDir, name))
+    }));
+    history = require('../src/services/history');
+  });
+
+  afterEach(() => {
+    require('../src/utils/sqlite').closeAll();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('records conditions with per-source readings and returns them oldest first', () => {
+    history.recordConditions('peniche', { conditions, score, sources, timestamp: '2026-07-01T12:00:00.000Z' });
+    history.recordConditions('peniche', { conditions, score: { ...score, overall: 60 }, sources: [], timestamp: '2026-07-01T08:00:00.000Z' });
+    history.recordConditions('ericeira', { conditions, score, sources, timestamp: '2026-07-01T10:00:00.000Z' });
+
+    const { entries, truncated } = history.getHistory('peniche', {
+      from: '2026-07-01T00:00:00.000Z',
+      to: '2026-07-02T00:00:00.000Z'
+    });
+
+    expect(truncated).toBe(false);
+    expect(entries.map(e => e.score)).toEqual([60, 74]);
+
+    const latest = entries[1];
+    expect(latest.rating).toBe('GOOD');
+    expect(latest.breakdown).toEqual(score.breakdown);
+    expect(latest.conditions).toEqual(conditions);
+    expect(latest.sourceCount).toBe(2);
+    expect(latest.sources).toEqual(expect.arrayContaining([
+      expect.objectContaining({ name: 'open-meteo', waveHeight: 1.3, swellDirection: 'WNW', windSpeed: null }),
+      expect.objectContaining({ name: 'met-no', windSpeed: 9, windGusts: 13, airTemp: 18 })
+    ]));
+  });
+
+  test('respects the range and flags truncated results', () => {
+    for (let hour = 0; hour < 5; hour++) {
+      history.recordConditions('peniche', { conditions, score, sources, timestamp: `2026-07-01T0${hour}:00:00.000Z` });
+    }
+
+    const inRange = history.getHistory('peniche', { from: '2026-07-01T01:00:00.000Z', to: '2026-07-01T03:00:00.000Z' });
+    expect(inRange.entries.map(e => e.timestamp)).toEqual([
+      '2026-07-01T01:00:00.000Z',
+      '2026-07-01T02:00:00.000Z',
+      '2026-07-01T03:00:00.000Z'
+    ]);
+
+    const limited = history.getHistory('peniche', { from: '2026-07-01T00:00:00.000Z', to: '2026-07-02T00:00:00.000Z', limit: 2 });
+    expect(limited.truncated).toBe(true);
+    expect(limited.entries).toHaveLength(2);
+    expect(limited.entries[1].sources).toHaveLength(2);
+  });
+
+  test('prunes entries older than the retention window along with their readings', () => {
+    const old = new Date(Date.now() - 400 * 24 * 60 * 60 * 1000).toISOString();
+    const recent = new Date().toISOString();
+    history.recordConditions('peniche', { conditions, score, sources, timestamp: old });
+    history.recordConditions('peniche', { conditions, score, sources, timestamp: recent });
+
+    expect(history.pruneHistory(365)).toBe(1);
+
+    const db = require('../src/utils/sqlite').openDatabase('history.sqlite');
+    expect(db.prepare('SELECT COUNT(*) AS n FROM source_readings').get().n).toBe(2);
+  });
+
+  test('never throws when recording fails', () => {
+    expect(() => history.recordConditions('peniche', { conditions, score, sources: [{ data: {} }] })).not.toThrow();
+    const { entries } = history.getHistory('peniche', { from: '2000-01-01T00:00:00.000Z', to: '2100-01-01T00:00:00.000Z' });
+    expect(entries).toHaveLength(0);
+  });
+});
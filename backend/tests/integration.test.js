@@ -4,6 +4,7 @@ const mockSpots = [
     name: 'Pipeline',
     country: 'United States',
     location: { lat: 21.664, lon: -158.051 },
+    timezone: 'Pacific/Honolulu',
     description: 'North Shore reef break'
   },
   {
@@ -11,6 +12,7 @@ const mockSpots = [
     name: 'Teahupoo',
     country: 'French Polynesia',
     location: { lat: -17.833, lon: -149.267 },
+    timezone: 'Pacific/Tahiti',
     description: 'Heavy reef break'
   }
 ];
@@ -18,6 +20,7 @@ const mockSpots = [
 const mockDynamicSpots = new Map();
 let mockLatestReport = null;
 let mockSubscriptions = [];
+const mockDigests = new Map();
 
 jest.mock('../src/utils/dataPath', () => {
   const os = require('os');
@@ -55,6 +58,7 @@ jest.mock('../src/config/spots', () => ({
   getAllSpots: jest.fn(() => [...mockSpots, ...mockDynamicSpots.values()]),
   getSpotById: jest.fn((id) => mockGetSpotById(id)),
   getSpotName: jest.fn((id) => mockGetSpotById(id)?.name || id),
+  getSpotTimezone: jest.fn((id) => mockGetSpotById(id)?.timezone || 'UTC'),
   isValidSpot: jest.fn((id) => Boolean(mockGetSpotById(id))),
   getOrCreateSpot: jest.fn((id, data) => {
     const existing = mockGetSpotById(id);
@@ -69,7 +73,11 @@ jest.mock('../src/config/spots', () => ({
     mockDynamicSpots.set(id, created);
     return created;
   }),
-  loadPersistedSpots: jest.fn()
+  loadPersistedSpots: jest.fn(),
+  applySpotOverrides: jest.fn((id, overrides) => {
+    const spot = mockGetSpotById(id);
+    return spot ? Object.assign(spot, overrides) : null;
+  })
 }));
 
 jest.mock('../src/services/scraper', () => ({
@@ -77,11 +85,11 @@ jest.mock('../src/services/scraper', () => ({
     onProgress?.({ source: 'mock', status: 'success' });
     return [{ source: 'mock', timestamp: '2026-03-17T10:00:00.000Z', url: `https://example.com/${spotId}` }];
   }),
-  fetchSurfDataByCoords: jest.fn(async (lat, lon, spotId) => ([
-    { source: 'mock', timestamp: '2026-03-17T10:00:00.000Z', url: `https://example.com/${spotId}?lat=${lat}&lon=${lon}` }
-  ])),
-  aggregateData: jest.fn(() => mockBuildConditions()),
-  aggregateHourlyData: jest.fn(() => [{ hour: '10:00', score: 72 }])
+  aggregateData: jest.fn(() => ({ conditions: mockBuildConditions(), report: {} })),
+  aggregateHourlyData: jest.fn(() => [{ hour: '10:00', score: 72 }]),
+  describeSources: jest.fn((sources) => sources.map(d => ({
+    name: d.source, status: 'success', timestamp: d.timestamp, url: d.url, downWeighted: [], rejected: []
+  })))
 }));
 
 jest.mock('../src/services/scoring', () => ({
@@ -108,10 +116,26 @@ jest.mock('../src/services/trend', () => ({
   }))
 }));
 
+jest.mock('../src/services/forecast', () => ({
+  DEFAULT_FORECAST_DAYS: 7,
+  MAX_FORECAST_DAYS: 16,
+  buildForecast: jest.fn(async (spotId, days) => ({
+    spotId,
+    days,
+    daily: [{ date: '2026-03-17', peakScore: 72, rating: 'GOOD', bestBlock: { label: '6–11am', score: 72, rating: 'GOOD' } }],
+    hourly: []
+  }))
+}));
+
 jest.mock('../src/services/boardRecommendation', () => ({
+  BOARD_TYPES: jest.requireActual('../src/services/boardRecommendation').BOARD_TYPES,
+  rankQuiver: jest.requireActual('../src/services/boardRecommendation').rankQuiver,
+  getShoreNormal: jest.fn(() => null),
+  windComponents: jest.requireActual('../src/services/boardRecommendation').windComponents,
   recommendBoard: jest.fn(() => ({
     boardName: 'Shortboard',
-    boardType: 'shortboard'
+    boardType: 'shortboard',
+    reason: 'Proper waves! Time for the shortboard'
   })),
   recommendBoardPersonalized: jest.fn(() => ({
     boardName: 'Step-up',
@@ -184,15 +208,19 @@ jest.mock('../src/services/llm', () => ({
 }));
 
 jest.mock('../src/services/pushSubscriptions', () => ({
-  upsertSubscription: jest.fn((subscription, spotId, threshold) => {
+  upsertSubscription: jest.fn((subscription, spotId, threshold, rules = null, maxSpots = Infinity) => {
     const existingIndex = mockSubscriptions.findIndex(
       (entry) => entry.endpoint === subscription.endpoint && entry.spotId === spotId
     );
+    if (existingIndex < 0 && mockSubscriptions.filter((entry) => entry.endpoint === subscription.endpoint).length >= maxSpots) {
+      return null;
+    }
     const record = {
       id: `${subscription.endpoint}:${spotId}`,
       endpoint: subscription.endpoint,
       spotId,
-      threshold
+      threshold,
+      rules
     };
     if (existingIndex >= 0) {
       mockSubscriptions[existingIndex] = record;
@@ -211,7 +239,13 @@ jest.mock('../src/services/pushSubscriptions', () => ({
   }),
   getSubscriptionsByEndpoint: jest.fn((endpoint) => (
     mockSubscriptions.filter((entry) => entry.endpoint === endpoint)
-  ))
+  )),
+  getDigest: jest.fn((endpoint) => mockDigests.get(endpoint) || null),
+  setDigest: jest.fn((endpoint, hour, timezone) => {
+    mockDigests.set(endpoint, { endpoint, hour, timezone, lastSentDate: null });
+    return mockDigests.get(endpoint);
+  }),
+  removeDigest: jest.fn((endpoint) => mockDigests.delete(endpoint))
 }));
 
 jest.mock('geoip-lite', () => ({
@@ -274,13 +308,12 @@ describe('Surf Report API', () => {
   });
 
   beforeEach(() => {
-    const fs = require('fs');
-    const { resolve } = require('../src/utils/dataPath');
+    const { getDatastore } = require('../src/services/datastore');
     mockLatestReport = null;
     mockSubscriptions = [];
+    mockDigests.clear();
     mockDynamicSpots.clear();
-    fs.rmSync(resolve('spotFeedback.json'), { force: true });
-    fs.rmSync(resolve('userSpots.json'), { force: true });
+    getDatastore().exec('DELETE FROM spot_feedback; DELETE FROM user_spots; DELETE FROM surf_sessions; DELETE FROM spot_edits; DELETE FROM spot_aliases; DELETE FROM quivers;');
     cache();
     jest.clearAllMocks();
   });
@@ -322,6 +355,99 @@ describe('Surf Report API', () => {
       expect(status).toBe(200);
       expect(body.success).toBe(true);
       expect(body.spot).toHaveProperty('id', 'pipeline');
+      expect(body.spot.metadata).toBeNull();
+    });
+
+    test('GET /api/spots/:spotId includes sourced break metadata', async () => {
+      const fs = require('fs');
+      const { saveBundle, bundlePath } = require('../src/sourcing/storage');
+      saveBundle('teahupoo', {
+        generatedAt: '2026-01-01T00:00:00.000Z',
+        sources: {
+          'surf-forecast': {
+            status: 'success',
+            selected: { url: 'https://www.surf-forecast.com/breaks/Teahupoo' },
+            parsed: {
+              parseStatus: 'success',
+              parsedAt: '2026-01-01T00:00:00.000Z',
+              normalizedFields: { breakTypeText: 'Reef', hazardsText: 'Sharp reef, sharks' },
+              evidence: { hazardsText: { snippet: 'Watch out for sharp reef, sharks.' } }
+            }
+          },
+          wannasurf: {
+            status: 'success',
+            selected: { url: 'https://www.wannasurf.com/spot/Teahupoo' },
+            parsed: {
+              parseStatus: 'success',
+              parsedAt: '2026-01-01T00:00:00.000Z',
+              normalizedFields: { breakTypeText: 'Reef-coral', bottomTypeText: 'Coral', difficultyText: 'Experienced surfers' },
+              evidence: {}
+            }
+          },
+          overpass: {
+            status: 'success',
+            selected: { url: 'https://overpass-api.de/api/interpreter' },
+            parsed: { parseStatus: 'success', normalizedFields: { shoreNormal: 200 } }
+          }
+        }
+      });
+
+      try {
+        const { status, body } = await api('/api/spots/teahupoo');
+        expect(status).toBe(200);
+        const { metadata } = body.spot;
+        expect(metadata.fields).toMatchObject({
+          breakType: 'Reef-coral',
+          bottom: 'Coral',
+          difficulty: 'Experienced surfers',
+          hazards: 'Sharp reef, sharks',
+          bestTide: null
+        });
+        expect(metadata.fieldSources).toMatchObject({ breakType: 'wannasurf', hazards: 'surf-forecast' });
+        expect(metadata.evidence.hazards).toEqual({ source: 'surf-forecast', snippet: 'Watch out for sharp reef, sharks.' });
+        expect(metadata.sources.map(s => [s.source, s.url])).toEqual([
+          ['wannasurf', 'https://www.wannasurf.com/spot/Teahupoo'],
+          ['surf-forecast', 'https://www.surf-forecast.com/breaks/Teahupoo'],
+          ['overpass', null]
+        ]);
+      } finally {
+        fs.rmSync(bundlePath('teahupoo'), { force: true });
+      }
+    });
+
+    test('GET /api/spots/:spotId finds metadata saved under the spot\'s manifest ID', async () => {
+      const fs = require('fs');
+      const { saveBundle, bundlePath } = require('../src/sourcing/storage');
+      const { clearSpotMetadataCache } = require('../src/sourcing/spotMetadata');
+      mockDynamicSpots.set('dalila_point', {
+        id: 'dalila_point',
+        name: 'Dalila Point',
+        location: { lat: 35.2818, lon: -2.936 },
+        description: 'User-discovered spot'
+      });
+      // The pipeline names catalog spots name_region_country
+      saveBundle('dalila_point_north_morocco', {
+        sources: {
+          wannasurf: {
+            status: 'success',
+            selected: { url: 'https://www.wannasurf.com/spot/Dalila' },
+            parsed: { parseStatus: 'success', normalizedFields: { breakTypeText: 'Point-break' }, evidence: {} }
+          }
+        }
+      });
+      clearSpotMetadataCache();
+
+      try {
+        const { status, body } = await api('/api/spots/dalila_point');
+        expect(status).toBe(200);
+        expect(body.spot.metadata.fields.breakType).toBe('Point-break');
+        expect(body.spot.metadata.sources).toEqual([
+          { source: 'wannasurf', url: 'https://www.wannasurf.com/spot/Dalila', parsedAt: null }
+        ]);
+      } finally {
+        fs.rmSync(bundlePath('dalila_point_north_morocco'), { force: true });
+        clearSpotMetadataCache();
+      }
     });
 
     test('GET /api/spots/:spotId returns 404 for unknown spot', async () => {
@@ -337,6 +463,7 @@ describe('Surf Report API', () => {
       expect(status).toBe(200);
       expect(body).toHaveProperty('spotId', 'pipeline');
       expect(body).toHaveProperty('score.overall', 72);
+      expect(body).toHaveProperty('timezone', 'Pacific/Honolulu');
       expect(body).toHaveProperty('boardRecommendation.boardName', 'Shortboard');
     });
 
@@ -366,11 +493,43 @@ describe('Surf Report API', () => {
       expect(body.boardRecommendation.volume).toHaveProperty('recommended', '31-33L');
     });
 
+    test('GET /api/conditions/:spotId/forecast returns a multi-day forecast', async () => {
+      const { status, body } = await api('/api/conditions/pipeline/forecast?days=10');
+      expect(status).toBe(200);
+      expect(body).toHaveProperty('days', 10);
+      expect(body.daily[0]).toHaveProperty('peakScore', 72);
+    });
+
+    test('GET /api/conditions/:spotId/forecast rejects out-of-range days', async () => {
+      const { status, body } = await api('/api/conditions/pipeline/forecast?days=30');
+      expect(status).toBe(400);
+      expect(body.error).toMatch(/days/i);
+    });
+
+    test('GET /api/conditions/:spotId/history returns recorded conditions', async () => {
+      await api('/api/conditions/pipeline');
+      const { status, body } = await api('/api/conditions/pipeline/history');
+      expect(status).toBe(200);
+      expect(body.count).toBeGreaterThan(0);
+      expect(body.entries[body.entries.length - 1]).toHaveProperty('score', 72);
+    });
+
+    test('GET /api/conditions/:spotId/history rejects an inverted range', async () => {
+      const { status, body } = await api('/api/conditions/pipeline/history?from=2026-07-02&to=2026-07-01');
+      expect(status).toBe(400);
+      expect(body.error).toMatch(/range/i);
+    });
+
     test('GET /api/conditions/custom applies personalized board data for custom spots', async () => {
       const { status, body } = await api('/api/conditions/custom?lat=32.1&lon=34.7&name=Hilton%20Beach&weight=75&skill=advanced');
       expect(status).toBe(200);
-      expect(body).toHaveProperty('spotId', 'hilton_beach');
+      expect(body).toHaveProperty('spotId', 'hilton_beach_sv8wt');
       expect(body.boardRecommendation.volume).toHaveProperty('recommended', '31-33L');
+      expect(body).toHaveProperty('defaultWeights');
+
+      // Served from the same cache entry as /api/conditions/:spotId
+      const { body: listed } = await api('/api/conditions/hilton_beach_sv8wt');
+      expect(listed).toMatchObject({ spotId: 'hilton_beach_sv8wt', fromCache: true });
     });
   });
 
@@ -415,6 +574,57 @@ describe('Surf Report API', () => {
     });
   });
 
+  describe('Spot search', () => {
+    test('GET /api/spots/search ranks an exact live spot first', async () => {
+      const { status, body } = await api('/api/spots/search?q=pipeline&limit=5');
+      expect(status).toBe(200);
+      expect(body.spots.length).toBeLessThanOrEqual(5);
+      expect(body.spots[0]).toMatchObject({ id: 'pipeline', name: 'Pipeline', country: 'United States' });
+
+      expect((await api('/api/spots/search?q=p')).status).toBe(400);
+      expect((await api('/api/spots/search?q=pipe&limit=500')).status).toBe(400);
+    });
+
+    test('GET /api/spots/near returns spots within the radius', async () => {
+      const { status, body } = await api('/api/spots/near?lat=21.665&lon=-158.053&radius=5');
+      expect(status).toBe(200);
+      expect(body.spots.map(s => s.id)).toContain('pipeline');
+      expect(body.spots.every(s => s.distanceKm <= 5)).toBe(true);
+
+      expect((await api('/api/spots/near?lat=91&lon=0')).status).toBe(400);
+      expect((await api('/api/spots/near?lat=21&lon=-158&radius=5000')).status).toBe(400);
+    });
+
+    test('GET /api/spots/bbox returns spots or clusters for a viewport', async () => {
+      const local = await api('/api/spots/bbox?south=21.5&west=-158.2&north=21.8&east=-157.9');
+      expect(local.status).toBe(200);
+      expect(local.body.spots.map(s => s.id)).toContain('pipeline');
+
+      const world = await api('/api/spots/bbox?south=-90&west=-180&north=90&east=180&limit=50');
+      expect(world.body.spots).toEqual([]);
+      expect(world.body.clusters.length).toBeGreaterThan(0);
+
+      expect((await api('/api/spots/bbox?south=10&west=0&north=5&east=10')).status).toBe(400);
+    });
+  });
+
+  describe('Calendar feed', () => {
+    test('GET /api/spots/:spotId/sessions.ics serves an iCalendar feed', async () => {
+      const { status, body, headers } = await api('/api/spots/pipeline/sessions.ics?minScore=70');
+      expect(status).toBe(200);
+      expect(headers.get('content-type')).toMatch(/^text\/calendar/);
+      expect(body).toMatch(/^BEGIN:VCALENDAR\r\n/);
+      expect(body).toContain('X-WR-CALNAME:Surf sessions — Pipeline');
+    });
+
+    test('GET /api/spots/:spotId/sessions.ics validates spot and minScore', async () => {
+      expect((await api('/api/spots/atlantis/sessions.ics')).status).toBe(404);
+      const { status, body } = await api('/api/spots/pipeline/sessions.ics?minScore=high');
+      expect(status).toBe(400);
+      expect(body.error).toMatch(/minScore/);
+    });
+  });
+
   describe('Feedback', () => {
     test('POST /api/spots/:spotId/feedback accepts valid feedback', async () => {
       const { status, body } = await api('/api/spots/pipeline/feedback', {
@@ -434,6 +644,43 @@ describe('Surf Report API', () => {
       expect(body).toHaveProperty('feedbackCount');
       expect(Array.isArray(body.recentFeedback)).toBe(true);
     });
+
+    test('feedback contributors are told apart by their forwarded client IP', async () => {
+      const { getFeedback } = require('../src/services/spotFeedback');
+      const text = 'Needs a long period swell to really turn on here.';
+      for (const ip of ['203.0.113.7', '198.51.100.4, 10.0.0.1', '203.0.113.7']) {
+        await api('/api/spots/pipeline/feedback', {
+          method: 'POST',
+          headers: { 'X-Forwarded-For': ip },
+          body: JSON.stringify({ text })
+        });
+      }
+
+      const contributors = getFeedback('pipeline').map(entry => entry.contributor);
+      expect(contributors).toHaveLength(3);
+      expect(new Set(contributors).size).toBe(2);
+      expect(contributors[0]).toBe(contributors[2]);
+    });
+
+    test('feedback tunes the spot scoring profile used for conditions', async () => {
+      const { calculateSurfScore } = require('../src/services/scoring');
+      const { addFeedback } = require('../src/services/spotFeedback');
+      // Feedback applies once three different surfers have given it
+      addFeedback('pipeline', { text: 'Size is what matters here', multipliers: { waveHeight: 1.1 }, contributor: 'a' });
+      addFeedback('pipeline', { text: 'Needs real size to break', multipliers: { waveHeight: 1.1 }, contributor: 'b' });
+      await api('/api/spots/pipeline/feedback', {
+        method: 'POST',
+        body: JSON.stringify({ text: 'This spot likes long period swell and hates hard onshore wind.' })
+      });
+
+      const { status, body } = await api('/api/conditions/pipeline?refresh=true');
+      expect(status).toBe(200);
+      expect(body.scoringProfile).toMatchObject({ feedbackCount: 3, multipliers: { waveHeight: 1.1 } });
+      expect(body.weights).toEqual(body.scoringProfile.weights);
+      expect(body.weights.waveHeight).toBeGreaterThan(0.3);
+      expect(body.defaultWeights.waveHeight).toBe(0.3);
+      expect(calculateSurfScore).toHaveBeenCalledWith(expect.any(Object), 'pipeline', expect.any(Number), body.weights);
+    });
   });
 
   describe('Marketing', () => {
@@ -492,6 +739,275 @@ describe('Surf Report API', () => {
     });
   });
 
+  describe('Admin', () => {
+    test('GET /api/admin/sources rejects requests without secret', async () => {
+      const { status } = await api('/api/admin/sources');
+      expect(status).toBe(401);
+    });
+
+    test('GET /api/admin/sources returns per-source accuracy', async () => {
+      const { status, body } = await api('/api/admin/sources?days=7', {
+        headers: { 'x-admin-secret': process.env.ADMIN_SECRET }
+      });
+      expect(status).toBe(200);
+      expect(body.success).toBe(true);
+      expect(body).toHaveProperty('days', 7);
+      expect(Array.isArray(body.sources)).toBe(true);
+      expect(Array.isArray(body.spots)).toBe(true);
+    });
+
+    test('GET /api/admin/push/deliveries returns stored delivery reports', async () => {
+      const { saveReport } = require('../src/services/pushDelivery');
+      saveReport({ startedAt: '2026-07-01T10:00:00.000Z', totals: { sent: 3, failed: 0, pruned: 1, retried: 0 } });
+
+      const { status, body } = await api('/api/admin/push/deliveries?limit=1', {
+        headers: { 'x-admin-secret': process.env.ADMIN_SECRET }
+      });
+      expect(status).toBe(200);
+      expect(body.reports).toHaveLength(1);
+      expect(body.reports[0].totals.pruned).toBe(1);
+
+      const invalid = await api('/api/admin/push/deliveries?limit=0', {
+        headers: { 'x-admin-secret': process.env.ADMIN_SECRET }
+      });
+      expect(invalid.status).toBe(400);
+    });
+  });
+
+  describe('Spot IDs', () => {
+    function saveSpot(name, lat, lon) {
+      return api('/api/spots', { method: 'POST', body: JSON.stringify({ name, lat, lon }) });
+    }
+
+    test('POST /api/spots keeps same-name spots in different places apart', async () => {
+      const costaRica = await saveSpot('Playa Grande', 10.335, -85.845);
+      const argentina = await saveSpot('Playa Grande', -38.035, -57.53);
+
+      expect(costaRica.status).toBe(200);
+      expect(costaRica.body).toMatchObject({ success: true, merged: true });
+      expect(argentina.body).toMatchObject({ success: true, merged: true });
+      expect(costaRica.body.spotId).toMatch(/^playa_grande_d1/);
+      expect(argentina.body.spotId).not.toBe(costaRica.body.spotId);
+
+      expect((await saveSpot('!!!', 10, 10)).status).toBe(400);
+    });
+
+    test('POST /api/spots merges a nearby duplicate and aliases its IDs', async () => {
+      const first = await saveSpot('Secret Reef', 36.5, -6.3);
+      const elsewhere = await saveSpot('Secret Reef', -8.8, 115.1);
+      const nearby = await saveSpot('Secret  reef', 36.51, -6.3);
+
+      expect(first.body).toMatchObject({ merged: false, spotId: expect.stringMatching(/^secret_reef_[0-9a-z]{5}$/) });
+      expect(elsewhere.body.merged).toBe(false);
+      expect(elsewhere.body.spotId).not.toBe(first.body.spotId);
+      expect(nearby.body).toMatchObject({ merged: true, spotId: first.body.spotId });
+
+      const redirect = await api('/api/spots/secret_reef/feedback', { redirect: 'manual' });
+      expect(redirect.status).toBe(301);
+      expect(redirect.headers.get('location')).toBe(`/api/spots/${first.body.spotId}/feedback`);
+
+      const followed = await api('/api/spots/secret_reef');
+      expect(followed.status).toBe(200);
+      expect(followed.body.spot).toMatchObject({ id: first.body.spotId, name: 'Secret Reef' });
+    });
+  });
+
+  describe('Spot edits', () => {
+    const admin = { 'x-admin-secret': 'test-admin-secret' };
+
+    beforeEach(() => {
+      mockDynamicSpots.set('edit_test', {
+        id: 'edit_test',
+        name: 'Edit Test',
+        country: 'Portugal',
+        location: { lat: 39.0, lon: -9.5 },
+        optimal: { windDirection: ['E'], waveDirection: ['W'] }
+      });
+    });
+
+    afterEach(() => {
+      mockDynamicSpots.delete('edit_test');
+    });
+
+    test('POST /api/spots/:spotId/edits records a pending proposal with the values it replaces', async () => {
+      const { status, body } = await api('/api/spots/edit_test/edits', {
+        method: 'POST',
+        body: JSON.stringify({
+          changes: { location: { lat: 39.01, lon: -9.42 }, shoreNormal: 'W', windDirection: ['e', 'se'], name: 'Edit Test' },
+          reason: 'Pin was in the sea'
+        })
+      });
+      expect(status).toBe(201);
+      expect(body.edit).toMatchObject({
+        spotId: 'edit_test',
+        status: 'pending',
+        changes: { location: { lat: 39.01, lon: -9.42 }, shoreNormal: 270, windDirection: ['E', 'SE'] },
+        previous: { location: { lat: 39.0, lon: -9.5 }, shoreNormal: null, windDirection: ['E'] },
+        reason: 'Pin was in the sea'
+      });
+      // The unchanged name is dropped
+      expect(body.edit.changes).not.toHaveProperty('name');
+
+      const history = await api('/api/spots/edit_test/edits');
+      expect(history.body.edits.map(e => e.id)).toEqual([body.edit.id]);
+    });
+
+    test('POST /api/spots/:spotId/edits validates the spot and the changes', async () => {
+      const post = (spotId, payload) => api(`/api/spots/${spotId}/edits`, { method: 'POST', body: JSON.stringify(payload) });
+
+      expect((await post('unknown_spot', { changes: { breakType: 'reef' } })).status).toBe(404);
+      expect((await post('edit_test', {})).status).toBe(400);
+      expect((await post('edit_test', { changes: { breakType: 'cliff' } })).status).toBe(400);
+      expect((await post('edit_test', { changes: { windDirection: ['NNE'] } })).status).toBe(400);
+      expect((await post('edit_test', { changes: { location: { lat: 95, lon: 0 } } })).status).toBe(400);
+      expect((await post('edit_test', { changes: { optimal: {} } })).status).toBe(400);
+      const noop = await post('edit_test', { changes: { name: 'Edit Test' } });
+      expect(noop.status).toBe(400);
+      expect(noop.body.error).toMatch(/changes nothing/);
+    });
+
+    test('admins review proposals and accepted changes apply to the spot', async () => {
+      const propose = changes => api('/api/spots/edit_test/edits', { method: 'POST', body: JSON.stringify({ changes }) });
+      const first = (await propose({ breakType: 'reef', waveDirection: ['NW'] })).body.edit;
+      const second = (await propose({ name: 'Renamed Test' })).body.edit;
+
+      expect((await api('/api/admin/spot-edits')).status).toBe(401);
+      const pending = await api('/api/admin/spot-edits?spotId=edit_test', { headers: admin });
+      expect(pending.status).toBe(200);
+      expect(pending.body.edits.map(e => e.id)).toEqual([second.id, first.id]);
+
+      const review = (id, payload) => api(`/api/admin/spot-edits/${id}/review`, {
+        method: 'POST',
+        headers: admin,
+        body: JSON.stringify(payload)
+      });
+
+      const accepted = await review(first.id, { decision: 'accept', note: 'Checked on satellite' });
+      expect(accepted.status).toBe(200);
+      expect(accepted.body.edit).toMatchObject({ status: 'accepted', reviewNote: 'Checked on satellite' });
+      expect(accepted.body.spot).toMatchObject({ breakType: 'reef', waveDirection: ['NW'] });
+
+      const rejected = await review(second.id, { decision: 'reject' });
+      expect(rejected.body.edit.status).toBe('rejected');
+      expect(mockGetSpotById('edit_test').name).toBe('Edit Test');
+
+      expect((await review(first.id, { decision: 'reject' })).status).toBe(409);
+      expect((await review(99999, { decision: 'accept' })).status).toBe(404);
+      expect((await review(first.id, { decision: 'maybe' })).status).toBe(400);
+      expect((await api('/api/admin/spot-edits?status=merged', { headers: admin })).status).toBe(400);
+
+      const history = await api('/api/spots/edit_test/edits');
+      expect(history.body.edits.map(e => e.status)).toEqual(['rejected', 'accepted']);
+    });
+  });
+
+  describe('Quiver', () => {
+    const deviceId = 'test-device-0000-0001';
+    const boards = [
+      { id: 'log', type: 'longboard', lengthFt: 9.25, volume: 70 },
+      { id: 'short', type: 'shortboard', name: 'Daily driver', lengthFt: 6.1, volume: 30 }
+    ];
+
+    test('POST /api/quiver/recommend ranks the given boards', async () => {
+      const { status, body } = await api('/api/quiver/recommend', {
+        method: 'POST',
+        body: JSON.stringify({ spotId: 'pipeline', boards })
+      });
+      expect(status).toBe(200);
+      expect(body.recommendation.boardType).toBe('shortboard');
+      expect(body.ranking.map(r => r.board.id)).toEqual(['short', 'log']);
+      expect(body.ranking[0]).toMatchObject({ rank: 1, score: 100, fit: 'ideal' });
+    });
+
+    test('POST /api/quiver/recommend rejects unknown board types', async () => {
+      const { status, body } = await api('/api/quiver/recommend', {
+        method: 'POST',
+        body: JSON.stringify({ spotId: 'pipeline', boards: [{ type: 'surfmat' }] })
+      });
+      expect(status).toBe(400);
+      expect(body.error).toMatch(/type must be one of/);
+    });
+
+    test('PUT then GET /api/quiver/:deviceId syncs a quiver, usable for recommendations', async () => {
+      const saved = await api(`/api/quiver/${deviceId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ boards })
+      });
+      expect(saved.status).toBe(200);
+
+      const { status, body } = await api(`/api/quiver/${deviceId}`);
+      expect(status).toBe(200);
+      expect(body.boards).toHaveLength(2);
+      expect(body.boards[1].name).toBe('Daily driver');
+
+      const rec = await api('/api/quiver/recommend', {
+        method: 'POST',
+        body: JSON.stringify({ spotId: 'pipeline', deviceId })
+      });
+      expect(rec.body.ranking).toHaveLength(2);
+    });
+
+    test('GET /api/quiver/:deviceId rejects malformed device IDs', async () => {
+      const { status } = await api('/api/quiver/short');
+      expect(status).toBe(400);
+    });
+  });
+
+  describe('Sessions', () => {
+    const deviceId = 'test-device-0000-0002';
+    const hoursAgo = (h) => new Date(Date.now() - h * 3600000).toISOString();
+
+    const logSession = (body) => api('/api/sessions', {
+      method: 'POST',
+      body: JSON.stringify({ deviceId, spotId: 'pipeline', startedAt: hoursAgo(2), endedAt: hoursAgo(0.5), rating: 4, ...body })
+    });
+
+    test('POST /api/sessions validates the session', async () => {
+      expect((await logSession({ deviceId: 'short' })).status).toBe(400);
+      expect((await logSession({ spotId: 'atlantis' })).status).toBe(404);
+      expect((await logSession({ rating: 6 })).body.error).toBe('rating must be an integer 1-5');
+      expect((await logSession({ endedAt: hoursAgo(3) })).body.error).toBe('endedAt must be after startedAt');
+    });
+
+    test('logs, lists and deletes a device\'s sessions', async () => {
+      const logged = await logSession({ notes: 'Fun lefts on the high tide' });
+      expect(logged.status).toBe(200);
+      expect(logged.body.session).toMatchObject({ spotId: 'pipeline', rating: 4, notes: 'Fun lefts on the high tide' });
+
+      const { body } = await api(`/api/sessions?deviceId=${deviceId}`);
+      expect(body.count).toBe(1);
+      expect(body.sessions[0].id).toBe(logged.body.session.id);
+
+      const other = await api(`/api/sessions/${logged.body.session.id}?deviceId=test-device-0000-0003`, { method: 'DELETE' });
+      expect(other.body.deleted).toBe(false);
+
+      const own = await api(`/api/sessions/${logged.body.session.id}?deviceId=${deviceId}`, { method: 'DELETE' });
+      expect(own.body.deleted).toBe(true);
+    });
+
+    test('POST /api/sessions is rate limited per forwarded client IP', async () => {
+      const fromIp = (ip) => api('/api/sessions', {
+        method: 'POST',
+        headers: { 'X-Forwarded-For': ip },
+        body: JSON.stringify({ deviceId: 'short' })
+      });
+      for (let i = 0; i < 20; i++) expect((await fromIp('203.0.113.20')).status).toBe(400);
+
+      const limited = await fromIp('203.0.113.20');
+      expect(limited.status).toBe(429);
+      expect(limited.body).toEqual({ success: false, error: 'Too many requests, please try again later' });
+      expect((await fromIp('203.0.113.21')).status).toBe(400);
+    });
+
+    test('GET /api/sessions/calibration/:spotId reports on a spot', async () => {
+      const { status, body } = await api('/api/sessions/calibration/pipeline');
+      expect(status).toBe(200);
+      expect(body).toMatchObject({ success: true, spotId: 'pipeline', sessions: 0, suggestedMultipliers: null });
+
+      expect((await api('/api/sessions/calibration/atlantis')).status).toBe(404);
+    });
+  });
+
   describe('Push Notifications', () => {
     test('GET /api/push/vapid-public-key returns 500 when not configured', async () => {
       const { status, body } = await api('/api/push/vapid-public-key');
@@ -507,6 +1023,134 @@ describe('Surf Report API', () => {
       expect(status).toBe(400);
       expect(body.success).toBe(false);
     });
+
+    test('POST /api/push/subscribe stores validated alert rules', async () => {
+      const subscription = { endpoint: 'https://push.example/abc', keys: { p256dh: 'p', auth: 'a' } };
+      const { status, body } = await api('/api/push/subscribe', {
+        method: 'POST',
+        body: JSON.stringify({
+          subscription,
+          spotId: 'pipeline',
+          threshold: 65,
+          rules: { waveHeight: { min: 1, max: 2.5 }, periodMin: 10, weekdays: [6, 0, 6], quietHours: { from: 22, to: 6 } }
+        })
+      });
+
+      expect(status).toBe(200);
+      expect(body.success).toBe(true);
+      expect(mockSubscriptions[0].rules).toEqual({
+        waveHeight: { min: 1, max: 2.5 },
+        periodMin: 10,
+        weekdays: [0, 6],
+        quietHours: { from: 22, to: 6 }
+      });
+    });
+
+    test('POST /api/push/subscribe rejects invalid alert rules', async () => {
+      const subscription = { endpoint: 'https://push.example/abc', keys: { p256dh: 'p', auth: 'a' } };
+      const invalid = [
+        { waveHeight: { min: 3, max: 1 } },
+        { hours: { from: 18, to: 6 } },
+        { weekdays: [7] },
+        { offshoreOnly: true }
+      ];
+
+      for (const rules of invalid) {
+        const { status, body } = await api('/api/push/subscribe', {
+          method: 'POST',
+          body: JSON.stringify({ subscription, spotId: 'pipeline', threshold: 65, rules })
+        });
+        expect(status).toBe(400);
+        expect(body.error).toMatch(/Invalid rules/);
+      }
+      expect(mockSubscriptions).toHaveLength(0);
+    });
+
+    test('POST /api/push/digest schedules a digest for an existing subscriber', async () => {
+      const endpoint = 'https://push.example/digest';
+      const digest = (body) => api('/api/push/digest', { method: 'POST', body: JSON.stringify(body) });
+
+      const notSubscribed = await digest({ endpoint, hour: 7, timezone: 'Europe/Lisbon' });
+      expect(notSubscribed.status).toBe(400);
+
+      await api('/api/push/subscribe', {
+        method: 'POST',
+        body: JSON.stringify({ subscription: { endpoint, keys: { p256dh: 'p', auth: 'a' } }, spotId: 'pipeline', threshold: 65 })
+      });
+
+      expect((await digest({ endpoint, hour: 24, timezone: 'Europe/Lisbon' })).status).toBe(400);
+      expect((await digest({ endpoint, hour: 7, timezone: 'Mars/Olympus' })).status).toBe(400);
+
+      const { status, body } = await digest({ endpoint, hour: 7, timezone: 'Europe/Lisbon' });
+      expect(status).toBe(200);
+      expect(body.digest).toEqual({ hour: 7, timezone: 'Europe/Lisbon' });
+
+      const current = await api(`/api/push/digest?endpoint=${encodeURIComponent(endpoint)}`);
+      expect(current.body.digest).toEqual({ hour: 7, timezone: 'Europe/Lisbon' });
+
+      const off = await api('/api/push/digest/unsubscribe', { method: 'POST', body: JSON.stringify({ endpoint }) });
+      expect(off.body.removed).toBe(true);
+    });
+  });
+
+  describe('Email Alerts', () => {
+    afterEach(() => {
+      delete process.env.EMAIL_TOKEN_SECRET;
+      delete process.env.EMAIL_FROM;
+      delete process.env.SMTP_HOST;
+    });
+
+    const subscribe = (body) => api('/api/email-alerts/subscribe', { method: 'POST', body: JSON.stringify(body) });
+
+    test('POST /api/email-alerts/subscribe is unavailable without a transport and token secret', async () => {
+      const { status, body } = await subscribe({ email: 'surfer@example.com', spotId: 'pipeline', threshold: 65 });
+      expect(status).toBe(503);
+      expect(body.success).toBe(false);
+    });
+
+    test('POST /api/email-alerts/subscribe validates the request', async () => {
+      process.env.EMAIL_TOKEN_SECRET = 'test-secret';
+      process.env.EMAIL_FROM = 'alerts@shouldigo.surf';
+      process.env.SMTP_HOST = 'localhost';
+
+      expect((await subscribe({ email: 'nope', spotId: 'pipeline', threshold: 65 })).body.error).toBe('Invalid email address');
+      expect((await subscribe({ email: 'surfer@example.com', spotId: 'atlantis', threshold: 65 })).body.error).toBe('Invalid spotId');
+      expect((await subscribe({ email: 'surfer@example.com', spotId: 'pipeline', threshold: 60 })).status).toBe(400);
+
+      const rules = await subscribe({ email: 'surfer@example.com', spotId: 'pipeline', threshold: 65, rules: { periodMin: 99 } });
+      expect(rules.status).toBe(400);
+      expect(rules.body.error).toMatch(/Invalid rules/);
+    });
+
+    test('POST /api/email-alerts/subscribe is rate limited per forwarded client IP', async () => {
+      const fromIp = (ip) => api('/api/email-alerts/subscribe', {
+        method: 'POST',
+        headers: { 'X-Forwarded-For': ip },
+        body: JSON.stringify({ email: 'surfer@example.com', spotId: 'pipeline', threshold: 65 })
+      });
+      for (let i = 0; i < 10; i++) expect((await fromIp('203.0.113.30')).status).toBe(503);
+
+      expect((await fromIp('203.0.113.30')).status).toBe(429);
+      expect((await fromIp('203.0.113.31')).status).toBe(503);
+    });
+
+    test('confirm and unsubscribe links require a valid signed token', async () => {
+      process.env.EMAIL_TOKEN_SECRET = 'test-secret';
+      const { signToken } = require('../src/services/emailSubscriptions');
+
+      const forged = await api('/api/email-alerts/confirm?id=abc&token=forged');
+      expect(forged.status).toBe(400);
+      expect(forged.body).toContain('Invalid link');
+
+      const missing = await api(`/api/email-alerts/confirm?id=abc&token=${signToken('confirm', 'abc')}`);
+      expect(missing.status).toBe(404);
+
+      const wrongPurpose = await api(`/api/email-alerts/unsubscribe?id=abc&token=${signToken('confirm', 'abc')}`, { method: 'POST' });
+      expect(wrongPurpose.status).toBe(400);
+
+      const oneClick = await api(`/api/email-alerts/unsubscribe?id=abc&token=${signToken('unsubscribe', 'abc')}`, { method: 'POST' });
+      expect(oneClick.body).toEqual({ success: true, removed: false });
+    });
   });
 
   describe('Error Handling', () => {
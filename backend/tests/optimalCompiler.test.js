@@ -0,0 +1,182 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseOverpass } = require('../src/sourcing/parsers');
+const {
+  parseDirections,
+  parseSwellSize,
+  compileOptimal,
+  defaultOptimal,
+} = require('../src/sourcing/optimalCompiler');
+
+describe('optimal conditions compiler', () => {
+  test.each([
+    ['Offshore winds blow from the west northwest.', 'wind', ['W', 'NW']],
+    ['Works best on a south west wind.', 'wind', ['SW']],
+    ['NE, E', 'wind', ['NE', 'E']],
+    ['Best with light easterly or south-easterly winds', 'wind', ['E', 'SE']],
+    ['Good from SW to NW', 'swell', ['SW', 'W', 'NW']],
+    ['Clean groundswells prevail and the ideal swell angle is from the south.', 'swell', ['S']],
+    ['a South swell combines with an offshore wind direction from the West-northwest', 'swell', ['S']],
+    ['a South swell combines with an offshore wind direction from the West-northwest', 'wind', ['W', 'NW']],
+    ['Onshore winds from the west ruin it', 'wind', []],
+    ['It\'s a fun wave on the Western Cape', 'wind', []],
+  ])('parses %j (%s)', (text, subject, expected) => {
+    expect(parseDirections(text, subject)).toEqual(expected);
+  });
+
+  test('parses a sourced swell size range', () => {
+    expect(parseSwellSize('Starts working at Less than 1m / 3ft and holds up to 4m+ / 12ft')).toEqual({ min: 0.5, ideal: 1.9, max: 4 });
+    expect(parseSwellSize('Starts working at 1m / 3ft and holds up to 2.5m / 8ft')).toEqual({ min: 1, ideal: 1.6, max: 2.5 });
+    expect(parseSwellSize('Don\'t know')).toBeNull();
+  });
+
+  test('compiles guide text into a high-confidence block', () => {
+    const compiled = compileOptimal({
+      bestWindText: 'Offshore winds blow from the east.',
+      bestSwellText: 'Clean groundswells prevail and the ideal swell angle is from the west northwest.',
+      breakTypeText: 'Reef-coral',
+      difficultyText: 'Experienced surfers',
+    });
+
+    expect(compiled).toEqual({
+      optimal: {
+        waveHeight: { min: 1.0, ideal: 1.8, max: 3.0 },
+        wavePeriod: { min: 10, ideal: 13, max: 18 },
+        windDirection: ['E'],
+        waveDirection: ['W', 'NW'],
+      },
+      shoreNormal: null,
+      confidence: 'high',
+      derivedFrom: {
+        windDirection: 'bestWindText',
+        waveDirection: 'bestSwellText',
+        waveHeight: 'difficultyText',
+        wavePeriod: 'breakTypeText',
+      },
+    });
+  });
+
+  test('falls back to the coastline facing for directions', () => {
+    const compiled = compileOptimal({ breakTypeText: 'Beach', shoreNormal: 180 });
+
+    expect(compiled.optimal.windDirection).toEqual(['N', 'NE', 'NW']);
+    expect(compiled.optimal.waveDirection).toEqual(['SE', 'S', 'SW']);
+    expect(compiled.optimal.wavePeriod).toEqual({ min: 7, ideal: 11, max: 15 });
+    expect(compiled).toMatchObject({ shoreNormal: 180, confidence: 'medium', derivedFrom: { windDirection: 'coastline' } });
+  });
+
+  test('infers the swell window from a stated offshore wind', () => {
+    const compiled = compileOptimal({ bestWindText: 'Works best on a south west wind.' });
+
+    expect(compiled.optimal.waveDirection).toEqual(['NE']);
+    expect(compiled.confidence).toBe('medium');
+  });
+
+  test('only size and period hints give a low-confidence block with default directions', () => {
+    const compiled = compileOptimal({ difficultyText: 'All surfers' });
+
+    expect(compiled.confidence).toBe('low');
+    expect(compiled.optimal.waveHeight).toEqual({ min: 0.5, ideal: 1.0, max: 1.8 });
+    expect(compiled.optimal.windDirection).toEqual(defaultOptimal().windDirection);
+  });
+
+  test('returns null without usable metadata', () => {
+    expect(compileOptimal(null)).toBeNull();
+    expect(compileOptimal({ hazardsText: 'Sharks' })).toBeNull();
+  });
+
+  test('derives the shore normal from Overpass coastline geometry', () => {
+    const spot = { id: 'ericeira', lat: 38.96, lon: -9.42 };
+    // OSM coastlines keep the land on the left: drawn north to south, the sea is to the west
+    const coastline = {
+      type: 'way',
+      tags: { natural: 'coastline' },
+      geometry: [{ lat: 38.98, lon: -9.419 }, { lat: 38.97, lon: -9.418 }, { lat: 38.95, lon: -9.419 }, { lat: 38.94, lon: -9.42 }],
+    };
+
+    const parsed = parseOverpass({ elements: [coastline] }, spot, 'https://overpass-api.de/api/interpreter');
+    expect(parsed.normalizedFields.shoreNormal).toBeGreaterThan(260);
+    expect(parsed.normalizedFields.shoreNormal).toBeLessThan(280);
+    expect(parsed.rawFields.counts.coastline).toBe(1);
+
+    expect(parseOverpass({ elements: [] }, spot, '').normalizedFields.shoreNormal).toBeNull();
+  });
+});
+
+describe('dynamic spots use compiled optimal conditions', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    jest.resetModules();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'surf-report-optimal-'));
+    jest.doMock('../src/utils/dataPath', () => ({
+      resolve: jest.fn((name) => path.join(tempDir, name)),
+    }));
+    jest.doMock('../src/scrapers/registry', () => ({ registerSpot: jest.fn() }));
+
+    const bundleDir = path.join(tempDir, 'spotMetadata', 'bundles');
+    fs.mkdirSync(bundleDir, { recursive: true });
+    fs.writeFileSync(path.join(bundleDir, 'ericeira.json'), JSON.stringify({
+      sources: {
+        wannasurf: {
+          parsed: { normalizedFields: { bestWindText: 'E', bestSwellText: 'NW', breakTypeText: 'Reef-rocky' } },
+        },
+        overpass: { parsed: { normalizedFields: { shoreNormal: 290 } } },
+      },
+    }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('loads compiled blocks at startup and scores with them, defaults otherwise', () => {
+    const { loadCompiledOptimals } = require('../src/sourcing/optimalCompiler');
+    const { getOrCreateSpot } = require('../src/config/spots');
+    const { calculateSurfScore } = require('../src/services/scoring');
+
+    expect(loadCompiledOptimals()).toEqual({ bundles: 1, compiled: 1, high: 1, medium: 0, low: 0 });
+
+    const sourced = getOrCreateSpot('ericeira', { lat: 38.96, lon: -9.42, name: 'Ericeira' });
+    const unsourced = getOrCreateSpot('nowhere', { lat: 10, lon: 10, name: 'Nowhere' });
+
+    expect(sourced.optimal.windDirection).toEqual(['E']);
+    expect(sourced.shoreNormal).toBe(290);
+    expect(sourced.optimalSource).toEqual({
+      confidence: 'high',
+      derivedFrom: { windDirection: 'bestWindText', waveDirection: 'bestSwellText', wavePeriod: 'breakTypeText' },
+    });
+    expect(unsourced.optimal).toEqual(defaultOptimal());
+    expect(unsourced.optimalSource).toBeUndefined();
+
+    // A SW swell with a NE wind suits the default block but not this NW-facing reef
+    const conditions = { waves: { height: { avg: 1.5 }, period: 12, direction: 'SW' }, wind: { speed: 10, direction: 'NE' } };
+    const sourcedScore = calculateSurfScore(conditions, 'ericeira', 3);
+    const defaultScore = calculateSurfScore(conditions, 'nowhere', 3);
+    expect(sourcedScore.breakdown.waveDirection).toBeLessThan(defaultScore.breakdown.waveDirection);
+    expect(sourcedScore.breakdown.windDirection).toBeLessThan(defaultScore.breakdown.windDirection);
+    expect(sourcedScore.overall).toBeLessThan(defaultScore.overall);
+  });
+
+  test('finds the bundle the pipeline saved under a catalog spot\'s manifest ID', () => {
+    // The manifest names non-default catalog spots name_region_country
+    fs.renameSync(
+      path.join(tempDir, 'spotMetadata', 'bundles', 'ericeira.json'),
+      path.join(tempDir, 'spotMetadata', 'bundles', 'dalila_point_north_morocco.json')
+    );
+    const { isValidSpot, getSpotById, getOrCreateSpot } = require('../src/config/spots');
+    const { getSpotMetadata } = require('../src/sourcing/spotMetadata');
+
+    expect(isValidSpot('dalila_point')).toBe(true);
+    expect(getSpotById('dalila_point').optimal.windDirection).toEqual(['E']);
+    expect(getSpotById('dalila_point').shoreNormal).toBe(290);
+    expect(getSpotMetadata('dalila_point').breakTypeText).toBe('Reef-rocky');
+
+    // A map-discovered spot with the same name nearby, and one too far away
+    const nearby = getOrCreateSpot('dalila_point_evh4q', { lat: 35.29, lon: -2.93, name: 'Dalila Point' });
+    const distant = getOrCreateSpot('dalila_point_far', { lat: 35.5, lon: -2.93, name: 'Dalila Point' });
+    expect(nearby.optimal.windDirection).toEqual(['E']);
+    expect(distant.optimal).toEqual(defaultOptimal());
+  });
+});
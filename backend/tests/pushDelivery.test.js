@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const mockSendNotification = jest.fn();
+const mockSendMulticast = jest.fn();
+const mockApnsSend = jest.fn();
+
+jest.mock('web-push', () => ({ sendNotification: (...args) => mockSendNotification(...args) }));
+
+jest.mock('firebase-admin', () => ({
+  initializeApp: jest.fn(),
+  credential: { cert: jest.fn() },
+  messaging: () => ({ sendEachForMulticast: (...args) => mockSendMulticast(...args) })
+}));
+
+jest.mock('node-apn', () => ({
+  Provider: jest.fn(() => ({ send: (...args) => mockApnsSend(...args), shutdown: jest.fn() })),
+  Notification: jest.fn(function Notification() {})
+}), { virtual: true });
+
+jest.mock('../src/utils/googleServiceAccount', () => ({
+  loadServiceAccount: jest.fn(() => ({ project_id: 'test' }))
+}));
+
+describe('push delivery', () => {
+  let tempDir;
+  let subs;
+  let delivery;
+
+  const notification = { title: 'GOOD conditions coming!', body: 'Peniche: 6–11am — 72/100', url: '/?spot=peniche' };
+  const noWait = () => Promise.resolve();
+
+  beforeEach(() => {
+    jest.resetModules();
+    mockSendNotification.mockReset();
+    mockSendMulticast.mockReset();
+    mockApnsSend.mockReset();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'surf-report-delivery-'));
+    jest.doMock('../src/utils/dataPath', () => ({
+      resolve: jest.fn((name) => path.join(tempDir, name))
+    }));
+    process.env.APNS_KEY_ID = 'key';
+    process.env.APNS_TEAM_ID = 'team';
+    process.env.APNS_KEY_P8 = Buffer.from('p8').toString('base64');
+
+    subs = require('../src/services/pushSubscriptions');
+    delivery = require('../src/services/pushDelivery');
+  });
+
+  afterEach(() => {
+    delivery.shutdownDelivery();
+    require('../src/utils/sqlite').closeAll();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    delete process.env.APNS_KEY_ID;
+    delete process.env.APNS_TEAM_ID;
+    delete process.env.APNS_KEY_P8;
+  });
+
+  function subscribe(endpoint, extra = {}) {
+    const { id } = subs.upsertSubscription({ endpoint, keys: { p256dh: 'p', auth: 'a' }, ...extra }, 'peniche', 65);
+    return subs.getSubscriptionsByEndpoint(endpoint).find(s => s.id === id);
+  }
+
+  test('retries transient web push errors with backoff and prunes gone endpoints', async () => {
+    const flaky = subscribe('https://push.example/flaky');
+    const gone = subscribe('https://push.example/gone');
+
+    mockSendNotification.mockImplementation(({ endpoint }) => {
+      if (endpoint.endsWith('gone')) return Promise.reject(Object.assign(new Error('Gone'), { statusCode: 410 }));
+      if (mockSendNotification.mock.calls.filter(([s]) => s.endpoint === endpoint).length === 1) {
+        return Promise.reject(Object.assign(new Error('Unavailable'), { statusCode: 503 }));
+      }
+      return Promise.resolve();
+    });
+
+    const wait = jest.fn(noWait);
+    const { channels } = await delivery.deliver([
+      { sub: flaky, notification, blockLabel: '6–11am' },
+      { sub: gone, notification, blockLabel: '6–11am' }
+    ], { wait });
+
+    expect(channels.web).toEqual({ queued: 2, sent: 1, failed: 0, pruned: 1, retried: 1 });
+    expect(wait).toHaveBeenCalledWith(2000);
+    expect(subs.getSubscriptionsByEndpoint('https://push.example/gone')).toHaveLength(0);
+    expect(subs.getSubscriptionsByEndpoint('https://push.example/flaky')[0].lastNotifiedBlock).toBe('6–11am');
+  });
+
+  test('gives up after the maximum number of attempts', async () => {
+    const sub = subscribe('https://push.example/down');
+    mockSendNotification.mockRejectedValue(new Error('ECONNRESET'));
+
+    const wait = jest.fn(noWait);
+    const { channels } = await delivery.deliver([{ sub, notification, blockLabel: '6–11am' }], { wait });
+
+    expect(mockSendNotification).toHaveBeenCalledTimes(delivery.MAX_ATTEMPTS);
+    expect(wait.mock.calls.map(([ms]) => ms)).toEqual([2000, 4000]);
+    expect(channels.web).toMatchObject({ sent: 0, failed: 1, retried: 2 });
+  });
+
+  test('batches FCM as multicast and APNs as one send per payload', async () => {
+    const fcmA = subscribe('fcm:token-a-000000000000000000', { type: 'fcm', token: 'token-a-000000000000000000' });
+    const fcmB = subscribe('fcm:token-b-000000000000000000', { type: 'fcm', token: 'token-b-000000000000000000' });
+    const iosA = subscribe('apns:aaaa', { type: 'apns', token: 'aaaa' });
+    const iosB = subscribe('apns:bbbb', { type: 'apns', token: 'bbbb' });
+
+    mockSendMulticast.mockResolvedValue({
+      responses: [
+        { success: true },
+        { success: false, error: { code: 'messaging/registration-token-not-registered' } }
+      ]
+    });
+    mockApnsSend.mockResolvedValue({ sent: [{ device: 'aaaa' }], failed: [{ device: 'bbbb', status: '410', response: { reason: 'Unregistered' } }] });
+
+    const report = await delivery.deliver([fcmA, fcmB, iosA, iosB].map(sub => ({ sub, notification, blockLabel: '6–11am' })), { wait: noWait });
+
+    expect(mockSendMulticast).toHaveBeenCalledTimes(1);
+    expect(mockSendMulticast.mock.calls[0][0].tokens).toEqual(['token-a-000000000000000000', 'token-b-000000000000000000']);
+    expect(mockApnsSend).toHaveBeenCalledTimes(1);
+    expect(mockApnsSend.mock.calls[0][1]).toEqual(['aaaa', 'bbbb']);
+
+    expect(report.channels.fcm).toMatchObject({ sent: 1, pruned: 1 });
+    expect(report.channels.apns).toMatchObject({ sent: 1, pruned: 1 });
+    expect(report.totals).toMatchObject({ queued: 4, sent: 2, pruned: 2 });
+    expect(subs.getSubscriptionsGroupedBySpot().peniche).toHaveLength(2);
+  });
+
+  test('keeps the most recent delivery reports', () => {
+    delivery.saveReport({ startedAt: '2026-07-01T10:00:00.000Z', totals: { sent: 1 } });
+    delivery.saveReport({ startedAt: '2026-07-01T10:30:00.000Z', totals: { sent: 2 } });
+
+    expect(delivery.getDeliveryReports(1)).toEqual([{ startedAt: '2026-07-01T10:30:00.000Z', totals: { sent: 2 } }]);
+  });
+});
@@ -0,0 +1,101 @@
+const mockDeliver = jest.fn();
+const mockGetConditions = jest.fn();
+const mockDigests = [];
+const mockSubscriptions = [];
+const mockMarkDigestSent = jest.fn();
+
+jest.mock('../src/config/spots', () => ({
+  getSpotName: jest.fn((id) => ({ peniche: 'Peniche', ericeira: 'Ericeira' }[id] || id))
+}));
+
+jest.mock('../src/services/pushSubscriptions', () => ({
+  getDigests: jest.fn(() => mockDigests),
+  getSubscriptionsByEndpoint: jest.fn((endpoint) => mockSubscriptions.filter(s => s.endpoint === endpoint)),
+  markDigestSent: (...args) => mockMarkDigestSent(...args)
+}));
+
+jest.mock('../src/services/pushNotifier', () => ({
+  getConditionsForSpot: (...args) => mockGetConditions(...args)
+}));
+
+jest.mock('../src/services/pushDelivery', () => ({
+  deliver: (...args) => mockDeliver(...args),
+  saveReport: jest.fn()
+}));
+
+const { digestDueDate, buildDigest, checkAndSendDigests } = require('../src/services/pushDigest');
+
+function trend(blocks) {
+  return { timezone: 'Europe/Lisbon', blocks };
+}
+
+const penicheTrend = trend([
+  { label: '6–11am', day: '2026-07-01', score: 58, rating: 'FAIR' },
+  { label: '11am–2pm', day: '2026-07-01', score: 74, rating: 'GOOD' },
+  { label: 'Tmw 6–11am', day: '2026-07-02', score: 90, rating: 'EPIC' }
+]);
+const ericeiraTrend = trend([
+  { label: '6–11am', day: '2026-07-01', score: 81, rating: 'GREAT' }
+]);
+
+describe('daily digest', () => {
+  beforeEach(() => {
+    mockDigests.length = 0;
+    mockSubscriptions.length = 0;
+    mockDeliver.mockReset();
+    mockGetConditions.mockReset();
+    mockMarkDigestSent.mockReset();
+  });
+
+  test('is due from the chosen local hour until the window closes, once per day', () => {
+    const digest = { hour: 7, timezone: 'Europe/Lisbon', lastSentDate: null };
+    // 06:30 UTC = 07:30 in Lisbon (WEST)
+    expect(digestDueDate(digest, new Date('2026-07-01T06:30:00Z'))).toBe('2026-07-01');
+    expect(digestDueDate(digest, new Date('2026-07-01T05:30:00Z'))).toBeNull();
+    expect(digestDueDate(digest, new Date('2026-07-01T09:30:00Z'))).toBeNull();
+    expect(digestDueDate({ ...digest, lastSentDate: '2026-07-01' }, new Date('2026-07-01T06:30:00Z'))).toBeNull();
+  });
+
+  test('ranks spots by their best window today, with the board', () => {
+    const digest = buildDigest([
+      { spotId: 'peniche', spotName: 'Peniche', trend: penicheTrend, board: { boardName: 'Fish' } },
+      { spotId: 'ericeira', spotName: 'Ericeira', trend: ericeiraTrend, board: null }
+    ]);
+
+    expect(digest).toEqual({
+      title: "Today's surf: Ericeira 81/100",
+      body: '1. Ericeira: GREAT 81/100, 6–11am\n2. Peniche: GOOD 74/100, 11am–2pm · Fish',
+      url: '/?spot=ericeira'
+    });
+    expect(buildDigest([{ spotId: 'peniche', spotName: 'Peniche', trend: null }])).toBeNull();
+  });
+
+  test('sends one digest per due subscriber and records the local date on delivery', async () => {
+    mockDigests.push(
+      { endpoint: 'https://push.example/a', hour: 7, timezone: 'Europe/Lisbon', lastSentDate: null },
+      { endpoint: 'https://push.example/b', hour: 18, timezone: 'Europe/Lisbon', lastSentDate: null }
+    );
+    mockSubscriptions.push(
+      { id: 'a1', endpoint: 'https://push.example/a', spotId: 'peniche' },
+      { id: 'a2', endpoint: 'https://push.example/a', spotId: 'ericeira' },
+      { id: 'b1', endpoint: 'https://push.example/b', spotId: 'peniche' }
+    );
+    mockGetConditions.mockImplementation(async (spotId) => ({
+      trend: spotId === 'peniche' ? penicheTrend : ericeiraTrend,
+      board: null
+    }));
+    mockDeliver.mockImplementation(async (messages, { onSent }) => {
+      messages.forEach(onSent);
+      return { channels: {}, totals: { sent: messages.length, failed: 0, pruned: 0, retried: 0 } };
+    });
+
+    const report = await checkAndSendDigests(new Date('2026-07-01T06:30:00Z'));
+
+    expect(report).toMatchObject({ kind: 'digest', due: 1, matched: 1 });
+    const [messages] = mockDeliver.mock.calls[0];
+    expect(messages).toHaveLength(1);
+    expect(messages[0].sub.id).toBe('a1');
+    expect(messages[0].notification.title).toBe("Today's surf: Ericeira 81/100");
+    expect(mockMarkDigestSent).toHaveBeenCalledWith('https://push.example/a', '2026-07-01');
+  });
+});
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const spot = {
+  id: 'peniche',
+  name: 'Supertubos',
+  location: { lat: 39.3474, lon: -9.3675 },
+  timezone: 'Europe/Lisbon',
+  optimal: {
+    waveHeight: { min: 0.8, ideal: 1.5, max: 2.5 },
+    wavePeriod: { min: 8, ideal: 12, max: 16 },
+    windDirection: ['E', 'NE', 'SE'],
+    waveDirection: ['W', 'NW', 'SW']
+  }
+};
+
+// Clean, well-sized swell with onshore wind
+const conditions = {
+  waves: { height: { avg: 1.5 }, period: 12, direction: 'W', swell: { height: 1.3, period: 12, direction: 'W' } },
+  wind: { speed: 25, direction: 'W', gusts: 35 },
+  weather: {}
+};
+
+describe('scoring profiles', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    jest.resetModules();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'surf-report-profile-'));
+    jest.doMock('../src/utils/dataPath', () => ({
+      resolve: jest.fn((name) => path.join(tempDir, name))
+    }));
+    jest.doMock('../src/config/spots', () => ({
+      getSpotById: jest.fn((id) => (id === spot.id ? spot : null)),
+      getSpotTimezone: jest.fn(() => spot.timezone)
+    }));
+    jest.doMock('../src/sourcing/spotMetadata', () => ({
+      getSpotMetadata: jest.fn(() => null)
+    }));
+  });
+
+  afterEach(() => {
+    require('../src/utils/sqlite').closeAll();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('uses the default weights for a spot without feedback', () => {
+    const { WEIGHTS } = require('../src/services/scoring');
+    const { getScoringProfile } = require('../src/services/scoringProfile');
+
+    expect(getScoringProfile('peniche')).toEqual({ weights: WEIGHTS, multipliers: null, feedbackCount: 0, calibration: null });
+  });
+
+  test('multiplies the default weights by averaged feedback and normalizes them', () => {
+    const { WEIGHTS } = require('../src/services/scoring');
+    const { addFeedback } = require('../src/services/spotFeedback');
+    const { getScoringProfile } = require('../src/services/scoringProfile');
+
+    addFeedback('peniche', { text: 'Wind ruins it', multipliers: { windDirection: 2.5, windSpeed: 2.5 }, contributor: 'a' });
+    addFeedback('peniche', { text: 'Onshore kills it', multipliers: { windDirection: 1.5, tide: 0.25 }, contributor: 'b' });
+    addFeedback('peniche', { text: 'Needs offshore', multipliers: { windDirection: 2 }, contributor: 'c' });
+
+    const profile = getScoringProfile('peniche');
+
+    expect(profile.feedbackCount).toBe(3);
+    expect(profile.multipliers).toMatchObject({ windDirection: 2, windSpeed: 1.5, tide: 0.75, waveHeight: 1 });
+    expect(Object.values(profile.weights).reduce((a, b) => a + b, 0)).toBeCloseTo(1, 3);
+    expect(profile.weights.windDirection / profile.weights.waveHeight)
+      .toBeCloseTo((WEIGHTS.windDirection * 2) / WEIGHTS.waveHeight, 2);
+    expect(profile.weights.dataConfidence).toBeLessThan(WEIGHTS.dataConfidence);
+  });
+
+  test('counts each contributor once and waits for enough of them', () => {
+    const { WEIGHTS } = require('../src/services/scoring');
+    const { addFeedback } = require('../src/services/spotFeedback');
+    const { getScoringProfile, MIN_FEEDBACK_CONTRIBUTORS } = require('../src/services/scoringProfile');
+
+    for (let i = 0; i < 10; i++) {
+      addFeedback('peniche', { text: 'Only wave height matters', multipliers: { waveHeight: 2.5 }, contributor: 'loud' });
+    }
+    addFeedback('peniche', { text: 'Works on any tide', multipliers: { tide: 0.5 } });
+    expect(MIN_FEEDBACK_CONTRIBUTORS).toBe(3);
+    expect(getScoringProfile('peniche')).toMatchObject({ weights: WEIGHTS, multipliers: null, feedbackCount: 11 });
+
+    addFeedback('peniche', { text: 'Period is what counts', multipliers: { wavePeriod: 1.5 }, contributor: 'quiet' });
+    const { multipliers } = getScoringProfile('peniche');
+    expect(multipliers).toMatchObject({ waveHeight: 1.5, tide: 0.83, wavePeriod: 1.17 });
+  });
+
+  test('caps how far a factor\'s weight can move', () => {
+    const { WEIGHTS } = require('../src/services/scoring');
+    const { buildWeights } = require('../src/services/scoringProfile');
+
+    const weights = buildWeights({ windDirection: 3.75, tide: 0.1 });
+    const capped = buildWeights({ windDirection: 2, tide: 0.5 });
+
+    expect(weights).toEqual(capped);
+    expect(weights.windDirection / weights.waveHeight).toBeCloseTo((WEIGHTS.windDirection * 2) / WEIGHTS.waveHeight, 2);
+  });
+
+  test('a profile that stresses wind lowers the score on an onshore day', () => {
+    const { calculateSurfScore } = require('../src/services/scoring');
+    const { buildWeights } = require('../src/services/scoringProfile');
+
+    const standard = calculateSurfScore(conditions, 'peniche', 3);
+    const windy = calculateSurfScore(conditions, 'peniche', 3, buildWeights({ windSpeed: 2.5, windDirection: 2.5 }));
+
+    expect(windy.breakdown).toEqual(standard.breakdown);
+    expect(windy.overall).toBeLessThan(standard.overall);
+  });
+
+  test('falls back to the default weights when feedback cannot be read', () => {
+    jest.doMock('../src/services/spotFeedback', () => ({
+      getFeedback: jest.fn(() => { throw new Error('database is locked'); })
+    }));
+    const { WEIGHTS } = require('../src/services/scoring');
+    const { getScoringProfile } = require('../src/services/scoringProfile');
+
+    expect(getScoringProfile('peniche').weights).toBe(WEIGHTS);
+  });
+});
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const NOW = new Date('2026-07-10T12:00:00Z');
+const hoursBefore = (h) => new Date(NOW.getTime() - h * 3600000).toISOString();
+
+const breakdown = (windDirection, waveHeight) => ({
+  waveHeight, wavePeriod: 70, swellQuality: 70, windSpeed: 70, windDirection, waveDirection: 70, tide: 50
+});
+
+describe('surf sessions', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    jest.resetModules();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'surf-report-sessions-'));
+    jest.doMock('../src/utils/dataPath', () => ({
+      resolve: jest.fn((name) => path.join(tempDir, name))
+    }));
+    jest.doMock('../src/config/spots', () => ({
+      getSpotTimezone: jest.fn(() => 'UTC')
+    }));
+  });
+
+  afterEach(() => {
+    require('../src/utils/sqlite').closeAll();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('validateSession', () => {
+    const valid = { startedAt: hoursBefore(3), endedAt: hoursBefore(1), rating: 4 };
+
+    test('normalizes a valid session', () => {
+      const { validateSession } = require('../src/services/sessions');
+      const { session } = validateSession({ ...valid, notes: '  Glassy\nearly  ' }, NOW);
+      expect(session).toEqual({ startedAt: valid.startedAt, endedAt: valid.endedAt, rating: 4, notes: 'Glassy early' });
+    });
+
+    test.each([
+      [{ rating: 0 }, 'rating must be an integer 1-5'],
+      [{ rating: 3.5 }, 'rating must be an integer 1-5'],
+      [{ startedAt: 'yesterday' }, 'startedAt and endedAt must be ISO timestamps'],
+      [{ endedAt: hoursBefore(4) }, 'endedAt must be after startedAt'],
+      [{ startedAt: hoursBefore(14) }, 'A session can last at most 12 hours'],
+      [{ endedAt: new Date(NOW.getTime() + 3600000).toISOString() }, 'Sessions can only be logged once they are over'],
+      [{ startedAt: hoursBefore(24 * 31), endedAt: hoursBefore(24 * 31 - 1) }, 'Sessions older than 30 days can\'t be logged'],
+      [{ notes: 42 }, 'notes must be text']
+    ])('rejects %j', (override, error) => {
+      const { validateSession } = require('../src/services/sessions');
+      expect(validateSession({ ...valid, ...override }, NOW)).toEqual({ error });
+    });
+  });
+
+  test('snapshots the recorded conditions closest to the middle of the session', () => {
+    const { recordConditions } = require('../src/services/history');
+    const { findSnapshot } = require('../src/services/sessions');
+
+    recordConditions('peniche', { conditions: { waves: { height: { avg: 1 } } }, score: { overall: 55, rating: 'FAIR', breakdown: breakdown(50, 60) }, timestamp: hoursBefore(6) });
+    recordConditions('peniche', { conditions: { waves: { height: { avg: 1.4 } } }, score: { overall: 68, rating: 'GOOD', breakdown: breakdown(80, 70) }, timestamp: hoursBefore(2.2) });
+    recordConditions('peniche', { conditions: { waves: { height: { avg: 1.2 } } }, score: { overall: 61, rating: 'GOOD', breakdown: breakdown(60, 70) }, timestamp: hoursBefore(0.5) });
+
+    expect(findSnapshot('peniche', hoursBefore(3), hoursBefore(1))).toMatchObject({
+      timestamp: hoursBefore(2.2),
+      score: 68,
+      rating: 'GOOD',
+      breakdown: breakdown(80, 70),
+      conditions: { waves: { height: { avg: 1.4 } } }
+    });
+    expect(findSnapshot('peniche', hoursBefore(24), hoursBefore(23))).toBeNull();
+  });
+
+  test('stores, lists and deletes sessions per device', () => {
+    const { addSession, listSessions, deleteSession } = require('../src/services/sessions');
+    const session = { startedAt: hoursBefore(3), endedAt: hoursBefore(1), rating: 3, notes: null };
+
+    const stored = addSession('device-aaaa-0000-0001', 'peniche', session, null);
+    addSession('device-aaaa-0000-0001', 'nazare', { ...session, startedAt: hoursBefore(2) }, null);
+    addSession('device-bbbb-0000-0002', 'peniche', session, null);
+
+    expect(stored).toMatchObject({ spotId: 'peniche', rating: 3, snapshot: null });
+    expect(listSessions('device-aaaa-0000-0001').map(s => s.spotId)).toEqual(['nazare', 'peniche']);
+    expect(listSessions('device-aaaa-0000-0001', { spotId: 'peniche' })).toHaveLength(1);
+
+    expect(deleteSession('device-bbbb-0000-0002', stored.id)).toBe(false);
+    expect(deleteSession('device-aaaa-0000-0001', stored.id)).toBe(true);
+    expect(listSessions('device-aaaa-0000-0001')).toHaveLength(1);
+  });
+
+  describe('calibration', () => {
+    // Ratings follow the wind direction factor and run against wave height
+    const logged = [
+      { rating: 1, score: 40, windDirection: 20, waveHeight: 90 },
+      { rating: 2, score: 50, windDirection: 40, waveHeight: 80 },
+      { rating: 3, score: 60, windDirection: 60, waveHeight: 70 },
+      { rating: 4, score: 70, windDirection: 80, waveHeight: 60 },
+      { rating: 5, score: 80, windDirection: 95, waveHeight: 50 }
+    ];
+
+    function logSessions(entries) {
+      const { addSession } = require('../src/services/sessions');
+      entries.forEach((e, i) => {
+        addSession(`device-aaaa-0000-000${(i % 3) + 1}`, 'peniche', {
+          startedAt: hoursBefore(48 - i * 8), endedAt: hoursBefore(46 - i * 8), rating: e.rating, notes: null
+        }, {
+          timestamp: hoursBefore(47 - i * 8),
+          score: e.score,
+          rating: 'FAIR',
+          breakdown: breakdown(e.windDirection, e.waveHeight),
+          conditions: {}
+        }, `contributor-${(i % 3) + 1}`);
+      });
+    }
+
+    test('compares predicted scores with reported ratings', () => {
+      const { getCalibrationReport } = require('../src/services/calibration');
+      logSessions(logged.slice(0, 3));
+
+      const report = getCalibrationReport('peniche');
+
+      expect(report).toMatchObject({ spotId: 'peniche', sessions: 3, minSessions: 5, bias: 20, meanAbsoluteError: 20, correlation: 1 });
+      expect(report.byRating[0]).toEqual({ rating: 1, sessions: 1, expectedScore: 10, averageScore: 40 });
+      expect(report.suggestedMultipliers).toBeNull();
+    });
+
+    test('ignores sessions without a conditions snapshot', () => {
+      const { addSession } = require('../src/services/sessions');
+      const { getCalibrationReport } = require('../src/services/calibration');
+      addSession('device-aaaa-0000-0001', 'peniche', { startedAt: hoursBefore(3), endedAt: hoursBefore(1), rating: 5, notes: null }, null);
+
+      expect(getCalibrationReport('peniche')).toMatchObject({ sessions: 0, bias: null, byRating: [] });
+    });
+
+    test('feeds factor multipliers into the spot\'s scoring profile once there are enough sessions', () => {
+      jest.doMock('../src/services/spotFeedback', () => ({ getFeedback: jest.fn(() => []) }));
+      const { WEIGHTS } = require('../src/services/scoring');
+      const { getScoringProfile } = require('../src/services/scoringProfile');
+
+      logSessions(logged.slice(0, 4));
+      expect(getScoringProfile('peniche').calibration).toBeNull();
+
+      logSessions(logged.slice(4));
+      const profile = getScoringProfile('peniche');
+
+      expect(profile.calibration.sessionCount).toBe(5);
+      expect(profile.calibration.multipliers.windDirection).toBeGreaterThan(1.4);
+      expect(profile.calibration.multipliers.waveHeight).toBeLessThan(0.6);
+      // Factors without variance are left alone
+      expect(profile.calibration.multipliers.tide).toBe(1);
+      expect(profile.weights.windDirection).toBeGreaterThan(WEIGHTS.windDirection);
+      expect(profile.weights.waveHeight).toBeLessThan(WEIGHTS.waveHeight);
+    });
+
+    test('waits for sessions from enough contributors, however many device IDs they use', () => {
+      const { addSession } = require('../src/services/sessions');
+      const { getCalibrationReport, getCalibration } = require('../src/services/calibration');
+      logged.forEach((e, i) => {
+        addSession(`device-aaaa-0000-000${i + 1}`, 'peniche', {
+          startedAt: hoursBefore(48 - i * 8), endedAt: hoursBefore(46 - i * 8), rating: e.rating, notes: null
+        }, { timestamp: hoursBefore(47 - i * 8), score: e.score, rating: 'FAIR', breakdown: breakdown(e.windDirection, e.waveHeight), conditions: {} }, `contributor-${(i % 2) + 1}`);
+      });
+
+      expect(getCalibrationReport('peniche')).toMatchObject({ sessions: 5, contributors: 2, minContributors: 3, suggestedMultipliers: null });
+      expect(getCalibration('peniche')).toBeNull();
+    });
+  });
+});
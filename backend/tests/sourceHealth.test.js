@@ -0,0 +1,133 @@
+const axios = require('axios');
+const { SOURCES } = require('../src/scrapers/registry');
+const { registerCoords } = require('../src/scrapers/openMeteo');
+const { fetchSurfData } = require('../src/services/scraper');
+const {
+  BREAKER_THRESHOLD,
+  canAttempt,
+  recordSuccess,
+  recordFailure,
+  recordNotCovered,
+  getSourceHealth,
+  resetSourceHealth
+} = require('../src/services/sourceHealth');
+
+describe('source health and circuit breaker', () => {
+  beforeEach(() => {
+    resetSourceHealth();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('tracks success rate, latency percentiles and consecutive failures', () => {
+    for (let i = 1; i <= 8; i++) recordSuccess('open-meteo', i * 100);
+    recordFailure('open-meteo', 1000, 'timeout');
+    recordFailure('open-meteo', 2000, 'timeout');
+
+    const [health] = getSourceHealth();
+    expect(health).toMatchObject({
+      name: 'open-meteo',
+      state: 'closed',
+      attempts: 10,
+      successRate: 80,
+      consecutiveFailures: 2,
+      lastError: 'timeout'
+    });
+    expect(health.latencyMs.p50).toBe(500);
+    expect(health.latencyMs.p95).toBe(2000);
+  });
+
+  test('opens after repeated failures, then lets one trial through after the cool-down', () => {
+    jest.useFakeTimers({ now: new Date('2026-07-01T12:00:00Z') });
+
+    for (let i = 0; i < BREAKER_THRESHOLD; i++) recordFailure('windfinder', 50, 'HTTP 503');
+    expect(canAttempt('windfinder')).toBe(false);
+    expect(getSourceHealth()[0]).toMatchObject({ state: 'open', retryInSeconds: 300 });
+
+    jest.advanceTimersByTime(5 * 60 * 1000);
+    expect(canAttempt('windfinder')).toBe(true);
+    // Only one trial while half-open
+    expect(canAttempt('windfinder')).toBe(false);
+
+    // Failed trial: reopen with a doubled cool-down
+    recordFailure('windfinder', 50, 'HTTP 503');
+    expect(getSourceHealth()[0]).toMatchObject({ state: 'open', retryInSeconds: 600 });
+
+    jest.advanceTimersByTime(10 * 60 * 1000);
+    expect(canAttempt('windfinder')).toBe(true);
+    recordSuccess('windfinder', 80);
+    expect(getSourceHealth()[0]).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+    expect(canAttempt('windfinder')).toBe(true);
+  });
+
+  test('a source that does not cover a spot stays healthy and frees a half-open trial', async () => {
+    jest.useFakeTimers({ now: new Date('2026-07-01T12:00:00Z') });
+    const originalSources = SOURCES.splice(0, SOURCES.length);
+    const partial = { name: 'partial', displayName: 'Partial', label: 'Partial', category: 'wind', capabilities: ['wind'], scrape: jest.fn(async () => null) };
+    const working = { name: 'steady', displayName: 'Steady', label: 'Steady', category: 'wind', capabilities: ['wind'], scrape: jest.fn(async () => ({ wind: { speed: 10 } })) };
+    SOURCES.push(partial, working);
+
+    try {
+      for (let i = 0; i < BREAKER_THRESHOLD + 1; i++) await fetchSurfData('pipeline');
+      expect(partial.scrape).toHaveBeenCalledTimes(BREAKER_THRESHOLD + 1);
+      expect(getSourceHealth().find(h => h.name === 'partial')).toMatchObject({ state: 'closed', attempts: 0, consecutiveFailures: 0 });
+    } finally {
+      SOURCES.length = 0;
+      SOURCES.push(...originalSources);
+    }
+
+    for (let i = 0; i < BREAKER_THRESHOLD; i++) recordFailure('windfinder', 50, 'HTTP 503');
+    jest.advanceTimersByTime(5 * 60 * 1000);
+    expect(canAttempt('windfinder')).toBe(true);
+    recordNotCovered('windfinder');
+    expect(canAttempt('windfinder')).toBe(true);
+    expect(getSourceHealth().find(h => h.name === 'windfinder')).toMatchObject({ state: 'half-open', consecutiveFailures: BREAKER_THRESHOLD });
+  });
+
+  test('a scraper that times out counts as a failure and opens the breaker', async () => {
+    const originalSources = SOURCES.splice(0, SOURCES.length);
+    SOURCES.push(originalSources.find(def => def.name === 'open-meteo'));
+    registerCoords('pipeline', 21.66, -158.05);
+    const timeout = Object.assign(new Error('timeout of 10000ms exceeded'), { code: 'ECONNABORTED' });
+    const get = jest.spyOn(axios, 'get').mockRejectedValue(timeout);
+
+    try {
+      for (let i = 0; i < BREAKER_THRESHOLD; i++) {
+        await expect(fetchSurfData('pipeline')).rejects.toThrow('All data sources failed');
+      }
+      expect(get).toHaveBeenCalledTimes(BREAKER_THRESHOLD);
+      expect(getSourceHealth()[0]).toMatchObject({
+        name: 'open-meteo',
+        state: 'open',
+        consecutiveFailures: BREAKER_THRESHOLD,
+        lastError: 'timeout of 10000ms exceeded'
+      });
+      expect(canAttempt('open-meteo')).toBe(false);
+    } finally {
+      get.mockRestore();
+      SOURCES.length = 0;
+      SOURCES.push(...originalSources);
+    }
+  });
+
+  test('fetchSurfData skips sources whose circuit is open', async () => {
+    const originalSources = SOURCES.splice(0, SOURCES.length);
+    const failing = { name: 'flaky', displayName: 'Flaky', label: 'Flaky', category: 'wind', capabilities: ['wind'], scrape: jest.fn(async () => { throw new Error('timeout'); }) };
+    const working = { name: 'steady', displayName: 'Steady', label: 'Steady', category: 'wind', capabilities: ['wind'], scrape: jest.fn(async () => ({ wind: { speed: 10 } })) };
+    SOURCES.push(failing, working);
+
+    try {
+      for (let i = 0; i < BREAKER_THRESHOLD; i++) await fetchSurfData('pipeline');
+      expect(failing.scrape).toHaveBeenCalledTimes(BREAKER_THRESHOLD);
+
+      await fetchSurfData('pipeline');
+      expect(failing.scrape).toHaveBeenCalledTimes(BREAKER_THRESHOLD);
+      expect(working.scrape).toHaveBeenCalledTimes(BREAKER_THRESHOLD + 1);
+    } finally {
+      SOURCES.length = 0;
+      SOURCES.push(...originalSources);
+    }
+  });
+});
@@ -0,0 +1,103 @@
+const { SOURCES, getEnabledSources, registerSpot } = require('../src/scrapers/registry');
+const { fetchSurfData, fetchForecastData } = require('../src/services/scraper');
+const { resetSourceHealth } = require('../src/services/sourceHealth');
+
+describe('source registry', () => {
+  const originalSources = SOURCES.splice(0, SOURCES.length);
+
+  function fakeSource(name, capabilities, data) {
+    return {
+      name,
+      displayName: name,
+      label: `Checking ${name}`,
+      category: capabilities[0],
+      capabilities,
+      url: `https://${name}.example`,
+      scrape: jest.fn(async () => data),
+      register: jest.fn()
+    };
+  }
+
+  beforeEach(() => {
+    resetSourceHealth();
+    SOURCES.length = 0;
+    SOURCES.push(
+      fakeSource('model', ['waves', 'hourly', 'multiday'], { waves: { height: { avg: 1.2 } } }),
+      fakeSource('scraped', ['wind', 'hourly'], { wind: { speed: 12 } }),
+      fakeSource('broken', ['wind'], null)
+    );
+  });
+
+  afterEach(() => {
+    delete process.env.ENABLED_SOURCES;
+    delete process.env.DISABLED_SOURCES;
+  });
+
+  afterAll(() => {
+    SOURCES.length = 0;
+    SOURCES.push(...originalSources);
+  });
+
+  test('declares the Windguru and Magicseaweed scrapers', () => {
+    const names = originalSources.map(s => s.name);
+    expect(names).toEqual(expect.arrayContaining(['windguru', 'magicseaweed', 'open-meteo', 'windfinder']));
+    for (const source of originalSources) {
+      expect(typeof source.scrape).toBe('function');
+      expect(source.capabilities.length).toBeGreaterThan(0);
+    }
+  });
+
+  test('filters sources by deployment config and capability', () => {
+    expect(getEnabledSources().map(s => s.name)).toEqual(['model', 'scraped', 'broken']);
+
+    process.env.DISABLED_SOURCES = 'broken';
+    expect(getEnabledSources().map(s => s.name)).toEqual(['model', 'scraped']);
+
+    process.env.ENABLED_SOURCES = 'model, broken';
+    expect(getEnabledSources().map(s => s.name)).toEqual(['model']);
+
+    delete process.env.ENABLED_SOURCES;
+    delete process.env.DISABLED_SOURCES;
+    expect(getEnabledSources({ capability: 'multiday' }).map(s => s.name)).toEqual(['model']);
+  });
+
+  test('leaves sources that are off by default out unless they are listed', () => {
+    SOURCES[2].enabledByDefault = false;
+    expect(getEnabledSources().map(s => s.name)).toEqual(['model', 'scraped']);
+
+    process.env.ENABLED_SOURCES = 'broken';
+    expect(getEnabledSources().map(s => s.name)).toEqual(['broken']);
+
+    expect(originalSources.find(s => s.name === 'magicseaweed').enabledByDefault).toBe(false);
+  });
+
+  test('registers spots only with enabled sources', () => {
+    process.env.DISABLED_SOURCES = 'scraped';
+    registerSpot('new_spot', { lat: 1, lon: 2, name: 'New Spot', country: 'Nowhere' });
+
+    expect(SOURCES[0].register).toHaveBeenCalledWith('new_spot', 1, 2, 'New Spot', 'Nowhere');
+    expect(SOURCES[1].register).not.toHaveBeenCalled();
+  });
+
+  test('fetchSurfData scrapes every enabled source and reports progress with registry labels', async () => {
+    const progress = [];
+    const results = await fetchSurfData('pipeline', event => progress.push(event));
+
+    expect(results.map(r => r.source)).toEqual(['model', 'scraped']);
+    expect(results[0].url).toBe('https://model.example');
+    expect(progress.map(p => p.label).sort()).toEqual(['Checking broken', 'Checking model', 'Checking scraped']);
+    expect(progress.find(p => p.name === 'broken').success).toBe(false);
+  });
+
+  test('fetchForecastData only asks multi-day sources and passes the day count', async () => {
+    await fetchForecastData('pipeline', 10);
+
+    expect(SOURCES[0].scrape).toHaveBeenCalledWith('pipeline', { days: 10 });
+    expect(SOURCES[1].scrape).not.toHaveBeenCalled();
+  });
+
+  test('fails when every enabled source fails', async () => {
+    process.env.ENABLED_SOURCES = 'broken';
+    await expect(fetchSurfData('pipeline')).rejects.toThrow('All data sources failed');
+  });
+});
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('spot IDs and aliases', () => {
+  let tempDir;
+  let spots;
+  let spotAliases;
+
+  beforeEach(() => {
+    jest.resetModules();
+    delete process.env.SPOT_MERGE_DISTANCE_KM;
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'surf-report-spot-aliases-'));
+    jest.doMock('../src/utils/dataPath', () => ({
+      resolve: jest.fn((name) => path.join(tempDir, name)),
+    }));
+    jest.doMock('../src/scrapers/registry', () => ({ registerSpot: jest.fn() }));
+
+    spots = require('../src/config/spots');
+    spotAliases = require('../src/services/spotAliases');
+  });
+
+  afterEach(() => {
+    delete process.env.SPOT_MERGE_DISTANCE_KM;
+    require('../src/utils/sqlite').closeAll();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('catalog names listed more than once get an ID per spot', () => {
+    const { getCatalogSpots, findCatalogSpot, legacyCatalogId } = require('../src/config/spotCatalog');
+    const playaGrande = getCatalogSpots().filter((s) => s.name === 'Playa Grande');
+
+    expect(playaGrande.length).toBeGreaterThan(1);
+    expect(new Set(playaGrande.map((s) => s.id)).size).toBe(playaGrande.length);
+    playaGrande.forEach((s) => expect(s.id).toMatch(/^playa_grande_[0-9a-z]{5}/));
+
+    // The bare slug still finds the entry it found before
+    expect(legacyCatalogId('playa_grande')).toBe(playaGrande[0].id);
+    expect(findCatalogSpot('playa_grande')).toBe(playaGrande[0]);
+    expect(legacyCatalogId('supertubos')).toBeNull();
+  });
+
+  test('a same-name spot within the merge distance is merged', () => {
+    spots.getOrCreateSpot('home_break_eyck4', { lat: 38.7, lon: -9.4, name: 'Home Break' });
+
+    expect(spotAliases.resolveSpotId({ name: 'home-break', lat: 38.71, lon: -9.4 }))
+      .toEqual({ spotId: 'home_break_eyck4', merged: true });
+    expect(spotAliases.resolveSpotId({ name: 'Home Break', lat: 38.8, lon: -9.4 }).merged).toBe(false);
+    expect(spotAliases.resolveSpotId({ name: 'Other Break', lat: 38.7, lon: -9.4 }).merged).toBe(false);
+    expect(spotAliases.resolveSpotId({ name: '---', lat: 38.7, lon: -9.4 })).toBeNull();
+
+    process.env.SPOT_MERGE_DISTANCE_KM = '0.5';
+    expect(spotAliases.resolveSpotId({ name: 'Home Break', lat: 38.71, lon: -9.4 }).merged).toBe(false);
+    process.env.SPOT_MERGE_DISTANCE_KM = '20';
+    expect(spotAliases.resolveSpotId({ name: 'Home Break', lat: 38.8, lon: -9.4 }).spotId).toBe('home_break_eyck4');
+  });
+
+  test('a new spot in a cell whose ID is taken gets a numbered ID', () => {
+    process.env.SPOT_MERGE_DISTANCE_KM = '0';
+    const { stableSpotId } = require('../src/utils/spotIds');
+    const base = stableSpotId('Home Break', 38.7, -9.4);
+    spots.getOrCreateSpot(base, { lat: 38.7, lon: -9.4, name: 'Home Break' });
+
+    expect(spotAliases.resolveSpotId({ name: 'Home Break', lat: 38.7001, lon: -9.4 }))
+      .toEqual({ spotId: `${base}_2`, merged: false });
+  });
+
+  test('aliases resolve to their spot without shadowing loaded or catalog IDs', () => {
+    spots.getOrCreateSpot('home_break_eyck4', { lat: 38.7, lon: -9.4, name: 'Home Break' });
+
+    expect(spotAliases.addSpotAlias('home_break', 'home_break_eyck4', 'name')).toBe(true);
+    expect(spotAliases.addSpotAlias('home_break', 'elsewhere', 'name')).toBe(false);
+    expect(spotAliases.addSpotAlias('home_break_eyck4', 'elsewhere', 'merged')).toBe(false);
+    expect(spotAliases.addSpotAlias('supertubos', 'elsewhere', 'name')).toBe(false);
+    expect(spotAliases.resolveSpotAlias('home_break')).toBe('home_break_eyck4');
+    expect(spotAliases.resolveSpotAlias('home_break_eyck4')).toBeNull();
+
+    // A loaded spot keeps a bare slug the catalog lists more than once
+    const { legacyCatalogId } = require('../src/config/spotCatalog');
+    expect(spotAliases.resolveSpotAlias('playa_grande')).toBe(legacyCatalogId('playa_grande'));
+    spots.getOrCreateSpot('playa_grande', { lat: 10, lon: -85, name: 'Playa Grande' });
+    expect(spotAliases.resolveSpotAlias('playa_grande')).toBeNull();
+  });
+
+  test('a bare slug the catalog lists more than once registers the spot under its own ID', () => {
+    const { legacyCatalogId } = require('../src/config/spotCatalog');
+    const canonical = legacyCatalogId('playa_grande');
+
+    expect(spots.isValidSpot('playa_grande')).toBe(true);
+    expect(spots.getSpotById('playa_grande')).toBeUndefined();
+    expect(spots.getSpotById(canonical)).toMatchObject({ id: canonical, name: 'Playa Grande' });
+    expect(spotAliases.canonicalSpotId('playa_grande')).toBe(canonical);
+    expect(spotAliases.canonicalSpotId('supertubos')).toBe('supertubos');
+  });
+
+  test('moves rows stored under an aliased ID to the spot it stands for', () => {
+    const pushSubscriptions = require('../src/services/pushSubscriptions');
+    const emailSubscriptions = require('../src/services/emailSubscriptions');
+    const { addSession, listSessions } = require('../src/services/sessions');
+    const { addFeedback, getFeedback } = require('../src/services/spotFeedback');
+    const { proposeEdit, listEdits } = require('../src/services/spotEdits');
+    const { legacyCatalogId } = require('../src/config/spotCatalog');
+    const canonical = legacyCatalogId('playa_grande');
+
+    pushSubscriptions.upsertSubscription({ endpoint: 'https://push.example/a', keys: {} }, 'playa_grande', 65);
+    emailSubscriptions.upsertPending('a@example.com', 'playa_grande', 65);
+    emailSubscriptions.upsertPending('b@example.com', 'playa_grande', 50);
+    emailSubscriptions.upsertPending('b@example.com', canonical, 85);
+    const session = { startedAt: '2026-07-01T08:00:00.000Z', endedAt: '2026-07-01T10:00:00.000Z', rating: 4, notes: null };
+    addSession('device-aaaa-0000-0001', 'playa_grande', session, null);
+    addFeedback('playa_grande', { text: 'Best on a rising tide', multipliers: { tide: 1.5 } });
+    proposeEdit('playa_grande', { changes: { breakType: 'beach' }, previous: {}, reason: null });
+    const [emailA] = emailSubscriptions.getByEmail('a@example.com');
+
+    expect(spotAliases.migrateAliasedSpotIds()).toBe(5);
+
+    const [push] = pushSubscriptions.getSubscriptionsByEndpoint('https://push.example/a');
+    expect(push.spotId).toBe(canonical);
+    // Subscribing again under the new ID updates the moved subscription
+    expect(pushSubscriptions.upsertSubscription({ endpoint: 'https://push.example/a', keys: {} }, canonical, 75))
+      .toEqual({ id: push.id, count: 1 });
+    expect(emailSubscriptions.getByEmail('a@example.com')).toEqual([expect.objectContaining({ id: emailA.id, spotId: canonical })]);
+    expect(emailSubscriptions.getByEmail('b@example.com')).toEqual([expect.objectContaining({ spotId: canonical, threshold: 85 })]);
+    expect(listSessions('device-aaaa-0000-0001')[0].spotId).toBe(canonical);
+    expect(getFeedback(canonical)).toHaveLength(1);
+    expect(listEdits({ spotId: canonical })).toHaveLength(1);
+    expect(spotAliases.migrateAliasedSpotIds()).toBe(0);
+  });
+
+  test('leaves rows under a loaded spot\'s own ID in place', () => {
+    const { addFeedback, getFeedback } = require('../src/services/spotFeedback');
+    spots.getOrCreateSpot('playa_grande', { lat: 10, lon: -85, name: 'Playa Grande' });
+    addFeedback('playa_grande', { text: 'Best on a rising tide', multipliers: { tide: 1.5 } });
+
+    expect(spotAliases.migrateAliasedSpotIds()).toBe(0);
+    expect(getFeedback('playa_grande')).toHaveLength(1);
+  });
+});
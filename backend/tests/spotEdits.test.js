@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('spot edits', () => {
+  let tempDir;
+  let spotEdits;
+  let spots;
+
+  beforeEach(() => {
+    jest.resetModules();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'surf-report-spot-edits-'));
+    jest.doMock('../src/utils/dataPath', () => ({
+      resolve: jest.fn((name) => path.join(tempDir, name)),
+    }));
+    jest.doMock('../src/scrapers/registry', () => ({ registerSpot: jest.fn() }));
+
+    spots = require('../src/config/spots');
+    spotEdits = require('../src/services/spotEdits');
+    spots.getOrCreateSpot('ericeira', { lat: 38.96, lon: -9.5, name: 'Ericeira', country: 'Portugal' });
+  });
+
+  afterEach(() => {
+    require('../src/utils/sqlite').closeAll();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  function propose(changes) {
+    const { proposal, error } = spotEdits.validateProposal(spots.getSpotById('ericeira'), { changes });
+    if (error) throw new Error(error);
+    return spotEdits.proposeEdit('ericeira', proposal);
+  }
+
+  test('normalizes proposed values and keeps the ones they replace', () => {
+    const { proposal } = spotEdits.validateProposal(spots.getSpotById('ericeira'), {
+      changes: { shoreNormal: 'WNW', waveDirection: ['sw', 'NW', 'W'], location: { lat: '38.97', lon: -9.42 } },
+      reason: '  Pin was\u0000offshore  ',
+    });
+
+    expect(proposal.changes).toEqual({
+      shoreNormal: 293,
+      waveDirection: ['SW', 'W', 'NW'],
+      location: { lat: 38.97, lon: -9.42 },
+    });
+    expect(proposal.previous).toEqual({
+      shoreNormal: null,
+      waveDirection: ['W', 'NW', 'SW'],
+      location: { lat: 38.96, lon: -9.5 },
+    });
+    expect(proposal.reason).toBe('Pin was offshore');
+  });
+
+  test('accepted edits fold in review order and apply to the scoring config', () => {
+    const first = propose({ windDirection: ['E'], breakType: 'point' });
+    const second = propose({ windDirection: ['E', 'SE'], name: 'Ericeira (Ribeira)' });
+    const rejected = propose({ location: { lat: 0, lon: 0 } });
+
+    spotEdits.reviewEdit(first.id, 'accept');
+    spotEdits.reviewEdit(second.id, 'accept');
+    spotEdits.reviewEdit(rejected.id, 'reject', 'Middle of the ocean');
+
+    expect(spotEdits.getOverrides().get('ericeira')).toEqual({
+      windDirection: ['E', 'SE'],
+      breakType: 'point',
+      name: 'Ericeira (Ribeira)',
+    });
+
+    const spot = spotEdits.applyAcceptedEdits('ericeira');
+    expect(spot.optimal.windDirection).toEqual(['E', 'SE']);
+    expect(spot.optimal.waveHeight).toBeDefined();
+    expect(spot.breakType).toBe('point');
+    expect(spot.name).toBe('Ericeira (Ribeira)');
+    expect(spot.location).toEqual({ lat: 38.96, lon: -9.5 });
+    expect(spot.communityEdits).toEqual(['windDirection', 'breakType', 'name']);
+
+    // Other spots keep the default block
+    const other = spots.getOrCreateSpot('nowhere', { lat: 10, lon: 10, name: 'Nowhere' });
+    expect(other.optimal.windDirection).toEqual(['E', 'NE', 'SE']);
+  });
+
+  test('a reviewed edit cannot be reviewed again', () => {
+    const edit = propose({ breakType: 'reef' });
+
+    expect(spotEdits.reviewEdit(edit.id, 'reject').edit.status).toBe('rejected');
+    expect(spotEdits.reviewEdit(edit.id, 'accept')).toEqual({ error: `Edit ${edit.id} was already rejected`, status: 409 });
+    expect(spotEdits.reviewEdit(edit.id + 1, 'accept').status).toBe(404);
+    expect(spotEdits.countPending('ericeira')).toBe(0);
+  });
+
+  test('applies every accepted edit after a restart', () => {
+    spotEdits.reviewEdit(propose({ location: { lat: 38.97, lon: -9.42 } }).id, 'accept');
+
+    require('../src/utils/sqlite').closeAll();
+    jest.resetModules();
+    jest.doMock('../src/utils/dataPath', () => ({
+      resolve: jest.fn((name) => path.join(tempDir, name)),
+    }));
+    jest.doMock('../src/scrapers/registry', () => ({ registerSpot: jest.fn() }));
+    const freshSpots = require('../src/config/spots');
+    freshSpots.getOrCreateSpot('ericeira', { lat: 38.96, lon: -9.5, name: 'Ericeira' });
+
+    expect(require('../src/services/spotEdits').applyAllAcceptedEdits()).toBe(1);
+    expect(freshSpots.getSpotById('ericeira').location).toEqual({ lat: 38.97, lon: -9.42 });
+    expect(freshSpots.getSpotById('ericeira').timezone).toBe('Europe/Lisbon');
+  });
+
+  test('picks up edits accepted on another instance', async () => {
+    spotEdits.applyAllAcceptedEdits();
+    // Reviewed elsewhere: stored as accepted, not yet applied here
+    spotEdits.reviewEdit(propose({ name: 'Ribeira d\'Ilhas' }).id, 'accept');
+    expect(spots.getSpotById('ericeira').name).toBe('Ericeira');
+
+    expect(await spotEdits.syncAcceptedEdits()).toEqual(['ericeira']);
+    expect(spots.getSpotById('ericeira').name).toBe('Ribeira d\'Ilhas');
+    expect(await spotEdits.syncAcceptedEdits()).toEqual([]);
+
+    // Edits this instance accepted and applied are not applied twice
+    spotEdits.reviewEdit(propose({ shoreNormal: 280 }).id, 'accept');
+    spotEdits.applyAcceptedEdits('ericeira');
+    expect(await spotEdits.syncAcceptedEdits()).toEqual([]);
+  });
+});
@@ -0,0 +1,86 @@
+const mockLiveSpots = [
+  { id: 'peniche_supertubos', name: 'Peniche Supertubos', country: 'Portugal', location: { lat: 39.3474, lon: -9.3675 } },
+  { id: 'nazare', name: 'Nazare', country: 'Portugal', location: { lat: 39.6024, lon: -9.0712 } }
+];
+
+jest.mock('../src/config/spots', () => ({
+  getAllSpots: jest.fn(() => mockLiveSpots)
+}));
+
+const { geohashEncode, geohashCover } = require('../src/utils/geo');
+const { searchSpots, spotsNear, nearestSpots, spotsInBounds, refreshLiveSpots } = require('../src/services/spotIndex');
+
+describe('geohash helpers', () => {
+  test('encodes points to the standard geohash', () => {
+    expect(geohashEncode(57.64911, 10.40744, 11)).toBe('u4pruydqqvj');
+    expect(geohashEncode(-33.8688, 151.2093, 5)).toBe('r3gx2');
+  });
+
+  test('covers a bounding box with the cells it touches', () => {
+    expect(geohashCover({ south: -90, west: -180, north: 90, east: 180 }, 1)).toHaveLength(32);
+    const cells = geohashCover({ south: 39.3, west: -9.4, north: 39.4, east: -9.3 }, 4);
+    expect(cells).toContain(geohashEncode(39.3474, -9.3675, 4));
+  });
+});
+
+describe('spot index', () => {
+  test('finds spots by name, accent-insensitively, live spots first', () => {
+    const [first] = searchSpots('nazaré');
+    expect(first.id).toBe('nazare');
+    expect(searchSpots('nazare').map(s => s.name)).toContain('Nazaré');
+  });
+
+  test('matches aliases, typos and region or country words', () => {
+    expect(searchSpots('supertubos').map(s => s.id)).toContain('peniche_supertubos');
+    expect(searchSpots('uluwats')[0].name).toBe('Uluwatu');
+    expect(searchSpots('supertubes australia').every(s => s.country === 'Australia')).toBe(true);
+    expect(searchSpots('zzzzzz')).toEqual([]);
+  });
+
+  test('returns spots within a radius, nearest first', () => {
+    const spots = spotsNear(39.35, -9.37, { radiusKm: 10, limit: 50 });
+
+    expect(spots.length).toBeGreaterThan(1);
+    expect(spots.every(s => s.distanceKm <= 10)).toBe(true);
+    expect(spots.map(s => s.distanceKm)).toEqual([...spots.map(s => s.distanceKm)].sort((a, b) => a - b));
+    expect(spots.map(s => s.id)).toContain('peniche_supertubos');
+  });
+
+  test('hides catalog entries for the same break as a live spot', () => {
+    mockLiveSpots.push({ id: 'pipeline', name: 'Pipeline', country: 'United States', location: { lat: 21.6645, lon: -158.0535 } });
+    refreshLiveSpots();
+    try {
+      const ids = spotsNear(21.665, -158.053, { radiusKm: 2, limit: 50 }).map(s => s.id);
+      expect(ids).toContain('pipeline');
+      expect(ids.filter(id => id.startsWith('pipeline'))).toEqual(['pipeline']);
+    } finally {
+      mockLiveSpots.pop();
+      refreshLiveSpots();
+    }
+  });
+
+  test('widens the search for the nearest live spots', () => {
+    const [nearest] = nearestSpots(38.7, -9.4, { limit: 1, curatedOnly: true });
+    expect(nearest).toMatchObject({ id: 'peniche_supertubos' });
+    // From the other side of the world, the only live spots are still found
+    expect(nearestSpots(-33.9, 151.3, { limit: 2, curatedOnly: true })).toHaveLength(2);
+  });
+
+  test('returns the spots in a small viewport and clusters a large one', () => {
+    const local = spotsInBounds({ south: 39.2, west: -9.5, north: 39.7, east: -9.0 });
+    expect(local.clusters).toEqual([]);
+    expect(local.spots.length).toBe(local.total);
+    expect(local.spots.every(s => s.lat >= 39.2 && s.lat <= 39.7 && s.lon >= -9.5 && s.lon <= -9.0)).toBe(true);
+
+    const world = spotsInBounds({ south: -90, west: -180, north: 90, east: 180 }, { limit: 100 });
+    expect(world.spots).toEqual([]);
+    expect(world.total).toBeGreaterThan(9000);
+    expect(world.clusters.reduce((sum, c) => sum + c.count, 0)).toBe(world.total);
+  });
+
+  test('handles a viewport across the antimeridian', () => {
+    const { spots } = spotsInBounds({ south: -20, west: 177, north: -16, east: -179 });
+    expect(spots.length).toBeGreaterThan(0);
+    expect(spots.every(s => s.lon >= 177 || s.lon <= -179)).toBe(true);
+  });
+});
@@ -155,6 +155,7 @@ Uluwatu is the most famous wave of Bali.
     expect(parsed.normalizedFields.waveShapeText).toBe('Left');
     expect(parsed.normalizedFields.bottomTypeText).toMatch(/Reef/);
     expect(parsed.normalizedFields.bestTideText).toBe('All tides');
+    expect(parsed.normalizedFields.swellSizeText).toMatch(/holds up to 4m/);
     expect(parsed.normalizedFields.hazardsText).toMatch(/Shallow reef/i);
   });
 });
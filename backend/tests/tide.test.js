@@ -0,0 +1,175 @@
+const spots = {
+  peniche: {
+    id: 'peniche',
+    name: 'Supertubos',
+    location: { lat: 39.3474, lon: -9.3675 },
+    timezone: 'Europe/Lisbon',
+    optimal: {
+      waveHeight: { min: 0.8, ideal: 1.5, max: 2.5 },
+      wavePeriod: { min: 8, ideal: 12, max: 16 },
+      windDirection: ['E', 'NE', 'SE'],
+      waveDirection: ['W', 'NW', 'SW'],
+      tide: ['low', 'mid']
+    }
+  },
+  open_ocean: {
+    id: 'open_ocean',
+    name: 'Middle of Nowhere',
+    location: { lat: 0, lon: -30 },
+    timezone: 'UTC',
+    optimal: {
+      waveHeight: { min: 0.8, ideal: 1.5, max: 2.5 },
+      wavePeriod: { min: 8, ideal: 12, max: 16 },
+      windDirection: ['E', 'NE', 'SE'],
+      waveDirection: ['W', 'NW', 'SW']
+    }
+  }
+};
+
+jest.mock('../src/config/spots', () => ({
+  getSpotById: jest.fn((id) => spots[id] || null),
+  getSpotTimezone: jest.fn((id) => spots[id]?.timezone || 'UTC')
+}));
+
+jest.mock('../src/sourcing/spotMetadata', () => ({
+  getSpotMetadata: jest.fn(() => null)
+}));
+
+const {
+  findNearestStation,
+  findExtremes,
+  getTideForSpot,
+  addTideToTimeline,
+  parseTidePreference,
+  scoreTide
+} = require('../src/services/tide');
+const { calculateSurfScore } = require('../src/services/scoring');
+
+const conditions = {
+  waves: { height: { avg: 1.5 }, period: 12, direction: 'W', swell: { height: 1.3, period: 12, direction: 'W' } },
+  wind: { speed: 6, direction: 'E', gusts: 8 },
+  weather: {}
+};
+
+describe('tide prediction', () => {
+  test('matches spots to the nearest station within range', () => {
+    expect(findNearestStation(39.35, -9.37).station.id).toBe('peniche');
+    expect(findNearestStation(0, -30)).toBeNull();
+  });
+
+  test('finds alternating highs and lows twice a day on a semidiurnal coast', () => {
+    const { station } = findNearestStation(39.35, -9.37);
+    const start = Date.UTC(2026, 6, 1);
+    const extremes = findExtremes(station, start, start + 86400000);
+
+    expect(extremes.length).toBeGreaterThanOrEqual(3);
+    expect(extremes.length).toBeLessThanOrEqual(5);
+    for (let i = 1; i < extremes.length; i++) {
+      expect(extremes[i].type).not.toBe(extremes[i - 1].type);
+      const gapHours = (extremes[i].time - extremes[i - 1].time) / 3600000;
+      expect(gapHours).toBeGreaterThan(5);
+      expect(gapHours).toBeLessThan(7.5);
+    }
+  });
+
+  // Highs and lows for 1 July 2026 (UTC) predicted from each gauge's full
+  // published harmonic set (37 NOAA constituents for Monterey, 50 TICON-4 for
+  // Peniche); the table keeps eight, which shifts times by a few minutes
+  test.each([
+    ['monterey', 36.61, -121.89, [
+      ['2026-07-01T06:00Z', 'high', 0.89],
+      ['2026-07-01T13:42Z', 'low', -1.07],
+      ['2026-07-01T20:48Z', 'high', 0.25]
+    ]],
+    ['peniche', 39.35, -9.38, [
+      ['2026-07-01T03:28Z', 'high', 0.88],
+      ['2026-07-01T09:22Z', 'low', -1.02],
+      ['2026-07-01T15:41Z', 'high', 1.20],
+      ['2026-07-01T21:56Z', 'low', -1.15]
+    ]]
+  ])('matches full-harmonic high and low times at %s', (id, lat, lon, expected) => {
+    const { station } = findNearestStation(lat, lon);
+    const start = Date.UTC(2026, 6, 1);
+    const extremes = findExtremes(station, start, start + 86400000);
+
+    expect(station.id).toBe(id);
+    expect(extremes).toHaveLength(expected.length);
+    extremes.forEach((extreme, i) => {
+      const [time, type, height] = expected[i];
+      expect(extreme.type).toBe(type);
+      expect(Math.abs(extreme.time - Date.parse(time)) / 60000).toBeLessThan(15);
+      expect(Math.abs(extreme.height - height)).toBeLessThan(0.1);
+    });
+  });
+
+  test('builds a tide block with spot-local next high and low', () => {
+    const tide = getTideForSpot('peniche', new Date('2026-07-01T12:00:00Z'));
+
+    expect(tide.station.id).toBe('peniche');
+    expect(['rising', 'falling']).toContain(tide.state);
+    expect(['low', 'mid', 'high']).toContain(tide.stage);
+    expect(tide.nextHigh.time).toMatch(/^2026-07-0[12]T\d{2}:\d{2}$/);
+    expect(tide.nextHigh.height).toBeGreaterThan(tide.nextLow.height);
+    expect(getTideForSpot('open_ocean')).toBeNull();
+  });
+
+  test('annotates each hourly entry with the predicted tide', () => {
+    const timeline = Array.from({ length: 13 }, (_, h) => ({ time: `2026-07-01T${String(h + 6).padStart(2, '0')}:00` }));
+    addTideToTimeline(timeline, 'peniche');
+
+    const stages = new Set(timeline.map(entry => entry.tide.stage));
+    expect(stages.has('low')).toBe(true);
+    expect(stages.has('high')).toBe(true);
+    expect(timeline.every(entry => typeof entry.tide.height === 'number')).toBe(true);
+  });
+});
+
+describe('tide preference', () => {
+  test('parses sourced best-tide text', () => {
+    expect(parseTidePreference('All tides')).toBeNull();
+    expect(parseTidePreference("Don't know")).toBeNull();
+    expect(parseTidePreference('Low tide, Mid tide')).toEqual({ stages: ['low', 'mid'], state: null });
+    expect(parseTidePreference('Mid tide rising')).toEqual({ stages: ['mid'], state: 'rising' });
+    expect(parseTidePreference('Incoming tide')).toEqual({ stages: ['low', 'mid', 'high'], state: 'rising' });
+  });
+
+  test('scores the current stage against the preference', () => {
+    const preference = { stages: ['low'], state: 'rising' };
+    expect(scoreTide({ stage: 'low', state: 'rising' }, preference)).toBe(100);
+    expect(scoreTide({ stage: 'mid', state: 'rising' }, preference)).toBe(60);
+    expect(scoreTide({ stage: 'high', state: 'falling' }, preference)).toBe(0);
+    expect(scoreTide(null, preference)).toBeNull();
+    expect(scoreTide({ stage: 'low', state: 'rising' }, null)).toBeNull();
+  });
+});
+
+describe('tide-aware scoring', () => {
+  test('adds a tide factor when the spot has a preference', () => {
+    const onTide = calculateSurfScore({ ...conditions, tide: { stage: 'low', state: 'rising' } }, 'peniche', 5);
+    const offTide = calculateSurfScore({ ...conditions, tide: { stage: 'high', state: 'falling' } }, 'peniche', 5);
+
+    expect(onTide.breakdown.tide).toBe(100);
+    expect(offTide.breakdown.tide).toBe(60);
+    expect(onTide.overall).toBeGreaterThan(offTide.overall);
+  });
+
+  test('renormalizes the other factors when tide cannot be scored', () => {
+    const score = calculateSurfScore({ ...conditions, tide: null }, 'open_ocean', 5);
+
+    expect(score.breakdown.tide).toBeNull();
+    // Every other factor is near perfect, so dropping tide must not drag the score down
+    expect(score.overall).toBeGreaterThanOrEqual(85);
+  });
+
+  test('keeps the other factors in their original proportions', () => {
+    const { WEIGHTS } = require('../src/services/scoring');
+    const { tide, ...others } = WEIGHTS;
+    const total = Object.values(others).reduce((sum, w) => sum + w, 0);
+
+    expect(total + tide).toBeCloseTo(1, 10);
+    // Without tide: 30% period, 15% each for height, swell, wind speed and direction, 5% the rest
+    expect(others.wavePeriod / total).toBeCloseTo(0.3, 10);
+    expect(others.waveHeight / total).toBeCloseTo(0.15, 10);
+    expect(others.dataConfidence / total).toBeCloseTo(0.05, 10);
+  });
+});
@@ -0,0 +1,91 @@
+const { getTimezoneForCoords, getLocalParts, toLocalTimeKey, addDays } = require('../src/utils/timezone');
+
+jest.mock('../src/config/spots', () => {
+  const spot = {
+    id: 'huntington',
+    name: 'Huntington Beach',
+    country: 'United States',
+    location: { lat: 33.655, lon: -118.003 },
+    timezone: 'America/Los_Angeles',
+    optimal: {
+      waveHeight: { min: 0.8, ideal: 1.5, max: 2.5 },
+      wavePeriod: { min: 8, ideal: 12, max: 16 },
+      windDirection: ['N', 'NE', 'E'],
+      waveDirection: ['S', 'SW', 'W']
+    }
+  };
+  return {
+    getSpotById: jest.fn((id) => (id === spot.id ? spot : null)),
+    getSpotTimezone: jest.fn(() => spot.timezone)
+  };
+});
+
+function hourlyEntry(time) {
+  return {
+    time,
+    waves: { height: { avg: 1.4 }, period: 12, direction: 'SW', swell: { height: 1.4, period: 12, direction: 'SW' } },
+    wind: { speed: 6, direction: 'NE', gusts: 8 }
+  };
+}
+
+describe('timezone utils', () => {
+  test('derives IANA zones from coordinates', () => {
+    expect(getTimezoneForCoords(32.06, 34.75)).toBe('Asia/Jerusalem');
+    expect(getTimezoneForCoords(38.7, -9.42)).toBe('Europe/Lisbon');
+    expect(getTimezoneForCoords(-8.72, 115.17)).toBe('Asia/Makassar');
+  });
+
+  test('converts instants to spot-local hour keys', () => {
+    expect(toLocalTimeKey('2026-07-01T16:00:00Z', 'America/Los_Angeles')).toBe('2026-07-01T09:00');
+    expect(toLocalTimeKey('2026-07-01T23:30:00Z', 'Asia/Makassar')).toBe('2026-07-02T07:30');
+    expect(getLocalParts('2026-01-15T05:00:00Z', 'Europe/Lisbon')).toEqual({ date: '2026-01-15', hour: 5, minute: 0 });
+  });
+
+  test('adds calendar days across month boundaries', () => {
+    expect(addDays('2026-02-28', 1)).toBe('2026-03-01');
+    expect(addDays('2026-12-31', 2)).toBe('2027-01-02');
+  });
+});
+
+describe('generateTrend', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('builds blocks from the spot-local clock, not the server clock', () => {
+    // 17:00 UTC = 10:00 in Los Angeles (PDT): the morning block is still open
+    jest.useFakeTimers({ now: new Date('2026-07-01T17:00:00Z') });
+    const { generateTrend } = require('../src/services/trend');
+
+    const timeline = [];
+    for (const day of ['2026-07-01', '2026-07-02']) {
+      for (let hour = 6; hour < 21; hour++) {
+        timeline.push(hourlyEntry(`${day}T${String(hour).padStart(2, '0')}:00`));
+      }
+    }
+
+    const trend = generateTrend(timeline, 'huntington', 70);
+    const labels = trend.blocks.map(b => b.label);
+
+    expect(trend.timezone).toBe('America/Los_Angeles');
+    expect(labels[0]).toBe('6–11am');
+    expect(labels).toContain('Tmw 6–9pm');
+    expect(labels).toHaveLength(8);
+  });
+
+  test('skips blocks that already ended in spot-local time', () => {
+    // 04:00 UTC on Jul 2 = 21:00 on Jul 1 in Los Angeles: only tomorrow's blocks remain
+    jest.useFakeTimers({ now: new Date('2026-07-02T04:00:00Z') });
+    const { generateTrend } = require('../src/services/trend');
+
+    const timeline = [];
+    for (const day of ['2026-07-01', '2026-07-02']) {
+      for (let hour = 6; hour < 21; hour++) {
+        timeline.push(hourlyEntry(`${day}T${String(hour).padStart(2, '0')}:00`));
+      }
+    }
+
+    const trend = generateTrend(timeline, 'huntington', 70);
+    expect(trend.blocks.map(b => b.label)).toEqual(['Tmw 6–11am', 'Tmw 11am–2pm', 'Tmw 2–6pm', 'Tmw 6–9pm']);
+  });
+});
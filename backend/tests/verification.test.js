@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+describe('forecast verification', () => {
+  let tempDir;
+  let history;
+  let verification;
+
+  const score = { overall: 70, rating: 'GOOD', breakdown: {} };
+
+  function observed(timestamp, { waveHeight, wavePeriod, windSpeed }) {
+    history.recordConditions('huntington', {
+      conditions: { waves: { height: { avg: waveHeight }, period: wavePeriod }, wind: { speed: windSpeed } },
+      score,
+      sources: [],
+      timestamp
+    });
+  }
+
+  beforeEach(() => {
+    jest.resetModules();
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'surf-report-verification-'));
+    jest.doMock('../src/utils/dataPath', () => ({
+      resolve: jest.fn((name) => path.join(tempDir, name))
+    }));
+    jest.doMock('../src/config/spots', () => ({
+      getSpotTimezone: jest.fn(() => 'America/Los_Angeles')
+    }));
+    history = require('../src/services/history');
+    verification = require('../src/services/verification');
+  });
+
+  afterEach(() => {
+    require('../src/utils/sqlite').closeAll();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('stores upcoming hourly forecasts per source and model cycle', () => {
+    const sources = [{
+      source: 'open-meteo',
+      data: {
+        hourly: [
+          // 05:00 local = 12:00 UTC, the issue time itself (lead 0, skipped)
+          { time: '2026-07-01T05:00', waves: { height: { avg: 1.0 }, period: 10 } },
+          { time: '2026-07-01T08:00', waves: { height: { avg: 1.2 }, period: 11 } },
+          { time: '2026-07-04T08:00', waves: { height: { avg: 2.0 }, period: 14 } }
+        ]
+      }
+    }];
+
+    history.recordConditions('huntington', { conditions: {}, score, sources, timestamp: '2026-07-01T12:00:00.000Z' });
+    // Same 6-hour cycle: ignored
+    history.recordConditions('huntington', { conditions: {}, score, sources, timestamp: '2026-07-01T12:10:00.000Z' });
+
+    const rows = history.getHistoryDb().prepare('SELECT * FROM source_forecasts').all();
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({
+      source: 'open-meteo',
+      target_at: '2026-07-01T15:00:00.000Z',
+      lead_hours: 3,
+      wave_height: 1.2,
+      wind_speed: null
+    });
+  });
+
+  test('pairs past forecasts with the nearest observation and accumulates MAE and bias', () => {
+    history.recordConditions('huntington', {
+      conditions: {},
+      score,
+      sources: [
+        { source: 'open-meteo', data: { hourly: [
+          { time: '2026-07-01T08:00', waves: { height: { avg: 1.5 }, period: 12 } },
+          { time: '2026-07-01T09:00', waves: { height: { avg: 1.0 }, period: 10 } },
+          { time: '2026-07-01T10:00', waves: { height: { avg: 1.0 }, period: 10 } }
+        ] } },
+        { source: 'windfinder', data: { hourly: [
+          { time: '2026-07-01T08:00', wind: { speed: 20 } },
+          { time: '2026-07-01T09:00', wind: { speed: 10 } }
+        ] } }
+      ],
+      timestamp: '2026-07-01T12:00:00.000Z'
+    });
+
+    observed('2026-07-01T15:10:00.000Z', { waveHeight: 1.0, wavePeriod: 10, windSpeed: 15 });
+    observed('2026-07-01T16:05:00.000Z', { waveHeight: 1.5, wavePeriod: 10, windSpeed: 15 });
+    // Nothing recorded near 17:00 UTC, so the 10:00 local forecast can't be verified
+
+    const result = verification.runVerification(new Date('2026-07-01T18:00:00Z'));
+    expect(result).toEqual({ verified: 4, expired: 1 });
+    expect(history.getHistoryDb().prepare('SELECT COUNT(*) AS n FROM source_forecasts').get().n).toBe(0);
+
+    jest.useFakeTimers({ now: new Date('2026-07-02T00:00:00Z') });
+    const { sources, spots } = verification.getSourceAccuracy({ days: 7 });
+    jest.useRealTimers();
+
+    const openMeteo = sources.find(s => s.name === 'open-meteo');
+    // Errors: +0.5 then -0.5
+    expect(openMeteo.metrics.waveHeight).toEqual({ samples: 2, mae: 0.5, bias: 0 });
+    expect(openMeteo.metrics.wavePeriod).toEqual({ samples: 2, mae: 1, bias: 1 });
+    expect(openMeteo.metrics.windSpeed).toBeNull();
+
+    const windfinder = sources.find(s => s.name === 'windfinder');
+    expect(windfinder.metrics.windSpeed).toEqual({ samples: 2, mae: 5, bias: 0 });
+
+    expect(spots).toHaveLength(1);
+    expect(spots[0].spotId).toBe('huntington');
+  });
+
+  test('checks each source against the other sources\' readings, not its own', () => {
+    history.recordConditions('huntington', {
+      conditions: {},
+      score,
+      sources: [
+        { source: 'open-meteo', data: { hourly: [{ time: '2026-07-01T08:00', waves: { height: { avg: 1.5 } }, wind: { speed: 12 } }] } },
+        { source: 'surfline', data: { hourly: [{ time: '2026-07-01T08:00', waves: { height: { avg: 1.2 } } }] } }
+      ],
+      timestamp: '2026-07-01T12:00:00.000Z'
+    });
+    // The nowcast averages both sources; open-meteo alone reported wind
+    history.recordConditions('huntington', {
+      conditions: { waves: { height: { avg: 1.25 } }, wind: { speed: 12 } },
+      score,
+      sources: [
+        { source: 'open-meteo', data: { waves: { height: { avg: 1.5 } }, wind: { speed: 12 } } },
+        { source: 'surfline', data: { waves: { height: { avg: 1.0 } } } }
+      ],
+      timestamp: '2026-07-01T15:05:00.000Z'
+    });
+
+    expect(verification.runVerification(new Date('2026-07-01T18:00:00Z'))).toEqual({ verified: 2, expired: 0 });
+
+    jest.useFakeTimers({ now: new Date('2026-07-02T00:00:00Z') });
+    const { sources } = verification.getSourceAccuracy({ days: 7 });
+    jest.useRealTimers();
+
+    const openMeteo = sources.find(s => s.name === 'open-meteo');
+    // Against surfline's 1.0, not a nowcast that includes open-meteo's own 1.5
+    expect(openMeteo.metrics.waveHeight).toEqual({ samples: 1, mae: 0.5, bias: 0.5 });
+    // No other source reported wind, so there is nothing independent to check against
+    expect(openMeteo.metrics.windSpeed).toBeNull();
+    expect(sources.find(s => s.name === 'surfline').metrics.waveHeight).toEqual({ samples: 1, mae: 0.3, bias: -0.3 });
+  });
+
+  test('leaves forecasts whose hour has not passed in the queue', () => {
+    history.recordConditions('huntington', {
+      conditions: {},
+      score,
+      sources: [{ source: 'open-meteo', data: { hourly: [{ time: '2026-07-01T20:00', waves: { height: { avg: 1 } } }] } }],
+      timestamp: '2026-07-01T12:00:00.000Z'
+    });
+
+    expect(verification.runVerification(new Date('2026-07-01T18:00:00Z'))).toEqual({ verified: 0, expired: 0 });
+    expect(history.getHistoryDb().prepare('SELECT COUNT(*) AS n FROM source_forecasts').get().n).toBe(1);
+  });
+});
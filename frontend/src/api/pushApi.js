@@ -12,12 +12,15 @@ export async function fetchVapidKey() {
 
 /**
  * Subscribe to push notifications for a spot.
+ * `rules` (optional) narrows the threshold: wave height range, minimum period,
+ * maximum wind, offshore-only, time-of-day window, weekdays and quiet hours.
  */
-export async function subscribePush(subscription, spotId, threshold) {
+export async function subscribePush(subscription, spotId, threshold, rules = null) {
   const response = await axios.post(`${API_BASE}/push/subscribe`, {
     subscription,
     spotId,
-    threshold
+    threshold,
+    ...(rules && { rules })
   });
   return response.data;
 }
@@ -33,6 +36,38 @@ export async function unsubscribePush(endpoint, spotId) {
   return response.data;
 }
 
+/**
+ * Turn on (or reschedule) the daily digest of all subscribed spots.
+ * `hour` is 0-23 in the browser's own timezone.
+ */
+export async function setPushDigest(endpoint, hour) {
+  const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const response = await axios.post(`${API_BASE}/push/digest`, { endpoint, hour, timezone });
+  return response.data;
+}
+
+/**
+ * Turn off the daily digest.
+ */
+export async function disablePushDigest(endpoint) {
+  const response = await axios.post(`${API_BASE}/push/digest/unsubscribe`, { endpoint });
+  return response.data;
+}
+
+/**
+ * Request email alerts for a spot (same threshold and rules as push).
+ * The backend emails a confirmation link; alerts start once it is clicked.
+ */
+export async function subscribeEmailAlerts(email, spotId, threshold, rules = null) {
+  const response = await axios.post(`${API_BASE}/email-alerts/subscribe`, {
+    email,
+    spotId,
+    threshold,
+    ...(rules && { rules })
+  });
+  return response.data;
+}
+
 /**
  * Convert a base64-encoded VAPID key to a Uint8Array for the Push API.
  */
@@ -10,6 +10,15 @@ export async function fetchSpots() {
   return response.data.spots;
 }
 
+/**
+ * Fetch a spot's details, including its sourced break metadata
+ * (null until the spot has been sourced)
+ */
+export async function fetchSpot(spotId) {
+  const response = await axios.get(`${API_BASE}/spots/${spotId}`);
+  return response.data.spot;
+}
+
 /**
  * Fetch conditions for a specific spot
  *
@@ -56,6 +65,36 @@ export async function createSpot({ name, lat, lon, country, region }) {
   return response.data;
 }
 
+/**
+ * Search the spot database by name, alias, region or country
+ *
+ * @param {string} query - At least two characters
+ * @param {number} limit - Maximum results (default 20)
+ */
+export async function searchSpots(query, limit = 20) {
+  const response = await axios.get(`${API_BASE}/spots/search`, { params: { q: query, limit } });
+  return response.data.spots;
+}
+
+/**
+ * Fetch spots within a radius of a point, nearest first
+ */
+export async function fetchSpotsNear(lat, lon, radiusKm = 50) {
+  const response = await axios.get(`${API_BASE}/spots/near`, { params: { lat, lon, radius: radiusKm } });
+  return response.data.spots;
+}
+
+/**
+ * Fetch the spots in a map viewport — individual spots, or server-side
+ * clusters ({ geohash, lat, lon, count }) when there are too many
+ *
+ * @param {{ south: number, west: number, north: number, east: number }} bounds
+ */
+export async function fetchSpotsInBounds(bounds, limit = 500) {
+  const response = await axios.get(`${API_BASE}/spots/bbox`, { params: { ...bounds, limit } });
+  return response.data;
+}
+
 /**
  * Submit surfer feedback for a spot
  */
@@ -87,3 +126,80 @@ export async function fetchHealth() {
   const response = await axios.get(`${API_BASE}/health`);
   return response.data;
 }
+
+/**
+ * Rank the surfer's own boards for today's conditions at a spot
+ *
+ * @param {string} spotId - Spot identifier
+ * @param {Array} boards - Quiver boards ({ id, type, name, lengthFt, volume })
+ * @param {Object} options - Optional params
+ * @param {number} options.weight - User weight in kg (adds a volume range)
+ * @param {string} options.skill - User skill level
+ */
+export async function fetchQuiverRecommendation(spotId, boards, options = {}) {
+  const body = { spotId, boards };
+  if (options.weight) body.weight = options.weight;
+  if (options.skill) body.skill = options.skill;
+  const response = await axios.post(`${API_BASE}/quiver/recommend`, body);
+  return response.data;
+}
+
+/**
+ * Fetch the quiver synced under an anonymous device ID
+ */
+export async function fetchQuiver(deviceId) {
+  const response = await axios.get(`${API_BASE}/quiver/${encodeURIComponent(deviceId)}`);
+  return response.data;
+}
+
+/**
+ * Save the quiver under an anonymous device ID
+ */
+export async function saveQuiver(deviceId, boards) {
+  const response = await axios.put(`${API_BASE}/quiver/${encodeURIComponent(deviceId)}`, { boards });
+  return response.data;
+}
+
+/**
+ * Stop syncing: delete the quiver stored for a device ID
+ */
+export async function deleteQuiver(deviceId) {
+  const response = await axios.delete(`${API_BASE}/quiver/${encodeURIComponent(deviceId)}`);
+  return response.data;
+}
+
+/**
+ * Log a surf session with the surfer's 1-5 rating
+ *
+ * @param {Object} session - { deviceId, spotId, startedAt, endedAt, rating, notes }
+ */
+export async function logSession(session) {
+  const response = await axios.post(`${API_BASE}/sessions`, session);
+  return response.data;
+}
+
+/**
+ * Fetch a device's logged sessions, newest first
+ */
+export async function fetchSessions(deviceId, spotId) {
+  const params = { deviceId };
+  if (spotId) params.spotId = spotId;
+  const response = await axios.get(`${API_BASE}/sessions`, { params });
+  return response.data;
+}
+
+/**
+ * Delete one of a device's logged sessions
+ */
+export async function deleteSession(deviceId, id) {
+  const response = await axios.delete(`${API_BASE}/sessions/${id}`, { params: { deviceId } });
+  return response.data;
+}
+
+/**
+ * Fetch a spot's calibration report (predicted score vs. session ratings)
+ */
+export async function fetchCalibration(spotId) {
+  const response = await axios.get(`${API_BASE}/sessions/calibration/${spotId}`);
+  return response.data;
+}
@@ -6,8 +6,11 @@ import useSSEProgress from '../hooks/useSSEProgress';
 import ScoreDisplay from './ScoreDisplay';
 import { getBoardSVG } from './BoardIllustrations';
 import SpotSelector from './SpotSelector';
+import SpotInfo from './SpotInfo';
 import SpotFeedback from './SpotFeedback';
+import SessionLog from './SessionLog';
 import NotificationBell from './NotificationBell';
+import QuiverEditor from './QuiverEditor';
 import ProgressScreen from './ProgressScreen';
 import SkeletonDashboard from './SkeletonDashboard';
 import BeachSketch from './BeachSketch';
@@ -390,7 +393,7 @@ function Dashboard() {
             <span className="top-bar-title">Should I Go?</span>
           </div>
           <div className="top-bar-actions">
-            <NotificationBell currentSpotId={selectedSpot} currentSpotName={currentSpotName} />
+            <NotificationBell currentSpotId={conditions?.spotId || selectedSpot} currentSpotName={currentSpotName} />
             <SpotSelector spots={spots} value={selectedSpot} onChange={handleSpotChange} nearbySpots={nearbySpots} />
           </div>
         </div>
@@ -445,7 +448,7 @@ function Dashboard() {
           <Suspense fallback={null}>
             <SpotMap
               onSelect={(spot) => {
-                const id = slugify(spot.name);
+                const id = spot.id || slugify(spot.name);
                 const existing = getRecentCustomSpots();
                 const updated = [
                   { id, name: spot.name, lat: spot.lat, lon: spot.lon, country: spot.country, region: spot.region },
@@ -513,6 +516,7 @@ function Dashboard() {
                   parts.push(w);
                 }
                 if (c.weather?.waterTemp != null) parts.push(`Water: ${Math.round(c.weather.waterTemp)}°C`);
+                if (c.tide?.state) parts.push(`Tide: ${c.tide.state}`);
                 const details = parts.filter(Boolean).join(' | ');
                 const customMeta = getCustomSpotMeta(selectedSpot);
                 const spotObj = spots?.find(s => s.id === selectedSpot);
@@ -540,7 +544,7 @@ function Dashboard() {
               </svg>
             </button>
           )}
-          <NotificationBell currentSpotId={selectedSpot} currentSpotName={currentSpotName} />
+          <NotificationBell currentSpotId={conditions?.spotId || selectedSpot} currentSpotName={currentSpotName} />
           <SpotSelector spots={spots} value={selectedSpot} onChange={handleSpotChange} nearbySpots={nearbySpots} />
         </div>
       </div>
@@ -604,6 +608,9 @@ function Dashboard() {
                   <BreakdownBar label="Surface Calm" value={conditions.score.breakdown.windSpeed} hint={getHint('windSpeed', conditions.score.breakdown.windSpeed)} />
                   <BreakdownBar label="Wind Direction" value={conditions.score.breakdown.windDirection} hint={getHint('windDirection', conditions.score.breakdown.windDirection)} />
                   <BreakdownBar label="Wave Direction" value={conditions.score.breakdown.waveDirection} hint={getHint('waveDirection', conditions.score.breakdown.waveDirection)} />
+                  {conditions.score.breakdown.tide != null && (
+                    <BreakdownBar label="Tide" value={conditions.score.breakdown.tide} hint={getHint('tide', conditions.score.breakdown.tide)} />
+                  )}
                 </div>
               ) : (
                 <div className="sk-breakdown-rows">
@@ -754,6 +761,11 @@ function Dashboard() {
                         </select>
                       </label>
                     </div>
+                    <QuiverEditor
+                      spotId={conditions.spotId || selectedSpot}
+                      weight={userWeight || undefined}
+                      skill={apiSkill || undefined}
+                    />
                   </div>
                 </>
               ) : (
@@ -781,12 +793,17 @@ function Dashboard() {
             />
           )}
 
+          {/* Break metadata: type, bottom, level, hazards */}
+          {conditions && (
+            <SpotInfo spotId={conditions.spotId || selectedSpot} />
+          )}
+
           {/* Surfer Feedback */}
           {conditions?.score.breakdown && (
             <SpotFeedback
               spotId={conditions.spotId || selectedSpot}
               breakdown={conditions.score.breakdown}
-              weights={conditions.weights}
+              weights={conditions.defaultWeights}
               originalScore={conditions.score.overall}
               adjustedScore={adjustedScore}
               onScoreAdjusted={(score, rating) => {
@@ -796,6 +813,11 @@ function Dashboard() {
             />
           )}
 
+          {/* Session log */}
+          {conditions && (
+            <SessionLog spotId={conditions.spotId || selectedSpot} />
+          )}
+
           {/* Site footer */}
           {conditions && (
             <div className="site-footer">
@@ -906,6 +928,13 @@ function getHint(factor, value) {
       [40, 'Okay angle'],
       [20, 'Off angle'],
       [0,  'Wrong direction']
+    ],
+    tide: [
+      [80, 'Preferred tide'],
+      [60, 'Workable tide'],
+      [40, 'Tide a bit off'],
+      [20, 'Wrong tide'],
+      [0,  'Wrong tide, wrong way']
     ]
   };
   const levels = hints[factor] || [];
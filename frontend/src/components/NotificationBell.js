@@ -1,5 +1,13 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
-import { fetchVapidKey, subscribePush, unsubscribePush, urlBase64ToUint8Array } from '../api/pushApi';
+import {
+  fetchVapidKey,
+  subscribePush,
+  unsubscribePush,
+  setPushDigest,
+  disablePushDigest,
+  subscribeEmailAlerts,
+  urlBase64ToUint8Array
+} from '../api/pushApi';
 import './NotificationBell.css';
 
 const MAX_SPOTS = 2;
@@ -9,6 +17,82 @@ const THRESHOLD_OPTIONS = [
   { value: 75, label: 'GREAT', desc: '75+' },
   { value: 85, label: 'EPIC', desc: '85+' }
 ];
+const WEEKDAYS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+const HOURS = Array.from({ length: 25 }, (_, h) => h);
+const DEFAULT_DIGEST_HOUR = 6;
+const EMPTY_RULES = {
+  heightMin: '', heightMax: '', periodMin: '', windMax: '',
+  offshoreOnly: false,
+  hoursOn: false, hoursFrom: 6, hoursTo: 12,
+  weekdays: [0, 1, 2, 3, 4, 5, 6],
+  quietOn: false, quietFrom: 22, quietTo: 6
+};
+
+function formatHour(h) {
+  if (h === 0 || h === 24) return '12am';
+  if (h === 12) return '12pm';
+  return h < 12 ? `${h}am` : `${h - 12}pm`;
+}
+
+// Editor draft → API rules object (null when nothing beyond the threshold is set)
+function buildRules(draft) {
+  const num = (v) => (v === '' ? null : Number(v));
+  const rules = {};
+  const heightMin = num(draft.heightMin);
+  const heightMax = num(draft.heightMax);
+  if (heightMin !== null || heightMax !== null) {
+    rules.waveHeight = {};
+    if (heightMin !== null) rules.waveHeight.min = heightMin;
+    if (heightMax !== null) rules.waveHeight.max = heightMax;
+  }
+  if (num(draft.periodMin) !== null) rules.periodMin = num(draft.periodMin);
+  if (num(draft.windMax) !== null) rules.windSpeedMax = num(draft.windMax);
+  if (draft.offshoreOnly) rules.offshoreOnly = true;
+  if (draft.hoursOn) rules.hours = { from: draft.hoursFrom, to: draft.hoursTo };
+  if (draft.weekdays.length < 7) rules.weekdays = draft.weekdays;
+  if (draft.quietOn) rules.quietHours = { from: draft.quietFrom, to: draft.quietTo };
+  return Object.keys(rules).length > 0 ? rules : null;
+}
+
+// API rules object → editor draft
+function rulesToDraft(rules) {
+  if (!rules) return EMPTY_RULES;
+  return {
+    ...EMPTY_RULES,
+    heightMin: rules.waveHeight?.min ?? '',
+    heightMax: rules.waveHeight?.max ?? '',
+    periodMin: rules.periodMin ?? '',
+    windMax: rules.windSpeedMax ?? '',
+    offshoreOnly: !!rules.offshoreOnly,
+    hoursOn: !!rules.hours,
+    hoursFrom: rules.hours?.from ?? EMPTY_RULES.hoursFrom,
+    hoursTo: rules.hours?.to ?? EMPTY_RULES.hoursTo,
+    weekdays: rules.weekdays || EMPTY_RULES.weekdays,
+    quietOn: !!rules.quietHours,
+    quietFrom: rules.quietHours?.from ?? EMPTY_RULES.quietFrom,
+    quietTo: rules.quietHours?.to ?? EMPTY_RULES.quietTo
+  };
+}
+
+// Short summary shown under a subscribed spot, e.g. "1–2m · 10s+ · offshore · Sat, Sun"
+function describeRules(rules) {
+  if (!rules) return null;
+  const parts = [];
+  if (rules.waveHeight) {
+    const { min, max } = rules.waveHeight;
+    parts.push(min != null && max != null ? `${min}–${max}m` : min != null ? `${min}m+` : `≤${max}m`);
+  }
+  if (rules.periodMin) parts.push(`${rules.periodMin}s+`);
+  if (rules.windSpeedMax != null) parts.push(`wind ≤${rules.windSpeedMax}`);
+  if (rules.offshoreOnly) parts.push('offshore');
+  if (rules.hours) parts.push(`${formatHour(rules.hours.from)}–${formatHour(rules.hours.to)}`);
+  if (rules.weekdays) {
+    const names = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    parts.push(rules.weekdays.map(d => names[d]).join(', '));
+  }
+  if (rules.quietHours) parts.push(`quiet ${formatHour(rules.quietHours.from)}–${formatHour(rules.quietHours.to)}`);
+  return parts.join(' · ');
+}
 
 function NotificationBell({ currentSpotId, currentSpotName }) {
   const [open, setOpen] = useState(false);
@@ -17,6 +101,16 @@ function NotificationBell({ currentSpotId, currentSpotName }) {
     catch { return []; }
   });
   const [threshold, setThreshold] = useState(65);
+  const [draft, setDraft] = useState(EMPTY_RULES);
+  const [showRules, setShowRules] = useState(false);
+  const [editing, setEditing] = useState(false);
+  // Hour of the daily digest, or null when it is off
+  const [digestHour, setDigestHour] = useState(() => {
+    const stored = localStorage.getItem('pushDigestHour');
+    return stored === null ? null : Number(stored);
+  });
+  const [email, setEmail] = useState('');
+  const [emailStatus, setEmailStatus] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const panelRef = useRef(null);
@@ -29,6 +123,17 @@ function NotificationBell({ currentSpotId, currentSpotName }) {
     localStorage.setItem('pushSubscriptions', JSON.stringify(subs));
   }, [subs]);
 
+  useEffect(() => {
+    if (digestHour === null) localStorage.removeItem('pushDigestHour');
+    else localStorage.setItem('pushDigestHour', String(digestHour));
+  }, [digestHour]);
+
+  // Switching spots leaves edit mode
+  useEffect(() => {
+    setEditing(false);
+    setEmailStatus(null);
+  }, [currentSpotId]);
+
   // Close panel on outside click
   useEffect(() => {
     if (!open) return;
@@ -76,28 +181,97 @@ function NotificationBell({ currentSpotId, currentSpotName }) {
 
       // Send to backend
       const subJSON = pushSub.toJSON();
-      await subscribePush(subJSON, currentSpotId, threshold);
+      const rules = buildRules(draft);
+      await subscribePush(subJSON, currentSpotId, threshold, rules);
 
       setSubs(prev => {
         const filtered = prev.filter(s => s.spotId !== currentSpotId);
-        return [...filtered, { spotId: currentSpotId, spotName: currentSpotName, threshold }];
+        return [...filtered, { spotId: currentSpotId, spotName: currentSpotName, threshold, rules }];
       });
+      setEditing(false);
     } catch (err) {
       setError(err.response?.data?.error || err.message || 'Failed to subscribe');
     }
     setLoading(false);
   };
 
+  const handleEmailSubscribe = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError(null);
+    setEmailStatus(null);
+    try {
+      const { status } = await subscribeEmailAlerts(email.trim(), currentSpotId, threshold, buildRules(draft));
+      setEmailStatus(status === 'confirmed'
+        ? 'Email alerts are already on for this spot.'
+        : 'Check your inbox to confirm your email alerts.');
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to subscribe by email');
+    }
+    setLoading(false);
+  };
+
+  const handleEdit = (sub) => {
+    setThreshold(sub.threshold);
+    setDraft(rulesToDraft(sub.rules));
+    setShowRules(!!sub.rules);
+    setEditing(true);
+  };
+
+  const toggleWeekday = (day) => {
+    setDraft(prev => {
+      const weekdays = prev.weekdays.includes(day)
+        ? prev.weekdays.filter(d => d !== day)
+        : [...prev.weekdays, day].sort((a, b) => a - b);
+      return { ...prev, weekdays: weekdays.length > 0 ? weekdays : prev.weekdays };
+    });
+  };
+
+  const hourSelect = (key, label) => (
+    <select
+      value={draft[key]}
+      onChange={(e) => setDraft({ ...draft, [key]: Number(e.target.value) })}
+      aria-label={label}
+    >
+      {HOURS.map(h => <option key={h} value={h}>{formatHour(h)}</option>)}
+    </select>
+  );
+
+  const handleDigest = async (hour) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const reg = await navigator.serviceWorker.ready;
+      const pushSub = await reg.pushManager.getSubscription();
+      if (!pushSub) throw new Error('Turn on alerts for a spot first');
+      if (hour === null) {
+        await disablePushDigest(pushSub.endpoint);
+      } else {
+        await setPushDigest(pushSub.endpoint, hour);
+      }
+      setDigestHour(hour);
+    } catch (err) {
+      setError(err.response?.data?.error || err.message || 'Failed to update digest');
+    }
+    setLoading(false);
+  };
+
   const handleUnsubscribe = async (spotId) => {
     setLoading(true);
     setError(null);
     try {
       const reg = await navigator.serviceWorker.ready;
       const pushSub = await reg.pushManager.getSubscription();
+      const remaining = subs.filter(s => s.spotId !== spotId);
       if (pushSub) {
         await unsubscribePush(pushSub.endpoint, spotId);
+        // The digest has nothing to summarize once the last spot is gone
+        if (remaining.length === 0 && digestHour !== null) {
+          await disablePushDigest(pushSub.endpoint);
+          setDigestHour(null);
+        }
       }
-      setSubs(prev => prev.filter(s => s.spotId !== spotId));
+      setSubs(remaining);
     } catch (err) {
       setError(err.message || 'Failed to unsubscribe');
     }
@@ -139,7 +313,18 @@ function NotificationBell({ currentSpotId, currentSpotName }) {
                     <span className="notif-sub-threshold">
                       {THRESHOLD_OPTIONS.find(t => t.value === sub.threshold)?.label || 'GOOD'}+
                     </span>
+                    {sub.rules && <span className="notif-sub-rules">{describeRules(sub.rules)}</span>}
                   </div>
+                  {sub.spotId === currentSpotId && !editing && (
+                    <button
+                      className="notif-sub-edit"
+                      onClick={() => handleEdit(sub)}
+                      disabled={loading}
+                      type="button"
+                    >
+                      Edit
+                    </button>
+                  )}
                   <button
                     className="notif-sub-remove"
                     onClick={() => handleUnsubscribe(sub.spotId)}
@@ -155,8 +340,31 @@ function NotificationBell({ currentSpotId, currentSpotName }) {
             </div>
           )}
 
-          {/* Add current spot */}
-          {!isSubscribed(currentSpotId) && subs.length < MAX_SPOTS && (
+          {/* Daily digest of all subscribed spots */}
+          {subs.length > 0 && (
+            <div className="notif-digest">
+              <label className="notif-rule-check">
+                <input
+                  type="checkbox"
+                  checked={digestHour !== null}
+                  onChange={(e) => handleDigest(e.target.checked ? DEFAULT_DIGEST_HOUR : null)}
+                  disabled={loading}
+                />
+                <span>Daily digest at</span>
+                <select
+                  value={digestHour ?? DEFAULT_DIGEST_HOUR}
+                  onChange={(e) => handleDigest(Number(e.target.value))}
+                  disabled={loading || digestHour === null}
+                  aria-label="Digest time"
+                >
+                  {HOURS.slice(0, 24).map(h => <option key={h} value={h}>{formatHour(h)}</option>)}
+                </select>
+              </label>
+            </div>
+          )}
+
+          {/* Add current spot, or edit its alert */}
+          {((!isSubscribed(currentSpotId) && subs.length < MAX_SPOTS) || editing) && (
             <div className="notif-add">
               <div className="notif-add-spot">
                 Alert me for <strong>{currentSpotName || currentSpotId.replace(/_/g, ' ')}</strong> when conditions reach:
@@ -174,14 +382,95 @@ function NotificationBell({ currentSpotId, currentSpotName }) {
                   </button>
                 ))}
               </div>
+
+              <button
+                className="notif-rules-toggle"
+                onClick={() => setShowRules(!showRules)}
+                type="button"
+                aria-expanded={showRules}
+              >
+                {showRules ? 'Hide conditions' : 'More conditions'}
+              </button>
+
+              {showRules && (
+                <div className="notif-rules">
+                  <div className="notif-rule-row">
+                    <span>Waves (m)</span>
+                    <input type="number" min="0" max="15" step="0.1" value={draft.heightMin}
+                      onChange={(e) => setDraft({ ...draft, heightMin: e.target.value })}
+                      placeholder="min" aria-label="Minimum wave height" />
+                    <input type="number" min="0" max="15" step="0.1" value={draft.heightMax}
+                      onChange={(e) => setDraft({ ...draft, heightMax: e.target.value })}
+                      placeholder="max" aria-label="Maximum wave height" />
+                  </div>
+                  <div className="notif-rule-row">
+                    <span>Period (s)</span>
+                    <input type="number" min="1" max="30" value={draft.periodMin}
+                      onChange={(e) => setDraft({ ...draft, periodMin: e.target.value })}
+                      placeholder="min" aria-label="Minimum swell period" />
+                    <span>Wind</span>
+                    <input type="number" min="0" max="150" value={draft.windMax}
+                      onChange={(e) => setDraft({ ...draft, windMax: e.target.value })}
+                      placeholder="max" aria-label="Maximum wind speed (km/h)" />
+                  </div>
+                  <label className="notif-rule-check">
+                    <input type="checkbox" checked={draft.offshoreOnly}
+                      onChange={(e) => setDraft({ ...draft, offshoreOnly: e.target.checked })} />
+                    <span>Offshore wind only</span>
+                  </label>
+                  <label className="notif-rule-check">
+                    <input type="checkbox" checked={draft.hoursOn}
+                      onChange={(e) => setDraft({ ...draft, hoursOn: e.target.checked })} />
+                    <span>Only between</span>
+                    {hourSelect('hoursFrom', 'Window start')}
+                    {hourSelect('hoursTo', 'Window end')}
+                  </label>
+                  <div className="notif-weekdays" role="group" aria-label="Days">
+                    {WEEKDAYS.map((label, day) => (
+                      <button
+                        key={day}
+                        className={`notif-weekday ${draft.weekdays.includes(day) ? 'selected' : ''}`}
+                        onClick={() => toggleWeekday(day)}
+                        type="button"
+                        aria-pressed={draft.weekdays.includes(day)}
+                      >
+                        {label}
+                      </button>
+                    ))}
+                  </div>
+                  <label className="notif-rule-check">
+                    <input type="checkbox" checked={draft.quietOn}
+                      onChange={(e) => setDraft({ ...draft, quietOn: e.target.checked })} />
+                    <span>Quiet</span>
+                    {hourSelect('quietFrom', 'Quiet hours start')}
+                    {hourSelect('quietTo', 'Quiet hours end')}
+                  </label>
+                </div>
+              )}
+
               <button
                 className="notif-subscribe-btn"
                 onClick={handleSubscribe}
                 disabled={loading}
                 type="button"
               >
-                {loading ? 'Subscribing...' : 'Turn on alerts'}
+                {loading ? 'Saving...' : editing ? 'Save alert' : 'Turn on alerts'}
               </button>
+
+              {!editing && (
+                <form className="notif-email" onSubmit={handleEmailSubscribe}>
+                  <input
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder="or get them by email"
+                    aria-label="Email address"
+                    required
+                  />
+                  <button type="submit" disabled={loading || !email.trim()}>Email me</button>
+                </form>
+              )}
+              {emailStatus && <div className="notif-email-status">{emailStatus}</div>}
             </div>
           )}
 
@@ -193,7 +482,7 @@ function NotificationBell({ currentSpotId, currentSpotName }) {
           )}
 
           {/* Already subscribed to current spot */}
-          {isSubscribed(currentSpotId) && subs.length < MAX_SPOTS && (
+          {isSubscribed(currentSpotId) && !editing && subs.length < MAX_SPOTS && (
             <div className="notif-max-msg">
               You can add {MAX_SPOTS - subs.length} more spot{MAX_SPOTS - subs.length > 1 ? 's' : ''}.
             </div>
@@ -0,0 +1,249 @@
+import { useState, useEffect } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { fetchQuiverRecommendation, fetchQuiver, saveQuiver, deleteQuiver } from '../api/surfApi';
+import './QuiverEditor.css';
+
+const BOARD_TYPES = [
+  { value: 'shortboard', label: 'Shortboard' },
+  { value: 'fish', label: 'Fish' },
+  { value: 'midlength', label: 'Mid-length' },
+  { value: 'longboard', label: 'Longboard' },
+  { value: 'stepup', label: 'Step-up' },
+  { value: 'gun', label: 'Gun' },
+  { value: 'sup', label: 'SUP / Foil' }
+];
+const MAX_BOARDS = 20;
+
+function loadBoards() {
+  try { return JSON.parse(localStorage.getItem('quiver') || '[]'); }
+  catch { return []; }
+}
+
+function newDeviceId() {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// "6'2", "6'2\"", "6.5" or "9" → feet as a decimal
+function parseLength(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return null;
+  const match = trimmed.match(/^(\d+)\s*'\s*(\d+(?:\.\d+)?)?\s*"?$/);
+  if (match) return Number(match[1]) + (Number(match[2] || 0) / 12);
+  const feet = Number(trimmed);
+  return Number.isFinite(feet) ? feet : NaN;
+}
+
+function formatLength(feet) {
+  if (!feet) return '';
+  const whole = Math.floor(feet);
+  const inches = Math.round((feet - whole) * 12);
+  return inches === 12 ? `${whole + 1}'0"` : `${whole}'${inches}"`;
+}
+
+function boardLabel(board) {
+  const type = BOARD_TYPES.find(t => t.value === board.type)?.label || board.type;
+  return [formatLength(board.lengthFt), board.name || type].filter(Boolean).join(' ');
+}
+
+function QuiverEditor({ spotId, weight, skill }) {
+  const [boards, setBoards] = useState(loadBoards);
+  const [deviceId, setDeviceId] = useState(() => localStorage.getItem('quiverDeviceId') || '');
+  const [draft, setDraft] = useState({ type: 'shortboard', length: '', volume: '', name: '' });
+  const [syncCode, setSyncCode] = useState('');
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    localStorage.setItem('quiver', JSON.stringify(boards));
+  }, [boards]);
+
+  // Push a change made on this device; quiverUpdatedAt then holds the server's save time
+  const syncBoards = (next, id = deviceId) => {
+    if (!id) return;
+    saveQuiver(id, next)
+      .then(saved => localStorage.setItem('quiverUpdatedAt', saved.updatedAt))
+      .catch(() => setError('Could not sync your quiver'));
+  };
+
+  const updateBoards = (next) => {
+    localStorage.setItem('quiverUpdatedAt', new Date().toISOString());
+    setBoards(next);
+    syncBoards(next);
+  };
+
+  // Load the synced copy first, so a stale device never overwrites it; only an
+  // edit made here after the server's last save (one that failed to sync) wins
+  useEffect(() => {
+    if (!deviceId) return undefined;
+    let cancelled = false;
+    fetchQuiver(deviceId)
+      .then(synced => {
+        if (cancelled) return;
+        const localUpdatedAt = localStorage.getItem('quiverUpdatedAt');
+        if (localUpdatedAt && localUpdatedAt > synced.updatedAt) {
+          syncBoards(loadBoards());
+          return;
+        }
+        localStorage.setItem('quiverUpdatedAt', synced.updatedAt);
+        setBoards(synced.boards || []);
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const { data: ranking } = useQuery({
+    queryKey: ['quiver', spotId, boards, weight, skill],
+    queryFn: () => fetchQuiverRecommendation(spotId, boards, { weight, skill }),
+    enabled: !!spotId && boards.length > 0,
+    staleTime: 5 * 60 * 1000,
+  });
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    const lengthFt = parseLength(draft.length);
+    if (Number.isNaN(lengthFt) || (lengthFt !== null && (lengthFt < 4 || lengthFt > 14))) {
+      setError('Length should look like 6\'2" (4-14 ft)');
+      return;
+    }
+    const volume = draft.volume ? Number(draft.volume) : null;
+    if (volume !== null && (!Number.isFinite(volume) || volume < 10 || volume > 250)) {
+      setError('Volume should be 10-250 L');
+      return;
+    }
+
+    const board = { id: `b${Date.now().toString(36)}`, type: draft.type };
+    if (draft.name.trim()) board.name = draft.name.trim().slice(0, 40);
+    if (lengthFt !== null) board.lengthFt = Math.round(lengthFt * 100) / 100;
+    if (volume !== null) board.volume = volume;
+
+    updateBoards([...boards, board].slice(0, MAX_BOARDS));
+    setDraft({ ...draft, length: '', volume: '', name: '' });
+    setError(null);
+  };
+
+  const handleRemove = (id) => {
+    updateBoards(boards.filter(b => b.id !== id));
+  };
+
+  const handleToggleSync = () => {
+    setError(null);
+    if (deviceId) {
+      deleteQuiver(deviceId).catch(() => {});
+      localStorage.removeItem('quiverDeviceId');
+      setDeviceId('');
+      return;
+    }
+    const id = newDeviceId();
+    localStorage.setItem('quiverDeviceId', id);
+    setDeviceId(id);
+    syncBoards(boards, id);
+  };
+
+  const handleUseCode = async (e) => {
+    e.preventDefault();
+    const code = syncCode.trim();
+    if (!code) return;
+    try {
+      const synced = await fetchQuiver(code);
+      localStorage.setItem('quiverDeviceId', code);
+      localStorage.setItem('quiverUpdatedAt', synced.updatedAt);
+      setDeviceId(code);
+      setBoards(synced.boards || []);
+      setSyncCode('');
+      setError(null);
+    } catch {
+      setError('No quiver found for that code');
+    }
+  };
+
+  const rankedById = new Map((ranking?.ranking || []).map(r => [r.board.id, r]));
+  const ordered = ranking?.ranking
+    ? [...boards].sort((a, b) => (rankedById.get(a.id)?.rank || 99) - (rankedById.get(b.id)?.rank || 99))
+    : boards;
+
+  return (
+    <div className="quiver">
+      <span className="gear-personalize-title">My quiver</span>
+
+      {ordered.length > 0 && (
+        <ul className="quiver-list">
+          {ordered.map(board => {
+            const rank = rankedById.get(board.id);
+            return (
+              <li key={board.id} className={`quiver-board${rank?.rank === 1 ? ' quiver-board-best' : ''}`}>
+                <div className="quiver-board-body">
+                  <span className="quiver-board-name">
+                    {boardLabel(board)}
+                    {board.volume ? <span className="quiver-board-volume">{board.volume}L</span> : null}
+                  </span>
+                  {rank && <span className="quiver-board-reason">{rank.reason}</span>}
+                </div>
+                {rank && <span className={`quiver-fit quiver-fit-${rank.fit}`}>{rank.rank === 1 ? 'Take this' : rank.fit}</span>}
+                <button type="button" className="quiver-remove" onClick={() => handleRemove(board.id)} aria-label={`Remove ${boardLabel(board)}`}>×</button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {boards.length < MAX_BOARDS && (
+        <form className="quiver-add" onSubmit={handleAdd}>
+          <select value={draft.type} onChange={(e) => setDraft({ ...draft, type: e.target.value })} aria-label="Board type">
+            {BOARD_TYPES.map(t => <option key={t.value} value={t.value}>{t.label}</option>)}
+          </select>
+          <input
+            type="text"
+            value={draft.length}
+            onChange={(e) => setDraft({ ...draft, length: e.target.value })}
+            placeholder={'6\'2"'}
+            aria-label="Length"
+          />
+          <input
+            type="number"
+            value={draft.volume}
+            onChange={(e) => setDraft({ ...draft, volume: e.target.value })}
+            placeholder="L"
+            min="10"
+            max="250"
+            aria-label="Volume (litres)"
+          />
+          <input
+            type="text"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            placeholder="Name (optional)"
+            maxLength={40}
+            aria-label="Name"
+          />
+          <button type="submit" className="quiver-add-btn">Add</button>
+        </form>
+      )}
+
+      <div className="quiver-sync">
+        <label className="quiver-sync-toggle">
+          <input type="checkbox" checked={!!deviceId} onChange={handleToggleSync} />
+          <span>Sync across devices</span>
+        </label>
+        {deviceId ? (
+          <span className="quiver-sync-code">Code: <code>{deviceId}</code></span>
+        ) : (
+          <form className="quiver-sync-form" onSubmit={handleUseCode}>
+            <input
+              type="text"
+              value={syncCode}
+              onChange={(e) => setSyncCode(e.target.value)}
+              placeholder="Have a sync code?"
+              aria-label="Sync code"
+            />
+            <button type="submit" className="quiver-add-btn">Load</button>
+          </form>
+        )}
+      </div>
+
+      {error && <p className="quiver-error">{error}</p>}
+    </div>
+  );
+}
+
+export default QuiverEditor;
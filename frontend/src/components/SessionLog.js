@@ -0,0 +1,203 @@
+import { useState, useEffect, useCallback } from 'react';
+import { logSession, fetchSessions, deleteSession, fetchCalibration } from '../api/surfApi';
+import './SessionLog.css';
+
+const RATING_LABELS = { 1: 'Awful', 2: 'Meh', 3: 'OK', 4: 'Good', 5: 'Firing' };
+const DURATIONS = [30, 60, 90, 120, 180];
+const RECENT_LIMIT = 5;
+
+// Same anonymous ID format as the synced quiver, kept separately so
+// stopping quiver sync doesn't orphan the session log
+function getDeviceId() {
+  let id = localStorage.getItem('sessionDeviceId');
+  if (!id) {
+    if (window.crypto?.randomUUID) {
+      id = window.crypto.randomUUID();
+    } else {
+      const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+      id = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+    localStorage.setItem('sessionDeviceId', id);
+  }
+  return id;
+}
+
+// Local "YYYY-MM-DDTHH:mm" for a datetime-local input, two hours ago on the hour
+function defaultStart() {
+  const d = new Date(Date.now() - 2 * 3600000);
+  d.setMinutes(0, 0, 0);
+  const pad = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:00`;
+}
+
+function formatDate(iso) {
+  return new Date(iso).toLocaleString(undefined, { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+function SessionLog({ spotId }) {
+  const [start, setStart] = useState(defaultStart);
+  const [duration, setDuration] = useState(90);
+  const [rating, setRating] = useState(null);
+  const [notes, setNotes] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  const [calibration, setCalibration] = useState(null);
+
+  const refresh = useCallback(() => {
+    const deviceId = localStorage.getItem('sessionDeviceId');
+    if (deviceId) {
+      fetchSessions(deviceId, spotId).then(d => setSessions(d.sessions || [])).catch(() => {});
+    }
+    fetchCalibration(spotId).then(setCalibration).catch(() => {});
+  }, [spotId]);
+
+  useEffect(() => {
+    if (!spotId) return;
+    setSessions([]);
+    setCalibration(null);
+    refresh();
+  }, [spotId, refresh]);
+
+  const handleSubmit = useCallback(async () => {
+    if (!rating || loading) return;
+    const startedAt = new Date(start);
+    if (Number.isNaN(startedAt.getTime())) {
+      setError('Pick when you paddled out');
+      return;
+    }
+    setLoading(true);
+    setError(null);
+    try {
+      await logSession({
+        deviceId: getDeviceId(),
+        spotId,
+        startedAt: startedAt.toISOString(),
+        endedAt: new Date(startedAt.getTime() + duration * 60000).toISOString(),
+        rating,
+        notes: notes.trim() || undefined
+      });
+      setRating(null);
+      setNotes('');
+      refresh();
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not log your session');
+    }
+    setLoading(false);
+  }, [rating, loading, start, duration, notes, spotId, refresh]);
+
+  const handleDelete = useCallback((id) => {
+    const deviceId = localStorage.getItem('sessionDeviceId');
+    if (!deviceId) return;
+    deleteSession(deviceId, id).then(refresh).catch(() => {});
+  }, [refresh]);
+
+  return (
+    <div className="session-log">
+      <div className="session-log-header">
+        <div className="session-log-header-text">
+          <span className="session-log-label">Surfed here?</span>
+          <span className="session-log-subtitle">
+            Log your session and rate it — we compare your ratings with our scores to calibrate this spot
+          </span>
+        </div>
+        {calibration?.sessions > 0 && (
+          <span className="session-log-badge">
+            {calibration.sessions} rated session{calibration.sessions !== 1 ? 's' : ''}
+          </span>
+        )}
+      </div>
+
+      <div className="session-log-fields">
+        <label className="session-log-field">
+          Paddled out
+          <input
+            type="datetime-local"
+            value={start}
+            onChange={e => setStart(e.target.value)}
+            disabled={loading}
+          />
+        </label>
+        <label className="session-log-field">
+          For
+          <select value={duration} onChange={e => setDuration(Number(e.target.value))} disabled={loading}>
+            {DURATIONS.map(m => (
+              <option key={m} value={m}>{m < 60 ? `${m} min` : `${m / 60} h`}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="session-log-ratings" role="radiogroup" aria-label="Session rating">
+        {Object.entries(RATING_LABELS).map(([value, label]) => (
+          <button
+            key={value}
+            type="button"
+            role="radio"
+            aria-checked={rating === Number(value)}
+            className={`session-log-rating ${rating === Number(value) ? 'selected' : ''}`}
+            onClick={() => setRating(Number(value))}
+            disabled={loading}
+          >
+            <span className="session-log-rating-value">{value}</span>
+            <span className="session-log-rating-label">{label}</span>
+          </button>
+        ))}
+      </div>
+
+      <textarea
+        className="session-log-notes"
+        value={notes}
+        onChange={e => setNotes(e.target.value)}
+        placeholder="Notes (optional) — e.g. crowded, closing out on the low tide"
+        rows={2}
+        maxLength={500}
+        disabled={loading}
+      />
+
+      <div className="session-log-actions">
+        <button
+          className="session-log-submit"
+          onClick={handleSubmit}
+          disabled={!rating || loading}
+          type="button"
+        >
+          {loading ? 'Logging...' : 'Log Session'}
+        </button>
+        {calibration?.bias != null && (
+          <span className="session-log-bias">
+            {Math.abs(calibration.bias) < 5
+              ? 'Our scores match how sessions here feel'
+              : `Our scores run ${Math.abs(Math.round(calibration.bias))} points ${calibration.bias > 0 ? 'high' : 'low'} here`}
+          </span>
+        )}
+      </div>
+
+      {error && <p className="session-log-error">{error}</p>}
+
+      {sessions.length > 0 && (
+        <ul className="session-log-list">
+          {sessions.slice(0, RECENT_LIMIT).map(s => (
+            <li key={s.id} className="session-log-item">
+              <span className="session-log-item-date">{formatDate(s.startedAt)}</span>
+              <span className="session-log-item-rating">{s.rating}/5</span>
+              <span className="session-log-item-predicted">
+                {s.snapshot ? `predicted ${s.snapshot.score} (${s.snapshot.rating})` : 'no forecast snapshot'}
+              </span>
+              <button
+                className="session-log-item-delete"
+                onClick={() => handleDelete(s.id)}
+                type="button"
+                aria-label="Delete session"
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default SessionLog;
@@ -8,9 +8,12 @@ const FACTOR_LABELS = {
   swellQuality: 'Swell Quality',
   windSpeed: 'Surface Calm',
   windDirection: 'Wind Direction',
-  waveDirection: 'Wave Direction'
+  waveDirection: 'Wave Direction',
+  tide: 'Tide'
 };
 
+// The surfer's own multipliers replace the spot's shared feedback rather than
+// stacking on it, so `weights` are the default weights, not the spot's profile
 function recalculateScore(breakdown, weights, multipliers) {
   if (!breakdown || !weights || !multipliers) return null;
 
@@ -18,6 +21,8 @@ function recalculateScore(breakdown, weights, multipliers) {
   const adjusted = {};
   let sum = 0;
   for (const key of Object.keys(FACTOR_LABELS)) {
+    // Factors the server couldn't score (e.g. tide with no nearby station) are left out
+    if (breakdown[key] == null) continue;
     adjusted[key] = (weights[key] || 0) * (multipliers[key] || 1.0);
     sum += adjusted[key];
   }
@@ -0,0 +1,133 @@
+import { useState } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { fetchSpot } from '../api/surfApi';
+import './SpotInfo.css';
+
+const SOURCE_LABELS = {
+  wannasurf: 'WannaSurf',
+  'surf-forecast': 'Surf-Forecast',
+  'surfing-waves': 'Surfing Waves',
+  overpass: 'OpenStreetMap'
+};
+
+const DETAIL_ROWS = [
+  ['breakType', 'Break'],
+  ['bottom', 'Bottom'],
+  ['waveShape', 'Wave'],
+  ['power', 'Power'],
+  ['difficulty', 'Level'],
+  ['consistency', 'Consistency'],
+  ['swellSize', 'Size'],
+  ['bestSwell', 'Best swell'],
+  ['bestWind', 'Best wind'],
+  ['bestTide', 'Best tide']
+];
+
+// Short warnings a beginner should see before paddling out
+function getWarnings(fields) {
+  const warnings = [];
+  const bottom = `${fields.breakType || ''} ${fields.bottom || ''}`.toLowerCase();
+  if (/coral/.test(bottom)) warnings.push('Coral reef');
+  else if (/reef/.test(bottom)) warnings.push('Reef');
+  else if (/rock/.test(bottom)) warnings.push('Rocky bottom');
+  if (/pro|kamikaze|expert|advanced|experienced/i.test(fields.difficulty || '')) {
+    warnings.push('Advanced only');
+  }
+  if (/heavy|powerful|hollow/i.test(`${fields.power || ''} ${fields.waveShape || ''}`)) {
+    warnings.push('Powerful wave');
+  }
+  return warnings;
+}
+
+function SpotInfo({ spotId }) {
+  const [showEvidence, setShowEvidence] = useState(false);
+
+  const { data: spot } = useQuery({
+    queryKey: ['spot', spotId],
+    queryFn: () => fetchSpot(spotId),
+    enabled: Boolean(spotId),
+    staleTime: 60 * 60 * 1000,
+    retry: false
+  });
+
+  const metadata = spot?.metadata;
+  if (!metadata) return null;
+
+  const { fields, fieldSources, evidence, sources } = metadata;
+  const rows = DETAIL_ROWS.filter(([key]) => fields[key]);
+  if (rows.length === 0 && !fields.hazards) return null;
+
+  const warnings = getWarnings(fields);
+  const linked = sources.filter(s => s.url);
+
+  return (
+    <div className="spot-info">
+      <div className="spot-info-header">
+        <span className="spot-info-label">About this break</span>
+        {Object.keys(evidence).length > 0 && (
+          <button
+            className="spot-info-toggle"
+            onClick={() => setShowEvidence(prev => !prev)}
+            type="button"
+          >
+            {showEvidence ? 'Hide sources' : 'Show sources'}
+          </button>
+        )}
+      </div>
+
+      {warnings.length > 0 && (
+        <div className="spot-info-warnings">
+          {warnings.map(w => (
+            <span key={w} className="spot-info-warning">{w}</span>
+          ))}
+        </div>
+      )}
+
+      {fields.hazards && (
+        <p className="spot-info-hazards">
+          <span className="spot-info-hazards-label">Hazards</span> {fields.hazards}
+        </p>
+      )}
+
+      {rows.length > 0 && (
+        <dl className="spot-info-details">
+          {rows.map(([key, label]) => (
+            <div key={key} className="spot-info-row">
+              <dt>{label}</dt>
+              <dd>
+                {fields[key]}
+                {showEvidence && evidence[key] && (
+                  <span className="spot-info-evidence">
+                    “{evidence[key].snippet}” — {SOURCE_LABELS[fieldSources[key]] || fieldSources[key]}
+                  </span>
+                )}
+              </dd>
+            </div>
+          ))}
+        </dl>
+      )}
+
+      {showEvidence && evidence.hazards && (
+        <p className="spot-info-evidence">
+          “{evidence.hazards.snippet}” — {SOURCE_LABELS[evidence.hazards.source] || evidence.hazards.source}
+        </p>
+      )}
+
+      {linked.length > 0 && (
+        <p className="spot-info-sources">
+          From{' '}
+          {linked.map((s, i) => (
+            <span key={s.source}>
+              {i > 0 && ', '}
+              <a href={s.url} target="_blank" rel="noopener noreferrer">
+                {SOURCE_LABELS[s.source] || s.source}
+              </a>
+            </span>
+          ))}
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default SpotInfo;
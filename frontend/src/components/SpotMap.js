@@ -2,31 +2,66 @@ import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { createPortal } from 'react-dom';
 import Map, { Source, Layer, Marker, NavigationControl } from 'react-map-gl/maplibre';
 import 'maplibre-gl/dist/maplibre-gl.css';
-import spotData from '../data/surfSpots.json';
+import { searchSpots, fetchSpotsInBounds } from '../api/surfApi';
 import './SpotMap.css';
 
 const MAP_STYLE_URL = 'https://tiles.openfreemap.org/styles/liberty';
 
 const DEFAULT_VIEW = { latitude: 30, longitude: 0, zoom: 2 };
 
-// Convert spots to GeoJSON for clustering
-function spotsToGeoJSON(spots) {
+const SEARCH_DEBOUNCE_MS = 250;
+
+// Longitude in [-180, 180]
+function wrapLongitude(lon) {
+  if (lon >= -180 && lon <= 180) return lon;
+  return ((((lon + 180) % 360) + 360) % 360) - 180;
+}
+
+// Map bounds as the API expects them: maplibre's west/east run past ±180 at
+// world zoom or across the antimeridian; west > east is a box across it
+function viewportBounds(bounds) {
+  const west = bounds.getWest();
+  const east = bounds.getEast();
+  const wholeWorld = east - west >= 360;
+  return {
+    south: Math.max(bounds.getSouth(), -90),
+    west: wholeWorld ? -180 : wrapLongitude(west),
+    north: Math.min(bounds.getNorth(), 90),
+    east: wholeWorld ? 180 : wrapLongitude(east)
+  };
+}
+
+// Convert viewport spots and server-side clusters to GeoJSON for clustering.
+// Every feature carries a count so client clusters can sum server clusters.
+function spotsToGeoJSON(spots, clusters) {
   return {
     type: 'FeatureCollection',
-    features: spots.map((spot, i) => ({
-      type: 'Feature',
-      id: i,
-      geometry: { type: 'Point', coordinates: [spot.lon, spot.lat] },
-      properties: {
-        name: spot.name,
-        country: spot.country,
-        region: spot.region,
-        idx: i
-      }
-    }))
+    features: [
+      ...spots.map((spot, i) => ({
+        type: 'Feature',
+        id: i,
+        geometry: { type: 'Point', coordinates: [spot.lon, spot.lat] },
+        properties: {
+          name: spot.name,
+          count: 1,
+          idx: i
+        }
+      })),
+      ...clusters.map((cluster, i) => ({
+        type: 'Feature',
+        id: spots.length + i,
+        geometry: { type: 'Point', coordinates: [cluster.lon, cluster.lat] },
+        properties: {
+          count: cluster.count,
+          serverCluster: true
+        }
+      }))
+    ]
   };
 }
 
+const clusterCount = ['coalesce', ['get', 'total'], ['get', 'count']];
+
 function SpotMap({ onSelect, onClose, initialSearch = '' }) {
   const mapRef = useRef(null);
   const searchRef = useRef(null);
@@ -35,9 +70,27 @@ function SpotMap({ onSelect, onClose, initialSearch = '' }) {
   const [searchResults, setSearchResults] = useState([]);
   const [selectedSpot, setSelectedSpot] = useState(null);
   const [geolocated, setGeolocated] = useState(false);
+  const [viewport, setViewport] = useState({ spots: [], clusters: [] });
+  const viewportRequest = useRef(0);
+
+  const geojson = useMemo(
+    () => spotsToGeoJSON(viewport.spots, viewport.clusters),
+    [viewport]
+  );
 
-  const allSpots = spotData.spots;
-  const geojson = useMemo(() => spotsToGeoJSON(allSpots), [allSpots]);
+  // Load the spots (or server clusters) in view; stale responses are dropped
+  const loadViewport = useCallback(async () => {
+    const mapInstance = mapRef.current?.getMap ? mapRef.current.getMap() : mapRef.current;
+    if (!mapInstance) return;
+
+    const request = ++viewportRequest.current;
+    try {
+      const { spots, clusters } = await fetchSpotsInBounds(viewportBounds(mapInstance.getBounds()));
+      if (request === viewportRequest.current) setViewport({ spots, clusters });
+    } catch (err) {
+      // Keep showing the last viewport
+    }
+  }, []);
 
   // Geolocate on mount
   useEffect(() => {
@@ -62,22 +115,24 @@ function SpotMap({ onSelect, onClose, initialSearch = '' }) {
     setTimeout(() => searchRef.current?.focus(), 300);
   }, []);
 
-  // Search filtering
+  // Server-side search, debounced while typing
   useEffect(() => {
-    if (!search || search.length < 2) {
+    const query = search.trim();
+    if (query.length < 2) {
       setSearchResults([]);
       return;
     }
-    const q = search.toLowerCase();
-    const results = allSpots
-      .filter(s =>
-        s.name.toLowerCase().includes(q) ||
-        s.country.toLowerCase().includes(q) ||
-        s.region.toLowerCase().includes(q)
-      )
-      .slice(0, 20);
-    setSearchResults(results);
-  }, [search, allSpots]);
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      searchSpots(query)
+        .then(results => { if (!cancelled) setSearchResults(results); })
+        .catch(() => { if (!cancelled) setSearchResults([]); });
+    }, SEARCH_DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [search]);
 
   const flyTo = useCallback((lat, lon, zoom = 12) => {
     mapRef.current?.flyTo({
@@ -106,6 +161,15 @@ function SpotMap({ onSelect, onClose, initialSearch = '' }) {
     });
     if (clusterFeatures.length > 0) {
       const cluster = clusterFeatures[0];
+      // Server clusters have no expansion zoom — zoom in and load the area
+      if (cluster.properties.serverCluster) {
+        flyTo(
+          cluster.geometry.coordinates[1],
+          cluster.geometry.coordinates[0],
+          (mapInstance.getZoom() || 2) + 3
+        );
+        return;
+      }
       const source = mapInstance.getSource('spots');
       try {
         const zoom = await source.getClusterExpansionZoom(cluster.properties.cluster_id);
@@ -132,13 +196,13 @@ function SpotMap({ onSelect, onClose, initialSearch = '' }) {
     if (spotFeatures.length > 0) {
       const feature = spotFeatures[0];
       const idx = feature.properties.idx;
-      const spot = allSpots[idx];
+      const spot = viewport.spots[idx];
       if (spot) {
         setSelectedSpot(spot);
         flyTo(spot.lat, spot.lon);
       }
     }
-  }, [allSpots, flyTo]);
+  }, [viewport, flyTo]);
 
   const handleConfirm = useCallback(() => {
     if (!selectedSpot) return;
@@ -150,16 +214,16 @@ function SpotMap({ onSelect, onClose, initialSearch = '' }) {
     id: 'clusters',
     type: 'circle',
     source: 'spots',
-    filter: ['has', 'point_count'],
+    filter: ['any', ['has', 'point_count'], ['to-boolean', ['get', 'serverCluster']]],
     paint: {
       'circle-color': [
-        'step', ['get', 'point_count'],
+        'step', clusterCount,
         '#3b82f6', 20,
         '#2563eb', 50,
         '#1d4ed8'
       ],
       'circle-radius': [
-        'step', ['get', 'point_count'],
+        'step', clusterCount,
         16, 20,
         22, 50,
         28
@@ -173,9 +237,9 @@ function SpotMap({ onSelect, onClose, initialSearch = '' }) {
     id: 'cluster-count',
     type: 'symbol',
     source: 'spots',
-    filter: ['has', 'point_count'],
+    filter: ['any', ['has', 'point_count'], ['to-boolean', ['get', 'serverCluster']]],
     layout: {
-      'text-field': '{point_count_abbreviated}',
+      'text-field': ['to-string', clusterCount],
       'text-size': 12
     },
     paint: {
@@ -187,7 +251,7 @@ function SpotMap({ onSelect, onClose, initialSearch = '' }) {
     id: 'spot-pins',
     type: 'circle',
     source: 'spots',
-    filter: ['!', ['has', 'point_count']],
+    filter: ['all', ['!', ['has', 'point_count']], ['!', ['to-boolean', ['get', 'serverCluster']]]],
     paint: {
       'circle-color': '#3b82f6',
       'circle-radius': 6,
@@ -234,7 +298,7 @@ function SpotMap({ onSelect, onClose, initialSearch = '' }) {
           <div className="spot-map-results">
             {searchResults.map((spot) => (
               <button
-                key={`${spot.name}-${spot.lat}-${spot.lon}`}
+                key={`${spot.id}-${spot.lat}-${spot.lon}`}
                 className="spot-map-result"
                 onClick={() => handleSearchSelect(spot)}
                 type="button"
@@ -254,6 +318,8 @@ function SpotMap({ onSelect, onClose, initialSearch = '' }) {
         ref={mapRef}
         {...viewState}
         onMove={e => setViewState(e.viewState)}
+        onLoad={loadViewport}
+        onMoveEnd={loadViewport}
         onClick={handleMapClick}
         mapLib={import('maplibre-gl')}
         mapStyle={MAP_STYLE_URL}
@@ -270,6 +336,7 @@ function SpotMap({ onSelect, onClose, initialSearch = '' }) {
           cluster={true}
           clusterMaxZoom={14}
           clusterRadius={50}
+          clusterProperties={{ total: ['+', ['get', 'count']] }}
         >
           <Layer {...clusterLayer} />
           <Layer {...clusterCountLayer} />
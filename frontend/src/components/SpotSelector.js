@@ -263,7 +263,7 @@ function SpotSelector({ spots, value, onChange, nearbySpots = [] }) {
         <SpotMap
           initialSearch={mapInitialSearch}
           onSelect={(spot) => {
-            const id = slugify(spot.name);
+            const id = spot.id || slugify(spot.name);
             const spotMeta = { id, name: spot.name, lat: spot.lat, lon: spot.lon, country: spot.country, region: spot.region };
             // Save to recent custom spots
             const existing = getRecentCustomSpots();